@@ -0,0 +1,61 @@
+// Theme index backfill script - rebuilds the restaurant-themes table from the restaurants table
+// The sync-theme-index function keeps the index up to date from the restaurants table stream, but the stream only
+// carries the last 24 hours of changes. Run this script after creating the index table, or to repair it.
+// Usage: node backfill-theme-index.mjs (requires restaurants_table and restaurant_themes_table environment variables)
+
+// AWS SDK v3 imports for DynamoDB operations
+import { DynamoDB } from '@aws-sdk/client-dynamodb';
+import { BatchWriteCommand, DynamoDBDocumentClient, ScanCommand } from '@aws-sdk/lib-dynamodb';
+
+// Theme index layout, shared with the sync-theme-index and search-restaurants functions
+import { themeIndexEntries } from './functions/lib/theme-index.mjs';
+
+// Initialize DynamoDB clients
+// AWS region is configured via the AWS_REGION environment variable
+const dynamodbClient = new DynamoDB({});
+const dynamodb = DynamoDBDocumentClient.from(dynamodbClient); // Document client for easier JSON handling
+
+const restaurantsTable = process.env.restaurants_table;
+const themesTable = process.env.restaurant_themes_table;
+
+// Reads all the restaurants, one page at a time
+const getAllRestaurants = async () => {
+  const restaurants = [];
+  let exclusiveStartKey;
+
+  do {
+    const resp = await dynamodb.send(
+      new ScanCommand({
+        TableName: restaurantsTable,
+        ExclusiveStartKey: exclusiveStartKey,
+      })
+    );
+    restaurants.push(...resp.Items);
+    exclusiveStartKey = resp.LastEvaluatedKey;
+  } while (exclusiveStartKey);
+
+  return restaurants;
+};
+
+// Writes the index items - BatchWrite can handle up to 25 items per request
+const putIndexEntries = async (entries) => {
+  for (let i = 0; i < entries.length; i += 25) {
+    let putReqs = entries.slice(i, i + 25).map((x) => ({ PutRequest: { Item: x } }));
+
+    // Retry the requests DynamoDB couldn't process (e.g. when throttled)
+    while (putReqs.length > 0) {
+      const resp = await dynamodb.send(new BatchWriteCommand({ RequestItems: { [themesTable]: putReqs } }));
+      putReqs = resp.UnprocessedItems?.[themesTable] ?? [];
+    }
+  }
+};
+
+// Puts the index items of every restaurant
+// Writes are idempotent, so the script can run while the sync-theme-index function is processing changes
+getAllRestaurants()
+  .then(async (restaurants) => {
+    const entries = restaurants.flatMap(themeIndexEntries);
+    await putIndexEntries(entries);
+    console.log(`indexed ${restaurants.length} restaurants (${entries.length} index items)`);
+  })
+  .catch((err) => console.error(err)); // Error handling
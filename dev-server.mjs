@@ -0,0 +1,256 @@
+// Dev server - serves the API of terraform/api.tf from the functions in this process, to try UI and handler changes
+// without a terraform apply. Requests are turned into the Lambda proxy events API Gateway sends (see
+// tests/local/api.mjs), and every route of the API is served at the root of the server - open http://localhost:3000
+// for the landing page.
+//
+//   COGNITO   routes verify the Authorization header like the Cognito authorizer: an ID token of the user pool, whose
+//             claims are passed to the function (requests without one are answered 401)
+//   AWS_IAM   routes aren't checked - the calls are local
+//
+// get-index's restaurants_api and orders_api point at the dev server, so the landing page loads the restaurants from
+// it, and searches and places orders through it. When a file under functions/ changes, the functions are imported
+// anew on their next request (the packages they import, @big-mouth/lib included, need a restart).
+//
+// The functions run against the resources of the .env stage (tables, bus, topics, parameters) with your AWS
+// credentials, and the ID tokens are those of its user pool - sign in on the landing page as usual.
+//
+// The local mode runs them against the fakes of the local test mode instead (tests/local/environment.mjs), seeded
+// with the restaurants of seed-restaurants.mjs - no AWS account needed. There is no user pool to sign in to: the
+// dev server prints ID tokens of a customer and of a Fangtasia restaurant user, to call the API with, e.g.
+//   curl -X POST localhost:3000/restaurants/search -H "Authorization: <token>" -d '{"theme":"cartoon"}'
+// What the requests set off (outbox relay, order flow, notifications) runs after each response - the customer
+// notifications are kept in memory, not delivered. The WebSocket API is served at the root of the server too, so the
+// live status of a customer's orders can be watched with the token, e.g.
+//   npx wscat -c "ws://localhost:3000?token=<token>"
+//
+// Usage: npm run dev -- [--port <port>]
+//        npm run dev:local -- [--port <port>]
+// Requires the environment variables of the functions (terraform outputs in .env), except in the local mode
+
+// Command line parsing, HTTP server and file watching
+import { parseArgs } from 'node:util';
+import { createServer, STATUS_CODES } from 'node:http';
+import { watch } from 'node:fs';
+import { createHash, randomUUID } from 'node:crypto';
+
+// Local API Gateway and in-process Lambda invocations
+import { handleRequest, routes } from './tests/local/api.mjs';
+import { reloadFunctions } from './tests/local/lambda.mjs';
+// Local WebSocket API (local mode)
+import { connect } from './tests/local/websocket.mjs';
+// Verifies the ID tokens of the .env stage's user pool, as the Cognito authorizer does
+import { verifyIdToken } from './functions/lib/cognito.mjs';
+// Locally signed ID tokens (local mode)
+import { signToken } from './tests/local/jwt.mjs';
+
+const { values: options } = parseArgs({
+  options: {
+    port: { type: 'string', default: '3000' },
+    local: { type: 'boolean', default: false },
+  },
+});
+
+const port = Number(options.port);
+const baseUrl = `http://localhost:${port}`;
+
+// How long the printed ID tokens of the local mode are valid - a working day
+const LOCAL_TOKEN_VALIDITY_SECONDS = 12 * 60 * 60;
+
+// Changes to files under functions/ are picked up together, e.g. when an editor saves several files at once
+const RELOAD_DELAY_MS = 100;
+
+// Appended to the key of a WebSocket handshake to accept it (RFC 6455)
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const OPCODE_TEXT = 0x1;
+const OPCODE_CLOSE = 0x8;
+
+// Adds a user to the local user pool, and signs an ID token for them
+const aLocalToken = (username, extraAttributes = {}) => {
+  const attributes = {
+    sub: randomUUID(),
+    given_name: 'Dev',
+    family_name: username,
+    email: `${username}@big-mouth.local`,
+    email_verified: true,
+    ...extraAttributes,
+  };
+  local.cognito.addUser(process.env.cognito_user_pool_id, { username, attributes });
+
+  return signToken(
+    { ...attributes, 'cognito:username': username },
+    {
+      userPoolId: process.env.cognito_user_pool_id,
+      clientId: process.env.cognito_client_id,
+      expiresIn: LOCAL_TOKEN_VALIDITY_SECONDS,
+    }
+  );
+};
+
+// The fakes of the local mode
+let local;
+if (options.local) {
+  const { startLocalEnvironment } = await import('./tests/local/environment.mjs');
+  local = await startLocalEnvironment();
+}
+
+// The local WebSocket API, whose connections the dev server upgrades (local mode)
+const websocketApiUrl = process.env.websocket_url;
+
+// Point get-index (and anything else calling the API) at the dev server - read when the functions are imported
+// In the .env mode, the landing page connects to the stage's WebSocket API, which pushes what the stage's order flow
+// decides
+Object.assign(process.env, {
+  api_gateway_url: baseUrl,
+  restaurants_api: `${baseUrl}/restaurants`,
+  orders_api: `${baseUrl}/orders`,
+  ...(options.local && { websocket_url: baseUrl.replace('http://', 'ws://') }),
+});
+
+const stage = process.env.stage_name;
+const verifyToken = options.local ? undefined : verifyIdToken; // the local API verifies local tokens by default
+
+// Lets the local environment process what the requests set off, one request after the other
+let settling = Promise.resolve();
+const settle = () => {
+  settling = settling.then(async () => {
+    const failed = local.failures.length;
+    try {
+      await local.settle();
+    } catch (error) {
+      console.error(error.message);
+    }
+    for (const failure of local.failures.slice(failed)) {
+      console.error(`${failure.functionName} failed (${failure.source})`, failure.error ?? failure.batchItemFailures);
+    }
+  });
+};
+
+// Turns a Node.js request into a fetch API request
+const toRequest = async (req) => {
+  const headers = new Headers();
+  for (const [name, value] of Object.entries(req.headers)) {
+    [value].flat().forEach((x) => headers.append(name, x));
+  }
+
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(chunk);
+  }
+
+  return new Request(new URL(req.url, baseUrl), {
+    method: req.method,
+    headers,
+    body: ['GET', 'HEAD'].includes(req.method) ? undefined : Buffer.concat(chunks),
+  });
+};
+
+const server = createServer(async (req, res) => {
+  const start = Date.now();
+  try {
+    const response = await handleRequest(await toRequest(req), { baseUrl, stage, verifyToken });
+
+    res.writeHead(response.status, [...response.headers].flat());
+    res.end(Buffer.from(await response.arrayBuffer()));
+    console.log(`${req.method} ${req.url} ${response.status} (${Date.now() - start}ms)`);
+  } catch (error) {
+    console.error(`${req.method} ${req.url} failed`, error);
+    res.writeHead(500, { 'content-type': 'application/json' });
+    res.end(JSON.stringify({ message: 'Internal server error' }));
+  }
+
+  if (local) {
+    settle();
+  }
+});
+
+// A final WebSocket frame, unmasked as the server sends them - the messages pushed are far below 64 KiB
+const frame = (opcode, payload = Buffer.alloc(0)) => {
+  const header =
+    payload.length < 126 ? Buffer.from([0x80 | opcode, payload.length]) : Buffer.from([0x80 | opcode, 126, 0, 0]);
+  if (payload.length >= 126) {
+    header.writeUInt16BE(payload.length, 2);
+  }
+  return Buffer.concat([header, payload]);
+};
+
+// Upgrades connections to the local WebSocket API - only as much of the protocol as watching the pushed messages
+// takes: the handshake, text frames out, and closing. The connection is authorized, and its $connect route run,
+// before the handshake is answered, as API Gateway does.
+server.on('upgrade', async (req, socket) => {
+  if (!local) {
+    socket.end('HTTP/1.1 404 Not Found\r\n\r\n');
+    return;
+  }
+
+  let connection;
+  try {
+    connection = await connect(`${websocketApiUrl}${new URL(req.url, baseUrl).search}`, {
+      apiGateway: local.apiGateway,
+      onMessage: (message) => socket.write(frame(OPCODE_TEXT, Buffer.from(JSON.stringify(message)))),
+    });
+  } catch (error) {
+    console.log(`WebSocket ${req.url.split('?')[0]} ${error.statusCode}`);
+    socket.end(`HTTP/1.1 ${error.statusCode} ${STATUS_CODES[error.statusCode]}\r\n\r\n`);
+    return;
+  }
+
+  const accept = createHash('sha1')
+    .update(req.headers['sec-websocket-key'] + WEBSOCKET_GUID)
+    .digest('base64');
+  socket.write(
+    [
+      'HTTP/1.1 101 Switching Protocols',
+      'Upgrade: websocket',
+      'Connection: Upgrade',
+      `Sec-WebSocket-Accept: ${accept}`,
+      '\r\n',
+    ].join('\r\n')
+  );
+  console.log(`WebSocket connected ${connection.connectionId}`);
+
+  // The client sends nothing but its close frame (the API has no routes for messages) - answer it, and hang up
+  socket.on('data', (data) => {
+    if ((data[0] & 0x0f) === OPCODE_CLOSE) {
+      socket.end(frame(OPCODE_CLOSE));
+    }
+  });
+  socket.on('error', () => socket.destroy());
+  socket.on('close', async () => {
+    try {
+      await connection.close();
+      console.log(`WebSocket disconnected ${connection.connectionId}`);
+    } catch (error) {
+      console.error('close-connection failed', error);
+    }
+  });
+});
+
+// Import the functions anew on their next request when their code changes
+let reloading;
+watch('functions', { recursive: true }, (_, filename) => {
+  if (!filename || filename.split('/').includes('node_modules')) {
+    return;
+  }
+
+  clearTimeout(reloading);
+  reloading = setTimeout(() => {
+    reloadFunctions();
+    console.log(`functions/${filename} changed - reloading the functions`);
+  }, RELOAD_DELAY_MS);
+});
+
+server.listen(port, () => {
+  console.log(`Serving the ${options.local ? 'local environment' : `${stage} stage`} at ${baseUrl}`);
+  for (const route of routes) {
+    console.log(
+      `  ${route.method.padEnd(6)} ${route.resource.padEnd(26)} ${route.functionName} (${route.authorization})`
+    );
+  }
+
+  if (local) {
+    console.log(`\nID token of a customer:\n${aLocalToken('dev-customer')}`);
+    console.log(
+      `\nID token of a Fangtasia restaurant user:\n${aLocalToken('dev-fangtasia', { 'custom:restaurant_name': 'Fangtasia' })}`
+    );
+  }
+});
@@ -0,0 +1,239 @@
+// Failed events tool - lists, inspects and redrives the events notify-restaurant, seed-orders and start-order-flow
+// failed to process
+// EventBridge invokes the functions asynchronously: when an event still fails after Lambda's retries, Lambda sends an
+// invocation record to the function's OnFailure destination queue. The record keeps the original event
+// (requestPayload) and the error (responsePayload).
+//
+// Redriving invokes the function that failed with the original event, and deletes the record once it succeeds.
+// The functions are idempotent on the order ID, so an order that was processed in the meantime isn't processed again
+// (e.g. a restaurant is never notified twice, and an order never gets a second order flow execution).
+// Events that failed with a LegacyEventError (schema version 1 events that can't be upcast) are never redriven.
+//
+// Usage: npm run failed-events -- <command> [options]
+//   list                       List the failed events
+//   inspect <messageId>        Print a failed event, with its error
+//   redrive                    Redrive the failed events (all of them, unless filtered)
+// Options:
+//   --function <name>          Only the events of notify-restaurant, seed-orders or start-order-flow
+//   --order-id <orderId>       Only the events of an order
+//   --message-id <messageId>   Only this event (redrive)
+//   --dry-run                  Show what would be redriven, without invoking the functions (redrive)
+// Requires the notify_restaurant_dlq_url, seed_orders_dlq_url and start_order_flow_dlq_url environment variables
+// (terraform outputs)
+
+// Command line parsing
+import { parseArgs } from 'node:util';
+
+// AWS SDK v3 imports for SQS operations (reading and deleting the failed events)
+import {
+  SQSClient,
+  ReceiveMessageCommand,
+  DeleteMessageCommand,
+  ChangeMessageVisibilityBatchCommand,
+} from '@aws-sdk/client-sqs';
+// AWS SDK v3 imports for Lambda operations (redriving the failed events)
+import { LambdaClient, InvokeCommand } from '@aws-sdk/client-lambda';
+
+// Initialize clients
+// AWS region is configured via the AWS_REGION environment variable
+const sqs = new SQSClient({});
+const lambda = new LambdaClient({});
+
+// OnFailure destination queue of each function
+const QUEUES = {
+  'notify-restaurant': process.env.notify_restaurant_dlq_url,
+  'seed-orders': process.env.seed_orders_dlq_url,
+  'start-order-flow': process.env.start_order_flow_dlq_url,
+};
+
+// Messages are hidden from other readers while we work on them - long enough to redrive a batch of events
+const VISIBILITY_TIMEOUT_SECONDS = 5 * 60;
+
+// Turns a queue message into a failed event
+const toFailedEvent = (functionName, message) => {
+  const record = JSON.parse(message.Body);
+  const event = record.requestPayload;
+
+  return {
+    messageId: message.MessageId,
+    receiptHandle: message.ReceiptHandle,
+    queueUrl: QUEUES[functionName],
+    functionName,
+    functionArn: record.requestContext?.functionArn, // Qualified ARN of the function that failed
+    failedAt: record.timestamp,
+    condition: record.requestContext?.condition, // e.g. RetriesExhausted, EventAgeExceeded
+    attempts: record.requestContext?.approximateInvokeCount,
+    error: record.responsePayload, // { errorType, errorMessage, trace }
+    orderId: event?.detail?.orderId ?? event?.detail?.order_id, // order_id in some events of schema version 1
+    event,
+  };
+};
+
+// Reads every message of a queue - they stay hidden until released (or deleted), so each is read once
+const receiveAll = async (functionName) => {
+  const queueUrl = QUEUES[functionName];
+  if (!queueUrl) {
+    throw new Error(`the queue URL of ${functionName} is missing - run terraform output > ../.env`);
+  }
+
+  const failedEvents = [];
+  while (true) {
+    const resp = await sqs.send(
+      new ReceiveMessageCommand({
+        QueueUrl: queueUrl,
+        MaxNumberOfMessages: 10,
+        VisibilityTimeout: VISIBILITY_TIMEOUT_SECONDS,
+        WaitTimeSeconds: 1, // Long polling samples all the SQS servers, so an empty response means an empty queue
+      })
+    );
+    if (!resp.Messages?.length) {
+      return failedEvents;
+    }
+    failedEvents.push(...resp.Messages.map((message) => toFailedEvent(functionName, message)));
+  }
+};
+
+// Makes the messages visible again, so the alarm, and the next run, still see them
+const release = async (failedEvents) => {
+  for (const queueUrl of new Set(failedEvents.map((x) => x.queueUrl))) {
+    const messages = failedEvents.filter((x) => x.queueUrl === queueUrl);
+
+    // Up to 10 messages per request
+    for (let i = 0; i < messages.length; i += 10) {
+      const batch = messages.slice(i, i + 10);
+      await sqs.send(
+        new ChangeMessageVisibilityBatchCommand({
+          QueueUrl: queueUrl,
+          Entries: batch.map((x, n) => ({ Id: `${n}`, ReceiptHandle: x.receiptHandle, VisibilityTimeout: 0 })),
+        })
+      );
+    }
+  }
+};
+
+// Reads the failed events of the queues, and keeps the ones matching the options
+// Returns { matching, others } - the others must be released
+const findFailedEvents = async (options) => {
+  const functionNames = options.function ? [options.function] : Object.keys(QUEUES);
+  if (functionNames.some((name) => !(name in QUEUES))) {
+    throw new Error(`unknown function [${options.function}] - expected one of: ${Object.keys(QUEUES).join(', ')}`);
+  }
+
+  const matching = [];
+  const others = [];
+  for (const functionName of functionNames) {
+    for (const failedEvent of await receiveAll(functionName)) {
+      const matches =
+        (!options['order-id'] || failedEvent.orderId === options['order-id']) &&
+        (!options['message-id'] || failedEvent.messageId === options['message-id']);
+      (matches ? matching : others).push(failedEvent);
+    }
+  }
+
+  return { matching, others };
+};
+
+// Events of a previous schema version that can't be upcast (see functions/lib/events.mjs) - they fail every time
+const canRedrive = (failedEvent) => failedEvent.error?.errorType !== 'LegacyEventError';
+
+// One line per failed event
+const summary = ({ messageId, functionName, failedAt, orderId, error }) =>
+  `${messageId}  ${functionName}  ${failedAt}  order ${orderId ?? '-'}  ${error?.errorType}: ${error?.errorMessage}`;
+
+// Invokes the function that failed with the original event
+// Returns the error of the function, if it failed again
+const redrive = async (failedEvent) => {
+  const resp = await lambda.send(
+    new InvokeCommand({
+      FunctionName: failedEvent.functionArn,
+      InvocationType: 'RequestResponse', // Wait for the result, to only delete the events that succeeded
+      Payload: JSON.stringify(failedEvent.event),
+    })
+  );
+
+  if (resp.FunctionError) {
+    return JSON.parse(Buffer.from(resp.Payload).toString());
+  }
+
+  await sqs.send(
+    new DeleteMessageCommand({ QueueUrl: failedEvent.queueUrl, ReceiptHandle: failedEvent.receiptHandle })
+  );
+};
+
+const commands = {
+  list: async (options) => {
+    const { matching, others } = await findFailedEvents(options);
+    await release([...matching, ...others]);
+
+    matching.forEach((x) => console.log(summary(x)));
+    console.log(`${matching.length} failed events`);
+  },
+
+  inspect: async (options, [messageId]) => {
+    if (!messageId) {
+      throw new Error('usage: inspect <messageId>');
+    }
+
+    const { matching, others } = await findFailedEvents({ ...options, 'message-id': messageId });
+    await release([...matching, ...others]);
+
+    if (matching.length === 0) {
+      throw new Error(`failed event [${messageId}] not found`);
+    }
+    const { receiptHandle, queueUrl, ...failedEvent } = matching[0];
+    console.log(JSON.stringify(failedEvent, null, 2));
+  },
+
+  redrive: async (options) => {
+    const { matching: found, others } = await findFailedEvents(options);
+    const matching = found.filter(canRedrive);
+    const legacy = found.filter((x) => !canRedrive(x));
+    // Legacy events are left in the queue, for the record
+    await release([...others, ...legacy]);
+    legacy.forEach((x) => console.log(`not redriving ${summary(x)}`));
+
+    let redriven = 0;
+    for (const failedEvent of matching) {
+      if (options['dry-run']) {
+        console.log(`would redrive ${summary(failedEvent)}`);
+        continue;
+      }
+
+      const error = await redrive(failedEvent);
+      if (error) {
+        // Leave it in the queue, to be investigated
+        console.log(`failed again ${failedEvent.messageId}: ${error.errorType}: ${error.errorMessage}`);
+        await release([failedEvent]);
+      } else {
+        console.log(`redriven ${failedEvent.messageId} (order ${failedEvent.orderId ?? '-'})`);
+        redriven++;
+      }
+    }
+
+    if (options['dry-run']) {
+      await release(matching);
+    }
+    console.log(`${redriven} of ${matching.length} failed events redriven`);
+  },
+};
+
+const { values: options, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    function: { type: 'string' },
+    'order-id': { type: 'string' },
+    'message-id': { type: 'string' },
+    'dry-run': { type: 'boolean', default: false },
+  },
+});
+const [command, ...args] = positionals;
+
+if (!commands[command]) {
+  console.error('usage: npm run failed-events -- list|inspect|redrive [--function <name>] [--order-id <orderId>]');
+  process.exit(1);
+}
+
+commands[command](options, args).catch((err) => {
+  console.error(err.message);
+  process.exitCode = 1;
+});
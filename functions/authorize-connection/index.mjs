@@ -0,0 +1,86 @@
+/**
+ * Authorize Connection Lambda Function
+ *
+ * This function is the Lambda authorizer of the $connect route of the WebSocket API.
+ * Browsers can't set headers on WebSocket connections, so the page passes the user's Cognito ID token in the token
+ * query string parameter (wss://...?token=<ID token>). We verify it as the Cognito authorizer of the REST API would,
+ * and allow the connection for the user it was issued to.
+ *
+ * The user's sub and username are passed on in the authorizer context: API Gateway hands them to every route of the
+ * connection (requestContext.authorizer) - open-connection and close-connection track the connections by sub.
+ */
+
+// AWS Lambda Powertools utilities
+// Logger with output structured as JSON
+import { Logger } from '@aws-lambda-powertools/logger';
+import { injectLambdaContext } from '@aws-lambda-powertools/logger/middleware';
+// Opinionated wrapper for AWS X-Ray
+import { Tracer } from '@aws-lambda-powertools/tracer';
+import { captureLambdaHandler } from '@aws-lambda-powertools/tracer/middleware';
+// Business metrics, published as CloudWatch Embedded Metric Format (EMF) log lines
+import { Metrics } from '@aws-lambda-powertools/metrics';
+import { logMetrics } from '@aws-lambda-powertools/metrics/middleware';
+
+// Middy is a middleware engine designed for serverless functions, enabling us to execute custom logic
+// before and after our main handler code runs.
+// https://github.com/middyjs/middy
+// https://middy.js.org/docs/intro/how-it-works/
+// @middy/core: Middleware to simplify common Lambda tasks
+import middy from '@middy/core';
+
+// Verifies the ID tokens of the user pool
+import { verifyIdToken } from '@big-mouth/lib/cognito';
+
+// Initialize structured logger with service name from environment
+const logger = new Logger({ serviceName: process.env.service_name });
+
+// Initialize metrics with the service and the stage as dimensions (namespace from POWERTOOLS_METRICS_NAMESPACE)
+const metrics = new Metrics({
+  serviceName: process.env.service_name,
+  defaultDimensions: { stage: process.env.stage_name },
+});
+
+// Initialize X-Ray tracer with service name for distributed tracing
+// Creating a Tracer would automatically capture outgoing HTTP requests (such as the request for the user pool's keys)
+const tracer = new Tracer({ serviceName: process.env.service_name });
+
+// Environment variables
+const userPoolId = process.env.cognito_user_pool_id; // Cognito user pool the tokens must be issued by
+
+/**
+ * Lambda handler function - allows the connection of a signed in user
+ * @param {Object} event - Lambda authorizer event (REQUEST type), with the query string of the $connect request
+ * @returns {Object} The IAM policy allowing the connection, and the authorizer context ({ sub, username })
+ */
+export const handler = middy(async (event) => {
+  // Reset sampling calculation to determine if this invocation should log debug messages
+  logger.refreshSampleRateCalculation();
+
+  let claims;
+  try {
+    // Tokens of any client of the user pool are accepted, as by the Cognito authorizer of the REST API
+    claims = await verifyIdToken(event.queryStringParameters?.token, { userPoolId });
+  } catch (error) {
+    logger.debug('rejected connection', { reason: error.message });
+    // API Gateway answers 401 Unauthorized when an authorizer throws this error
+    throw new Error('Unauthorized');
+  }
+
+  logger.debug('authorized connection', { sub: claims.sub });
+
+  return {
+    principalId: claims.sub,
+    policyDocument: {
+      Version: '2012-10-17',
+      Statement: [{ Action: 'execute-api:Invoke', Effect: 'Allow', Resource: event.methodArn }],
+    },
+    // Authorizer context values can only be strings, numbers or booleans
+    context: { sub: claims.sub, username: claims['cognito:username'] },
+  };
+})
+  // Automatically inject Lambda context (request ID, function name, etc.) into all log messages
+  .use(injectLambdaContext(logger))
+  // Add ##functions/authorize-connection.handler segment to the X-Ray trace, and captures cold start, service name, and response of the invocation
+  .use(captureLambdaHandler(tracer))
+  // Publish the metrics of the invocation (and a ColdStart metric on the first one) when the handler finishes
+  .use(logMetrics(metrics, { captureColdStartMetric: true }));
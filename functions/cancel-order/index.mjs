@@ -0,0 +1,257 @@
+/**
+ * Cancel Order Lambda Function
+ *
+ * This function handles the DELETE /orders/{id} endpoint.
+ * Customers can cancel their orders as long as the restaurant hasn't answered them (status PLACED). The order is
+ * marked CANCELLED with a conditional write, so a cancellation and a restaurant's decision can't both win.
+ *
+ * Cancelling an order:
+ * 1. Marks the order CANCELLED, and writes its order_cancelled event to the outbox table, in one DynamoDB transaction -
+ *    the relay-outbox function publishes the event to EventBridge (see functions/lib/outbox.mjs). So a cancelled
+ *    order always gets its order_cancelled event, even if the request fails afterwards.
+ * 2. Ends the "Notify restaurant" step of the order flow, if it's waiting for the restaurant, so the restaurant
+ *    can't accept the order anymore. Cancelling is a business outcome, so the step is resumed with SendTaskSuccess
+ *    and { "isCancelled": true } (see docs/step-functions-workflow.md). Should that fail, the order flow leaves the
+ *    order CANCELLED when it times out - it only updates orders that are still PLACED.
+ *
+ * Like GET /orders/{id}, orders of other users are reported as not found.
+ */
+
+// AWS SDK v3 imports for DynamoDB operations
+import { DynamoDB } from '@aws-sdk/client-dynamodb';
+import { DynamoDBDocumentClient, GetCommand, TransactWriteCommand } from '@aws-sdk/lib-dynamodb';
+// AWS SDK v3 imports for Step Functions operations (used to end the waiting order flow)
+import { SFNClient, SendTaskSuccessCommand } from '@aws-sdk/client-sfn';
+
+// AWS Lambda Powertools utilities
+// Logger with output structured as JSON
+import { Logger } from '@aws-lambda-powertools/logger';
+import { injectLambdaContext } from '@aws-lambda-powertools/logger/middleware';
+// Opinionated wrapper for AWS X-Ray
+import { Tracer } from '@aws-lambda-powertools/tracer';
+import { captureLambdaHandler } from '@aws-lambda-powertools/tracer/middleware';
+// Business metrics, published as CloudWatch Embedded Metric Format (EMF) log lines
+import { Metrics, MetricUnit } from '@aws-lambda-powertools/metrics';
+import { logMetrics } from '@aws-lambda-powertools/metrics/middleware';
+
+// Middy is a middleware engine designed for serverless functions, enabling us to execute custom logic
+// before and after our main handler code runs.
+// https://github.com/middyjs/middy
+// https://middy.js.org/docs/intro/how-it-works/
+// @middy/core: Middleware to simplify common Lambda tasks
+import middy from '@middy/core';
+
+// Request validation and error responses, shared with the other HTTP functions
+import { HttpError, httpErrorHandler, validateRequest } from '@big-mouth/lib/http';
+// Correlation IDs, shared with the other functions
+import { fromHttpRequest, injectCorrelationId } from '@big-mouth/lib/correlation';
+// Event contracts, shared with the other functions publishing and consuming events
+import { eventDetail } from '@big-mouth/lib/events';
+// Transactional outbox, shared with the relay-outbox function
+import { outboxEntry } from '@big-mouth/lib/outbox';
+
+// Initialize structured logger with service name from environment
+const logger = new Logger({ serviceName: process.env.service_name });
+
+// Initialize metrics with the service and the stage as dimensions (namespace from POWERTOOLS_METRICS_NAMESPACE)
+const metrics = new Metrics({
+  serviceName: process.env.service_name,
+  defaultDimensions: { stage: process.env.stage_name },
+});
+
+// Initialize clients (created outside handler for connection reuse)
+const dynamodbClient = new DynamoDB({});
+const dynamodb = DynamoDBDocumentClient.from(dynamodbClient);
+const sfn = new SFNClient();
+
+// Initialize X-Ray tracer with service name for distributed tracing
+// Creating a Tracer would automatically capture outgoing HTTP requests
+const tracer = new Tracer({ serviceName: process.env.service_name });
+
+// Capture AWS SDK operations in X-Ray traces for performance monitoring
+tracer.captureAWSv3Client(dynamodb);
+tracer.captureAWSv3Client(sfn);
+
+// Environment variables
+const tableName = process.env.orders_table; // DynamoDB orders table
+const outboxTableName = process.env.outbox_table; // DynamoDB outbox table (events waiting to be published)
+
+// Errors returned by SendTaskSuccess when the state machine stopped waiting for the task token
+// (the "Notify restaurant" step timed out, or the execution is no longer running)
+const EXPIRED_TOKEN_ERRORS = ['TaskTimedOut', 'TaskDoesNotExist'];
+
+// Shape of the path parameters
+const pathSchema = {
+  type: 'object',
+  required: ['id'],
+  properties: {
+    id: { type: 'string', minLength: 1, maxLength: 100 },
+  },
+};
+
+// Load an order from DynamoDB - strongly consistent reads see the writes that just succeeded
+const getOrder = async (orderId, consistentRead = false) => {
+  logger.debug('getting order from DynamoDB...', { orderId, tableName });
+
+  const resp = await dynamodb.send(
+    new GetCommand({
+      TableName: tableName,
+      Key: { id: orderId },
+      ConsistentRead: consistentRead,
+    })
+  );
+
+  return resp.Item; // undefined if the order doesn't exist
+};
+
+/**
+ * Marks the order CANCELLED, and writes its order_cancelled event in the outbox, in one transaction - as long as the
+ * order is still waiting for the restaurant
+ * @returns {boolean} Whether the order was cancelled - false if it was decided in the meantime
+ */
+const recordCancellation = async (order, cancelledAt, correlationId) => {
+  try {
+    await dynamodb.send(
+      new TransactWriteCommand({
+        TransactItems: [
+          {
+            Update: {
+              TableName: tableName,
+              Key: { id: order.id },
+              UpdateExpression: 'SET #status = :cancelled, cancelledAt = :now, updatedAt = :now',
+              // The restaurant may have answered the order since we loaded it (respond-to-order records a decision first)
+              ConditionExpression: '#status = :placed AND attribute_not_exists(decision)',
+              ExpressionAttributeNames: { '#status': 'status' },
+              ExpressionAttributeValues: { ':cancelled': 'CANCELLED', ':placed': 'PLACED', ':now': cancelledAt },
+            },
+          },
+          {
+            Put: {
+              TableName: outboxTableName,
+              Item: outboxEntry({
+                source: 'big-mouth', // Event source identifier
+                detailType: 'order_cancelled', // Event type for filtering
+                // Event payload: with the correlation ID of this request, checked against the order_cancelled contract
+                detail: eventDetail('order_cancelled', {
+                  orderId: order.id,
+                  userId: order.userId,
+                  restaurantName: order.restaurantName,
+                  cancelledAt,
+                  correlationId,
+                }),
+              }),
+            },
+          },
+        ],
+      })
+    );
+    return true;
+  } catch (error) {
+    // The order's condition failed (the first item of the transaction) - nothing was written
+    if (
+      error.name === 'TransactionCanceledException' &&
+      error.CancellationReasons?.[0]?.Code === 'ConditionalCheckFailed'
+    ) {
+      return false;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Ends the "Notify restaurant" step of the order flow
+ * Without a task token the order flow isn't waiting yet - save-task-token ends the step when the token arrives.
+ */
+const stopWaitingForRestaurant = async (order) => {
+  if (!order.taskToken) {
+    logger.debug('order flow is not waiting for the restaurant yet', { orderId: order.id });
+    return;
+  }
+
+  try {
+    await sfn.send(
+      new SendTaskSuccessCommand({
+        taskToken: order.taskToken,
+        // Becomes notifyRestaurantResult in the order flow - the Choice state branches on isCancelled
+        output: JSON.stringify({ isCancelled: true }),
+      })
+    );
+  } catch (error) {
+    // The order flow stopped waiting on its own, which is all we wanted
+    if (EXPIRED_TOKEN_ERRORS.includes(error.name)) {
+      logger.debug('order flow is no longer waiting for the restaurant', { orderId: order.id, error: error.name });
+      return;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Lambda handler function - cancels one of the caller's orders
+ * @param {Object} event - API Gateway event object (order ID in the {id} path parameter)
+ * @returns {Object} HTTP response with the cancelled order's status
+ */
+export const handler = middy(async (event, context) => {
+  // Reset sampling calculation to determine if this invocation should log debug messages
+  logger.refreshSampleRateCalculation();
+
+  const orderId = event.pathParameters.id;
+
+  // The Cognito authorizer puts the claims of the caller's ID token in the request context
+  // 'sub' is the unique and immutable identifier of the user in the user pool
+  const userId = event.requestContext.authorizer.claims.sub;
+
+  const order = await getOrder(orderId);
+
+  // Treat other users' orders as if they don't exist
+  if (!order || order.userId !== userId) {
+    logger.debug('order not found', { orderId, found: !!order });
+    throw new HttpError(404, `order [${orderId}] not found`); // HTTP Not Found
+  }
+
+  if (order.status === 'CANCELLED') {
+    throw new HttpError(409, `order [${orderId}] has already been cancelled`); // HTTP Conflict
+  }
+
+  // Only orders still waiting for the restaurant can be cancelled (ACCEPTED, REJECTED, TIMED_OUT are final)
+  if (order.status !== 'PLACED' || order.decision) {
+    throw new HttpError(409, `order [${orderId}] has already been decided`); // HTTP Conflict
+  }
+
+  const cancelledAt = new Date().toISOString();
+  // The relay-outbox function publishes the order_cancelled event once the transaction is committed
+  const cancelled = await recordCancellation(order, cancelledAt, context.correlationId);
+
+  if (!cancelled) {
+    throw new HttpError(409, `order [${orderId}] has already been decided`); // HTTP Conflict
+  }
+
+  logger.debug('order cancelled, and its event saved in the outbox', { orderId, restaurantName: order.restaurantName });
+
+  // Reload the order for the task token save-task-token may have saved since we loaded it - a token saved after the
+  // cancellation isn't saved (save-task-token ends the step itself)
+  await stopWaitingForRestaurant(await getOrder(orderId, true));
+
+  // Count the cancelled orders, per restaurant
+  metrics.addDimension('restaurantName', order.restaurantName);
+  metrics.addMetric('OrdersCancelled', MetricUnit.Count, 1);
+
+  const response = {
+    statusCode: 200, // HTTP OK status
+    body: JSON.stringify({ orderId, status: 'CANCELLED', cancelledAt }),
+  };
+
+  return response;
+})
+  // Turn errors into JSON error responses - used first, so it handles the errors after the other middlewares did
+  .use(httpErrorHandler({ logger }))
+  // Automatically inject Lambda context (request ID, function name, etc.) into all log messages
+  .use(injectLambdaContext(logger))
+  // Take the correlation ID from the x-correlation-id header (or the API Gateway request ID) and add it to all log messages
+  .use(injectCorrelationId({ logger, from: fromHttpRequest }))
+  // Add ##functions/cancel-order.handler segment to the X-Ray trace, and captures cold start, service name, and response of the invocation
+  .use(captureLambdaHandler(tracer))
+  // Publish the metrics of the invocation (and a ColdStart metric on the first one) when the handler finishes
+  .use(logMetrics(metrics, { captureColdStartMetric: true }))
+  // Check the path parameters against the schema before the handler runs
+  .use(validateRequest({ pathParameters: pathSchema }));
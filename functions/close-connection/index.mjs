@@ -0,0 +1,84 @@
+/**
+ * Close Connection Lambda Function
+ *
+ * This function handles the $disconnect route of the WebSocket API - the page was closed, the connection idled out
+ * (10 minutes) or reached its 2 hours.
+ * We delete the record of the connection (open-connection), under the user of the authorizer context - API Gateway
+ * passes it to every route of the connection.
+ *
+ * $disconnect is best effort: API Gateway may not invoke it for every connection. The records it misses expire
+ * (DynamoDB TTL), and push-order-status deletes the ones it finds gone before that.
+ */
+
+// AWS SDK v3 imports for DynamoDB operations
+import { DynamoDB } from '@aws-sdk/client-dynamodb';
+import { DynamoDBDocumentClient, DeleteCommand } from '@aws-sdk/lib-dynamodb';
+
+// AWS Lambda Powertools utilities
+// Logger with output structured as JSON
+import { Logger } from '@aws-lambda-powertools/logger';
+import { injectLambdaContext } from '@aws-lambda-powertools/logger/middleware';
+// Opinionated wrapper for AWS X-Ray
+import { Tracer } from '@aws-lambda-powertools/tracer';
+import { captureLambdaHandler } from '@aws-lambda-powertools/tracer/middleware';
+// Business metrics, published as CloudWatch Embedded Metric Format (EMF) log lines
+import { Metrics } from '@aws-lambda-powertools/metrics';
+import { logMetrics } from '@aws-lambda-powertools/metrics/middleware';
+
+// Middy is a middleware engine designed for serverless functions, enabling us to execute custom logic
+// before and after our main handler code runs.
+// https://github.com/middyjs/middy
+// https://middy.js.org/docs/intro/how-it-works/
+// @middy/core: Middleware to simplify common Lambda tasks
+import middy from '@middy/core';
+
+// Initialize structured logger with service name from environment
+const logger = new Logger({ serviceName: process.env.service_name });
+
+// Initialize metrics with the service and the stage as dimensions (namespace from POWERTOOLS_METRICS_NAMESPACE)
+const metrics = new Metrics({
+  serviceName: process.env.service_name,
+  defaultDimensions: { stage: process.env.stage_name },
+});
+
+// Initialize DynamoDB clients (created outside handler for connection reuse)
+const dynamodbClient = new DynamoDB({});
+const dynamodb = DynamoDBDocumentClient.from(dynamodbClient);
+
+// Initialize X-Ray tracer with service name for distributed tracing
+const tracer = new Tracer({ serviceName: process.env.service_name });
+
+// Capture DynamoDB operations in X-Ray traces for performance monitoring (e.g. DynamoDB DeleteItem API call)
+tracer.captureAWSv3Client(dynamodb);
+
+// Environment variables
+const tableName = process.env.connections_table; // DynamoDB table of the WebSocket connections
+
+/**
+ * Lambda handler function - deletes the record of the connection
+ * @param {Object} event - WebSocket $disconnect event, with the authorizer context in requestContext.authorizer
+ * @returns {Object} 200 response - ignored, the connection is already closed
+ */
+export const handler = middy(async (event) => {
+  // Reset sampling calculation to determine if this invocation should log debug messages
+  logger.refreshSampleRateCalculation();
+
+  const { connectionId, authorizer } = event.requestContext;
+
+  await dynamodb.send(
+    new DeleteCommand({
+      TableName: tableName,
+      Key: { userId: authorizer.sub, connectionId },
+    })
+  );
+
+  logger.debug('closed connection', { connectionId, userId: authorizer.sub });
+
+  return { statusCode: 200 };
+})
+  // Automatically inject Lambda context (request ID, function name, etc.) into all log messages
+  .use(injectLambdaContext(logger))
+  // Add ##functions/close-connection.handler segment to the X-Ray trace, and captures cold start, service name, and response of the invocation
+  .use(captureLambdaHandler(tracer))
+  // Publish the metrics of the invocation (and a ColdStart metric on the first one) when the handler finishes
+  .use(logMetrics(metrics, { captureColdStartMetric: true }));
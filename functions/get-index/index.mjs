@@ -15,6 +15,9 @@ import { injectLambdaContext } from '@aws-lambda-powertools/logger/middleware';
 // Opinionated wrapper for AWS X-Ray
 import { Tracer } from '@aws-lambda-powertools/tracer';
 import { captureLambdaHandler } from '@aws-lambda-powertools/tracer/middleware';
+// Business metrics, published as CloudWatch Embedded Metric Format (EMF) log lines
+import { Metrics } from '@aws-lambda-powertools/metrics';
+import { logMetrics } from '@aws-lambda-powertools/metrics/middleware';
 
 // Middy is a middleware engine designed for serverless functions, enabling us to execute custom logic
 // before and after our main handler code runs.
@@ -22,20 +25,34 @@ import { captureLambdaHandler } from '@aws-lambda-powertools/tracer/middleware';
 // https://middy.js.org/docs/intro/how-it-works/
 // @middy/core: Middleware to simplify common Lambda tasks
 import middy from '@middy/core';
+// @middy/ssm: Middleware that automatically loads parameters from AWS SSM Parameter Store during cold starts
+// and caches them for subsequent invocations
+import ssm from '@middy/ssm';
+
+// Shared request validation, JSON error responses and cache headers
+import { HttpError, httpCaching, httpErrorHandler, validateRequest } from '@big-mouth/lib/http';
 
 // Initialize structured logger with service name from environment
 const logger = new Logger({ serviceName: process.env.service_name });
 
+// Initialize metrics with the service and the stage as dimensions (namespace from POWERTOOLS_METRICS_NAMESPACE)
+const metrics = new Metrics({
+  serviceName: process.env.service_name,
+  defaultDimensions: { stage: process.env.stage_name },
+});
+
 // Initialize X-Ray tracer with service name for distributed tracing
 // Creating a Tracer would automatically capture outgoing HTTP requests (such as the request to the GET /restaurants endpoint)
 const tracer = new Tracer({ serviceName: process.env.service_name });
 
 // Environment variables
+const { service_name, ssm_stage_name } = process.env;
 const awsRegion = process.env.AWS_REGION;
 const cognitoUserPoolId = process.env.cognito_user_pool_id;
 const cognitoClientId = process.env.cognito_client_id;
 const restaurantsApiRoot = process.env.restaurants_api; // API Gateway endpoint for /restaurants resource
 const ordersApiRoot = process.env.orders_api; // API Gateway endpoint for /orders resource
+const websocketUrl = process.env.websocket_url; // WebSocket API the page connects to for the status of the orders
 
 const days = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
 
@@ -55,20 +72,41 @@ const aws = new AwsClient({
 const __filename = fileURLToPath(import.meta.url); // Convert module URL to file path (ES modules don't have __filename)
 const __dirname = path.dirname(__filename); // Get directory name (ES modules don't have __dirname)
 const template = fs.readFileSync(path.join(__dirname, 'static/index.html'), 'utf-8'); // Read template file relative to this module
+// The list of restaurants is a partial ({{> restaurants}}), so every list the page shows is rendered (and escaped) the same way
+const partials = { restaurants: fs.readFileSync(path.join(__dirname, 'static/restaurants.html'), 'utf-8') };
+
+// Shape of the query string - a search by theme (e.g. ?theme=netflix,toy story), and the page of the restaurants (of
+// the search, if any) to show
+const querySchema = {
+  type: 'object',
+  properties: {
+    theme: { type: 'string' },
+    nextToken: { type: 'string', minLength: 1 },
+  },
+};
+
+// Fetch a page of restaurants from your API Gateway endpoint.
+// GET /restaurants is paginated - the page shows one page at a time, and links to the next one.
+const getRestaurants = async (nextToken) => {
+  const url = nextToken ? `${restaurantsApiRoot}?${new URLSearchParams({ nextToken })}` : restaurantsApiRoot;
 
-// Fetch restaurant data from your API Gateway endpoint.
-const getRestaurants = async () => {
   // Log API request details for debugging
-  // NOTE: restaurantsApiRoot is captured as a separate url attribute in the log message.
+  // NOTE: the URL is captured as a separate url attribute in the log message.
   // Capturing variables as attributes (instead of baking them into the message) makes them easier to search and filter.
-  logger.debug('getting restaurants...', { url: restaurantsApiRoot });
+  logger.debug('getting restaurants...', { url });
 
-  // Make an authenticated HTTP request using AWS credentials to load the list of restaurants from the GET /restaurants endpoint.
-  const resp = await aws.fetch(restaurantsApiRoot);
+  // Make an authenticated HTTP request using AWS credentials to load a page of restaurants from the GET /restaurants endpoint.
+  // Version 2 of the response has the nextToken of the next page - version 1 is a bare array.
+  const resp = await aws.fetch(url, { headers: { Accept: 'application/vnd.big-mouth.v2+json' } });
 
   // Log HTTP response status for debugging
   logger.debug('response status code', { statusCode: resp.status });
 
+  // Invalid tokens (e.g. edited by hand) are the caller's mistake - pass them on
+  if (resp.status === 400) {
+    const { message } = await resp.json();
+    throw new HttpError(400, message);
+  }
   // Throw error if request failed (4xx, 5xx status codes).
   if (!resp.ok) {
     throw new Error('Failed to fetch restaurants: ' + resp.statusText);
@@ -80,7 +118,48 @@ const getRestaurants = async () => {
   // Add HTTP response to metadata for the ##functions/get-index.handler segment in the X-Ray trace
   tracer.addResponseAsMetadata(data, 'GET /restaurants');
 
-  // Return restaurant list for template rendering
+  // Return the page for template rendering: { restaurants, nextToken } - nextToken is null on the last page
+  return data;
+};
+
+// The first page of restaurants - the landing page - kept between the invocations of the execution environment until
+// it expires: every page view would call GET /restaurants (and scan the table) otherwise. { page, expiresAt }
+let cachedFirstPage;
+
+// The first page of restaurants, from the cache while it's fresh - ttlSeconds is how long it's kept (0 turns the
+// cache off)
+const getFirstPage = async (ttlSeconds) => {
+  if (cachedFirstPage && cachedFirstPage.expiresAt > Date.now()) {
+    logger.debug('restaurants from the cache', { expiresAt: new Date(cachedFirstPage.expiresAt).toISOString() });
+    return cachedFirstPage.page;
+  }
+
+  const page = await getRestaurants();
+  cachedFirstPage = { page, expiresAt: Date.now() + ttlSeconds * 1000 };
+  return page;
+};
+
+// Search the restaurants by theme through the GET /restaurants/search endpoint - one page of results at a time, as
+// the page links to the next one rather than showing them all.
+const searchRestaurants = async (themes, nextToken) => {
+  const query = new URLSearchParams({ theme: themes.join(','), ...(nextToken && { nextToken }) });
+  const url = `${restaurantsApiRoot}/search?${query}`;
+  logger.debug('searching restaurants...', { url });
+
+  const resp = await aws.fetch(url);
+  logger.debug('response status code', { statusCode: resp.status });
+
+  // Invalid searches (e.g. too many themes, or a nextToken of another search) are the caller's mistake - pass them on
+  if (resp.status === 400) {
+    const { message } = await resp.json();
+    throw new HttpError(400, message);
+  }
+  if (!resp.ok) {
+    throw new Error('Failed to search restaurants: ' + resp.statusText);
+  }
+
+  const data = await resp.json();
+  tracer.addResponseAsMetadata(data, 'GET /restaurants/search');
   return data;
 };
 
@@ -88,10 +167,31 @@ export const handler = middy(async (event, context) => {
   // Reset sampling calculation to determine if this invocation should log debug messages
   logger.refreshSampleRateCalculation();
 
-  const restaurants = await getRestaurants();
+  // Validated by the validateRequest middleware (an empty object when there are none)
+  const { theme = '', nextToken } = event.queryStringParameters;
+  // Several themes can be separated with commas, e.g. "netflix, toy story" - restaurants matching any of them are shown.
+  // Without any, the page shows all the restaurants, a page at a time.
+  const themes = theme
+    .split(',')
+    .map((x) => x.trim())
+    .filter((x) => x !== '');
+
+  let restaurants, nextPageQuery;
+  if (themes.length > 0) {
+    const page = await searchRestaurants(themes, nextToken);
+    restaurants = page.restaurants;
+    // Query string of the link to the next page of results (none on the last page)
+    nextPageQuery =
+      page.nextToken && new URLSearchParams({ theme: themes.join(','), nextToken: page.nextToken }).toString();
+  } else {
+    // Only the first page is cached - the pages after it are seldom looked at
+    const page = nextToken ? await getRestaurants(nextToken) : await getFirstPage(context.config.cacheTtlSeconds ?? 0);
+    restaurants = page.restaurants;
+    nextPageQuery = page.nextToken && new URLSearchParams({ nextToken: page.nextToken }).toString();
+  }
 
   // console.log(`found ${restaurants.length} restaurants`);
-  logger.debug('got restaurants', { count: restaurants.length });
+  logger.debug('got restaurants', { count: restaurants.length, themes });
 
   const dayOfWeek = days[new Date().getDay()];
 
@@ -101,11 +201,14 @@ export const handler = middy(async (event, context) => {
     cognitoClientId,
     dayOfWeek,
     restaurants,
-    searchUrl: `${restaurantsApiRoot}/search`, // URL for searching restaurants
+    theme: themes.join(', '), // The search shown in the search box (empty when showing all the restaurants)
+    nextPageQuery, // Query string of the next page of restaurants (of the search, if any)
+    restaurantsUrl: restaurantsApiRoot, // Base URL for restaurant resources, e.g. /restaurants/{name}/menu
     placeOrderUrl: ordersApiRoot, // URL for placing orders
+    websocketUrl, // URL for the live status of the orders (wss://)
   };
 
-  const html = Mustache.render(template, view);
+  const html = Mustache.render(template, view, partials);
 
   const response = {
     statusCode: 200,
@@ -117,7 +220,39 @@ export const handler = middy(async (event, context) => {
 
   return response;
 })
+  // Turn errors into JSON error responses - used first, so it handles the errors after the other middlewares did
+  .use(httpErrorHandler({ logger }))
+  // ETag, Cache-Control and Vary headers, and 304 for the browsers that already have the page.
+  // The page is the same for everyone - the user's session is kept by the browser - so any cache may keep it, for as
+  // long as the restaurants are cached here: it can't be fresher than them anyway.
+  .use(
+    httpCaching({
+      cacheControl: ({ context }) => `public, max-age=${context.config.cacheTtlSeconds ?? 0}`,
+      vary: 'Accept-Encoding',
+    })
+  )
+  .use(
+    // configuration of middy SSM middleware, https://middy.js.org/docs/intro/how-it-works/
+    ssm({
+      // cache the SSM parameter value, so we don't hammer SSM Parameter Store with requests.
+      cache: true,
+      // under a key of our own - in the dev server (and the local test mode) the functions share a process
+      cacheKey: 'get-index-ssm',
+      // cached value to expire after 1 minute, so a new TTL applies without needing a deployment
+      cacheExpiry: 1 * 60 * 1000,
+      // set the SSM parameter value to the Lambda context, so we can access it in our handler
+      setToContext: true,
+      fetchData: {
+        // how long the restaurants are cached, e.g. { "cacheTtlSeconds": 60 }
+        config: `/${service_name}/${ssm_stage_name}/get-index/config`,
+      },
+    })
+  )
   // Automatically inject Lambda context (request ID, function name, etc.) into all log messages
   .use(injectLambdaContext(logger))
   // Add ##functions/get-index.handler segment to the X-Ray trace, and captures cold start, service name, and response of the invocation
-  .use(captureLambdaHandler(tracer));
+  .use(captureLambdaHandler(tracer))
+  // Publish the metrics of the invocation (and a ColdStart metric on the first one) when the handler finishes
+  .use(logMetrics(metrics, { captureColdStartMetric: true }))
+  // Check the query string against the schema before the handler runs
+  .use(validateRequest({ queryStringParameters: querySchema }));
@@ -0,0 +1,128 @@
+/**
+ * Get Menu Lambda Function
+ *
+ * This function handles the GET /restaurants/{name}/menu endpoint.
+ * It returns the menu of a single restaurant (sections, items, prices, descriptions and availability),
+ * so that clients can build a cart of menu item IDs to send to POST /orders.
+ *
+ * Prices are integers in cents - the same unit place-order uses to price orders.
+ */
+
+// AWS SDK v3 imports for DynamoDB operations
+import { DynamoDB } from '@aws-sdk/client-dynamodb';
+import { DynamoDBDocumentClient, GetCommand } from '@aws-sdk/lib-dynamodb';
+
+// AWS Lambda Powertools utilities
+// Logger with output structured as JSON
+import { Logger } from '@aws-lambda-powertools/logger';
+import { injectLambdaContext } from '@aws-lambda-powertools/logger/middleware';
+// Opinionated wrapper for AWS X-Ray
+import { Tracer } from '@aws-lambda-powertools/tracer';
+import { captureLambdaHandler } from '@aws-lambda-powertools/tracer/middleware';
+// Business metrics, published as CloudWatch Embedded Metric Format (EMF) log lines
+import { Metrics } from '@aws-lambda-powertools/metrics';
+import { logMetrics } from '@aws-lambda-powertools/metrics/middleware';
+
+// Middy is a middleware engine designed for serverless functions, enabling us to execute custom logic
+// before and after our main handler code runs.
+// https://github.com/middyjs/middy
+// https://middy.js.org/docs/intro/how-it-works/
+// @middy/core: Middleware to simplify common Lambda tasks
+import middy from '@middy/core';
+
+// Request validation and error responses, shared with the other HTTP functions
+import { HttpError, httpErrorHandler, validateRequest } from '@big-mouth/lib/http';
+// Correlation IDs, shared with the other functions
+import { fromHttpRequest, injectCorrelationId } from '@big-mouth/lib/correlation';
+
+// Initialize structured logger with service name from environment
+const logger = new Logger({ serviceName: process.env.service_name });
+
+// Initialize metrics with the service and the stage as dimensions (namespace from POWERTOOLS_METRICS_NAMESPACE)
+const metrics = new Metrics({
+  serviceName: process.env.service_name,
+  defaultDimensions: { stage: process.env.stage_name },
+});
+
+// Initialize DynamoDB clients (created outside handler for connection reuse)
+const dynamodbClient = new DynamoDB({});
+const dynamodb = DynamoDBDocumentClient.from(dynamodbClient);
+
+// Initialize X-Ray tracer with service name for distributed tracing
+// Creating a Tracer would automatically capture outgoing HTTP requests
+const tracer = new Tracer({ serviceName: process.env.service_name });
+
+// Capture DynamoDB operations in X-Ray traces for performance monitoring (e.g. DynamoDB GetItem API call)
+tracer.captureAWSv3Client(dynamodb);
+
+// Environment variables
+const tableName = process.env.restaurants_table; // DynamoDB table name
+
+// Shape of the path parameters (restaurant names are the keys of the restaurants table)
+const pathSchema = {
+  type: 'object',
+  required: ['name'],
+  properties: {
+    name: { type: 'string', minLength: 1, maxLength: 255 },
+  },
+};
+
+// Load the menu of a restaurant from DynamoDB
+const getMenu = async (restaurantName) => {
+  logger.debug('getting menu from DynamoDB...', { restaurantName, tableName });
+
+  const resp = await dynamodb.send(
+    new GetCommand({
+      TableName: tableName,
+      Key: { name: restaurantName }, // restaurant name is the primary key
+      ProjectionExpression: '#name, menu', // only read what we return
+      ExpressionAttributeNames: { '#name': 'name' }, // 'name' is a DynamoDB reserved word
+    })
+  );
+
+  return resp.Item; // undefined if the restaurant doesn't exist
+};
+
+/**
+ * Lambda handler function - returns the menu of a restaurant
+ * @param {Object} event - API Gateway event object (restaurant name in the {name} path parameter)
+ * @returns {Object} HTTP response with the restaurant's menu
+ */
+export const handler = middy(async (event, context) => {
+  // Reset sampling calculation to determine if this invocation should log debug messages
+  logger.refreshSampleRateCalculation();
+
+  const restaurantName = event.pathParameters.name;
+
+  const restaurant = await getMenu(restaurantName);
+  if (!restaurant) {
+    throw new HttpError(404, `restaurant [${restaurantName}] not found`); // HTTP Not Found
+  }
+
+  // Restaurants seeded before menus were introduced have no menu yet - return an empty one
+  const sections = restaurant.menu?.sections ?? [];
+
+  logger.debug('found menu', { restaurantName, sections: sections.length });
+
+  const response = {
+    statusCode: 200, // HTTP OK status
+    body: JSON.stringify({
+      restaurantName: restaurant.name,
+      sections,
+    }),
+  };
+
+  return response;
+})
+  // Turn errors into JSON error responses - used first, so it handles the errors after the other middlewares did
+  .use(httpErrorHandler({ logger }))
+  // Automatically inject Lambda context (request ID, function name, etc.) into all log messages
+  .use(injectLambdaContext(logger))
+  // Take the correlation ID from the x-correlation-id header (or the API Gateway request ID) and add it to all log messages
+  .use(injectCorrelationId({ logger, from: fromHttpRequest }))
+  // Add ##functions/get-menu.handler segment to the X-Ray trace, and captures cold start, service name, and response of the invocation
+  .use(captureLambdaHandler(tracer))
+  // Publish the metrics of the invocation (and a ColdStart metric on the first one) when the handler finishes
+  .use(logMetrics(metrics, { captureColdStartMetric: true }))
+  // Check the path parameters against the schema before the handler runs
+  .use(validateRequest({ pathParameters: pathSchema }));
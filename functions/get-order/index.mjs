@@ -0,0 +1,143 @@
+/**
+ * Get Order Lambda Function
+ *
+ * This function handles the GET /orders/{id} endpoint.
+ * It returns the current status of an order (PLACED, ACCEPTED, REJECTED, TIMED_OUT or CANCELLED), the restaurant it was placed
+ * with, its timestamps and the priced cart.
+ *
+ * Orders are private: only the Cognito user who placed an order can read it. Orders that belong to someone else
+ * are reported as not found, so the endpoint doesn't reveal which order IDs exist.
+ */
+
+// AWS SDK v3 imports for DynamoDB operations
+import { DynamoDB } from '@aws-sdk/client-dynamodb';
+import { DynamoDBDocumentClient, GetCommand } from '@aws-sdk/lib-dynamodb';
+
+// AWS Lambda Powertools utilities
+// Logger with output structured as JSON
+import { Logger } from '@aws-lambda-powertools/logger';
+import { injectLambdaContext } from '@aws-lambda-powertools/logger/middleware';
+// Opinionated wrapper for AWS X-Ray
+import { Tracer } from '@aws-lambda-powertools/tracer';
+import { captureLambdaHandler } from '@aws-lambda-powertools/tracer/middleware';
+// Business metrics, published as CloudWatch Embedded Metric Format (EMF) log lines
+import { Metrics } from '@aws-lambda-powertools/metrics';
+import { logMetrics } from '@aws-lambda-powertools/metrics/middleware';
+
+// Middy is a middleware engine designed for serverless functions, enabling us to execute custom logic
+// before and after our main handler code runs.
+// https://github.com/middyjs/middy
+// https://middy.js.org/docs/intro/how-it-works/
+// @middy/core: Middleware to simplify common Lambda tasks
+import middy from '@middy/core';
+
+// Request validation and error responses, shared with the other HTTP functions
+import { HttpError, httpErrorHandler, validateRequest } from '@big-mouth/lib/http';
+// Correlation IDs, shared with the other functions
+import { fromHttpRequest, injectCorrelationId } from '@big-mouth/lib/correlation';
+
+// Initialize structured logger with service name from environment
+const logger = new Logger({ serviceName: process.env.service_name });
+
+// Initialize metrics with the service and the stage as dimensions (namespace from POWERTOOLS_METRICS_NAMESPACE)
+const metrics = new Metrics({
+  serviceName: process.env.service_name,
+  defaultDimensions: { stage: process.env.stage_name },
+});
+
+// Initialize DynamoDB clients (created outside handler for connection reuse)
+const dynamodbClient = new DynamoDB({});
+const dynamodb = DynamoDBDocumentClient.from(dynamodbClient);
+
+// Initialize X-Ray tracer with service name for distributed tracing
+// Creating a Tracer would automatically capture outgoing HTTP requests
+const tracer = new Tracer({ serviceName: process.env.service_name });
+
+// Capture DynamoDB operations in X-Ray traces for performance monitoring (e.g. DynamoDB GetItem API call)
+tracer.captureAWSv3Client(dynamodb);
+
+// Environment variables
+const tableName = process.env.orders_table; // DynamoDB orders table
+
+// Shape of the path parameters
+const pathSchema = {
+  type: 'object',
+  required: ['id'],
+  properties: {
+    id: { type: 'string', minLength: 1, maxLength: 100 },
+  },
+};
+
+// Load an order from DynamoDB
+const getOrder = async (orderId) => {
+  logger.debug('getting order from DynamoDB...', { orderId, tableName });
+
+  const resp = await dynamodb.send(
+    new GetCommand({
+      TableName: tableName,
+      Key: { id: orderId },
+    })
+  );
+
+  return resp.Item; // undefined if the order doesn't exist
+};
+
+/**
+ * Lambda handler function - returns the status of one of the caller's orders
+ * @param {Object} event - API Gateway event object (order ID in the {id} path parameter)
+ * @returns {Object} HTTP response with the order status
+ */
+export const handler = middy(async (event, context) => {
+  // Reset sampling calculation to determine if this invocation should log debug messages
+  logger.refreshSampleRateCalculation();
+
+  const orderId = event.pathParameters.id;
+
+  // The Cognito authorizer puts the claims of the caller's ID token in the request context
+  // 'sub' is the unique and immutable identifier of the user in the user pool
+  const userId = event.requestContext.authorizer.claims.sub;
+
+  const order = await getOrder(orderId);
+
+  // Treat other users' orders as if they don't exist
+  if (!order || order.userId !== userId) {
+    logger.debug('order not found', { orderId, found: !!order });
+    throw new HttpError(404, `order [${orderId}] not found`); // HTTP Not Found
+  }
+
+  const response = {
+    statusCode: 200, // HTTP OK status
+    body: JSON.stringify({
+      orderId: order.id,
+      status: order.status,
+      restaurantName: order.restaurantName,
+      createdAt: order.createdAt,
+      updatedAt: order.updatedAt,
+      // Priced cart
+      items: order.items,
+      subtotal: order.subtotal,
+      tax: order.tax,
+      total: order.total,
+      currency: order.currency,
+      // The restaurant's answer, once it accepted (with a prep time) or rejected (with a reason) the order
+      estimatedPrepMinutes: order.estimatedPrepMinutes,
+      rejectReason: order.rejectReason,
+      // When the customer cancelled the order
+      cancelledAt: order.cancelledAt,
+    }),
+  };
+
+  return response;
+})
+  // Turn errors into JSON error responses - used first, so it handles the errors after the other middlewares did
+  .use(httpErrorHandler({ logger }))
+  // Automatically inject Lambda context (request ID, function name, etc.) into all log messages
+  .use(injectLambdaContext(logger))
+  // Take the correlation ID from the x-correlation-id header (or the API Gateway request ID) and add it to all log messages
+  .use(injectCorrelationId({ logger, from: fromHttpRequest }))
+  // Add ##functions/get-order.handler segment to the X-Ray trace, and captures cold start, service name, and response of the invocation
+  .use(captureLambdaHandler(tracer))
+  // Publish the metrics of the invocation (and a ColdStart metric on the first one) when the handler finishes
+  .use(logMetrics(metrics, { captureColdStartMetric: true }))
+  // Check the path parameters against the schema before the handler runs
+  .use(validateRequest({ pathParameters: pathSchema }));
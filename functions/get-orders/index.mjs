@@ -0,0 +1,229 @@
+/**
+ * Get Orders Lambda Function
+ *
+ * This function handles the GET /orders endpoint.
+ * It lists the caller's orders, newest first, one page at a time.
+ *
+ * Query string parameters (all optional):
+ * - limit: page size (defaults to DEFAULT_LIMIT, capped at MAX_LIMIT)
+ * - nextToken: continuation token returned by the previous page
+ * - status: only return orders with this status (e.g. ACCEPTED)
+ *
+ * Orders are read from the 'userId-createdAt-index' global secondary index of the orders table, which
+ * keeps each user's orders sorted by creation time.
+ *
+ * Continuation tokens are signed and scoped to the caller, so they can't be edited or used to page through
+ * another user's orders.
+ */
+
+// AWS SDK v3 imports for DynamoDB operations
+import { DynamoDB } from '@aws-sdk/client-dynamodb';
+import { DynamoDBDocumentClient, QueryCommand } from '@aws-sdk/lib-dynamodb';
+
+// AWS Lambda Powertools utilities
+// Logger with output structured as JSON
+import { Logger } from '@aws-lambda-powertools/logger';
+import { injectLambdaContext } from '@aws-lambda-powertools/logger/middleware';
+// Opinionated wrapper for AWS X-Ray
+import { Tracer } from '@aws-lambda-powertools/tracer';
+import { captureLambdaHandler } from '@aws-lambda-powertools/tracer/middleware';
+// Business metrics, published as CloudWatch Embedded Metric Format (EMF) log lines
+import { Metrics } from '@aws-lambda-powertools/metrics';
+import { logMetrics } from '@aws-lambda-powertools/metrics/middleware';
+
+// Middy is a middleware engine designed for serverless functions, enabling us to execute custom logic
+// before and after our main handler code runs.
+// https://github.com/middyjs/middy
+// https://middy.js.org/docs/intro/how-it-works/
+// @middy/core: Middleware to simplify common Lambda tasks
+import middy from '@middy/core';
+// @middy/ssm: Middleware that automatically loads parameters from AWS SSM Parameter Store during cold starts
+// and caches them for subsequent invocations, improving performance
+import ssm from '@middy/ssm';
+
+// Signed continuation tokens, shared with the other paginated endpoints
+import { encodeToken, decodeToken } from '@big-mouth/lib/pagination';
+// Request validation and error responses, shared with the other HTTP functions
+import { HttpError, httpErrorHandler, validateRequest } from '@big-mouth/lib/http';
+// Correlation IDs, shared with the other functions
+import { fromHttpRequest, injectCorrelationId } from '@big-mouth/lib/correlation';
+
+// Initialize structured logger with service name from environment
+const logger = new Logger({ serviceName: process.env.service_name });
+
+// Initialize metrics with the service and the stage as dimensions (namespace from POWERTOOLS_METRICS_NAMESPACE)
+const metrics = new Metrics({
+  serviceName: process.env.service_name,
+  defaultDimensions: { stage: process.env.stage_name },
+});
+
+// Initialize DynamoDB clients (created outside handler for connection reuse)
+const dynamodbClient = new DynamoDB({});
+const dynamodb = DynamoDBDocumentClient.from(dynamodbClient);
+
+// Initialize X-Ray tracer with service name for distributed tracing
+// Creating a Tracer would automatically capture outgoing HTTP requests
+const tracer = new Tracer({ serviceName: process.env.service_name });
+
+// Capture DynamoDB operations in X-Ray traces for performance monitoring (e.g. DynamoDB Query API call)
+tracer.captureAWSv3Client(dynamodb);
+
+// Environment variables
+const { service_name, ssm_stage_name } = process.env;
+const tableName = process.env.orders_table; // DynamoDB orders table
+const indexName = process.env.orders_by_user_index; // GSI with the orders of each user, sorted by creation time
+
+// Page size limits
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 50;
+
+// Statuses an order can be in (see the order flow state machine - customers cancel orders with DELETE /orders/{id})
+const STATUSES = ['PLACED', 'ACCEPTED', 'REJECTED', 'TIMED_OUT', 'CANCELLED'];
+
+// Shape of the query string
+const querySchema = {
+  type: 'object',
+  properties: {
+    limit: { type: 'string', pattern: '^[0-9]+$' },
+    status: { enum: STATUSES },
+    nextToken: { type: 'string', minLength: 1 },
+  },
+};
+
+/**
+ * Queries one page of the user's orders, newest first
+ *
+ * When filtering by status, DynamoDB applies the filter AFTER reading the items, so a single Query can return
+ * fewer matches than requested (or none at all) even though more exist. We therefore keep querying until the page
+ * is full or the user has no more orders.
+ *
+ * @param {string} userId - Cognito 'sub' of the caller
+ * @param {number} limit - Page size
+ * @param {Object} startKey - DynamoDB key to continue after (from the continuation token)
+ * @param {string} status - Optional status filter
+ * @returns {Object} { orders, lastKey } - lastKey is undefined when there are no more orders
+ */
+const getOrders = async (userId, limit, startKey, status) => {
+  logger.debug('getting orders from DynamoDB...', { userId, limit, status, tableName, indexName });
+
+  const orders = [];
+  let exclusiveStartKey = startKey;
+
+  do {
+    const resp = await dynamodb.send(
+      new QueryCommand({
+        TableName: tableName,
+        IndexName: indexName,
+        KeyConditionExpression: 'userId = :userId',
+        ScanIndexForward: false, // newest first (sort key is createdAt)
+        Limit: limit, // maximum number of orders to READ (before the status filter is applied)
+        ExclusiveStartKey: exclusiveStartKey,
+        ...(status && {
+          FilterExpression: '#status = :status',
+          ExpressionAttributeNames: { '#status': 'status' }, // 'status' is a DynamoDB reserved word
+        }),
+        ExpressionAttributeValues: {
+          ':userId': userId,
+          ...(status && { ':status': status }),
+        },
+      })
+    );
+
+    orders.push(...resp.Items);
+    exclusiveStartKey = resp.LastEvaluatedKey;
+  } while (orders.length < limit && exclusiveStartKey);
+
+  // The last query may have matched more orders than fit on the page.
+  // Continue after the last order we return - its table key plus index key is a valid DynamoDB start key.
+  if (orders.length > limit) {
+    orders.length = limit;
+    const { id, createdAt } = orders[limit - 1];
+    exclusiveStartKey = { id, userId, createdAt };
+  }
+
+  logger.debug('found orders', { count: orders.length, hasMore: !!exclusiveStartKey });
+
+  return { orders, lastKey: exclusiveStartKey };
+};
+
+/**
+ * Lambda handler function - lists the caller's orders
+ * @param {Object} event - API Gateway event object
+ * @returns {Object} HTTP response with a page of orders and the continuation token for the next page
+ */
+export const handler = middy(async (event, context) => {
+  // Reset sampling calculation to determine if this invocation should log debug messages
+  logger.refreshSampleRateCalculation();
+
+  // The Cognito authorizer puts the claims of the caller's ID token in the request context
+  const userId = event.requestContext.authorizer.claims.sub;
+
+  // Validated by the validateRequest middleware (an empty object when there are none)
+  const { limit: limitParam, nextToken, status } = event.queryStringParameters;
+
+  const limit = limitParam === undefined ? DEFAULT_LIMIT : Number(limitParam);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw new HttpError(400, `limit must be an integer between 1 and ${MAX_LIMIT}`); // HTTP Bad Request
+  }
+
+  // A token can only be used to continue through the caller's own orders
+  const tokenOptions = { secret: context.tokenSecret, scope: `get-orders:${userId}` };
+
+  let startKey;
+  if (nextToken) {
+    startKey = decodeToken(nextToken, tokenOptions);
+    if (!startKey) {
+      throw new HttpError(400, 'invalid nextToken'); // HTTP Bad Request
+    }
+  }
+
+  const { orders, lastKey } = await getOrders(userId, limit, startKey, status);
+
+  const response = {
+    statusCode: 200, // HTTP OK status
+    body: JSON.stringify({
+      orders: orders.map((order) => ({
+        orderId: order.id,
+        status: order.status,
+        restaurantName: order.restaurantName,
+        createdAt: order.createdAt,
+        updatedAt: order.updatedAt,
+        total: order.total,
+        currency: order.currency,
+      })),
+      nextToken: lastKey ? encodeToken(lastKey, tokenOptions) : null, // null when this is the last page
+    }),
+  };
+
+  return response;
+})
+  // Turn errors into JSON error responses - used first, so it handles the errors after the other middlewares did
+  .use(httpErrorHandler({ logger }))
+  .use(
+    // configuration of middy SSM middleware, https://middy.js.org/docs/intro/how-it-works/
+    ssm({
+      // cache the SSM parameter value, so we don't hammer SSM Parameter Store with requests.
+      cache: true,
+      // under a key of our own - in the dev server (and the local test mode) the functions share a process
+      cacheKey: 'get-orders-ssm',
+      // cached value to expire after 1 minute. So if we rotate the secret in SSM Parameter Store,
+      // then the concurrent executions would load the new value when their cache expires, without needing a deployment.
+      cacheExpiry: 1 * 60 * 1000,
+      // set the SSM parameter value to the Lambda context, so we can access it in our handler
+      setToContext: true,
+      fetchData: {
+        // SecureString with the key used to sign continuation tokens (decrypted with the KMS key)
+        tokenSecret: `/${service_name}/${ssm_stage_name}/pagination/tokenSecret`,
+      },
+    })
+  )
+  // Automatically inject Lambda context (request ID, function name, etc.) into all log messages
+  .use(injectLambdaContext(logger))
+  // Take the correlation ID from the x-correlation-id header (or the API Gateway request ID) and add it to all log messages
+  .use(injectCorrelationId({ logger, from: fromHttpRequest }))
+  // Add ##functions/get-orders.handler segment to the X-Ray trace, and captures cold start, service name, and response of the invocation
+  .use(captureLambdaHandler(tracer))
+  // Publish the metrics of the invocation (and a ColdStart metric on the first one) when the handler finishes
+  .use(logMetrics(metrics, { captureColdStartMetric: true }))
+  // Check the query string against the schema before the handler runs
+  .use(validateRequest({ queryStringParameters: querySchema }));
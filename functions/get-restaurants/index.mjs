@@ -9,6 +9,9 @@ import { injectLambdaContext } from '@aws-lambda-powertools/logger/middleware';
 // Opinionated wrapper for AWS X-Ray
 import { Tracer } from '@aws-lambda-powertools/tracer';
 import { captureLambdaHandler } from '@aws-lambda-powertools/tracer/middleware';
+// Business metrics, published as CloudWatch Embedded Metric Format (EMF) log lines
+import { Metrics } from '@aws-lambda-powertools/metrics';
+import { logMetrics } from '@aws-lambda-powertools/metrics/middleware';
 
 // Middy is a middleware engine designed for serverless functions, enabling us to execute custom logic
 // before and after our main handler code runs.
@@ -20,9 +23,22 @@ import middy from '@middy/core';
 // and caches them for subsequent invocations, improving performance
 import ssm from '@middy/ssm';
 
+// Signed continuation tokens, shared with the other paginated endpoints
+import { encodeToken, decodeToken } from '@big-mouth/lib/pagination';
+// Request validation and error responses, shared with the other HTTP functions
+import { HttpError, headerOf, httpCaching, httpErrorHandler, validateRequest } from '@big-mouth/lib/http';
+// Correlation IDs, shared with the other functions
+import { fromHttpRequest, injectCorrelationId } from '@big-mouth/lib/correlation';
+
 // Initialize structured logger with service name from environment
 const logger = new Logger({ serviceName: process.env.service_name });
 
+// Initialize metrics with the service and the stage as dimensions (namespace from POWERTOOLS_METRICS_NAMESPACE)
+const metrics = new Metrics({
+  serviceName: process.env.service_name,
+  defaultDimensions: { stage: process.env.stage_name },
+});
+
 // Initialize DynamoDB clients (created outside handler for connection reuse)
 const dynamodbClient = new DynamoDB({}); // Low-level DynamoDB client
 const dynamodb = DynamoDBDocumentClient.from(dynamodbClient); // Document client for easier JSON handling
@@ -38,51 +54,128 @@ tracer.captureAWSv3Client(dynamodb);
 const { service_name, ssm_stage_name } = process.env;
 const tableName = process.env.restaurants_table; // DynamoDB table name
 
-// Fetch restaurants from DynamoDB table
-const getRestaurants = async (count) => {
+// Continuation tokens of this endpoint are only valid here
+const TOKEN_SCOPE = 'get-restaurants';
+
+// Media type of version 2 of the response ({ restaurants, nextToken }), asked for in the Accept header.
+// Callers that don't ask for it get version 1 - the bare array of restaurants the endpoint returned before it was
+// paginated - so the clients written against it keep working.
+const V2_MEDIA_TYPE = 'application/vnd.big-mouth.v2+json';
+
+// Shape of the query string - the range of limit is checked by the handler, as its maximum comes from SSM
+const querySchema = {
+  type: 'object',
+  properties: {
+    limit: { type: 'string', pattern: '^[0-9]+$' },
+    nextToken: { type: 'string', minLength: 1 },
+  },
+};
+
+// Fetch one page of restaurants from DynamoDB table
+const getRestaurants = async (count, startKey) => {
   // console.log(`fetching ${count} restaurants from ${tableName}...`);
   logger.debug('getting restaurants from DynamoDB...', {
     count,
     tableName,
+    hasStartKey: !!startKey,
   });
 
   // Scan operation to retrieve restaurants
   // NOTE: Scan reads the entire table and returns the first X number of items it finds.
   // It's an inefficient and potentially expensive operation if we've a table with millions of items.
+  // Items come back in the order of their partition key hashes - arbitrary, but stable across pages.
   const resp = await dynamodb.send(
     new ScanCommand({
       TableName: tableName, // Target table
-      Limit: count, // Maximum number of items to return
+      Limit: count + 1, // One more than the page, to tell whether there is a next page
+      ExclusiveStartKey: startKey, // Continue after the last restaurant of the previous page
+      // Leave out the menus - they're served by GET /restaurants/{name}/menu - and the webhooks, whose secrets are private
+      ProjectionExpression: '#name, image, themes',
+      ExpressionAttributeNames: { '#name': 'name' }, // 'name' is a DynamoDB reserved word
     })
   );
 
-  // console.log(`found ${resp.Items.length} restaurants`);
-  logger.debug('found restaurants', {
-    count: resp.Items.length,
-  });
+  // DynamoDB returns a LastEvaluatedKey whenever it stops at the Limit - even when nothing is left - so the page only
+  // has a next one if the extra restaurant was found. The next page starts after the last restaurant of this one.
+  const restaurants = resp.Items.slice(0, count);
+  const hasMore = resp.Items.length > count;
 
-  return resp.Items; // Return array of restaurant objects
+  // console.log(`found ${restaurants.length} restaurants`);
+  logger.debug('found restaurants', { count: restaurants.length, hasMore });
+
+  // lastKey is undefined on the last page
+  return { restaurants, lastKey: hasMore ? { name: restaurants.at(-1).name } : undefined };
 };
 
-// AWS Lambda handler function - returns list of restaurants as JSON
+/**
+ * AWS Lambda handler function - returns a page of restaurants as JSON
+ *
+ * Query string parameters (all optional):
+ * - limit: page size (defaults to defaultResults, capped at maxResults - both from the SSM config)
+ * - nextToken: continuation token returned by the previous page
+ *
+ * Response body (version 2, with Accept: application/vnd.big-mouth.v2+json): { restaurants, nextToken } - nextToken
+ * is null on the last page. Version 1 (any other Accept header): the array of the restaurants of the page.
+ * The response has an ETag: requests with it in If-None-Match get a 304 Not Modified, without the body, while the page
+ * hasn't changed.
+ */
 export const handler = middy(async (event, context) => {
   // Reset sampling calculation to determine if this invocation should log debug messages
   logger.refreshSampleRateCalculation();
 
+  const { defaultResults } = context.config;
+  const maxResults = context.config.maxResults ?? defaultResults; // configs without a maximum only allow the default page size
+  const tokenOptions = { secret: context.tokenSecret, scope: TOKEN_SCOPE };
+
+  // Validated by the validateRequest middleware (an empty object when there are none)
+  const { limit: limitParam, nextToken } = event.queryStringParameters;
+
+  const limit = limitParam === undefined ? defaultResults : Number(limitParam);
+  if (!Number.isInteger(limit) || limit < 1 || limit > maxResults) {
+    throw new HttpError(400, `limit must be an integer between 1 and ${maxResults}`); // HTTP Bad Request
+  }
+
+  let startKey;
+  if (nextToken) {
+    startKey = decodeToken(nextToken, tokenOptions);
+    if (!startKey) {
+      throw new HttpError(400, 'invalid nextToken'); // HTTP Bad Request
+    }
+  }
+
   // function handler logic
-  const restaurants = await getRestaurants(context.config.defaultResults); // Fetch restaurants from DynamoDB
+  const { restaurants, lastKey } = await getRestaurants(limit, startKey); // Fetch restaurants from DynamoDB
+  const version = headerOf(event.headers, 'accept')?.includes(V2_MEDIA_TYPE) ? 2 : 1;
+  logger.debug('response version', { version });
+
   const response = {
     statusCode: 200, // HTTP OK status
-    body: JSON.stringify(restaurants), // Convert restaurant array to JSON string
+    body: JSON.stringify(
+      version === 2
+        ? {
+            restaurants,
+            nextToken: lastKey ? encodeToken(lastKey, tokenOptions) : null, // null when this is the last page
+          }
+        : restaurants
+    ),
   };
 
   return response;
 })
+  // Turn errors into JSON error responses - used first, so it handles the errors after the other middlewares did
+  .use(httpErrorHandler({ logger }))
+  // ETag, Cache-Control and Vary headers, and 304 for the callers that already have the page - used before
+  // injectCorrelationId, so it sees the response with the correlation ID header.
+  // The pages are only for signed callers: they may be kept, but not shared, and revalidated every time - the
+  // restaurants change without notice. The version of the response depends on the Accept header.
+  .use(httpCaching({ cacheControl: 'private, no-cache', vary: 'Accept, Authorization' }))
   .use(
     // configuration of middy SSM middleware, https://middy.js.org/docs/intro/how-it-works/
     ssm({
       // cache the SSM parameter value, so we don't hammer SSM Parameter Store with requests.
       cache: true,
+      // under a key of our own - in the dev server (and the local test mode) the functions share a process
+      cacheKey: 'get-restaurants-ssm',
       // cached value to expire after 1 minute. So if we change the configuration in SSM Parameter Store,
       // then the concurrent executions would load the new value when their cache expires, without needing a deployment.
       cacheExpiry: 1 * 60 * 1000,
@@ -91,10 +184,18 @@ export const handler = middy(async (event, context) => {
       // fetches individual parameters and stores them in either the invocation context object (setToContext) or the environment variables (default)
       fetchData: {
         config: `/${service_name}/${ssm_stage_name}/get-restaurants/config`,
+        // SecureString with the key used to sign continuation tokens (decrypted with the KMS key)
+        tokenSecret: `/${service_name}/${ssm_stage_name}/pagination/tokenSecret`,
       },
     })
   )
   // Automatically inject Lambda context (request ID, function name, etc.) into all log messages
   .use(injectLambdaContext(logger))
+  // Take the correlation ID from the x-correlation-id header (or the API Gateway request ID) and add it to all log messages
+  .use(injectCorrelationId({ logger, from: fromHttpRequest }))
   // Add ##functions/get-restaurants.handler segment to the X-Ray trace, and captures cold start, service name, and response of the invocation
-  .use(captureLambdaHandler(tracer));
+  .use(captureLambdaHandler(tracer))
+  // Publish the metrics of the invocation (and a ColdStart metric on the first one) when the handler finishes
+  .use(logMetrics(metrics, { captureColdStartMetric: true }))
+  // Check the query string against the schema before the handler runs
+  .use(validateRequest({ queryStringParameters: querySchema }));
@@ -0,0 +1,73 @@
+/**
+ * Cognito ID tokens
+ *
+ * The Cognito authorizer of the REST API verifies the ID tokens of its requests itself. The WebSocket API has no such
+ * authorizer - only Lambda authorizers - so authorize-connection (and the dev server) verify the tokens here, the way
+ * the Cognito authorizer does: the signature (RS256, with the public keys of the user pool), the issuer, the token use
+ * and the expiry.
+ *
+ * The public keys are fetched from the user pool's JWKS endpoint once per execution environment - Cognito publishes
+ * new ones before signing with them, and keeps the old ones until the tokens they signed have expired.
+ */
+
+import { createPublicKey, verify } from 'node:crypto';
+
+// Public keys of the user pools, by user pool ID
+const jwks = new Map();
+
+/**
+ * Issuer of the tokens of a user pool, as Cognito sets the iss claim
+ * @param {string} userPoolId - ID of the user pool (e.g. us-east-1_AbCdEf123)
+ * @returns {string} The issuer URL
+ */
+export const issuerOf = (userPoolId) => {
+  const region = userPoolId.split('_')[0];
+  return `https://cognito-idp.${region}.amazonaws.com/${userPoolId}`;
+};
+
+// The public keys of a user pool
+const keysOf = async (userPoolId) => {
+  if (!jwks.has(userPoolId)) {
+    const resp = await fetch(`${issuerOf(userPoolId)}/.well-known/jwks.json`);
+    if (!resp.ok) {
+      throw new Error(`Failed to fetch the keys of the user pool: ${resp.statusText}`);
+    }
+    jwks.set(userPoolId, (await resp.json()).keys);
+  }
+  return jwks.get(userPoolId);
+};
+
+/**
+ * Verifies an ID token of a user pool
+ * @param {string} token - The token (JWT)
+ * @param {Object} options - { userPoolId, clientId } - the user pool the token must be issued by, and the app client it
+ *                           must be issued for (any client of the user pool if omitted)
+ * @returns {Promise<Object>} The claims of the token
+ * @throws {Error} If the token is malformed, tampered with, expired, or not an ID token of the user pool
+ */
+export const verifyIdToken = async (token, { userPoolId, clientId }) => {
+  const [header, payload, signature] = token?.split('.') ?? [];
+  if (!header || !payload || !signature) {
+    throw new Error('malformed token');
+  }
+
+  const { kid, alg } = JSON.parse(Buffer.from(header, 'base64url').toString());
+  const key = (await keysOf(userPoolId)).find((x) => x.kid === kid);
+  const content = Buffer.from(`${header}.${payload}`);
+  if (
+    alg !== 'RS256' ||
+    !key ||
+    !verify('RSA-SHA256', content, createPublicKey({ key, format: 'jwk' }), Buffer.from(signature, 'base64url'))
+  ) {
+    throw new Error('invalid signature');
+  }
+
+  const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+  if (claims.iss !== issuerOf(userPoolId) || (clientId && claims.aud !== clientId) || claims.token_use !== 'id') {
+    throw new Error('token not issued by this user pool');
+  }
+  if (claims.exp <= Date.now() / 1000) {
+    throw new Error('token expired');
+  }
+  return claims;
+};
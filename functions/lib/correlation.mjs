@@ -0,0 +1,84 @@
+/**
+ * Correlation IDs
+ *
+ * One ID follows an order from the HTTP request that placed it through every function and state it goes through,
+ * so all the log lines of an order can be found with a single search (correlationId in CloudWatch Logs Insights).
+ *
+ * Where the ID comes from:
+ *   HTTP requests        - the x-correlation-id header, or else the API Gateway request ID
+ *   EventBridge events   - detail.correlationId (detail.correlation_id in older state machine events)
+ *   SNS messages         - the correlationId message attribute
+ * Functions that publish events or messages pass it on the same way, and the order flow state machine takes it
+ * from its input (correlation_id) - see docs/step-functions-workflow.md.
+ *
+ * When an event doesn't carry one (e.g. published before correlation IDs were introduced, or by hand), its own ID
+ * (or the Lambda request ID) is used instead, so every log line still has one.
+ */
+
+// Header HTTP clients can set to tie their request to their own logs
+export const CORRELATION_ID_HEADER = 'x-correlation-id';
+
+// Name of the SNS message attribute carrying the correlation ID
+export const CORRELATION_ID_ATTRIBUTE = 'correlationId';
+
+/**
+ * Correlation ID of an API Gateway request
+ * @param {Object} event - API Gateway proxy event
+ * @param {Object} context - Lambda context
+ * @returns {string}
+ */
+export const fromHttpRequest = (event, context) => {
+  const header = Object.entries(event.headers ?? {}).find(([name]) => name.toLowerCase() === CORRELATION_ID_HEADER);
+  return header?.[1] || event.requestContext?.requestId || context.awsRequestId;
+};
+
+/**
+ * Correlation ID of an EventBridge event
+ * @param {Object} event - EventBridge event
+ * @param {Object} context - Lambda context
+ * @returns {string}
+ */
+export const fromEventBridge = (event, context) =>
+  event.detail?.correlationId ?? event.detail?.correlation_id ?? event.id ?? context.awsRequestId;
+
+/**
+ * Correlation ID of an SNS message (SNS delivers one record per invocation)
+ * @param {Object} event - SNS event
+ * @returns {string}
+ */
+export const fromSns = (event) => {
+  const { Sns } = event.Records[0];
+  return Sns.MessageAttributes?.[CORRELATION_ID_ATTRIBUTE]?.Value ?? Sns.MessageId;
+};
+
+/**
+ * SNS message attributes carrying a correlation ID - for the MessageAttributes of PublishCommand
+ * @param {string} correlationId
+ * @returns {Object}
+ */
+export const snsMessageAttributes = (correlationId) => ({
+  [CORRELATION_ID_ATTRIBUTE]: { DataType: 'String', StringValue: correlationId },
+});
+
+/**
+ * Middleware that restores the correlation ID of the invocation
+ *
+ * The ID is added to the persistent keys of the logger (so every log line of the invocation has it) and to the
+ * Lambda context as context.correlationId (so the handler can pass it on). HTTP responses get it in the
+ * x-correlation-id header.
+ *
+ * @param {Object} options - { logger, from } - Powertools logger of the function, and one of the from* functions
+ * @returns {Object} Middy middleware
+ */
+export const injectCorrelationId = ({ logger, from }) => ({
+  before: async ({ event, context }) => {
+    // Persistent keys outlive the invocation - overwrite the ID of the previous one
+    context.correlationId = from(event, context);
+    logger.appendPersistentKeys({ correlationId: context.correlationId });
+  },
+  after: async ({ context, response }) => {
+    if (response?.statusCode) {
+      response.headers = { ...response.headers, [CORRELATION_ID_HEADER]: context.correlationId };
+    }
+  },
+});
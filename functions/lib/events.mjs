@@ -0,0 +1,274 @@
+/**
+ * Event contracts
+ *
+ * Versioned JSON schemas of the events of the big-mouth source, so the functions and the order flow state machine
+ * publishing them and the functions consuming them agree on their details:
+ *
+ *   detail-type          published by                    consumed by
+ *   order_placed         place-order (via the outbox)    notify-restaurant, seed-orders, start-order-flow
+ *   restaurant_notified  notify-restaurant               -
+ *   order_accepted       order flow state machine        push-order-status
+ *   order_rejected       order flow state machine        push-order-status
+ *   order_timed_out      order flow state machine        push-order-status
+ *   order_cancelled      cancel-order                    -
+ *
+ * Every detail carries its schemaVersion. Version 1 is the ad-hoc shape events had before the contracts (no
+ * schemaVersion, and snake_case fields - order_id, correlation_id - in the state machine's events): the archive still
+ * has such events, and replays or redrives send them to the consumers again. Consumers upcast them to the current
+ * version, so handlers only ever see current details.
+ *
+ * Not every version 1 detail can be upcast: the order_placed events of the first orders only had the order ID and the
+ * restaurant name (or just order_id, from the state machine), where the current version has the whole priced order.
+ * Such events fail with a LegacyEventError - they can never be processed, so the failed events tool doesn't redrive
+ * them.
+ *
+ * Publishers validate a detail before publishing it (eventDetail), consumers validate it before handling it
+ * (readEventDetail, or the validateEvent middleware). An event that breaks its contract is an error on both sides:
+ * it's never published, and a consumer fails on it (so it ends up in the function's OnFailure destination queue,
+ * with the validation errors).
+ *
+ * A breaking change to a detail (renamed, removed or retyped field) needs a new version, and an upcaster from the
+ * previous one. Adding a field does too: the schemas don't allow unknown fields, so a consumer never silently
+ * ignores one. The contract tests (tests/test_cases/event-contracts.test.mjs) check the details each producer
+ * publishes against the schemas its consumers read them with.
+ */
+
+import { validate } from './json-schema.mjs';
+
+// Version of the details published now
+export const CURRENT_SCHEMA_VERSION = 2;
+
+const orderIdSchema = { type: 'string', minLength: 1 };
+const correlationIdSchema = { type: 'string', minLength: 1 };
+const timestampSchema = { type: 'string', minLength: 1 }; // ISO 8601
+const amountSchema = { type: 'integer', minimum: 0 }; // In cents
+
+// Version 1: ad-hoc details - only the order ID could be relied on, in one spelling or the other. Depending on when
+// they were published, they have some of the fields of the current version, and fields that were dropped since.
+const legacySchema = {
+  type: 'object',
+  anyOf: [
+    { type: 'object', required: ['orderId'], properties: { orderId: orderIdSchema } },
+    { type: 'object', required: ['order_id'], properties: { order_id: orderIdSchema } },
+  ],
+};
+
+// A placed order, as priced by place-order
+const orderSchema = {
+  type: 'object',
+  required: [
+    'schemaVersion',
+    'orderId',
+    'userId',
+    'restaurantName',
+    'items',
+    'subtotal',
+    'tax',
+    'total',
+    'currency',
+    'createdAt',
+    'correlationId',
+  ],
+  properties: {
+    schemaVersion: { const: 2 },
+    orderId: orderIdSchema,
+    userId: { type: 'string', minLength: 1 }, // Cognito 'sub' of the user who placed the order
+    restaurantName: { type: 'string', minLength: 1 },
+    items: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['itemId', 'name', 'unitPrice', 'quantity', 'lineTotal'],
+        properties: {
+          itemId: { type: 'string', minLength: 1 },
+          name: { type: 'string' },
+          unitPrice: amountSchema,
+          quantity: { type: 'integer', minimum: 1 },
+          lineTotal: amountSchema,
+        },
+        additionalProperties: false,
+      },
+    },
+    subtotal: amountSchema,
+    tax: amountSchema,
+    total: amountSchema,
+    currency: { type: 'string', pattern: '^[A-Z]{3}$' }, // ISO 4217, e.g. USD
+    createdAt: timestampSchema,
+    correlationId: correlationIdSchema,
+  },
+  additionalProperties: false,
+};
+
+// A decision on an order, published by the order flow state machine
+const orderStatusSchema = {
+  type: 'object',
+  required: ['schemaVersion', 'orderId', 'correlationId'],
+  properties: {
+    schemaVersion: { const: 2 },
+    orderId: orderIdSchema,
+    correlationId: correlationIdSchema,
+  },
+  additionalProperties: false,
+};
+
+const orderCancelledSchema = {
+  type: 'object',
+  required: ['schemaVersion', 'orderId', 'userId', 'restaurantName', 'cancelledAt', 'correlationId'],
+  properties: {
+    schemaVersion: { const: 2 },
+    orderId: orderIdSchema,
+    userId: { type: 'string', minLength: 1 },
+    restaurantName: { type: 'string', minLength: 1 },
+    cancelledAt: timestampSchema,
+    correlationId: correlationIdSchema,
+  },
+  additionalProperties: false,
+};
+
+// Schemas of each detail-type, by version
+export const SCHEMAS = {
+  order_placed: { 1: legacySchema, 2: orderSchema },
+  // The order the restaurant was notified of, as it was placed
+  restaurant_notified: { 1: legacySchema, 2: orderSchema },
+  order_accepted: { 1: legacySchema, 2: orderStatusSchema },
+  order_rejected: { 1: legacySchema, 2: orderStatusSchema },
+  order_timed_out: { 1: legacySchema, 2: orderStatusSchema },
+  order_cancelled: { 1: legacySchema, 2: orderCancelledSchema },
+};
+
+// Keeps the fields of a detail its schema has
+const withFieldsOf = (schema, detail) =>
+  Object.fromEntries(Object.entries(detail).filter(([field]) => Object.hasOwn(schema.properties, field)));
+
+// Upcasters, by the version they upcast from - each one returns the detail of the next version
+const UPCASTERS = {
+  // The state machine's snake_case fields are camelCase, like the other events'. Events published before correlation
+  // IDs were introduced get the ID of the event, as the functions used it for their logs. Fields version 2 doesn't
+  // have are dropped (e.g. the restaurantName of order_accepted events).
+  1: ({ order_id, correlation_id, ...detail }, event) =>
+    withFieldsOf(SCHEMAS[event['detail-type']][2], {
+      ...detail,
+      schemaVersion: 2,
+      orderId: detail.orderId ?? order_id,
+      correlationId: detail.correlationId ?? correlation_id ?? event.id,
+    }),
+};
+
+/**
+ * Error thrown for an event that doesn't match its contract
+ */
+export class EventContractError extends Error {
+  /**
+   * @param {string} message - Description of the problem
+   * @param {Array} errors - Validation errors ({ path, message }), if any
+   */
+  constructor(message, errors = []) {
+    super(message);
+    this.name = 'EventContractError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Error thrown for an event of a previous schema version that doesn't have what the current version needs
+ *
+ * Unlike other contract errors, it's never worth redriving the event: it can't be upcast any better later.
+ */
+export class LegacyEventError extends EventContractError {
+  /**
+   * @param {string} message - Description of the problem
+   * @param {Array} errors - Validation errors of the upcast detail ({ path, message })
+   */
+  constructor(message, errors = []) {
+    super(message, errors);
+    this.name = 'LegacyEventError';
+  }
+}
+
+// Validates a detail against the schema of its detail-type and version
+const check = (detailType, version, detail) => {
+  const schema = SCHEMAS[detailType]?.[version];
+  if (!schema) {
+    throw new EventContractError(`unknown event: ${detailType} (schema version ${version})`);
+  }
+
+  const errors = validate(schema, detail, 'detail');
+  if (errors.length > 0) {
+    throw new EventContractError(
+      `invalid ${detailType} event (schema version ${version}): ${errors[0].message}`,
+      errors
+    );
+  }
+};
+
+/**
+ * The detail of an event to publish, with the current schema version - throws if it doesn't match its schema
+ * @example Detail: JSON.stringify(eventDetail('order_cancelled', { orderId, ... }))
+ * @param {string} detailType - e.g. 'order_placed'
+ * @param {Object} detail - The detail, without its schemaVersion
+ * @returns {Object} The detail to publish
+ */
+export const eventDetail = (detailType, detail) => {
+  const versioned = { schemaVersion: CURRENT_SCHEMA_VERSION, ...detail };
+  check(detailType, CURRENT_SCHEMA_VERSION, versioned);
+  return versioned;
+};
+
+/**
+ * The detail of a received event, upcast to the current schema version - throws if it doesn't match its schema
+ * (a LegacyEventError if it's of a previous version, and can't be upcast)
+ * @param {Object} event - EventBridge event
+ * @returns {Object} The current version of the detail
+ */
+export const readEventDetail = (event) => {
+  const detailType = event['detail-type'];
+  let detail = event.detail;
+  let version = detail?.schemaVersion ?? 1;
+
+  if (!Number.isInteger(version) || version > CURRENT_SCHEMA_VERSION) {
+    throw new EventContractError(`unsupported ${detailType} event: schema version ${version}`);
+  }
+
+  check(detailType, version, detail);
+  if (version === CURRENT_SCHEMA_VERSION) {
+    return detail;
+  }
+
+  const publishedVersion = version;
+  while (version < CURRENT_SCHEMA_VERSION) {
+    detail = UPCASTERS[version](detail, event);
+    version++;
+  }
+
+  const errors = validate(SCHEMAS[detailType][version], detail, 'detail');
+  if (errors.length > 0) {
+    throw new LegacyEventError(
+      `${detailType} event of schema version ${publishedVersion} can't be upcast to version ${version}: ` +
+        `${errors[0].message}`,
+      errors
+    );
+  }
+
+  return detail;
+};
+
+/**
+ * Middleware that validates the received event before the handler runs
+ *
+ * The detail is upcast to the current schema version and replaces event.detail, so handlers only deal with the
+ * current version. Invalid events fail the invocation.
+ *
+ * @param {Object} options - { logger } - Powertools logger of the function
+ * @returns {Object} Middy middleware
+ */
+export const validateEvent = ({ logger }) => ({
+  before: async ({ event }) => {
+    try {
+      event.detail = readEventDetail(event);
+    } catch (error) {
+      logger.error('event does not match its contract', { detailType: event['detail-type'], error });
+      throw error;
+    }
+  },
+});
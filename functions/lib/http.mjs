@@ -0,0 +1,201 @@
+/**
+ * HTTP request validation and error responses
+ *
+ * Middy middlewares shared by the functions behind API Gateway, so every endpoint rejects bad requests the same way.
+ * They're built on middy's own (@middy/http-json-body-parser, @middy/validator and @middy/http-error-handler):
+ *
+ *   middy(handler)
+ *     .use(httpErrorHandler({ logger }))  // first, so its onError runs after the Powertools middlewares'
+ *     ...
+ *     .use(validateRequest({ body: bodySchema, pathParameters: pathSchema }))
+ *
+ * GET endpoints can also make their responses cacheable with httpCaching: a strong ETag, Cache-Control and Vary, and
+ * 304 Not Modified for the callers that already have the response (If-None-Match).
+ *
+ * Every error response has the same JSON body:
+ *   { "message": "...", "errors": [{ "path": "body.items[0].quantity", "message": "..." }], "requestId": "..." }
+ * errors is only there for validation errors. requestId is the API Gateway request ID (the Lambda request ID when
+ * the function isn't invoked through API Gateway), so a failed request can be found in the logs.
+ *
+ * Status codes:
+ *   400 - malformed request: invalid JSON, or a body, query string or path that doesn't match its schema
+ *   415 - request body without a JSON Content-Type (e.g. application/json)
+ *   404, 409, 422... - thrown by the handlers with HttpError (a 5xx HttpError is returned as a 500)
+ *   500 - any other error (logged, the details are not returned to the caller)
+ */
+
+import { createHash } from 'node:crypto';
+
+import httpErrorHandlerMiddleware from '@middy/http-error-handler';
+import httpJsonBodyParser from '@middy/http-json-body-parser';
+import validator from '@middy/validator';
+import { HttpError } from '@middy/util';
+
+import { compile, validationErrors } from './json-schema.mjs';
+import { CORRELATION_ID_HEADER } from './correlation.mjs';
+
+/**
+ * Error with an HTTP status code - throw it from a handler to return an error response (middy's HttpError)
+ * @example throw new HttpError(404, `order [${orderId}] not found`);
+ */
+export { HttpError };
+
+// Schemas can depend on the request, e.g. when several endpoints share a function
+const schemaFor = (schema, event) => (typeof schema === 'function' ? schema(event) : schema);
+
+/**
+ * Value of a request header - header names are case-insensitive, and API Gateway passes them as the caller sent them
+ * @param {Object} headers - Headers of the event (null when there are none)
+ * @param {string} name - Header name, in lower case
+ * @returns {string|undefined} The value, if the request has the header
+ */
+export const headerOf = (headers, name) =>
+  Object.entries(headers ?? {}).find(([key]) => key.toLowerCase() === name)?.[1];
+
+// Names of the parts of the request in the validation errors, e.g. query.limit rather than queryStringParameters.limit
+const PART_NAMES = { queryStringParameters: 'query', pathParameters: 'path' };
+
+// Compiled event schemas, by part of the request and schema of the part
+const eventSchemas = { pathParameters: new WeakMap(), queryStringParameters: new WeakMap(), body: new WeakMap() };
+
+// Schema of the events whose part matches the part's schema, compiled for @middy/validator
+const eventSchemaFor = (part, schema) => {
+  if (!eventSchemas[part].has(schema)) {
+    eventSchemas[part].set(schema, compile({ type: 'object', required: [part], properties: { [part]: schema } }));
+  }
+  return eventSchemas[part].get(schema);
+};
+
+/**
+ * Middleware that validates the request against JSON schemas before the handler runs
+ *
+ * The parts are checked in order - path, query string, body - with @middy/validator, and the first invalid one is
+ * rejected. The JSON body is parsed (@middy/http-json-body-parser) and replaces event.body, so handlers can use it
+ * directly. API Gateway sets queryStringParameters and pathParameters to null when there are none - they are
+ * validated (and passed on) as empty objects.
+ *
+ * @param {Object} schemas - { body, queryStringParameters, pathParameters } - a JSON schema, or a function that
+ *                           returns the schema for the event. Parts without a schema (or for which the function
+ *                           returns none) aren't checked.
+ * @returns {Object} Middy middleware
+ */
+export const validateRequest = (schemas = {}) => ({
+  before: async (request) => {
+    const { event } = request;
+    event.queryStringParameters ??= {};
+    event.pathParameters ??= {};
+
+    for (const part of ['pathParameters', 'queryStringParameters', 'body']) {
+      const schema = schemaFor(schemas[part], event);
+      if (!schema) {
+        continue;
+      }
+
+      if (part === 'body') {
+        await httpJsonBodyParser().before(request);
+      }
+      await validator({ eventSchema: eventSchemaFor(part, schema) }).before(request);
+    }
+  },
+});
+
+// The status code, message and validation errors to return for an error - undefined for an unexpected error
+const describe = (error) => {
+  switch (error.cause?.package) {
+    case '@middy/validator': {
+      const errors = validationErrors(error.cause.data, PART_NAMES);
+      return { statusCode: 400, message: `invalid request: ${errors[0].message}`, errors }; // HTTP Bad Request
+    }
+    case '@middy/http-json-body-parser':
+      // The parser answers 415 for a malformed body too - only the wrong Content-Type is an unsupported media type
+      return error.message === 'Unsupported Media Type'
+        ? { statusCode: 415, message: 'request body must be JSON (Content-Type: application/json)' }
+        : { statusCode: 400, message: 'request body must be valid JSON' };
+    default:
+      // HttpErrors thrown by the handlers (5xx ones are not exposed, like in @middy/http-error-handler)
+      return error.statusCode && (error.expose ?? error.statusCode < 500)
+        ? { statusCode: error.statusCode, message: error.message }
+        : undefined;
+  }
+};
+
+/**
+ * Middlewares that turn the errors of the handler (and of the other middlewares) into error responses
+ *
+ * @middy/http-error-handler builds the responses; the errors are first rewritten into the error format of the API,
+ * and logged. HttpErrors become responses with their status code; any other error is logged as unexpected and
+ * becomes a 500.
+ *
+ * @param {Object} options - { logger } - Powertools logger of the function
+ * @returns {Array} Middy middlewares
+ */
+export const httpErrorHandler = ({ logger }) => [
+  // Used first, so its onError runs last
+  httpErrorHandlerMiddleware({ logger: false }),
+  {
+    onError: async (request) => {
+      const { event, context, error } = request;
+      if (request.response !== undefined) {
+        return;
+      }
+
+      const requestId = event?.requestContext?.requestId ?? context?.awsRequestId;
+      const described = describe(error);
+      if (described) {
+        logger.debug('request failed', { statusCode: described.statusCode, message: described.message, requestId });
+      } else {
+        logger.error('unexpected error', { error, requestId });
+      }
+
+      const { statusCode, message, errors } = described ?? { statusCode: 500, message: 'internal server error' };
+      request.error = new HttpError(statusCode, JSON.stringify({ message, ...(errors && { errors }), requestId }), {
+        cause: error,
+        expose: true,
+      });
+      if (context?.correlationId) {
+        request.error.headers = { [CORRELATION_ID_HEADER]: context.correlationId };
+      }
+    },
+  },
+];
+
+// Strong ETag of a response body - the same body always gets the same one, whichever execution environment sends it
+const etagOf = (body) => `"${createHash('sha256').update(body).digest('base64url')}"`;
+
+// Whether an If-None-Match header has the ETag - compared weakly, as RFC 9110 has it for If-None-Match
+const hasEtag = (ifNoneMatch, etag) =>
+  ifNoneMatch !== undefined &&
+  (ifNoneMatch.trim() === '*' || ifNoneMatch.split(',').some((x) => x.trim().replace(/^W\//, '') === etag));
+
+/**
+ * Middleware that makes the successful (200) responses of a GET endpoint cacheable
+ *
+ * The responses get a strong ETag - a hash of the body - and the Cache-Control and Vary headers. A request whose
+ * If-None-Match has the ETag of its response is answered 304 Not Modified, without the body: the handler still runs,
+ * but the caller doesn't download what it already has.
+ *
+ * @param {Object} options - { cacheControl, vary } - the Cache-Control header, or a function that returns it for the
+ *                           request (e.g. from the SSM config in the context), and the Vary header
+ * @returns {Object} Middy middleware
+ */
+export const httpCaching = ({ cacheControl, vary }) => ({
+  after: async (request) => {
+    const { event, response } = request;
+    if (response?.statusCode !== 200 || typeof response.body !== 'string') {
+      return;
+    }
+
+    const etag = etagOf(response.body);
+    const headers = {
+      ...response.headers,
+      etag,
+      'cache-control': typeof cacheControl === 'function' ? cacheControl(request) : cacheControl,
+      ...(vary && { vary }),
+    };
+
+    // A 304 has the headers the 200 would have had (e.g. the correlation ID), but no body
+    request.response = hasEtag(headerOf(event.headers, 'if-none-match'), etag)
+      ? { statusCode: 304, headers, body: '' }
+      : { ...response, headers };
+  },
+});
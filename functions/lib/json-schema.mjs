@@ -0,0 +1,96 @@
+/**
+ * JSON Schema validation
+ *
+ * The schemas the functions declare for their requests and events are compiled with ajv, through @middy/validator's
+ * transpileSchema (JSON Schema draft 2020-12, ajv's strict mode). This module compiles them the same way everywhere,
+ * and turns ajv's errors into the errors the functions return and log:
+ *
+ *   { path: 'body.items[0].quantity', message: 'body.items[0].quantity must be <= 50' }
+ */
+
+import { transpileSchema } from '@middy/validator/transpile';
+
+const AJV_OPTIONS = {
+  // Values are never coerced (e.g. "5" for 5): a request or an event with the wrong types is invalid
+  coerceTypes: false,
+  // Properties can be required by anyOf alternatives, with their shape in the parent's properties
+  strictRequired: false,
+};
+
+// Compiled schemas - compiling is slow (tens of ms), so each schema is only compiled once per execution environment
+const compiled = new WeakMap();
+
+/**
+ * Compiles a schema (once - the compiled function is reused for the same schema object)
+ * @param {Object} schema - JSON Schema
+ * @returns {Function} ajv validate function - returns whether the value is valid, and sets its errors property if not
+ */
+export const compile = (schema) => {
+  if (!compiled.has(schema)) {
+    compiled.set(schema, transpileSchema(schema, AJV_OPTIONS));
+  }
+  return compiled.get(schema);
+};
+
+// Appends a property name or an array index to a path, e.g. items[0].quantity
+const childPath = (path, key) => (/^\d+$/.test(key) ? `${path}[${key}]` : path ? `${path}.${key}` : key);
+
+// Path of a value from its JSON pointer (ajv's instancePath), e.g. /body/items/0 -> body.items[0]
+const pathOf = (instancePath, names) =>
+  instancePath
+    .split('/')
+    .slice(1)
+    .map((segment) => segment.replaceAll('~1', '/').replaceAll('~0', '~'))
+    .reduce((path, key, i) => childPath(path, i === 0 ? (names[key] ?? key) : key), '');
+
+// Message of an error, for the keywords whose ajv message doesn't say what's expected
+const messageOf = ({ keyword, params, message }) => {
+  switch (keyword) {
+    case 'enum':
+      return `must be one of ${params.allowedValues.join(', ')}`;
+    case 'const':
+      return `must be ${JSON.stringify(params.allowedValue)}`;
+    default:
+      return message;
+  }
+};
+
+/**
+ * Turns ajv's errors into { path, message } errors
+ * @param {Array} errors - ajv errors (the errors property of a validate function)
+ * @param {Object} names - Names to give the top-level properties in the paths, e.g. { pathParameters: 'path' }
+ * @returns {Array} Errors ({ path, message })
+ */
+export const validationErrors = (errors, names = {}) =>
+  errors.map((error) => {
+    const path = pathOf(error.instancePath, names);
+    switch (error.keyword) {
+      case 'required': {
+        const propertyPath = childPath(path, error.params.missingProperty);
+        return { path: propertyPath, message: `${propertyPath} is required` };
+      }
+      case 'additionalProperties': {
+        const propertyPath = childPath(path, error.params.additionalProperty);
+        return { path: propertyPath, message: `${propertyPath} is not allowed` };
+      }
+      default:
+        return { path, message: `${path || 'value'} ${messageOf(error)}` };
+    }
+  });
+
+/**
+ * Validates a value against a schema
+ * @param {Object} schema - JSON Schema
+ * @param {*} value - Value to validate
+ * @param {string} name - Name of the value in the error paths, e.g. 'detail'
+ * @returns {Array} Errors ({ path, message }), empty if the value is valid
+ */
+export const validate = (schema, value, name) => {
+  const validateValue = compile(schema);
+  if (validateValue(value)) {
+    return [];
+  }
+  return validationErrors(
+    validateValue.errors.map((error) => ({ ...error, instancePath: `/${name}${error.instancePath}` }))
+  );
+};
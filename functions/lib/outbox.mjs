@@ -0,0 +1,53 @@
+/**
+ * Transactional outbox
+ *
+ * A function that saves data and publishes an event about it can't do both atomically: the write may succeed and
+ * PutEvents fail (or the function time out in between), leaving data nobody was told about - or the other way round.
+ * Instead, the event is written to the outbox table in the same DynamoDB transaction as the data, and the
+ * relay-outbox function publishes it to EventBridge from the outbox table stream. Either both are saved or neither
+ * is, and a saved event is retried until it reaches the bus (within the 24 hours the stream keeps it - see relay-outbox).
+ *
+ * Items:
+ *   id          - partition key: unique ID of the outbox entry
+ *   source, detailType - Source and DetailType of the EventBridge event
+ *   detail      - the event detail, as the JSON string that is published (so it reaches the bus exactly as written)
+ *   createdAt   - when the entry was written
+ *   expiresAt   - TTL (epoch seconds): entries are only needed until the stream delivered them (24 hours at most)
+ *
+ * The relay delivers at least once, so consumers of these events must be idempotent.
+ */
+
+import { randomUUID } from 'node:crypto';
+
+// Entries are kept a little longer than the stream keeps its records, so a stuck relay can still be investigated
+const OUTBOX_TTL_SECONDS = 2 * 24 * 60 * 60;
+
+/**
+ * Builds an outbox item - write it in the same transaction as the data the event is about
+ * @param {Object} event - { source, detailType, detail } - detail is serialized as JSON
+ * @returns {Object} Outbox table item
+ */
+export const outboxEntry = ({ source, detailType, detail }) => {
+  const now = new Date();
+  return {
+    id: randomUUID(),
+    source,
+    detailType,
+    detail: JSON.stringify(detail),
+    createdAt: now.toISOString(),
+    expiresAt: Math.floor(now.getTime() / 1000) + OUTBOX_TTL_SECONDS,
+  };
+};
+
+/**
+ * Turns an outbox item into a PutEvents entry
+ * @param {Object} entry - Outbox table item
+ * @param {string} eventBusName - Name of the event bus to publish to
+ * @returns {Object} Entry of PutEventsCommand
+ */
+export const toPutEventsEntry = ({ source, detailType, detail }, eventBusName) => ({
+  Source: source,
+  DetailType: detailType,
+  Detail: detail,
+  EventBusName: eventBusName,
+});
@@ -0,0 +1,56 @@
+/**
+ * Continuation tokens for paginated endpoints
+ *
+ * A token carries the DynamoDB key to continue after (LastEvaluatedKey, or the key of the last returned item).
+ * Clients must treat tokens as opaque, but base64 is easy to decode and edit, so every token is signed with
+ * HMAC-SHA256. Tampered tokens - or tokens issued for another scope - are rejected instead of being used
+ * as ExclusiveStartKey.
+ *
+ * The scope binds a token to the listing it was issued for, e.g. 'get-restaurants' or 'get-orders:<userId>',
+ * so a token can't be replayed against another endpoint or another user's orders.
+ *
+ * Token format: <base64url payload>.<base64url signature>
+ */
+
+import { createHmac, timingSafeEqual } from 'node:crypto';
+
+// Signs the payload part of a token
+const sign = (payload, secret) => createHmac('sha256', secret).update(payload).digest();
+
+/**
+ * Builds a signed continuation token
+ * @param {Object} key - DynamoDB key to continue after
+ * @param {Object} options - { secret, scope }
+ * @returns {string} Opaque token for the nextToken field of the response
+ */
+export const encodeToken = (key, { secret, scope }) => {
+  const payload = Buffer.from(JSON.stringify({ scope, key })).toString('base64url');
+  return `${payload}.${sign(payload, secret).toString('base64url')}`;
+};
+
+/**
+ * Verifies a continuation token and returns the DynamoDB key it carries
+ * @param {string} token - Token from the nextToken query string parameter
+ * @param {Object} options - { secret, scope } - must match the ones the token was built with
+ * @returns {Object|undefined} The DynamoDB key, or undefined if the token is malformed, tampered with or out of scope
+ */
+export const decodeToken = (token, { secret, scope }) => {
+  const [payload, signature, ...rest] = String(token).split('.');
+  if (!payload || !signature || rest.length > 0) {
+    return undefined;
+  }
+
+  // Compare in constant time, so the signature can't be guessed byte by byte from response times
+  const expected = sign(payload, secret);
+  const actual = Buffer.from(signature, 'base64url');
+  if (actual.length !== expected.length || !timingSafeEqual(actual, expected)) {
+    return undefined;
+  }
+
+  try {
+    const decoded = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    return decoded.scope === scope ? decoded.key : undefined;
+  } catch {
+    return undefined;
+  }
+};
@@ -0,0 +1,60 @@
+/**
+ * Theme index
+ *
+ * The restaurant-themes table is a denormalized index of the restaurants table, so restaurants can be searched
+ * by theme with a Query instead of scanning the whole catalogue.
+ *
+ * Each theme of a restaurant is indexed under the theme itself and every word-boundary suffix of it:
+ *   'Rick and Morty' -> 'rick and morty', 'and morty', 'morty'
+ * A search term matches with begins_with on the sort key, so 'rick', 'morty' and 'rick and' all find the
+ * 'rick and morty' restaurants (case-insensitive, matching from the start of any word).
+ *
+ * Items:
+ *   initial     - partition key: first character of the term (begins_with only works on sort keys)
+ *   termKey     - sort key: '<term>#<restaurant name>'
+ *   term, restaurantName, image, themes - copied from the restaurant, so search results don't need the restaurants table
+ *
+ * The index is kept in sync by the sync-theme-index function (restaurants table stream), and can be rebuilt
+ * from scratch with `npm run backfill-theme-index`.
+ */
+
+/**
+ * Normalizes a theme (or a search term) the way it's stored in the index
+ * @param {string} theme - e.g. '  Rick and   Morty '
+ * @returns {string} e.g. 'rick and morty'
+ */
+export const normalizeTheme = (theme) => theme.trim().toLowerCase().split(/\s+/).join(' ');
+
+/**
+ * Builds the key of an index item - use begins_with on termKey with a normalized search term to find restaurants
+ * @param {string} term - Normalized term
+ * @param {string} restaurantName - Name of the restaurant (omit to get the key prefix for a search term)
+ * @returns {Object} { initial, termKey }
+ */
+export const themeIndexKey = (term, restaurantName = '') => ({
+  initial: term.charAt(0),
+  termKey: restaurantName ? `${term}#${restaurantName}` : term,
+});
+
+// Terms a theme is indexed under: the theme itself and each of its word-boundary suffixes
+const themeTerms = (theme) => {
+  const words = normalizeTheme(theme).split(' ').filter(Boolean);
+  return words.map((_, i) => words.slice(i).join(' '));
+};
+
+/**
+ * Derives the index items of a restaurant
+ * @param {Object} restaurant - Restaurant item from the restaurants table
+ * @returns {Array} Index items (no duplicates, empty if the restaurant has no themes)
+ */
+export const themeIndexEntries = (restaurant) => {
+  const terms = new Set((restaurant.themes ?? []).flatMap(themeTerms));
+
+  return [...terms].map((term) => ({
+    ...themeIndexKey(term, restaurant.name),
+    term,
+    restaurantName: restaurant.name,
+    image: restaurant.image,
+    themes: restaurant.themes,
+  }));
+};
@@ -0,0 +1,67 @@
+/**
+ * Signed webhooks - how restaurants with an HTTPS callback are notified of their orders (see notify-restaurant)
+ *
+ * Each restaurant with a webhook has its own secret. Every request carries the time it was sent and an HMAC-SHA256
+ * of that time and the body, keyed with the secret:
+ *
+ *   x-big-mouth-timestamp: 1767225600                  (Unix time, in seconds)
+ *   x-big-mouth-signature: v1=<hex HMAC-SHA256 of "<timestamp>.<body>">
+ *
+ * Receivers recompute the signature over the raw body - before parsing it - and reject requests whose signature
+ * doesn't match, or whose timestamp is too far off their clock (so a captured request can't be replayed later).
+ * Deliveries are retried, so a receiver may get the same order more than once - the orderId identifies it.
+ *
+ * The version prefix (v1=) lets the scheme change without breaking the receivers of the current one.
+ */
+
+import { createHmac, timingSafeEqual } from 'node:crypto';
+
+export const SIGNATURE_HEADER = 'x-big-mouth-signature';
+export const TIMESTAMP_HEADER = 'x-big-mouth-timestamp';
+
+// How far off the receiver's clock a timestamp may be - the same 5 minutes as Stripe and Slack
+export const DEFAULT_TOLERANCE_SECONDS = 5 * 60;
+
+// Signs the timestamp and the body of a request
+const sign = (timestamp, body, secret) => createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+/**
+ * Builds the headers of a signed webhook request
+ * @param {string} body - The raw body of the request
+ * @param {Object} options - { secret, now } - the restaurant's secret, and the time to sign with (defaults to now)
+ * @returns {Object} The timestamp and signature headers
+ */
+export const signatureHeaders = (body, { secret, now = Date.now() }) => {
+  const timestamp = Math.floor(now / 1000);
+  return {
+    [TIMESTAMP_HEADER]: String(timestamp),
+    [SIGNATURE_HEADER]: `v1=${sign(timestamp, body, secret)}`,
+  };
+};
+
+/**
+ * Verifies the signature of a webhook request
+ * @param {string} body - The raw body of the request
+ * @param {Object} headers - The headers of the request (lower-case names, as Node.js has them)
+ * @param {Object} options - { secret, toleranceSeconds, now }
+ * @returns {boolean} Whether the request was signed with the secret, recently enough
+ */
+export const verifySignature = (
+  body,
+  headers,
+  { secret, toleranceSeconds = DEFAULT_TOLERANCE_SECONDS, now = Date.now() }
+) => {
+  const timestamp = Number(headers[TIMESTAMP_HEADER]);
+  const [version, signature] = String(headers[SIGNATURE_HEADER]).split('=');
+  if (!Number.isInteger(timestamp) || version !== 'v1' || !signature) {
+    return false;
+  }
+  if (Math.abs(now / 1000 - timestamp) > toleranceSeconds) {
+    return false;
+  }
+
+  // Compare in constant time, so the signature can't be guessed byte by byte from response times
+  const expected = Buffer.from(sign(timestamp, body, secret), 'hex');
+  const actual = Buffer.from(signature, 'hex');
+  return actual.length === expected.length && timingSafeEqual(actual, expected);
+};
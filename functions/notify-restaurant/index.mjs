@@ -2,26 +2,46 @@
  * Notify Restaurant Lambda Function
  *
  * This function is triggered by order_placed events from EventBridge.
- * It notifies restaurants about new orders via SNS and publishes a restaurant_notified event back
- * to EventBridge to continue the workflow.
+ * It notifies restaurants about new orders and publishes a restaurant_notified event back to EventBridge to continue
+ * the workflow.
+ *
+ * Restaurants with a webhook in their record ({ url, secret }) get the order POSTed to their own systems, signed with
+ * their secret (see functions/lib/webhooks.mjs). Failed requests are retried with exponential backoff, and every
+ * attempt is recorded in the notification deliveries table. The others are notified via SNS.
+ * The correlation ID of the order is passed on in the SNS message attributes and in the restaurant_notified event.
+ * Events are checked against the order_placed contract (older versions are upcast) before they are handled, and the
+ * restaurant_notified event against its own (see functions/lib/events.mjs).
+ *
+ * Events that still fail after Lambda's retries are sent to the OnFailure destination queue, with the error - list,
+ * inspect and redrive them with `npm run failed-events`. Redriven events go through the idempotency middleware too,
+ * so a restaurant is never notified twice of the same order.
  */
 
 // AWS SDK v3 imports for EventBridge and SNS operations
 import { EventBridgeClient, PutEventsCommand } from '@aws-sdk/client-eventbridge';
 import { SNSClient, PublishCommand } from '@aws-sdk/client-sns';
+// AWS SDK v3 imports for DynamoDB operations (webhook of the restaurant, delivery attempts)
+import { DynamoDB } from '@aws-sdk/client-dynamodb';
+import { DynamoDBDocumentClient, GetCommand, PutCommand } from '@aws-sdk/lib-dynamodb';
+// Waits between the webhook retries
+import { setTimeout as sleep } from 'node:timers/promises';
 
 // AWS Lambda Powertools utilities
 // Logger with output structured as JSON
 import { Logger } from '@aws-lambda-powertools/logger';
 import { injectLambdaContext } from '@aws-lambda-powertools/logger/middleware';
-// // Idempotency handling - idempotency ensures the same operation can be called multiple times safely without side effects.
-// import { makeIdempotent } from '@aws-lambda-powertools/idempotency'; // general-purpose function to wrap any function to make it idempotent.
+// Idempotency handling - idempotency ensures the same operation can be called multiple times safely without side effects.
 import { makeHandlerIdempotent } from '@aws-lambda-powertools/idempotency/middleware'; // Middy middleware specifically designed for an AWS Lambda handler.
+// Idempotency settings (which part of the event is the idempotency key, and for how long it's kept)
+import { IdempotencyConfig } from '@aws-lambda-powertools/idempotency';
 // DynamoDB persistence layer for storing idempotency keys and preventing duplicate processing
 import { DynamoDBPersistenceLayer } from '@aws-lambda-powertools/idempotency/dynamodb';
 // Opinionated wrapper for AWS X-Ray
 import { Tracer } from '@aws-lambda-powertools/tracer';
 import { captureLambdaHandler } from '@aws-lambda-powertools/tracer/middleware';
+// Business metrics, published as CloudWatch Embedded Metric Format (EMF) log lines
+import { Metrics, MetricUnit } from '@aws-lambda-powertools/metrics';
+import { logMetrics } from '@aws-lambda-powertools/metrics/middleware';
 
 // Middy is a middleware engine designed for serverless functions, enabling us to execute custom logic
 // before and after our main handler code runs.
@@ -30,9 +50,17 @@ import { captureLambdaHandler } from '@aws-lambda-powertools/tracer/middleware';
 // @middy/core: Middleware to simplify common Lambda tasks
 import middy from '@middy/core';
 
+// Correlation IDs, shared with the other functions of the order flow
+import { fromEventBridge, injectCorrelationId, snsMessageAttributes } from '@big-mouth/lib/correlation';
+// Event contracts, shared with the producer of the order_placed event
+import { eventDetail, validateEvent } from '@big-mouth/lib/events';
+// Signatures of the webhook requests, verified by the restaurants
+import { signatureHeaders } from '@big-mouth/lib/webhooks';
+
 // Initialize clients (created outside handler for connection reuse)
 const eventBridge = new EventBridgeClient();
 const sns = new SNSClient();
+const dynamodb = DynamoDBDocumentClient.from(new DynamoDB({}));
 
 // Initialize X-Ray tracer with service name for distributed tracing
 // Creating a Tracer would automatically capture outgoing HTTP requests
@@ -44,9 +72,23 @@ tracer.captureAWSv3Client(eventBridge);
 // Capture SNS operations in X-Ray traces for performance monitoring
 tracer.captureAWSv3Client(sns);
 
+// Capture DynamoDB operations in X-Ray traces for performance monitoring
+tracer.captureAWSv3Client(dynamodb);
+
 // Get configuration from environment variables
 const busName = process.env.bus_name; // EventBridge bus name
 const topicArn = process.env.restaurant_notification_topic; // SNS topic ARN
+const restaurantsTableName = process.env.restaurants_table; // DynamoDB restaurants table (webhooks)
+const deliveriesTableName = process.env.notification_deliveries_table; // DynamoDB table of the delivery attempts
+
+// Webhook requests: how many attempts, how long the restaurant has to answer each, and the wait before the first
+// retry - doubled for each one after (0.5s, 1s, 2s). All of them fit in the function's timeout (terraform/lambda.tf).
+const WEBHOOK_ATTEMPTS = 4;
+const WEBHOOK_TIMEOUT_MS = 5000;
+const WEBHOOK_BACKOFF_MS = 500;
+
+// Delivery attempts are kept for 90 days, like the customer notifications'
+const DELIVERY_RETENTION_SECONDS = 90 * 24 * 60 * 60;
 
 // Configure DynamoDB persistence store for idempotency tracking
 // This table stores hashes of processed events to prevent duplicate executions when the same EventBridge event is delivered multiple times
@@ -54,9 +96,104 @@ const persistenceStore = new DynamoDBPersistenceLayer({
   tableName: process.env.idempotency_table, // DynamoDB table name from environment variables
 });
 
+// The same order can reach us in different events - e.g. the outbox relay publishes at least once, and failed events
+// are redriven from the OnFailure destination queue - so the idempotency key is the order ID, not the whole event.
+// Keys are kept as long as the queue keeps failed events (14 days), so a redriven event is never processed twice.
+const idempotencyConfig = new IdempotencyConfig({
+  eventKeyJmesPath: 'detail.orderId',
+  expiresAfterSeconds: 14 * 24 * 60 * 60,
+});
+
 // Initialize structured logger with service name from environment
 const logger = new Logger({ serviceName: process.env.service_name });
 
+// Initialize metrics with the service and the stage as dimensions (namespace from POWERTOOLS_METRICS_NAMESPACE)
+const metrics = new Metrics({
+  serviceName: process.env.service_name,
+  defaultDimensions: { stage: process.env.stage_name },
+});
+
+// Loads the webhook of a restaurant - undefined if it has none
+const getWebhook = async (restaurantName) => {
+  const resp = await dynamodb.send(
+    new GetCommand({
+      TableName: restaurantsTableName,
+      Key: { name: restaurantName },
+      ProjectionExpression: 'webhook',
+    })
+  );
+  return resp.Item?.webhook?.url ? resp.Item.webhook : undefined;
+};
+
+// Records a delivery attempt, as notify-user does for the customer notifications
+const recordAttempt = async (attempt) => {
+  const attemptedAt = new Date().toISOString();
+  await dynamodb.send(
+    new PutCommand({
+      TableName: deliveriesTableName,
+      Item: {
+        ...attempt,
+        attemptId: `${attemptedAt}#${attempt.channel}`, // sorts the attempts of an order chronologically
+        attemptedAt,
+        expiresAt: Math.floor(Date.now() / 1000) + DELIVERY_RETENTION_SECONDS,
+      },
+    })
+  );
+};
+
+// Errors worth retrying: no answer, or an answer saying to try again later (timeouts, throttling, server errors).
+// Other client errors - e.g. a 401 for a signature the restaurant doesn't accept - won't go away by retrying.
+const isRetryable = (error) => !error.status || error.status === 408 || error.status === 429 || error.status >= 500;
+
+// POSTs the order to the webhook once, signed with the restaurant's secret - throws if it isn't accepted (2xx)
+const postOrder = async (order, { url, secret }) => {
+  const body = JSON.stringify(order);
+  const resp = await fetch(url, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', ...signatureHeaders(body, { secret }) },
+    body,
+    signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+  });
+  if (!resp.ok) {
+    throw Object.assign(new Error(`webhook answered ${resp.status} ${resp.statusText}`), { status: resp.status });
+  }
+};
+
+/**
+ * Delivers an order to the webhook of its restaurant, retrying with exponential backoff
+ *
+ * Every attempt is recorded. When the last one fails - or one fails with an error retrying won't fix - the error is
+ * thrown, so the invocation fails: Lambda retries it, and then sends the event to the OnFailure destination queue.
+ *
+ * @param {Object} order - The order_placed event detail
+ * @param {Object} webhook - { url, secret } - the webhook of the restaurant
+ */
+const deliverToWebhook = async (order, webhook) => {
+  for (let attempt = 1; ; attempt++) {
+    const delivery = {
+      orderId: order.orderId,
+      type: 'order_placed',
+      channel: 'restaurant_webhook',
+      address: webhook.url,
+      attempt,
+    };
+    try {
+      await postOrder(order, webhook);
+      await recordAttempt({ ...delivery, status: 'DELIVERED' });
+      return;
+    } catch (error) {
+      await recordAttempt({ ...delivery, status: 'FAILED', error: error.message });
+
+      if (attempt === WEBHOOK_ATTEMPTS || !isRetryable(error)) {
+        metrics.addMetric('RestaurantWebhookFailed', MetricUnit.Count, 1);
+        throw error;
+      }
+      logger.warn('failed to deliver order to webhook, retrying', { orderId: order.orderId, attempt, error });
+      await sleep(WEBHOOK_BACKOFF_MS * 2 ** (attempt - 1));
+    }
+  }
+};
+
 /**
  * Core handler function for notifying restaurants of new orders
  *
@@ -65,30 +202,41 @@ const logger = new Logger({ serviceName: process.env.service_name });
  * are sent only once even if the same EventBridge event is delivered multiple times.
  *
  * @param {Object} event - EventBridge event containing order details
+ * @param {Object} context - Lambda context (with the correlationId restored by the injectCorrelationId middleware)
  * @returns {string} orderId - Returns order ID for idempotency key generation
  */
-export const _handler = async (event) => {
+export const _handler = async (event, context) => {
   // Reset sampling calculation to determine if this invocation should log debug messages
   logger.refreshSampleRateCalculation();
 
-  // Extract order details from the EventBridge event
+  // Extract order details from the EventBridge event (validated, and upcast to the current version, by the
+  // validateEvent middleware)
   const order = event.detail;
-
-  // Step 1: Notify the restaurant via SNS
-  // Create SNS publish command with order details
-  const publishCmd = new PublishCommand({
-    Message: JSON.stringify(order), // Convert order object to JSON string
-    TopicArn: topicArn, // Target SNS topic
-  });
-
-  // Send notification to SNS topic
-  await sns.send(publishCmd);
+  const { correlationId } = context;
 
   // Extract key information for logging
   const { restaurantName, orderId } = order;
 
-  // console.log(`notified restaurant [${restaurantName}] of order [${orderId}]`);
-  logger.debug('notified restaurant of order', { restaurantName, orderId });
+  // Step 1: Notify the restaurant - on its webhook if it has one, via SNS otherwise
+  const webhook = await getWebhook(restaurantName);
+  if (webhook) {
+    await deliverToWebhook(order, webhook);
+  } else {
+    // Create SNS publish command with order details
+    const publishCmd = new PublishCommand({
+      Message: JSON.stringify(order), // Convert order object to JSON string
+      TopicArn: topicArn, // Target SNS topic
+      MessageAttributes: snsMessageAttributes(correlationId), // Pass the correlation ID on to the subscribers
+    });
+
+    // Send notification to SNS topic
+    await sns.send(publishCmd);
+  }
+
+  logger.debug('notified restaurant of order', { restaurantName, orderId, channel: webhook ? 'webhook' : 'sns' });
+
+  // Count the notifications (duplicate events don't get here, thanks to the idempotency middleware)
+  metrics.addMetric('RestaurantNotified', MetricUnit.Count, 1);
 
   // Step 2: Publish restaurant_notified event to EventBridge
   // This allows other services to react to the notification being sent
@@ -97,7 +245,8 @@ export const _handler = async (event) => {
       {
         Source: 'big-mouth', // Application identifier - used for event filtering and routing
         DetailType: 'restaurant_notified', // Event type for filtering
-        Detail: JSON.stringify(order), // Event payload with order details
+        // Event payload with order details and the correlation ID, checked against the restaurant_notified contract
+        Detail: JSON.stringify(eventDetail('restaurant_notified', { ...order, correlationId })),
         EventBusName: busName, // Target event bus
       },
     ],
@@ -106,7 +255,6 @@ export const _handler = async (event) => {
   // Send event to EventBridge
   await eventBridge.send(putEventsCmd);
 
-  // console.log(`published 'restaurant_notified' event to EventBridge`);
   logger.debug(`published event to EventBridge`, {
     eventType: 'restaurant_notified',
     busName,
@@ -117,20 +265,22 @@ export const _handler = async (event) => {
   return orderId;
 };
 
-// // Export the idempotent-wrapped handler as the main Lambda handler
-// // makeIdempotent wraps _handler with idempotency logic using the DynamoDB persistence store
-// // This ensures the function executes only once per unique event, preventing duplicate notifications
-// export const handler = makeIdempotent(_handler, { persistenceStore });
-
 // Export handler with Middy middleware chain
 export const handler = middy(_handler)
   // Automatically inject Lambda context (request ID, function name, etc.) into all log messages
   .use(injectLambdaContext(logger))
+  // Restore the correlation ID of the order (from the event detail) into all log messages
+  .use(injectCorrelationId({ logger, from: fromEventBridge }))
   // Add ##functions/notify-restaurant.handler segment to the X-Ray trace, and captures cold start, service name, and response of the invocation
   .use(captureLambdaHandler(tracer))
+  // Publish the metrics of the invocation (and a ColdStart metric on the first one) when the handler finishes
+  .use(logMetrics(metrics, { captureColdStartMetric: true }))
+  // Check the event against the order_placed contract - events that break it fail, and end up in the OnFailure queue
+  .use(validateEvent({ logger }))
   .use(
     // prevents duplicate processing using DynamoDB persistence
     makeHandlerIdempotent({
       persistenceStore,
+      config: idempotencyConfig,
     })
   );
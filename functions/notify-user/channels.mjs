@@ -0,0 +1,95 @@
+/**
+ * Delivery channels of the user notifications
+ *
+ * A channel reaches a customer one way - email, SMS or webhook - and has two operations:
+ *
+ *   addressOf(recipient, config)        where the customer is reached on the channel (an email address, a phone
+ *                                       number, a URL), or undefined if they can't be - the channel is skipped
+ *   deliver(address, message, config)   delivers a rendered message ({ type, orderId, subject, text }), and throws if
+ *                                       it couldn't be delivered
+ *
+ * config is the configuration of the function (SSM), e.g. the sender of the emails and the URL of the webhook.
+ *
+ * awsChannels deliver through SES, SNS and HTTP. localChannels keep the messages in memory (sentMessages) instead,
+ * for the tests and the local environment - the notification_adapters environment variable picks them ('local').
+ */
+
+// AWS SDK v3 imports for SES (email) and SNS (SMS) operations
+import { SendEmailCommand } from '@aws-sdk/client-sesv2';
+import { PublishCommand } from '@aws-sdk/client-sns';
+
+// How long a webhook endpoint has to answer
+const WEBHOOK_TIMEOUT_MS = 5000;
+
+/**
+ * Channels delivering through AWS (and HTTP for the webhook)
+ * @param {Object} clients - { ses, sns } - the SES and SNS clients (captured by the tracer of the function)
+ * @returns {Object} The channels, by name
+ */
+export const awsChannels = ({ ses, sns }) => ({
+  email: {
+    addressOf: (recipient) => recipient.email,
+    deliver: async (address, { subject, text }, config) => {
+      await ses.send(
+        new SendEmailCommand({
+          FromEmailAddress: config.senderEmail, // a verified SES identity
+          Destination: { ToAddresses: [address] },
+          Content: {
+            Simple: {
+              Subject: { Data: subject },
+              Body: { Text: { Data: text } },
+            },
+          },
+        })
+      );
+    },
+  },
+  sms: {
+    // Only verified numbers - an unverified one may not be the customer's
+    addressOf: (recipient) => (recipient.phoneNumberVerified ? recipient.phoneNumber : undefined),
+    deliver: async (address, { text }) => {
+      await sns.send(
+        new PublishCommand({
+          PhoneNumber: address,
+          Message: text,
+          // Order updates are transactional - SNS delivers them with the higher reliability route
+          MessageAttributes: { 'AWS.SNS.SMS.SMSType': { DataType: 'String', StringValue: 'Transactional' } },
+        })
+      );
+    },
+  },
+  webhook: {
+    addressOf: (recipient, config) => config.webhookUrl,
+    deliver: async (address, message) => {
+      const resp = await fetch(address, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify(message),
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+      });
+      if (!resp.ok) {
+        throw new Error(`webhook answered ${resp.status} ${resp.statusText}`);
+      }
+    },
+  },
+});
+
+/**
+ * Messages delivered by localChannels: [{ channel, address, message }]
+ */
+export const sentMessages = [];
+
+// Keeps the messages of a channel in memory
+const localChannel = (channel, addressOf) => ({
+  addressOf,
+  deliver: async (address, message) => {
+    sentMessages.push({ channel, address, message });
+  },
+});
+
+/**
+ * Channels keeping the messages in memory (see sentMessages) - they reach the same customers as awsChannels
+ */
+export const localChannels = Object.fromEntries(
+  Object.entries(awsChannels({})).map(([name, { addressOf }]) => [name, localChannel(name, addressOf)])
+);
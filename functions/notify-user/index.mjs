@@ -0,0 +1,274 @@
+/**
+ * Notify User Lambda Function
+ *
+ * This function is subscribed to the user notifications SNS topic.
+ * The order flow publishes the outcome of each order there - "Order confirmed", "Order declined" or "Order expired" -
+ * with nothing but the order ID. We look up the order and the customer who placed it (Cognito user pool, by the
+ * order's userId), render the message of the outcome (templates.mjs), and deliver it on every channel of the
+ * configuration the customer can be reached on (channels.mjs) - e.g. email and SMS.
+ *
+ * Every delivery attempt is recorded in the notification deliveries table, delivered or failed. When a channel fails,
+ * the invocation fails after trying the others, and Lambda retries it (SNS invokes us asynchronously) - the channels
+ * that already delivered the message are skipped, so customers don't get it twice.
+ */
+
+// AWS SDK v3 imports for DynamoDB operations
+import { DynamoDB } from '@aws-sdk/client-dynamodb';
+import { DynamoDBDocumentClient, GetCommand, PutCommand, QueryCommand } from '@aws-sdk/lib-dynamodb';
+// AWS SDK v3 imports for Cognito operations (used to look up the customer)
+import { CognitoIdentityProviderClient, ListUsersCommand } from '@aws-sdk/client-cognito-identity-provider';
+// AWS SDK v3 clients of the email and SMS channels
+import { SESv2Client } from '@aws-sdk/client-sesv2';
+import { SNSClient } from '@aws-sdk/client-sns';
+
+// Templating engine to render the messages
+import Mustache from 'mustache';
+
+// AWS Lambda Powertools utilities
+// Logger with output structured as JSON
+import { Logger } from '@aws-lambda-powertools/logger';
+import { injectLambdaContext } from '@aws-lambda-powertools/logger/middleware';
+// Opinionated wrapper for AWS X-Ray
+import { Tracer } from '@aws-lambda-powertools/tracer';
+import { captureLambdaHandler } from '@aws-lambda-powertools/tracer/middleware';
+// Business metrics, published as CloudWatch Embedded Metric Format (EMF) log lines
+import { Metrics, MetricUnit } from '@aws-lambda-powertools/metrics';
+import { logMetrics } from '@aws-lambda-powertools/metrics/middleware';
+
+// Middy is a middleware engine designed for serverless functions, enabling us to execute custom logic
+// before and after our main handler code runs.
+// https://github.com/middyjs/middy
+// https://middy.js.org/docs/intro/how-it-works/
+// @middy/core: Middleware to simplify common Lambda tasks
+import middy from '@middy/core';
+// @middy/ssm: Middleware to fetch and cache parameters from AWS Systems Manager Parameter Store
+import ssm from '@middy/ssm';
+
+// Correlation IDs, shared with the other functions of the order flow
+import { fromSns, injectCorrelationId } from '@big-mouth/lib/correlation';
+
+// Delivery channels, and the templates of the messages
+import { awsChannels, localChannels } from './channels.mjs';
+import { templates } from './templates.mjs';
+
+// Initialize structured logger with service name from environment
+const logger = new Logger({ serviceName: process.env.service_name });
+
+// Initialize metrics with the service and the stage as dimensions (namespace from POWERTOOLS_METRICS_NAMESPACE)
+const metrics = new Metrics({
+  serviceName: process.env.service_name,
+  defaultDimensions: { stage: process.env.stage_name },
+});
+
+// Initialize clients (created outside handler for connection reuse)
+const dynamodbClient = new DynamoDB({});
+const dynamodb = DynamoDBDocumentClient.from(dynamodbClient);
+const cognito = new CognitoIdentityProviderClient();
+const ses = new SESv2Client();
+const sns = new SNSClient();
+
+// Initialize X-Ray tracer with service name for distributed tracing
+// Creating a Tracer would automatically capture outgoing HTTP requests (such as the webhook deliveries)
+const tracer = new Tracer({ serviceName: process.env.service_name });
+
+// Capture the AWS operations in X-Ray traces for performance monitoring
+tracer.captureAWSv3Client(dynamodb);
+tracer.captureAWSv3Client(cognito);
+tracer.captureAWSv3Client(ses);
+tracer.captureAWSv3Client(sns);
+
+// Environment variables
+const { service_name, ssm_stage_name } = process.env;
+const ordersTableName = process.env.orders_table; // DynamoDB orders table
+const deliveriesTableName = process.env.notification_deliveries_table; // DynamoDB table of the delivery attempts
+const userPoolId = process.env.cognito_user_pool_id; // Cognito user pool of the customers
+
+// Channels delivering the messages - kept in memory in the tests and the local environment
+const channels = process.env.notification_adapters === 'local' ? localChannels : awsChannels({ ses, sns });
+
+// Delivery attempts are kept for 90 days, to look into what a customer was (or wasn't) told about an order
+const DELIVERY_RETENTION_SECONDS = 90 * 24 * 60 * 60;
+
+// Loads the order the notification is about
+const getOrder = async (orderId) => {
+  const resp = await dynamodb.send(new GetCommand({ TableName: ordersTableName, Key: { id: orderId } }));
+  return resp.Item;
+};
+
+/**
+ * Looks up the customer who placed an order - the order only has their Cognito 'sub'
+ * @returns {Object} { firstName, email, phoneNumber, phoneNumberVerified }, or undefined if the user is gone
+ */
+const getRecipient = async (userId) => {
+  const resp = await cognito.send(
+    new ListUsersCommand({ UserPoolId: userPoolId, Filter: `sub = "${userId}"`, Limit: 1 })
+  );
+  const [user] = resp.Users;
+  if (!user) {
+    return undefined;
+  }
+
+  const attributes = Object.fromEntries(user.Attributes.map((x) => [x.Name, x.Value]));
+  return {
+    firstName: attributes.given_name,
+    email: attributes.email,
+    phoneNumber: attributes.phone_number,
+    phoneNumberVerified: attributes.phone_number_verified === 'true',
+  };
+};
+
+/**
+ * Renders the message of a notification
+ * @param {Object} template - The template of the outcome (templates.mjs)
+ * @param {Object} order - The order
+ * @param {Object} recipient - The customer (getRecipient())
+ * @returns {Object} { type, orderId, subject, text }
+ */
+const renderMessage = (template, order, recipient) => {
+  const view = {
+    ...order,
+    firstName: recipient.firstName,
+    // Amounts are in cents
+    total: new Intl.NumberFormat('en-US', { style: 'currency', currency: order.currency ?? 'USD' }).format(
+      order.total / 100
+    ),
+  };
+  // The messages are text, not HTML - nothing to escape
+  const render = (text) => Mustache.render(text, view, {}, { escape: (x) => x });
+
+  return { type: template.type, orderId: order.id, subject: render(template.subject), text: render(template.text) };
+};
+
+// The channels that already delivered a notification - an earlier attempt of a retried invocation
+const deliveredChannels = async (orderId, notificationId) => {
+  const resp = await dynamodb.send(
+    new QueryCommand({
+      TableName: deliveriesTableName,
+      KeyConditionExpression: 'orderId = :orderId',
+      FilterExpression: 'notificationId = :notificationId AND #status = :delivered',
+      ExpressionAttributeNames: { '#status': 'status' },
+      ExpressionAttributeValues: { ':orderId': orderId, ':notificationId': notificationId, ':delivered': 'DELIVERED' },
+    })
+  );
+  return new Set(resp.Items.map((x) => x.channel));
+};
+
+// Records a delivery attempt
+const recordAttempt = async (attempt) => {
+  const attemptedAt = new Date().toISOString();
+  await dynamodb.send(
+    new PutCommand({
+      TableName: deliveriesTableName,
+      Item: {
+        ...attempt,
+        attemptId: `${attemptedAt}#${attempt.channel}`, // sorts the attempts of an order chronologically
+        attemptedAt,
+        expiresAt: Math.floor(Date.now() / 1000) + DELIVERY_RETENTION_SECONDS,
+      },
+    })
+  );
+};
+
+/**
+ * Delivers a notification on every channel of the configuration that reaches the customer
+ * @returns {number} The number of channels that failed
+ */
+const deliver = async ({ order, recipient, message, notificationId }, config) => {
+  const delivered = await deliveredChannels(order.id, notificationId);
+  let failed = 0;
+
+  for (const name of config.channels) {
+    const address = channels[name].addressOf(recipient, config);
+    if (!address) {
+      logger.debug('customer not reachable on channel', { orderId: order.id, channel: name });
+      continue;
+    }
+    if (delivered.has(name)) {
+      logger.debug('notification already delivered on channel', { orderId: order.id, channel: name });
+      continue;
+    }
+
+    const attempt = { orderId: order.id, notificationId, type: message.type, channel: name, address };
+    try {
+      await channels[name].deliver(address, message, config);
+      await recordAttempt({ ...attempt, status: 'DELIVERED' });
+      metrics.addMetric('NotificationsDelivered', MetricUnit.Count, 1);
+    } catch (error) {
+      logger.error('failed to deliver notification', { orderId: order.id, channel: name, error });
+      await recordAttempt({ ...attempt, status: 'FAILED', error: error.message });
+      metrics.addMetric('NotificationsFailed', MetricUnit.Count, 1);
+      failed++;
+    }
+  }
+
+  return failed;
+};
+
+/**
+ * Lambda handler function - notifies the customer of each order outcome
+ * @param {Object} event - SNS event, with the state machine message in Records[].Sns.Message
+ * @param {Object} context - Lambda context (with the configuration loaded by the SSM middleware)
+ */
+export const handler = middy(async (event, context) => {
+  // Reset sampling calculation to determine if this invocation should log debug messages
+  logger.refreshSampleRateCalculation();
+
+  let failed = 0;
+
+  // SNS delivers a single record per invocation, but the event format allows for more
+  for (const record of event.Records) {
+    const { order_id: orderId, notification_message: notificationMessage } = JSON.parse(record.Sns.Message);
+
+    // Nothing can make these deliverable later - log them and move on rather than having Lambda retry
+    const template = templates[notificationMessage];
+    if (!template) {
+      logger.warn('no template for notification', { orderId, notificationMessage });
+      continue;
+    }
+    const order = await getOrder(orderId);
+    if (!order) {
+      logger.warn('order of notification not found', { orderId });
+      continue;
+    }
+    const recipient = await getRecipient(order.userId);
+    if (!recipient) {
+      logger.warn('customer of order not found', { orderId, userId: order.userId });
+      continue;
+    }
+
+    const message = renderMessage(template, order, recipient);
+    // Lambda retries the same event, so the SNS message ID identifies the notification across the attempts
+    failed += await deliver({ order, recipient, message, notificationId: record.Sns.MessageId }, context.config);
+
+    logger.debug('notified customer of order', { orderId, type: message.type });
+  }
+
+  if (failed) {
+    throw new Error(`failed to deliver ${failed} notification(s)`);
+  }
+})
+  .use(
+    // configuration of middy SSM middleware, https://middy.js.org/docs/intro/how-it-works/
+    ssm({
+      // cache the SSM parameter value, so we don't hammer SSM Parameter Store with requests.
+      cache: true,
+      // under a key of our own - in the dev server (and the local test mode) the functions share a process
+      cacheKey: 'notify-user-ssm',
+      // cached value to expire after 1 minute, so a change of channels is picked up without needing a deployment.
+      cacheExpiry: 1 * 60 * 1000,
+      // set the SSM parameter value to the Lambda context, so we can access it in our handler
+      setToContext: true,
+      // config is a JSON document, e.g. { "channels": ["email", "sms"], "senderEmail": "orders@example.com" }
+      fetchData: {
+        config: `/${service_name}/${ssm_stage_name}/notify-user/config`,
+      },
+    })
+  )
+  // Automatically inject Lambda context (request ID, function name, etc.) into all log messages
+  .use(injectLambdaContext(logger))
+  // Restore the correlation ID of the order (from the SNS message attributes) into all log messages
+  .use(injectCorrelationId({ logger, from: fromSns }))
+  // Add ##functions/notify-user.handler segment to the X-Ray trace, and captures cold start, service name, and response of the invocation
+  .use(captureLambdaHandler(tracer))
+  // Publish the metrics of the invocation (and a ColdStart metric on the first one) when the handler finishes
+  .use(logMetrics(metrics, { captureColdStartMetric: true }));
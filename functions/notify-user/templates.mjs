@@ -0,0 +1,27 @@
+/**
+ * Templates of the user notifications (Mustache), by the notification_message the order flow publishes
+ *
+ * Each has a type (the name webhook consumers switch on), a subject (emails) and a text (every channel). They are
+ * rendered with the order, the customer's first name and the formatted total - see renderMessage() in index.mjs.
+ */
+export const templates = {
+  'Order confirmed': {
+    type: 'order_confirmed',
+    subject: 'Your order from {{restaurantName}} is confirmed',
+    text:
+      'Hi {{firstName}}, {{restaurantName}} accepted your order ({{total}})' +
+      '{{#estimatedPrepMinutes}} - it will be ready in about {{estimatedPrepMinutes}} minutes{{/estimatedPrepMinutes}}.',
+  },
+  'Order declined': {
+    type: 'order_declined',
+    subject: 'Your order from {{restaurantName}} was declined',
+    text:
+      "Hi {{firstName}}, sorry - {{restaurantName}} can't take your order ({{total}})" +
+      '{{#rejectReason}}: {{rejectReason}}{{/rejectReason}}.',
+  },
+  'Order expired': {
+    type: 'order_expired',
+    subject: 'Your order from {{restaurantName}} expired',
+    text: "Hi {{firstName}}, {{restaurantName}} didn't answer in time, so your order ({{total}}) was cancelled.",
+  },
+};
@@ -0,0 +1,94 @@
+/**
+ * Open Connection Lambda Function
+ *
+ * This function handles the $connect route of the WebSocket API - the landing page connects to it to show the status
+ * of the user's orders live.
+ * The connection was allowed by authorize-connection, which passes the user's Cognito sub in the authorizer context.
+ * We record the connection under the user, so push-order-status finds the connections to push their orders' updates
+ * to - a user can have several (one per open page).
+ *
+ * API Gateway closes connections after 2 hours at the most, so the records expire then (DynamoDB TTL), in case
+ * close-connection never got to delete them.
+ */
+
+// AWS SDK v3 imports for DynamoDB operations
+import { DynamoDB } from '@aws-sdk/client-dynamodb';
+import { DynamoDBDocumentClient, PutCommand } from '@aws-sdk/lib-dynamodb';
+
+// AWS Lambda Powertools utilities
+// Logger with output structured as JSON
+import { Logger } from '@aws-lambda-powertools/logger';
+import { injectLambdaContext } from '@aws-lambda-powertools/logger/middleware';
+// Opinionated wrapper for AWS X-Ray
+import { Tracer } from '@aws-lambda-powertools/tracer';
+import { captureLambdaHandler } from '@aws-lambda-powertools/tracer/middleware';
+// Business metrics, published as CloudWatch Embedded Metric Format (EMF) log lines
+import { Metrics } from '@aws-lambda-powertools/metrics';
+import { logMetrics } from '@aws-lambda-powertools/metrics/middleware';
+
+// Middy is a middleware engine designed for serverless functions, enabling us to execute custom logic
+// before and after our main handler code runs.
+// https://github.com/middyjs/middy
+// https://middy.js.org/docs/intro/how-it-works/
+// @middy/core: Middleware to simplify common Lambda tasks
+import middy from '@middy/core';
+
+// Initialize structured logger with service name from environment
+const logger = new Logger({ serviceName: process.env.service_name });
+
+// Initialize metrics with the service and the stage as dimensions (namespace from POWERTOOLS_METRICS_NAMESPACE)
+const metrics = new Metrics({
+  serviceName: process.env.service_name,
+  defaultDimensions: { stage: process.env.stage_name },
+});
+
+// Initialize DynamoDB clients (created outside handler for connection reuse)
+const dynamodbClient = new DynamoDB({});
+const dynamodb = DynamoDBDocumentClient.from(dynamodbClient);
+
+// Initialize X-Ray tracer with service name for distributed tracing
+const tracer = new Tracer({ serviceName: process.env.service_name });
+
+// Capture DynamoDB operations in X-Ray traces for performance monitoring (e.g. DynamoDB PutItem API call)
+tracer.captureAWSv3Client(dynamodb);
+
+// Environment variables
+const tableName = process.env.connections_table; // DynamoDB table of the WebSocket connections
+
+// The longest a WebSocket connection can last - API Gateway closes it then
+const MAX_CONNECTION_SECONDS = 2 * 60 * 60;
+
+/**
+ * Lambda handler function - records the connection under its user
+ * @param {Object} event - WebSocket $connect event, with the authorizer context in requestContext.authorizer
+ * @returns {Object} 200 response - API Gateway accepts the connection
+ */
+export const handler = middy(async (event) => {
+  // Reset sampling calculation to determine if this invocation should log debug messages
+  logger.refreshSampleRateCalculation();
+
+  const { connectionId, authorizer } = event.requestContext;
+  const now = new Date();
+
+  await dynamodb.send(
+    new PutCommand({
+      TableName: tableName,
+      Item: {
+        userId: authorizer.sub, // Cognito sub of the user, from authorize-connection
+        connectionId,
+        connectedAt: now.toISOString(),
+        expiresAt: Math.floor(now.getTime() / 1000) + MAX_CONNECTION_SECONDS,
+      },
+    })
+  );
+
+  logger.debug('opened connection', { connectionId, userId: authorizer.sub });
+
+  return { statusCode: 200 };
+})
+  // Automatically inject Lambda context (request ID, function name, etc.) into all log messages
+  .use(injectLambdaContext(logger))
+  // Add ##functions/open-connection.handler segment to the X-Ray trace, and captures cold start, service name, and response of the invocation
+  .use(captureLambdaHandler(tracer))
+  // Publish the metrics of the invocation (and a ColdStart metric on the first one) when the handler finishes
+  .use(logMetrics(metrics, { captureColdStartMetric: true }));
@@ -2,15 +2,24 @@
  * Place Order Lambda Function
  *
  * This function handles the POST /orders endpoint to place new food orders.
- * It generates a unique order ID and publishes an event to EventBridge for asynchronous processing by other services.
+ * The request body carries a cart of menu item IDs and quantities:
+ *   { "restaurantName": "Fangtasia", "items": [{ "itemId": "tru-blood", "quantity": 2 }] }
  *
- * NOTE:
- * For production, it's recommended to persist orders in a DynamoDB table for data integrity, auditing, recoverability, and business intelligence.
- * We're skipping this in the demo to focus on event processing.
+ * Each item is checked against the restaurant's menu and priced on the server (subtotal, tax and total),
+ * so clients can never dictate what they pay.
+ * It generates a unique order ID and saves the order in the orders table - the source of truth for orders.
+ *
+ * The order_placed event (with the priced cart) is not published from here: it's written to the outbox table in the
+ * same DynamoDB transaction as the order, and the relay-outbox function publishes it to EventBridge from the outbox
+ * table stream (see functions/lib/outbox.mjs). So an order the client is told about always reaches the bus, and no
+ * event is published for an order that wasn't saved.
+ * The event carries the correlation ID of the request, so the whole order flow logs with the same ID, and is checked
+ * against the order_placed contract before it's written (see functions/lib/events.mjs).
  */
 
-// AWS SDK v3 import for EventBridge operations
-import { EventBridgeClient, PutEventsCommand } from '@aws-sdk/client-eventbridge';
+// AWS SDK v3 imports for DynamoDB operations (used to load the restaurant's menu, and to save the order)
+import { DynamoDB } from '@aws-sdk/client-dynamodb';
+import { DynamoDBDocumentClient, GetCommand, TransactWriteCommand } from '@aws-sdk/lib-dynamodb';
 
 // AWS Lambda Powertools utilities
 // Logger with output structured as JSON
@@ -19,6 +28,9 @@ import { injectLambdaContext } from '@aws-lambda-powertools/logger/middleware';
 // Opinionated wrapper for AWS X-Ray
 import { Tracer } from '@aws-lambda-powertools/tracer';
 import { captureLambdaHandler } from '@aws-lambda-powertools/tracer/middleware';
+// Business metrics, published as CloudWatch Embedded Metric Format (EMF) log lines
+import { Metrics, MetricUnit } from '@aws-lambda-powertools/metrics';
+import { logMetrics } from '@aws-lambda-powertools/metrics/middleware';
 
 // Middy is a middleware engine designed for serverless functions, enabling us to execute custom logic
 // before and after our main handler code runs.
@@ -26,28 +38,189 @@ import { captureLambdaHandler } from '@aws-lambda-powertools/tracer/middleware';
 // https://middy.js.org/docs/intro/how-it-works/
 // @middy/core: Middleware to simplify common Lambda tasks
 import middy from '@middy/core';
+// @middy/ssm: Middleware that automatically loads parameters from AWS SSM Parameter Store during cold starts
+// and caches them for subsequent invocations, improving performance
+import ssm from '@middy/ssm';
 
 // Chance library for generating random values (used for order IDs)
 import { Chance } from 'chance';
 
+// Request validation and error responses, shared with the other HTTP functions
+import { HttpError, httpErrorHandler, validateRequest } from '@big-mouth/lib/http';
+// Correlation IDs, shared with the other functions
+import { fromHttpRequest, injectCorrelationId } from '@big-mouth/lib/correlation';
+// Transactional outbox, shared with the relay-outbox function
+import { outboxEntry } from '@big-mouth/lib/outbox';
+// Event contracts, shared with the consumers of the order_placed event
+import { eventDetail } from '@big-mouth/lib/events';
+
 // Initialize structured logger with service name from environment
 const logger = new Logger({ serviceName: process.env.service_name });
 
-// Initialize EventBridge client (created outside handler for connection reuse)
-const eventBridge = new EventBridgeClient();
+// Initialize metrics with the service and the stage as dimensions (namespace from POWERTOOLS_METRICS_NAMESPACE)
+const metrics = new Metrics({
+  serviceName: process.env.service_name,
+  defaultDimensions: { stage: process.env.stage_name },
+});
 
 // Initialize X-Ray tracer with service name for distributed tracing
 // Creating a Tracer would automatically capture outgoing HTTP requests
 const tracer = new Tracer({ serviceName: process.env.service_name });
 
-// Capture EventBridge operations in X-Ray traces for performance monitoring
-tracer.captureAWSv3Client(eventBridge);
+// Initialize DynamoDB clients (created outside handler for connection reuse)
+const dynamodbClient = new DynamoDB({});
+const dynamodb = DynamoDBDocumentClient.from(dynamodbClient);
+
+// Capture DynamoDB operations in X-Ray traces for performance monitoring (e.g. DynamoDB GetItem API call)
+tracer.captureAWSv3Client(dynamodb);
 
 // Initialize Chance library for random ID generation
 const chance = Chance();
 
-// Get EventBridge bus name from environment variables
-const busName = process.env.bus_name;
+// Get configuration from environment variables
+const { service_name, ssm_stage_name } = process.env;
+const tableName = process.env.restaurants_table; // DynamoDB restaurants table (holds the menus)
+const ordersTableName = process.env.orders_table; // DynamoDB orders table
+const outboxTableName = process.env.outbox_table; // DynamoDB outbox table (events waiting to be published)
+
+// Upper bound for the quantity of a single cart line - protects against typos (and abuse) such as 1000 burgers
+const MAX_QUANTITY = 50;
+
+// Shape of the request body - malformed carts are rejected (400) before touching DynamoDB
+const bodySchema = {
+  type: 'object',
+  required: ['restaurantName', 'items'],
+  properties: {
+    restaurantName: { type: 'string', minLength: 1 },
+    items: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['itemId', 'quantity'],
+        properties: {
+          itemId: { type: 'string', minLength: 1 },
+          quantity: { type: 'integer', minimum: 1, maximum: MAX_QUANTITY },
+        },
+      },
+    },
+  },
+};
+
+// Load a restaurant (including its menu) from DynamoDB
+const getRestaurant = async (restaurantName) => {
+  logger.debug('getting restaurant from DynamoDB...', { restaurantName, tableName });
+
+  const resp = await dynamodb.send(
+    new GetCommand({
+      TableName: tableName,
+      Key: { name: restaurantName }, // restaurant name is the primary key
+    })
+  );
+
+  return resp.Item; // undefined if the restaurant doesn't exist
+};
+
+/**
+ * Prices the cart against the restaurant's menu
+ *
+ * All amounts are integers in the smallest currency unit (cents), so no floating point rounding errors creep
+ * into the totals. Duplicate cart lines for the same menu item are merged.
+ *
+ * @param {Object} menu - Restaurant menu ({ sections: [{ items: [{ id, name, price, available }] }] })
+ * @param {Array} items - Cart lines sent by the client
+ * @param {number} taxRate - Sales tax rate (e.g. 0.08 for 8%)
+ * @returns {Object} { unknownItems } if some items can't be ordered, otherwise the priced cart
+ */
+const priceOrder = (menu, items, taxRate) => {
+  // Index the menu items by ID for fast lookups
+  const menuItems = new Map();
+  for (const section of menu?.sections ?? []) {
+    for (const menuItem of section.items ?? []) {
+      menuItems.set(menuItem.id, menuItem);
+    }
+  }
+
+  // Merge quantities of duplicate cart lines (preserving the order in which items were first added)
+  const quantities = new Map();
+  for (const { itemId, quantity } of items) {
+    quantities.set(itemId, (quantities.get(itemId) ?? 0) + quantity);
+  }
+
+  // Items that are not on the menu, or are currently unavailable, can't be ordered
+  const unknownItems = [...quantities.keys()].filter((itemId) => {
+    const menuItem = menuItems.get(itemId);
+    return !menuItem || menuItem.available === false;
+  });
+  if (unknownItems.length > 0) {
+    return { unknownItems };
+  }
+
+  const lines = [...quantities].map(([itemId, quantity]) => {
+    const { name, price } = menuItems.get(itemId);
+    return {
+      itemId,
+      name,
+      unitPrice: price,
+      quantity,
+      lineTotal: price * quantity,
+    };
+  });
+
+  const subtotal = lines.reduce((sum, line) => sum + line.lineTotal, 0);
+  // Round half up to the nearest cent, in integers: the rate in basis points (0.0875 -> 875), as floating point
+  // products land just below the half cent (360 * 0.0875 = 31.499999999999996)
+  const taxBasisPoints = Math.round(taxRate * 10000);
+  const tax = Math.floor((subtotal * taxBasisPoints + 5000) / 10000);
+
+  return {
+    items: lines,
+    subtotal,
+    tax,
+    total: subtotal + tax,
+  };
+};
+
+/**
+ * Saves the order, and its order_placed event in the outbox, in one transaction
+ * @param {Object} order - The priced order (as returned to the client)
+ * @param {string} correlationId - Correlation ID of the request, saved with the order and passed on with the event
+ */
+const saveOrder = async (order, correlationId) => {
+  const { orderId, ...details } = order;
+
+  await dynamodb.send(
+    new TransactWriteCommand({
+      TransactItems: [
+        {
+          Put: {
+            TableName: ordersTableName,
+            Item: {
+              id: orderId,
+              ...details, // userId, restaurantName, priced cart (amounts in cents), currency and createdAt
+              status: 'PLACED', // Updated by the order flow once the restaurant responds (ACCEPTED, REJECTED or TIMED_OUT)
+              updatedAt: order.createdAt,
+              correlationId, // Ties the order to the logs of the request that placed it
+            },
+            // Order IDs are random - never overwrite an existing order
+            ConditionExpression: 'attribute_not_exists(id)',
+          },
+        },
+        {
+          Put: {
+            TableName: outboxTableName,
+            Item: outboxEntry({
+              source: 'big-mouth', // Event source identifier
+              detailType: 'order_placed', // Event type for filtering
+              // Event payload: the priced order and the correlation ID, checked against the order_placed contract
+              detail: eventDetail('order_placed', { ...order, correlationId }),
+            }),
+          },
+        },
+      ],
+    })
+  );
+};
 
 /**
  * Lambda handler function for placing orders
@@ -58,49 +231,96 @@ export const handler = middy(async (event, context) => {
   // Reset sampling calculation to determine if this invocation should log debug messages
   logger.refreshSampleRateCalculation();
 
-  // Extract restaurant name from the request body
-  const restaurantName = JSON.parse(event.body).restaurantName;
+  // Extract restaurant name and cart from the request body (parsed and validated by the validateRequest middleware)
+  const { restaurantName, items } = event.body;
+
+  const restaurant = await getRestaurant(restaurantName);
+  if (!restaurant) {
+    throw new HttpError(404, `restaurant [${restaurantName}] not found`); // HTTP Not Found
+  }
+
+  // Restaurants seeded before the menus (see seed-restaurants.mjs) have none - nothing can be ordered from them yet
+  if (!restaurant.menu) {
+    throw new HttpError(422, `restaurant [${restaurantName}] has no menu`); // HTTP Unprocessable Content
+  }
+
+  // Work out the price on the server - the client only tells us WHAT it wants, never how much it costs
+  const { currency, taxRate } = context.config;
+  const pricedOrder = priceOrder(restaurant.menu, items, taxRate);
+  if (pricedOrder.unknownItems) {
+    logger.debug('cart contains items that are not available', {
+      restaurantName,
+      unknownItems: pricedOrder.unknownItems,
+    });
+    throw new HttpError(422, `items not available at [${restaurantName}]: ${pricedOrder.unknownItems.join(', ')}`); // HTTP Unprocessable Content
+  }
 
   // Generate a unique order ID using chance library
   const orderId = chance.guid();
 
-  // console.log(`placing order ID [${orderId}] to [${restaurantName}]`);
-  logger.debug('placing order...', { orderId, restaurantName });
-
-  // Create an EventBridge event for the order
-  const putEvent = new PutEventsCommand({
-    Entries: [
-      {
-        Source: 'big-mouth', // Event source identifier
-        DetailType: 'order_placed', // Event type for filtering
-        Detail: JSON.stringify({
-          // Event payload as JSON string
-          orderId,
-          restaurantName,
-        }),
-        EventBusName: busName, // Target event bus from environment
-      },
-    ],
-  });
+  // The Cognito authorizer puts the claims of the caller's ID token in the request context
+  // 'sub' is the unique and immutable identifier of the user - it links the order to the user who placed it
+  const userId = event.requestContext.authorizer.claims.sub;
 
-  // Publish the event to EventBridge
-  await eventBridge.send(putEvent);
+  // The priced order - this is what is saved, and what downstream consumers (notify-restaurant, seed-orders) receive
+  const order = {
+    orderId,
+    userId,
+    restaurantName,
+    ...pricedOrder,
+    currency,
+    createdAt: new Date().toISOString(),
+  };
 
-  // console.log(`published 'order_placed' event into EventBridge`);
-  logger.debug(`published event into EventBridge`, {
+  logger.debug('placing order...', { orderId, restaurantName, total: order.total, currency });
+
+  // Save the order - the relay-outbox function publishes the order_placed event once the transaction is committed
+  await saveOrder(order, context.correlationId);
+
+  logger.debug('saved order, and its event in the outbox', {
     eventType: 'order_placed',
-    busName,
+    ordersTableName,
+    outboxTableName,
   });
 
-  // Return success response with the generated order ID
+  // Count the order, per restaurant
+  metrics.addDimension('restaurantName', restaurantName);
+  metrics.addMetric('OrdersPlaced', MetricUnit.Count, 1);
+
+  // Return success response with the generated order ID and the server-side pricing
   const response = {
     statusCode: 200, // HTTP 200 OK
-    body: JSON.stringify({ orderId }), // Include order ID in response
+    body: JSON.stringify(order), // Include order ID and priced cart in response
   };
 
   return response;
 })
+  // Turn errors into JSON error responses - used first, so it handles the errors after the other middlewares did
+  .use(httpErrorHandler({ logger }))
+  .use(
+    // configuration of middy SSM middleware, https://middy.js.org/docs/intro/how-it-works/
+    ssm({
+      // cache the SSM parameter value, so we don't hammer SSM Parameter Store with requests.
+      cache: true,
+      // under a key of our own - in the dev server (and the local test mode) the functions share a process
+      cacheKey: 'place-order-ssm',
+      // cached value to expire after 1 minute, so a change of tax rate is picked up without needing a deployment.
+      cacheExpiry: 1 * 60 * 1000,
+      // set the SSM parameter value to the Lambda context, so we can access it in our handler
+      setToContext: true,
+      // config is a JSON document, e.g. { "currency": "USD", "taxRate": 0.08 }
+      fetchData: {
+        config: `/${service_name}/${ssm_stage_name}/place-order/config`,
+      },
+    })
+  )
   // Automatically inject Lambda context (request ID, function name, etc.) into all log messages
   .use(injectLambdaContext(logger))
+  // Take the correlation ID from the x-correlation-id header (or the API Gateway request ID) and add it to all log messages
+  .use(injectCorrelationId({ logger, from: fromHttpRequest }))
   // Add ##functions/place-order.handler segment to the X-Ray trace, and captures cold start, service name, and response of the invocation
-  .use(captureLambdaHandler(tracer));
+  .use(captureLambdaHandler(tracer))
+  // Publish the metrics of the invocation (and a ColdStart metric on the first one) when the handler finishes
+  .use(logMetrics(metrics, { captureColdStartMetric: true }))
+  // Parse the JSON body and check it against the schema before the handler runs
+  .use(validateRequest({ body: bodySchema }));
@@ -0,0 +1,167 @@
+/**
+ * Push Order Status Lambda Function
+ *
+ * This function is triggered by order_accepted, order_rejected and order_timed_out events from EventBridge.
+ * It pushes the new status of the order to the WebSocket connections of the customer who placed it, so the landing
+ * page shows it live: we look up the order (the events only carry its ID), the customer's connections (recorded by
+ * open-connection), and post the update to each of them through the API Gateway management API.
+ *
+ * Connections that are gone (closed without a $disconnect, or expired) are deleted. Pushing an update twice is
+ * harmless - it's the order's current status - so when a push fails, the invocation fails and Lambda retries it.
+ */
+
+// AWS SDK v3 imports for DynamoDB operations
+import { DynamoDB } from '@aws-sdk/client-dynamodb';
+import { DynamoDBDocumentClient, DeleteCommand, GetCommand, QueryCommand } from '@aws-sdk/lib-dynamodb';
+// AWS SDK v3 imports for the API Gateway management API (posts to the WebSocket connections)
+import {
+  ApiGatewayManagementApiClient,
+  GoneException,
+  PostToConnectionCommand,
+} from '@aws-sdk/client-apigatewaymanagementapi';
+
+// AWS Lambda Powertools utilities
+// Logger with output structured as JSON
+import { Logger } from '@aws-lambda-powertools/logger';
+import { injectLambdaContext } from '@aws-lambda-powertools/logger/middleware';
+// Opinionated wrapper for AWS X-Ray
+import { Tracer } from '@aws-lambda-powertools/tracer';
+import { captureLambdaHandler } from '@aws-lambda-powertools/tracer/middleware';
+// Business metrics, published as CloudWatch Embedded Metric Format (EMF) log lines
+import { Metrics, MetricUnit } from '@aws-lambda-powertools/metrics';
+import { logMetrics } from '@aws-lambda-powertools/metrics/middleware';
+
+// Middy is a middleware engine designed for serverless functions, enabling us to execute custom logic
+// before and after our main handler code runs.
+// https://github.com/middyjs/middy
+// https://middy.js.org/docs/intro/how-it-works/
+// @middy/core: Middleware to simplify common Lambda tasks
+import middy from '@middy/core';
+
+// Correlation IDs, shared with the other functions of the order flow
+import { fromEventBridge, injectCorrelationId } from '@big-mouth/lib/correlation';
+// Event contracts, shared with the order flow state machine publishing the events
+import { validateEvent } from '@big-mouth/lib/events';
+
+// Initialize structured logger with service name from environment
+const logger = new Logger({ serviceName: process.env.service_name });
+
+// Initialize metrics with the service and the stage as dimensions (namespace from POWERTOOLS_METRICS_NAMESPACE)
+const metrics = new Metrics({
+  serviceName: process.env.service_name,
+  defaultDimensions: { stage: process.env.stage_name },
+});
+
+// Initialize clients (created outside handler for connection reuse)
+const dynamodbClient = new DynamoDB({});
+const dynamodb = DynamoDBDocumentClient.from(dynamodbClient);
+// The management API of the WebSocket API's stage, e.g. https://{api-id}.execute-api.{region}.amazonaws.com/{stage}
+const apiGateway = new ApiGatewayManagementApiClient({ endpoint: process.env.websocket_management_endpoint });
+
+// Initialize X-Ray tracer with service name for distributed tracing
+const tracer = new Tracer({ serviceName: process.env.service_name });
+
+// Capture the AWS operations in X-Ray traces for performance monitoring
+tracer.captureAWSv3Client(dynamodb);
+tracer.captureAWSv3Client(apiGateway);
+
+// Environment variables
+const ordersTableName = process.env.orders_table; // DynamoDB orders table
+const connectionsTableName = process.env.connections_table; // DynamoDB table of the WebSocket connections
+
+// Loads the order of the event
+const getOrder = async (orderId) => {
+  const resp = await dynamodb.send(new GetCommand({ TableName: ordersTableName, Key: { id: orderId } }));
+  return resp.Item;
+};
+
+// The IDs of the open WebSocket connections of a user
+const connectionsOf = async (userId) => {
+  const resp = await dynamodb.send(
+    new QueryCommand({
+      TableName: connectionsTableName,
+      KeyConditionExpression: 'userId = :userId',
+      ExpressionAttributeValues: { ':userId': userId },
+    })
+  );
+  return resp.Items.map((x) => x.connectionId);
+};
+
+/**
+ * Posts a message to a connection
+ * @returns {boolean} false if the connection is gone - its record is deleted
+ */
+const postToConnection = async (userId, connectionId, message) => {
+  try {
+    await apiGateway.send(new PostToConnectionCommand({ ConnectionId: connectionId, Data: JSON.stringify(message) }));
+    return true;
+  } catch (error) {
+    if (!(error instanceof GoneException)) {
+      throw error;
+    }
+    await dynamodb.send(new DeleteCommand({ TableName: connectionsTableName, Key: { userId, connectionId } }));
+    logger.debug('deleted gone connection', { connectionId, userId });
+    return false;
+  }
+};
+
+/**
+ * Lambda handler function - pushes the status of the order to its customer's connections
+ * @param {Object} event - EventBridge event (order_accepted, order_rejected or order_timed_out)
+ */
+export const handler = middy(async (event) => {
+  // Reset sampling calculation to determine if this invocation should log debug messages
+  logger.refreshSampleRateCalculation();
+
+  // Validated, and upcast to the current version, by the validateEvent middleware
+  const { orderId } = event.detail;
+
+  const order = await getOrder(orderId);
+  if (!order) {
+    // Nothing can make it pushable later - log it and move on rather than having Lambda retry
+    logger.warn('order of event not found', { orderId, detailType: event['detail-type'] });
+    return;
+  }
+
+  // What the page shows - the current status of the order, whichever event got us here
+  const message = {
+    type: 'order_status',
+    orderId,
+    restaurantName: order.restaurantName,
+    status: order.status,
+    estimatedPrepMinutes: order.estimatedPrepMinutes,
+    rejectReason: order.rejectReason,
+    updatedAt: order.updatedAt,
+  };
+
+  let pushed = 0;
+  let failed = 0;
+  for (const connectionId of await connectionsOf(order.userId)) {
+    try {
+      if (await postToConnection(order.userId, connectionId, message)) {
+        pushed++;
+      }
+    } catch (error) {
+      logger.error('failed to push order status', { orderId, connectionId, error });
+      failed++;
+    }
+  }
+
+  logger.debug('pushed order status', { orderId, status: order.status, connections: pushed });
+  // Count the pushes - one per open page of the customer
+  metrics.addMetric('OrderStatusPushed', MetricUnit.Count, pushed);
+
+  if (failed) {
+    throw new Error(`failed to push the status of order ${orderId} to ${failed} connection(s)`);
+  }
+})
+  // Automatically inject Lambda context (request ID, function name, etc.) into all log messages
+  .use(injectLambdaContext(logger))
+  // Restore the correlation ID of the order (from the event detail) into all log messages
+  .use(injectCorrelationId({ logger, from: fromEventBridge }))
+  // Add ##functions/push-order-status.handler segment to the X-Ray trace, and captures cold start, service name, and response of the invocation
+  .use(captureLambdaHandler(tracer))
+  // Publish the metrics of the invocation (and a ColdStart metric on the first one) when the handler finishes
+  .use(logMetrics(metrics, { captureColdStartMetric: true }))
+  // Check the event against its contract - events that break it fail
+  .use(validateEvent({ logger }));
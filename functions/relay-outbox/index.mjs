@@ -0,0 +1,162 @@
+/**
+ * Relay Outbox Lambda Function
+ *
+ * This function is triggered by the DynamoDB stream of the outbox table (INSERT records only, NEW_IMAGE).
+ * It publishes the events other functions wrote to the outbox - in the same transaction as the data they are about -
+ * to EventBridge (see functions/lib/outbox.mjs). place-order uses it for the order_placed events, and cancel-order for
+ * the order_cancelled events.
+ *
+ * Entries PutEvents couldn't publish (FailedEntryCount) are retried with exponential backoff. When they still fail,
+ * the first record that wasn't published is reported with ReportBatchItemFailures: Lambda retries from there until
+ * it succeeds (the event source mapping has no retry limit). The stream keeps records for 24 hours, so the iterator
+ * age alarms go off long before a record could leave it unpublished.
+ * Some of the records retried may have been published already, so events are delivered at least once.
+ */
+
+// AWS SDK v3 import for EventBridge operations
+import { EventBridgeClient, PutEventsCommand } from '@aws-sdk/client-eventbridge';
+// Converts the DynamoDB JSON of stream records ({ "S": "..." }) to plain JavaScript objects
+import { unmarshall } from '@aws-sdk/util-dynamodb';
+
+// AWS Lambda Powertools utilities
+// Logger with output structured as JSON
+import { Logger } from '@aws-lambda-powertools/logger';
+import { injectLambdaContext } from '@aws-lambda-powertools/logger/middleware';
+// Opinionated wrapper for AWS X-Ray
+import { Tracer } from '@aws-lambda-powertools/tracer';
+import { captureLambdaHandler } from '@aws-lambda-powertools/tracer/middleware';
+// Business metrics, published as CloudWatch Embedded Metric Format (EMF) log lines
+import { Metrics, MetricUnit } from '@aws-lambda-powertools/metrics';
+import { logMetrics } from '@aws-lambda-powertools/metrics/middleware';
+
+// Middy is a middleware engine designed for serverless functions, enabling us to execute custom logic
+// before and after our main handler code runs.
+// https://github.com/middyjs/middy
+// https://middy.js.org/docs/intro/how-it-works/
+// @middy/core: Middleware to simplify common Lambda tasks
+import middy from '@middy/core';
+
+// Transactional outbox, shared with the functions writing to it
+import { toPutEventsEntry } from '@big-mouth/lib/outbox';
+
+// Initialize structured logger with service name from environment
+const logger = new Logger({ serviceName: process.env.service_name });
+
+// Initialize metrics with the service and the stage as dimensions (namespace from POWERTOOLS_METRICS_NAMESPACE)
+const metrics = new Metrics({
+  serviceName: process.env.service_name,
+  defaultDimensions: { stage: process.env.stage_name },
+});
+
+// Initialize EventBridge client (created outside handler for connection reuse)
+const eventBridge = new EventBridgeClient();
+
+// Initialize X-Ray tracer with service name for distributed tracing
+// Creating a Tracer would automatically capture outgoing HTTP requests
+const tracer = new Tracer({ serviceName: process.env.service_name });
+
+// Capture EventBridge operations in X-Ray traces for performance monitoring
+tracer.captureAWSv3Client(eventBridge);
+
+// Environment variables
+const busName = process.env.bus_name; // EventBridge bus name
+
+// PutEvents accepts up to 10 entries, and may fail some of them (e.g. when throttled)
+const BATCH_SIZE = 10;
+const MAX_ATTEMPTS = 5;
+
+/**
+ * Publishes a batch of outbox entries, retrying the failed ones with exponential backoff
+ * @param {Array} entries - Outbox table items (at most BATCH_SIZE)
+ * @returns {number} Index of the first entry that couldn't be published, or -1 if all of them were
+ */
+const publish = async (entries) => {
+  let pending = entries.map((_, index) => index);
+
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    if (attempt > 1) {
+      await new Promise((resolve) => setTimeout(resolve, 50 * 2 ** attempt));
+    }
+
+    const resp = await eventBridge.send(
+      new PutEventsCommand({ Entries: pending.map((index) => toPutEventsEntry(entries[index], busName)) })
+    );
+    if (!resp.FailedEntryCount) {
+      return -1;
+    }
+
+    // Result entries are in the same order as the request entries - the failed ones have an ErrorCode
+    const failed = pending.filter((_, i) => resp.Entries[i]?.ErrorCode);
+    logger.warn('some events were not published', {
+      attempt,
+      failed: failed.length,
+      errorCodes: [...new Set(resp.Entries.map((x) => x.ErrorCode).filter(Boolean))],
+    });
+    pending = failed;
+  }
+
+  return pending[0];
+};
+
+/**
+ * Lambda handler function - publishes a batch of new outbox entries to EventBridge
+ * @param {Object} event - DynamoDB stream event
+ * @returns {Object} { batchItemFailures } - the first record that couldn't be published, if any
+ */
+export const handler = middy(async (event, context) => {
+  // Reset sampling calculation to determine if this invocation should log debug messages
+  logger.refreshSampleRateCalculation();
+
+  // The event source mapping only delivers INSERT records - entries are never updated, and expire with a TTL
+  const records = event.Records.filter((record) => record.eventName === 'INSERT');
+
+  // Count the events published by the invocation
+  let publishedCount = 0;
+
+  for (let i = 0; i < records.length; i += BATCH_SIZE) {
+    const batch = records.slice(i, i + BATCH_SIZE);
+    const entries = batch.map((record) => unmarshall(record.dynamodb.NewImage));
+
+    let failedAt;
+    try {
+      failedAt = await publish(entries);
+    } catch (error) {
+      logger.error('failed to publish events', { error });
+      failedAt = 0;
+    }
+
+    const published = failedAt === -1 ? entries : entries.slice(0, failedAt);
+    for (const entry of published) {
+      logger.debug('published event into EventBridge', {
+        eventType: entry.detailType,
+        outboxId: entry.id,
+        // Each entry belongs to a different request - log the correlation ID of its own
+        correlationId: JSON.parse(entry.detail).correlationId,
+        busName,
+      });
+    }
+    publishedCount += published.length;
+
+    if (failedAt !== -1) {
+      logger.error('events still not published, retrying from the first of them', {
+        outboxId: entries[failedAt].id,
+        eventID: batch[failedAt].eventID,
+      });
+
+      metrics.addMetric('OutboxEventsPublished', MetricUnit.Count, publishedCount);
+
+      // Lambda retries the batch from this record - the records after it are processed again then
+      return { batchItemFailures: [{ itemIdentifier: batch[failedAt].dynamodb.SequenceNumber }] };
+    }
+  }
+
+  metrics.addMetric('OutboxEventsPublished', MetricUnit.Count, publishedCount);
+
+  return { batchItemFailures: [] };
+})
+  // Automatically inject Lambda context (request ID, function name, etc.) into all log messages
+  .use(injectLambdaContext(logger))
+  // Add ##functions/relay-outbox.handler segment to the X-Ray trace, and captures cold start, service name, and response of the invocation
+  .use(captureLambdaHandler(tracer))
+  // Publish the metrics of the invocation (and a ColdStart metric on the first one) when the handler finishes
+  .use(logMetrics(metrics, { captureColdStartMetric: true }));
@@ -0,0 +1,284 @@
+/**
+ * Respond To Order Lambda Function
+ *
+ * This function handles the POST /orders/{id}/accept and POST /orders/{id}/reject endpoints.
+ * Restaurants use them to answer the "Notify restaurant" step of the order flow, instead of calling
+ * `aws stepfunctions send-task-success` with a raw task token:
+ *   POST /orders/{id}/accept  { "estimatedPrepMinutes": 20 }
+ *   POST /orders/{id}/reject  { "reason": "Out of garlic-free fries" }
+ *
+ * Only restaurant users can respond, and only to orders placed with their own restaurant. A restaurant user is a
+ * Cognito user with the `custom:restaurant_name` attribute (set by an administrator - app clients can't write it).
+ *
+ * The task token is saved on the order by the save-task-token function. The decision is recorded on the order
+ * with a conditional write before the state machine is resumed, so an order can only be decided once.
+ * Both accepting and rejecting are business outcomes, so both resume the state machine with SendTaskSuccess
+ * (see docs/step-functions-workflow.md).
+ */
+
+// AWS SDK v3 imports for DynamoDB operations
+import { DynamoDB } from '@aws-sdk/client-dynamodb';
+import { DynamoDBDocumentClient, GetCommand, UpdateCommand } from '@aws-sdk/lib-dynamodb';
+// AWS SDK v3 imports for Step Functions operations (used to resume the waiting order flow)
+import { SFNClient, SendTaskSuccessCommand } from '@aws-sdk/client-sfn';
+
+// AWS Lambda Powertools utilities
+// Logger with output structured as JSON
+import { Logger } from '@aws-lambda-powertools/logger';
+import { injectLambdaContext } from '@aws-lambda-powertools/logger/middleware';
+// Opinionated wrapper for AWS X-Ray
+import { Tracer } from '@aws-lambda-powertools/tracer';
+import { captureLambdaHandler } from '@aws-lambda-powertools/tracer/middleware';
+// Business metrics, published as CloudWatch Embedded Metric Format (EMF) log lines
+import { Metrics, MetricUnit } from '@aws-lambda-powertools/metrics';
+import { logMetrics } from '@aws-lambda-powertools/metrics/middleware';
+
+// Middy is a middleware engine designed for serverless functions, enabling us to execute custom logic
+// before and after our main handler code runs.
+// https://github.com/middyjs/middy
+// https://middy.js.org/docs/intro/how-it-works/
+// @middy/core: Middleware to simplify common Lambda tasks
+import middy from '@middy/core';
+
+// Request validation and error responses, shared with the other HTTP functions
+import { HttpError, httpErrorHandler, validateRequest } from '@big-mouth/lib/http';
+// Correlation IDs, shared with the other functions
+import { fromHttpRequest, injectCorrelationId } from '@big-mouth/lib/correlation';
+
+// Initialize structured logger with service name from environment
+const logger = new Logger({ serviceName: process.env.service_name });
+
+// Initialize metrics with the service and the stage as dimensions (namespace from POWERTOOLS_METRICS_NAMESPACE)
+const metrics = new Metrics({
+  serviceName: process.env.service_name,
+  defaultDimensions: { stage: process.env.stage_name },
+});
+
+// Initialize clients (created outside handler for connection reuse)
+const dynamodbClient = new DynamoDB({});
+const dynamodb = DynamoDBDocumentClient.from(dynamodbClient);
+const sfn = new SFNClient();
+
+// Initialize X-Ray tracer with service name for distributed tracing
+// Creating a Tracer would automatically capture outgoing HTTP requests
+const tracer = new Tracer({ serviceName: process.env.service_name });
+
+// Capture DynamoDB operations in X-Ray traces for performance monitoring (e.g. DynamoDB GetItem API call)
+tracer.captureAWSv3Client(dynamodb);
+
+// Capture Step Functions operations in X-Ray traces for performance monitoring
+tracer.captureAWSv3Client(sfn);
+
+// Environment variables
+const tableName = process.env.orders_table; // DynamoDB orders table
+
+// Bounds for the restaurant's input
+const MAX_PREP_MINUTES = 240;
+const MAX_REASON_LENGTH = 500;
+
+// Errors returned by SendTaskSuccess when the state machine stopped waiting for the task token
+// (the "Notify restaurant" step timed out, or the execution is no longer running)
+const EXPIRED_TOKEN_ERRORS = ['TaskTimedOut', 'TaskDoesNotExist'];
+
+// The decision is given by the endpoint - both endpoints share this function
+const decisionOf = (event) => (event.resource.endsWith('/accept') ? 'ACCEPTED' : 'REJECTED');
+
+// Shape of the path parameters and of the request body of each endpoint
+const pathSchema = {
+  type: 'object',
+  required: ['id'],
+  properties: {
+    id: { type: 'string', minLength: 1, maxLength: 100 },
+  },
+};
+const bodySchemas = {
+  ACCEPTED: {
+    type: 'object',
+    required: ['estimatedPrepMinutes'],
+    properties: {
+      estimatedPrepMinutes: { type: 'integer', minimum: 1, maximum: MAX_PREP_MINUTES },
+    },
+  },
+  REJECTED: {
+    type: 'object',
+    required: ['reason'],
+    properties: {
+      reason: { type: 'string', minLength: 1, maxLength: MAX_REASON_LENGTH },
+    },
+  },
+};
+
+// Load an order from DynamoDB
+const getOrder = async (orderId) => {
+  logger.debug('getting order from DynamoDB...', { orderId, tableName });
+
+  const resp = await dynamodb.send(
+    new GetCommand({
+      TableName: tableName,
+      Key: { id: orderId },
+    })
+  );
+
+  return resp.Item; // undefined if the order doesn't exist
+};
+
+/**
+ * Records the restaurant's decision on the order, as long as the order is still waiting for one
+ * @returns {boolean} false if the order was decided (or stopped waiting) in the meantime
+ */
+const recordDecision = async (order, decision, details, decidedBy) => {
+  const names = { '#status': 'status' };
+  const values = {
+    ':placed': 'PLACED',
+    ':taskToken': order.taskToken,
+    ':decision': decision,
+    ':decidedAt': new Date().toISOString(),
+    ':decidedBy': decidedBy,
+  };
+  let updateExpression = 'SET decision = :decision, decidedAt = :decidedAt, decidedBy = :decidedBy';
+
+  if (decision === 'ACCEPTED') {
+    updateExpression += ', estimatedPrepMinutes = :estimatedPrepMinutes';
+    values[':estimatedPrepMinutes'] = details.estimatedPrepMinutes;
+  } else {
+    updateExpression += ', rejectReason = :rejectReason';
+    values[':rejectReason'] = details.reason;
+  }
+
+  try {
+    await dynamodb.send(
+      new UpdateCommand({
+        TableName: tableName,
+        Key: { id: order.id },
+        UpdateExpression: updateExpression,
+        // Another request may have decided the order since we loaded it
+        ConditionExpression: '#status = :placed AND taskToken = :taskToken AND attribute_not_exists(decision)',
+        ExpressionAttributeNames: names,
+        ExpressionAttributeValues: values,
+      })
+    );
+    return true;
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      return false;
+    }
+    throw error;
+  }
+};
+
+// Removes a recorded decision again, when the state machine couldn't be resumed with it
+const clearDecision = async (orderId) => {
+  await dynamodb.send(
+    new UpdateCommand({
+      TableName: tableName,
+      Key: { id: orderId },
+      UpdateExpression: 'REMOVE decision, decidedAt, decidedBy, estimatedPrepMinutes, rejectReason',
+    })
+  );
+};
+
+/**
+ * Lambda handler function - accepts or rejects an order on behalf of the restaurant it was placed with
+ * @param {Object} event - API Gateway event object (order ID in the {id} path parameter, decision in the resource path)
+ * @returns {Object} HTTP response with the recorded decision
+ */
+export const handler = middy(async (event, context) => {
+  // Reset sampling calculation to determine if this invocation should log debug messages
+  logger.refreshSampleRateCalculation();
+
+  const orderId = event.pathParameters.id;
+  const decision = decisionOf(event);
+  const body = event.body; // Parsed and validated by the validateRequest middleware
+
+  // The Cognito authorizer puts the claims of the caller's ID token in the request context
+  const { claims } = event.requestContext.authorizer;
+  const restaurantName = claims['custom:restaurant_name'];
+
+  if (!restaurantName) {
+    throw new HttpError(403, 'only restaurant users can respond to orders'); // HTTP Forbidden
+  }
+
+  if (decision === 'REJECTED' && body.reason.trim() === '') {
+    throw new HttpError(400, 'reason must not be blank'); // HTTP Bad Request
+  }
+
+  const order = await getOrder(orderId);
+
+  // Treat other restaurants' orders as if they don't exist
+  if (!order || order.restaurantName !== restaurantName) {
+    logger.debug('order not found', { orderId, restaurantName, found: !!order });
+    throw new HttpError(404, `order [${orderId}] not found`); // HTTP Not Found
+  }
+
+  if (order.status === 'TIMED_OUT') {
+    throw new HttpError(410, `order [${orderId}] has expired`); // HTTP Gone
+  }
+
+  if (order.status === 'CANCELLED') {
+    throw new HttpError(410, `order [${orderId}] has been cancelled by the customer`); // HTTP Gone
+  }
+
+  if (order.status !== 'PLACED' || order.decision) {
+    throw new HttpError(409, `order [${orderId}] has already been decided`); // HTTP Conflict
+  }
+
+  // The task token is only there while the order flow is waiting in the "Notify restaurant" step
+  if (!order.taskToken) {
+    throw new HttpError(409, `order [${orderId}] is not waiting for a response from the restaurant`); // HTTP Conflict
+  }
+
+  if (!(await recordDecision(order, decision, body, claims.sub))) {
+    throw new HttpError(409, `order [${orderId}] has already been decided`); // HTTP Conflict
+  }
+
+  // Becomes notifyRestaurantResult in the order flow - the Choice state branches on isAccepted
+  const output =
+    decision === 'ACCEPTED'
+      ? { isAccepted: true, estimatedPrepMinutes: body.estimatedPrepMinutes }
+      : { isAccepted: false, reason: body.reason };
+
+  try {
+    await sfn.send(
+      new SendTaskSuccessCommand({
+        taskToken: order.taskToken,
+        output: JSON.stringify(output),
+      })
+    );
+  } catch (error) {
+    // Release the order, so the decision isn't left behind when the state machine didn't get it
+    await clearDecision(orderId);
+
+    if (EXPIRED_TOKEN_ERRORS.includes(error.name)) {
+      logger.debug('order flow is no longer waiting for the restaurant', { orderId, error: error.name });
+      throw new HttpError(410, `order [${orderId}] has expired`); // HTTP Gone
+    }
+    throw error;
+  }
+
+  logger.debug('restaurant responded to order', { orderId, restaurantName, decision });
+
+  // Count the rejected orders, per restaurant
+  if (decision === 'REJECTED') {
+    metrics.addDimension('restaurantName', restaurantName);
+    metrics.addMetric('OrdersRejected', MetricUnit.Count, 1);
+  }
+
+  const response = {
+    statusCode: 200, // HTTP OK status
+    body: JSON.stringify({ orderId, decision, ...output }),
+  };
+
+  return response;
+})
+  // Turn errors into JSON error responses - used first, so it handles the errors after the other middlewares did
+  .use(httpErrorHandler({ logger }))
+  // Automatically inject Lambda context (request ID, function name, etc.) into all log messages
+  .use(injectLambdaContext(logger))
+  // Take the correlation ID from the x-correlation-id header (or the API Gateway request ID) and add it to all log messages
+  .use(injectCorrelationId({ logger, from: fromHttpRequest }))
+  // Add ##functions/respond-to-order.handler segment to the X-Ray trace, and captures cold start, service name, and response of the invocation
+  .use(captureLambdaHandler(tracer))
+  // Publish the metrics of the invocation (and a ColdStart metric on the first one) when the handler finishes
+  .use(logMetrics(metrics, { captureColdStartMetric: true }))
+  // Check the path parameters and the body of the endpoint against their schemas before the handler runs
+  .use(validateRequest({ pathParameters: pathSchema, body: (event) => bodySchemas[decisionOf(event)] }));
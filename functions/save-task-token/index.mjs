@@ -0,0 +1,128 @@
+/**
+ * Save Task Token Lambda Function
+ *
+ * This function is subscribed to the restaurant notifications SNS topic.
+ * The "Notify restaurant" state of the order flow publishes a message with the order ID and the task token the
+ * state machine is waiting for (waitForTaskToken callback pattern).
+ * We save the task token on the order, so restaurants can accept or reject the order through the
+ * POST /orders/{id}/accept and POST /orders/{id}/reject endpoints without ever handling task tokens themselves.
+ *
+ * Customers can cancel the order before its task token arrives (DELETE /orders/{id}). The token of a cancelled order
+ * isn't saved - the order flow is resumed with { "isCancelled": true } right away instead.
+ *
+ * NOTE: the SNS subscription has a filter policy on the message body, so only messages that carry a task token
+ * are delivered to this function.
+ */
+
+// AWS SDK v3 imports for DynamoDB operations
+import { DynamoDB } from '@aws-sdk/client-dynamodb';
+import { DynamoDBDocumentClient, UpdateCommand } from '@aws-sdk/lib-dynamodb';
+// AWS SDK v3 imports for Step Functions operations (used to end the order flow of cancelled orders)
+import { SFNClient, SendTaskSuccessCommand } from '@aws-sdk/client-sfn';
+
+// AWS Lambda Powertools utilities
+// Logger with output structured as JSON
+import { Logger } from '@aws-lambda-powertools/logger';
+import { injectLambdaContext } from '@aws-lambda-powertools/logger/middleware';
+// Opinionated wrapper for AWS X-Ray
+import { Tracer } from '@aws-lambda-powertools/tracer';
+import { captureLambdaHandler } from '@aws-lambda-powertools/tracer/middleware';
+// Business metrics, published as CloudWatch Embedded Metric Format (EMF) log lines
+import { Metrics } from '@aws-lambda-powertools/metrics';
+import { logMetrics } from '@aws-lambda-powertools/metrics/middleware';
+
+// Middy is a middleware engine designed for serverless functions, enabling us to execute custom logic
+// before and after our main handler code runs.
+// https://github.com/middyjs/middy
+// https://middy.js.org/docs/intro/how-it-works/
+// @middy/core: Middleware to simplify common Lambda tasks
+import middy from '@middy/core';
+
+// Correlation IDs, shared with the other functions of the order flow
+import { fromSns, injectCorrelationId } from '@big-mouth/lib/correlation';
+
+// Initialize structured logger with service name from environment
+const logger = new Logger({ serviceName: process.env.service_name });
+
+// Initialize metrics with the service and the stage as dimensions (namespace from POWERTOOLS_METRICS_NAMESPACE)
+const metrics = new Metrics({
+  serviceName: process.env.service_name,
+  defaultDimensions: { stage: process.env.stage_name },
+});
+
+// Initialize DynamoDB clients (created outside handler for connection reuse)
+const dynamodbClient = new DynamoDB({});
+const dynamodb = DynamoDBDocumentClient.from(dynamodbClient);
+const sfn = new SFNClient();
+
+// Initialize X-Ray tracer with service name for distributed tracing
+// Creating a Tracer would automatically capture outgoing HTTP requests
+const tracer = new Tracer({ serviceName: process.env.service_name });
+
+// Capture DynamoDB operations in X-Ray traces for performance monitoring (e.g. DynamoDB UpdateItem API call)
+tracer.captureAWSv3Client(dynamodb);
+
+// Capture Step Functions operations in X-Ray traces for performance monitoring
+tracer.captureAWSv3Client(sfn);
+
+// Environment variables
+const tableName = process.env.orders_table; // DynamoDB orders table
+
+/**
+ * Saves the task token on the order, unless the customer cancelled the order
+ * @returns {boolean} false if the order is cancelled
+ */
+const saveTaskToken = async (orderId, taskToken) => {
+  try {
+    // The order flow removes the task token again when it updates the order status
+    await dynamodb.send(
+      new UpdateCommand({
+        TableName: tableName,
+        Key: { id: orderId },
+        UpdateExpression: 'SET taskToken = :taskToken',
+        ConditionExpression: 'attribute_not_exists(#status) OR #status <> :cancelled',
+        ExpressionAttributeNames: { '#status': 'status' },
+        ExpressionAttributeValues: { ':taskToken': taskToken, ':cancelled': 'CANCELLED' },
+      })
+    );
+    return true;
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      return false;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Lambda handler function - saves the task token of each "Notify restaurant" message on its order
+ * @param {Object} event - SNS event, with the state machine message in Records[].Sns.Message
+ */
+export const handler = middy(async (event, context) => {
+  // Reset sampling calculation to determine if this invocation should log debug messages
+  logger.refreshSampleRateCalculation();
+
+  // SNS delivers a single record per invocation, but the event format allows for more
+  for (const record of event.Records) {
+    const { order_id: orderId, task_token: taskToken } = JSON.parse(record.Sns.Message);
+
+    if (await saveTaskToken(orderId, taskToken)) {
+      logger.debug('saved task token of order', { orderId });
+      continue;
+    }
+
+    // The customer cancelled the order before the order flow started waiting for the restaurant
+    // Becomes notifyRestaurantResult in the order flow - the Choice state branches on isCancelled
+    await sfn.send(new SendTaskSuccessCommand({ taskToken, output: JSON.stringify({ isCancelled: true }) }));
+
+    logger.debug('ended the order flow of cancelled order', { orderId });
+  }
+})
+  // Automatically inject Lambda context (request ID, function name, etc.) into all log messages
+  .use(injectLambdaContext(logger))
+  // Restore the correlation ID of the order (from the SNS message attributes) into all log messages
+  .use(injectCorrelationId({ logger, from: fromSns }))
+  // Add ##functions/save-task-token.handler segment to the X-Ray trace, and captures cold start, service name, and response of the invocation
+  .use(captureLambdaHandler(tracer))
+  // Publish the metrics of the invocation (and a ColdStart metric on the first one) when the handler finishes
+  .use(logMetrics(metrics, { captureColdStartMetric: true }));
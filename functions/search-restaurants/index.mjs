@@ -1,6 +1,6 @@
 // AWS SDK v3 imports for DynamoDB operations
 import { DynamoDB } from '@aws-sdk/client-dynamodb';
-import { DynamoDBDocumentClient, ScanCommand } from '@aws-sdk/lib-dynamodb';
+import { DynamoDBDocumentClient, QueryCommand } from '@aws-sdk/lib-dynamodb';
 
 // AWS Lambda Powertools utilities
 // Logger with output structured as JSON
@@ -9,6 +9,9 @@ import { injectLambdaContext } from '@aws-lambda-powertools/logger/middleware';
 // Opinionated wrapper for AWS X-Ray
 import { Tracer } from '@aws-lambda-powertools/tracer';
 import { captureLambdaHandler } from '@aws-lambda-powertools/tracer/middleware';
+// Business metrics, published as CloudWatch Embedded Metric Format (EMF) log lines
+import { Metrics, MetricUnit } from '@aws-lambda-powertools/metrics';
+import { logMetrics } from '@aws-lambda-powertools/metrics/middleware';
 
 // Middy is a middleware engine designed for serverless functions, enabling us to execute custom logic
 // before and after our main handler code runs.
@@ -20,9 +23,24 @@ import middy from '@middy/core';
 // and caches them for subsequent invocations, improving performance
 import ssm from '@middy/ssm';
 
+// Signed continuation tokens, shared with the other paginated endpoints
+import { encodeToken, decodeToken } from '@big-mouth/lib/pagination';
+// Theme index layout, shared with the sync-theme-index function
+import { normalizeTheme, themeIndexKey } from '@big-mouth/lib/theme-index';
+// Request validation and error responses, shared with the other HTTP functions
+import { HttpError, httpErrorHandler, validateRequest } from '@big-mouth/lib/http';
+// Correlation IDs, shared with the other functions
+import { fromHttpRequest, injectCorrelationId } from '@big-mouth/lib/correlation';
+
 // Initialize structured logger with service name from environment
 const logger = new Logger({ serviceName: process.env.service_name });
 
+// Initialize metrics with the service and the stage as dimensions (namespace from POWERTOOLS_METRICS_NAMESPACE)
+const metrics = new Metrics({
+  serviceName: process.env.service_name,
+  defaultDimensions: { stage: process.env.stage_name },
+});
+
 // Initialize DynamoDB clients (created outside handler for connection reuse)
 const dynamodbClient = new DynamoDB({});
 const dynamodb = DynamoDBDocumentClient.from(dynamodbClient);
@@ -31,46 +49,169 @@ const dynamodb = DynamoDBDocumentClient.from(dynamodbClient);
 // Creating a Tracer would automatically capture outgoing HTTP requests
 const tracer = new Tracer({ serviceName: process.env.service_name });
 
-// Capture DynamoDB operations in X-Ray traces for performance monitoring (e.g. DynamoDB Scan API call)
+// Capture DynamoDB operations in X-Ray traces for performance monitoring (e.g. DynamoDB Query API call)
 tracer.captureAWSv3Client(dynamodb);
 
 // Environment variables configuration
 const { service_name, ssm_stage_name } = process.env;
-const tableName = process.env.restaurants_table; // DynamoDB table name from environment
+const tableName = process.env.restaurant_themes_table; // DynamoDB theme index table (see functions/lib/theme-index.mjs)
+
+// Limits on the search criteria
+const MAX_THEMES = 10;
+const MAX_THEME_LENGTH = 100;
+const MATCH_MODES = ['any', 'all'];
+
+// POST /restaurants/search (signed in users): the criteria are in the JSON body
+// GET /restaurants/search (get-index, signed with its IAM role): the same criteria in the query string, with the themes
+// separated by commas - e.g. ?theme=netflix,toy%20story&nextToken=...
+const isGet = (event) => event.httpMethod === 'GET';
+
+// Shape of the request body - the page size limit is checked by the handler, as its maximum comes from SSM
+const themeSchema = { type: 'string', minLength: 1, maxLength: MAX_THEME_LENGTH };
+const bodySchema = {
+  type: 'object',
+  // A single 'theme' is kept as a shorthand for 'themes' with one entry
+  anyOf: [{ required: ['themes'] }, { required: ['theme'] }],
+  properties: {
+    theme: themeSchema,
+    themes: { type: 'array', minItems: 1, maxItems: MAX_THEMES, items: themeSchema },
+    match: { enum: MATCH_MODES },
+    limit: { type: 'integer' },
+    nextToken: { type: 'string' },
+  },
+};
+
+// Shape of the query string of GET requests - the themes are checked once split, like the themes of a body
+const querySchema = {
+  type: 'object',
+  required: ['theme'],
+  properties: {
+    theme: { type: 'string', minLength: 1 },
+    match: { enum: MATCH_MODES },
+    limit: { type: 'string', pattern: '^[0-9]+$' },
+    nextToken: { type: 'string', minLength: 1 },
+  },
+};
 
-// Search restaurants by theme using DynamoDB scan with filter
-const findRestaurantsByTheme = async (theme, count) => {
+/**
+ * Reads the criteria of a GET request into the shape of a request body
+ * @param {Object} query - Query string parameters, validated against querySchema
+ * @returns {Object} The request, as the body of a POST request would have it
+ */
+const fromQuery = ({ theme, match, limit, nextToken }) => {
+  const themes = theme.split(',');
+  if (themes.length > MAX_THEMES || themes.some((x) => x.length > MAX_THEME_LENGTH)) {
+    throw new HttpError(400, `at most ${MAX_THEMES} themes of up to ${MAX_THEME_LENGTH} characters`); // HTTP Bad Request
+  }
+  return { themes, match, limit: limit === undefined ? undefined : Number(limit), nextToken };
+};
+
+/**
+ * Normalizes the search criteria (themes trimmed and lower-cased)
+ * @param {Object} req - Request body, validated against bodySchema
+ * @returns {Object} { themes, match }
+ */
+const parseCriteria = (req) => ({
+  themes: (req.themes ?? [req.theme]).map(normalizeTheme),
+  match: req.match ?? 'any',
+});
+
+/**
+ * Finds the restaurants with a theme, using the theme index
+ * Matching is case-insensitive and starts at any word of a theme: 'rick' and 'morty' both match 'rick and morty'.
+ * @param {string} theme - Normalized search term
+ * @returns {Map} Restaurants ({ name, image, themes }) by name
+ */
+const findRestaurantsWithTheme = async (theme) => {
+  const { initial, termKey } = themeIndexKey(theme);
+  const restaurants = new Map();
+  let exclusiveStartKey;
+
+  do {
+    const resp = await dynamodb.send(
+      new QueryCommand({
+        TableName: tableName,
+        KeyConditionExpression: 'initial = :initial AND begins_with(termKey, :term)',
+        ExpressionAttributeValues: { ':initial': initial, ':term': termKey },
+        ExclusiveStartKey: exclusiveStartKey,
+      })
+    );
+
+    // A restaurant is indexed once per term, so it can match a search term several times
+    for (const { restaurantName, image, themes } of resp.Items) {
+      restaurants.set(restaurantName, { name: restaurantName, image, themes });
+    }
+    exclusiveStartKey = resp.LastEvaluatedKey;
+  } while (exclusiveStartKey);
+
+  return restaurants;
+};
+
+/**
+ * Searches restaurants by theme, one page at a time
+ *
+ * Each searched theme is a Query on the theme index, so the cost grows with the number of matches rather than
+ * with the size of the catalogue. The matches are combined (any: union, all: intersection) and sorted by name,
+ * which gives the pages a stable order.
+ *
+ * @param {Object} criteria - Normalized search criteria from parseCriteria()
+ * @param {number} count - Page size
+ * @param {Object} startKey - Key of the last restaurant of the previous page (from the continuation token)
+ * @returns {Object} { restaurants, lastKey } - lastKey is undefined when there are no more matches
+ */
+const findRestaurantsByTheme = async ({ themes, match }, count, startKey) => {
   // console.log(`finding (up to ${count}) restaurants with the theme ${theme}...`);
   logger.debug('finding restaurants...', {
     count,
-    theme,
+    themes,
+    match,
   });
 
-  // Scan operation with filter expression to find restaurants by theme
-  const resp = await dynamodb.send(
-    new ScanCommand({
-      TableName: tableName,
-      Limit: count, // Maximum items to return
-      FilterExpression: 'contains(themes, :theme)', // Filter: check if themes array contains the search theme
-      ExpressionAttributeValues: { ':theme': theme }, // Parameter substitution for filter
-    })
-  );
+  const matchesPerTheme = await Promise.all(themes.map(findRestaurantsWithTheme));
 
-  //console.log(`found ${resp.Items.length} restaurants`);
+  // any: restaurants matching at least one theme, all: restaurants matching every theme
+  const matches = new Map();
+  for (const [name, restaurant] of matchesPerTheme.flatMap((x) => [...x])) {
+    if (match === 'any' || matchesPerTheme.every((x) => x.has(name))) {
+      matches.set(name, restaurant);
+    }
+  }
+
+  // Continue after the last restaurant of the previous page
+  const remaining = [...matches.values()]
+    .filter((restaurant) => !startKey || restaurant.name > startKey.name)
+    .sort((a, b) => (a.name < b.name ? -1 : 1));
+
+  const restaurants = remaining.slice(0, count);
+  const lastKey = remaining.length > count ? { name: restaurants[count - 1].name } : undefined;
+
+  //console.log(`found ${restaurants.length} restaurants`);
   logger.debug('found restaurants', {
-    count: resp.Items.length,
+    count: restaurants.length,
+    hasMore: !!lastKey,
   });
 
-  return resp.Items; // Return array of matching restaurant objects
+  return { restaurants, lastKey };
 };
 
-// AWS Lambda handler function - searches restaurants by theme
+/**
+ * AWS Lambda handler function - searches restaurants by theme
+ *
+ * Request body (POST), or query string (GET):
+ * - themes: themes to search for, e.g. ["rick", "cartoon"] ('theme' with a single theme is also accepted)
+ *   GET: theme, with the themes separated by commas, e.g. rick,cartoon
+ * - match: 'any' (default) to find restaurants with any of the themes, 'all' for restaurants with all of them
+ * - limit: page size (defaults to defaultResults, capped at maxResults - both from the SSM config)
+ * - nextToken: continuation token returned by the previous page
+ *
+ * Response body: { restaurants, nextToken } - nextToken is null on the last page
+ */
 export const handler = middy(async (event, context) => {
   // Reset sampling calculation to determine if this invocation should log debug messages
   logger.refreshSampleRateCalculation();
 
-  const req = JSON.parse(event.body); // Parse JSON request body
-  const theme = req.theme; // Extract theme parameter from request
+  // Parsed and validated by the validateRequest middleware
+  const req = isGet(event) ? fromQuery(event.queryStringParameters) : event.body;
 
   // Log the configuration loaded from SSM Parameter Store
   // console.info('Config from SSM:', context.config);
@@ -78,25 +219,68 @@ export const handler = middy(async (event, context) => {
     config: context.config,
   });
 
-  // Only try to access secretString if it exists
-  // This prevents errors when the parameter doesn't exist in SSM
+  // Only log whether the secret string was loaded - never its value
   if (context.secretString) {
-    console.info(`Secret string loaded successfully: ${context.secretString}`);
+    logger.debug('secret string loaded from SSM');
+  }
+
+  // Unlike the secret string, the token secret is required (the SSM middleware doesn't fail on missing parameters)
+  if (!context.tokenSecret) {
+    throw new Error(
+      `SSM parameter /${service_name}/${ssm_stage_name}/pagination/tokenSecret is missing - continuation tokens can't be signed`
+    );
+  }
+
+  const criteria = parseCriteria(req);
+  if (criteria.themes.includes('')) {
+    throw new HttpError(400, 'themes must not be blank'); // HTTP Bad Request
+  }
+
+  const { defaultResults } = context.config;
+  const maxResults = context.config.maxResults ?? defaultResults; // configs without a maximum only allow the default page size
+  const limit = req.limit ?? defaultResults;
+  if (!Number.isInteger(limit) || limit < 1 || limit > maxResults) {
+    throw new HttpError(400, `limit must be an integer between 1 and ${maxResults}`); // HTTP Bad Request
   }
 
-  const restaurants = await findRestaurantsByTheme(theme, context.config.defaultResults); // Search restaurants
+  // A token only continues the search it was issued for
+  const tokenOptions = { secret: context.tokenSecret, scope: `search-restaurants:${JSON.stringify(criteria)}` };
+
+  let startKey;
+  if (req.nextToken) {
+    startKey = decodeToken(req.nextToken, tokenOptions);
+    if (!startKey) {
+      throw new HttpError(400, 'invalid nextToken'); // HTTP Bad Request
+    }
+  }
+
+  const { restaurants, lastKey } = await findRestaurantsByTheme(criteria, limit, startKey); // Search restaurants
+
+  // Count the searches (every page counts as one), the restaurants they found, and the ones that found nothing
+  // ZeroResultSearches is 0 or 1 for every search, so its Average statistic is the rate of searches without results
+  metrics.addMetric('SearchQueries', MetricUnit.Count, 1);
+  metrics.addMetric('SearchHits', MetricUnit.Count, restaurants.length);
+  metrics.addMetric('ZeroResultSearches', MetricUnit.Count, restaurants.length === 0 ? 1 : 0);
+
   const response = {
     statusCode: 200, // HTTP OK status
-    body: JSON.stringify(restaurants), // Convert results to JSON string
+    body: JSON.stringify({
+      restaurants,
+      nextToken: lastKey ? encodeToken(lastKey, tokenOptions) : null, // null when this is the last page
+    }),
   };
 
   return response;
 })
+  // Turn errors into JSON error responses - used first, so it handles the errors after the other middlewares did
+  .use(httpErrorHandler({ logger }))
   .use(
     // configuration of middy SSM middleware, https://middy.js.org/docs/intro/how-it-works/
     ssm({
       // cache the SSM parameter value, so we don't hammer SSM Parameter Store with requests.
       cache: true,
+      // under a key of our own - in the dev server (and the local test mode) the functions share a process
+      cacheKey: 'search-restaurants-ssm',
       // cached value to expire after 1 minute. So if we change the configuration in SSM Parameter Store,
       // then the concurrent executions would load the new value when their cache expires, without needing a deployment.
       cacheExpiry: 1 * 60 * 1000,
@@ -107,12 +291,26 @@ export const handler = middy(async (event, context) => {
         // fetches individual parameters and stores them in either the invocation context object (setToContext) or the environment variables (default)
         config: `/${service_name}/${ssm_stage_name}/search-restaurants/config`,
         secretString: `/${service_name}/${ssm_stage_name}/search-restaurants/secretString`,
+        // SecureString with the key used to sign continuation tokens (decrypted with the KMS key)
+        tokenSecret: `/${service_name}/${ssm_stage_name}/pagination/tokenSecret`,
       },
-      // Set to false to continue if parameter doesn't exist (defaults to false)
+      // Set to false to continue if parameter doesn't exist (defaults to false) - the secret string is optional, the
+      // handler checks the token secret itself
       throwOnFailedCall: false,
     })
   )
   // Automatically inject Lambda context (request ID, function name, etc.) into all log messages
   .use(injectLambdaContext(logger))
+  // Take the correlation ID from the x-correlation-id header (or the API Gateway request ID) and add it to all log messages
+  .use(injectCorrelationId({ logger, from: fromHttpRequest }))
   // Add ##functions/search-restaurants.handler segment to the X-Ray trace, and captures cold start, service name, and response of the invocation
-  .use(captureLambdaHandler(tracer));
+  .use(captureLambdaHandler(tracer))
+  // Publish the metrics of the invocation (and a ColdStart metric on the first one) when the handler finishes
+  .use(logMetrics(metrics, { captureColdStartMetric: true }))
+  // Parse the JSON body (or the query string of GET requests) and check it against its schema before the handler runs
+  .use(
+    validateRequest({
+      body: (event) => (isGet(event) ? undefined : bodySchema),
+      queryStringParameters: (event) => (isGet(event) ? querySchema : undefined),
+    })
+  );
@@ -2,6 +2,17 @@
  * Seed Orders Lambda Function
  *
  * This function is triggered by "order_placed" events from EventBridge and saves order data to DynamoDB.
+ * The correlation ID of the order is saved with it, so the rest of the order flow can keep using it.
+ *
+ * place-order saves its orders itself (the event is published from the outbox once the order is saved), so for
+ * those the order is already there. Orders are only created if they don't exist - an order the order flow has
+ * moved on (e.g. ACCEPTED or CANCELLED) is never reset to PLACED, e.g. when events are replayed from the archive.
+ * The OrdersSeeded and OrderSeedsSkipped metrics count the orders it saved and the ones that were already there.
+ *
+ * Events are checked against the order_placed contract (older versions are upcast) - see functions/lib/events.mjs.
+ *
+ * Events that still fail after Lambda's retries are sent to the OnFailure destination queue, with the error - list,
+ * inspect and redrive them with `npm run failed-events`.
  */
 
 // AWS SDK v3 imports for DynamoDB operations
@@ -11,11 +22,18 @@ import { DynamoDBDocumentClient, PutCommand } from '@aws-sdk/lib-dynamodb';
 // AWS Lambda Powertools utilities
 // Logger with output structured as JSON
 import { Logger } from '@aws-lambda-powertools/logger';
+// Business metrics, published as CloudWatch Embedded Metric Format (EMF) log lines
+import { Metrics, MetricUnit } from '@aws-lambda-powertools/metrics';
 // Idempotency handling - idempotency ensures the same operation can be called multiple times safely without side effects.
 import { makeIdempotent, IdempotencyConfig } from '@aws-lambda-powertools/idempotency';
 // DynamoDB persistence layer for storing idempotency keys and preventing duplicate processing
 import { DynamoDBPersistenceLayer } from '@aws-lambda-powertools/idempotency/dynamodb';
 
+// Correlation IDs, shared with the other functions of the order flow
+import { fromEventBridge } from '@big-mouth/lib/correlation';
+// Event contracts, shared with the producer of the order_placed event
+import { readEventDetail } from '@big-mouth/lib/events';
+
 // Initialize DynamoDB client (created outside handler for connection reuse)
 const dynamodbClient = new DynamoDB();
 const dynamodb = DynamoDBDocumentClient.from(dynamodbClient);
@@ -28,27 +46,66 @@ const persistenceStore = new DynamoDBPersistenceLayer({
 // Initialize structured logger with service name from environment
 const logger = new Logger({ serviceName: process.env.service_name });
 
+// Initialize metrics with the service and the stage as dimensions (namespace from POWERTOOLS_METRICS_NAMESPACE)
+const metrics = new Metrics({
+  serviceName: process.env.service_name,
+  defaultDimensions: { stage: process.env.stage_name },
+});
+
 // AWS Lambda handler function
-const _handler = async (event) => {
+const _handler = async (event, context) => {
   // Reset sampling calculation to determine if this invocation should log debug messages
   logger.refreshSampleRateCalculation();
 
-  // Extract order details from EventBridge event
-  const order = event.detail;
-
-  // console.log('Saving order id:', order.orderId);
-  logger.info('Saving order id', order.orderId);
-
-  // Write order information to orders table
-  await dynamodb.send(
-    new PutCommand({
-      TableName: process.env.orders_table,
-      Item: {
-        id: order.orderId,
-        restaurantName: order.restaurantName,
-      },
-    })
-  );
+  // Publish a ColdStart metric on the first invocation (there's no middy here to do it with logMetrics)
+  metrics.captureColdStartMetric(context.functionName);
+
+  // Restore the correlation ID of the order into all log messages (replaces the one of the previous invocation)
+  const correlationId = fromEventBridge(event, context);
+  logger.appendPersistentKeys({ correlationId });
+
+  // Extract order details from EventBridge event - checked against the order_placed contract, and upcast to the
+  // current version (events that break it fail, and end up in the OnFailure destination queue)
+  const order = readEventDetail(event);
+
+  logger.debug('saving order...', { orderId: order.orderId });
+
+  // Write order information to orders table, unless it's already there
+  try {
+    await dynamodb.send(
+      new PutCommand({
+        TableName: process.env.orders_table,
+        Item: {
+          id: order.orderId,
+          userId: order.userId, // Cognito 'sub' of the user who placed the order
+          status: 'PLACED', // Updated by the order flow once the restaurant responds (ACCEPTED, REJECTED or TIMED_OUT)
+          restaurantName: order.restaurantName,
+          createdAt: order.createdAt,
+          updatedAt: order.createdAt,
+          // Priced cart (amounts are in cents, as calculated by place-order)
+          items: order.items,
+          subtotal: order.subtotal,
+          tax: order.tax,
+          total: order.total,
+          currency: order.currency,
+          correlationId, // Ties the order to the logs of the request that placed it
+        },
+        ConditionExpression: 'attribute_not_exists(id)',
+      })
+    );
+    metrics.addMetric('OrdersSeeded', MetricUnit.Count, 1);
+  } catch (error) {
+    if (error.name !== 'ConditionalCheckFailedException') {
+      throw error;
+    }
+    logger.debug('order already saved', { orderId: order.orderId });
+    // Saved by place-order, or by an earlier delivery of the event - a steady stream of these for events other than
+    // place-order's means replays or redrives
+    metrics.addMetric('OrderSeedsSkipped', MetricUnit.Count, 1);
+  } finally {
+    // Flush the metrics as an EMF log line (logMetrics does it in the functions that use middy)
+    metrics.publishStoredMetrics();
+  }
 };
 
 // Make handler idempotent using orderId as the key
@@ -0,0 +1,113 @@
+/**
+ * Start Order Flow Lambda Function
+ *
+ * This function is triggered by order_placed events from EventBridge.
+ * It starts an execution of the order flow state machine for the order (see docs/step-functions-workflow.md), which
+ * notifies the restaurant, waits for its answer, and updates the order status.
+ *
+ * Each order gets exactly one execution: the execution is named after the order ID, and Step Functions never runs
+ * two executions with the same name (names are kept for 90 days after an execution ends). An event delivered twice,
+ * redriven or replayed from the archive finds the execution already started, and is ignored.
+ *
+ * The state machine input is { "order_id": "...", "correlation_id": "..." }, so the order flow logs and publishes
+ * with the correlation ID of the request that placed the order.
+ *
+ * Events that still fail after Lambda's retries are sent to the OnFailure destination queue, with the error - list,
+ * inspect and redrive them with `npm run failed-events`.
+ */
+
+// AWS SDK v3 imports for Step Functions operations
+import { SFNClient, StartExecutionCommand } from '@aws-sdk/client-sfn';
+
+// AWS Lambda Powertools utilities
+// Logger with output structured as JSON
+import { Logger } from '@aws-lambda-powertools/logger';
+import { injectLambdaContext } from '@aws-lambda-powertools/logger/middleware';
+// Opinionated wrapper for AWS X-Ray
+import { Tracer } from '@aws-lambda-powertools/tracer';
+import { captureLambdaHandler } from '@aws-lambda-powertools/tracer/middleware';
+// Business metrics, published as CloudWatch Embedded Metric Format (EMF) log lines
+import { Metrics, MetricUnit } from '@aws-lambda-powertools/metrics';
+import { logMetrics } from '@aws-lambda-powertools/metrics/middleware';
+
+// Middy is a middleware engine designed for serverless functions, enabling us to execute custom logic
+// before and after our main handler code runs.
+// https://github.com/middyjs/middy
+// https://middy.js.org/docs/intro/how-it-works/
+// @middy/core: Middleware to simplify common Lambda tasks
+import middy from '@middy/core';
+
+// Correlation IDs, shared with the other functions of the order flow
+import { fromEventBridge, injectCorrelationId } from '@big-mouth/lib/correlation';
+// Event contracts, shared with the producer of the order_placed event
+import { validateEvent } from '@big-mouth/lib/events';
+
+// Initialize structured logger with service name from environment
+const logger = new Logger({ serviceName: process.env.service_name });
+
+// Initialize metrics with the service and the stage as dimensions (namespace from POWERTOOLS_METRICS_NAMESPACE)
+const metrics = new Metrics({
+  serviceName: process.env.service_name,
+  defaultDimensions: { stage: process.env.stage_name },
+});
+
+// Initialize Step Functions client (created outside handler for connection reuse)
+const sfn = new SFNClient();
+
+// Initialize X-Ray tracer with service name for distributed tracing
+// Creating a Tracer would automatically capture outgoing HTTP requests
+const tracer = new Tracer({ serviceName: process.env.service_name });
+
+// Capture Step Functions operations in X-Ray traces for performance monitoring
+tracer.captureAWSv3Client(sfn);
+
+// Environment variables
+const stateMachineArn = process.env.state_machine_arn; // Order flow state machine
+
+/**
+ * Lambda handler function - starts the order flow of a placed order
+ * @param {Object} event - EventBridge order_placed event (validated, and upcast to the current version, by the
+ *                         validateEvent middleware)
+ * @param {Object} context - Lambda context (with the correlationId restored by the injectCorrelationId middleware)
+ */
+export const handler = middy(async (event, context) => {
+  // Reset sampling calculation to determine if this invocation should log debug messages
+  logger.refreshSampleRateCalculation();
+
+  const { orderId, restaurantName } = event.detail;
+
+  try {
+    const resp = await sfn.send(
+      new StartExecutionCommand({
+        stateMachineArn,
+        // One execution per order - Step Functions rejects a second execution with the same name
+        name: orderId,
+        // The input the state machine expects (see docs/step-functions-workflow.md)
+        input: JSON.stringify({ order_id: orderId, correlation_id: context.correlationId }),
+      })
+    );
+
+    logger.debug('started the order flow', { orderId, restaurantName, executionArn: resp.executionArn });
+  } catch (error) {
+    // The order flow of the order was started before (e.g. the event was delivered twice, or replayed)
+    if (error.name === 'ExecutionAlreadyExists') {
+      logger.debug('order flow already started', { orderId });
+      return;
+    }
+    throw error;
+  }
+
+  // Count the order flows started (a duplicate event still counts while the execution is running, as StartExecution
+  // returns the running execution when the name and the input are the same)
+  metrics.addMetric('OrderFlowsStarted', MetricUnit.Count, 1);
+})
+  // Automatically inject Lambda context (request ID, function name, etc.) into all log messages
+  .use(injectLambdaContext(logger))
+  // Restore the correlation ID of the order (from the event detail) into all log messages
+  .use(injectCorrelationId({ logger, from: fromEventBridge }))
+  // Add ##functions/start-order-flow.handler segment to the X-Ray trace, and captures cold start, service name, and response of the invocation
+  .use(captureLambdaHandler(tracer))
+  // Publish the metrics of the invocation (and a ColdStart metric on the first one) when the handler finishes
+  .use(logMetrics(metrics, { captureColdStartMetric: true }))
+  // Check the event against the order_placed contract - events that break it fail, and end up in the OnFailure queue
+  .use(validateEvent({ logger }));
@@ -0,0 +1,148 @@
+/**
+ * Sync Theme Index Lambda Function
+ *
+ * This function is triggered by the DynamoDB stream of the restaurants table (NEW_AND_OLD_IMAGES).
+ * It keeps the restaurant-themes index table in sync with the restaurants, so search-restaurants can Query the
+ * index instead of scanning the catalogue (see functions/lib/theme-index.mjs for the index layout):
+ * - INSERT: adds the index items of the new restaurant
+ * - MODIFY: removes the items of themes the restaurant no longer has, and writes the new or changed ones
+ * - REMOVE: removes all the index items of the restaurant
+ *
+ * Writes are idempotent, so records delivered more than once are harmless.
+ * Failed records are reported with ReportBatchItemFailures: Lambda retries from the first failed record,
+ * which keeps the changes of a restaurant in order.
+ */
+
+// AWS SDK v3 imports for DynamoDB operations
+import { DynamoDB } from '@aws-sdk/client-dynamodb';
+import { BatchWriteCommand, DynamoDBDocumentClient } from '@aws-sdk/lib-dynamodb';
+// Converts the DynamoDB JSON of stream records ({ "S": "..." }) to plain JavaScript objects
+import { unmarshall } from '@aws-sdk/util-dynamodb';
+
+// AWS Lambda Powertools utilities
+// Logger with output structured as JSON
+import { Logger } from '@aws-lambda-powertools/logger';
+import { injectLambdaContext } from '@aws-lambda-powertools/logger/middleware';
+// Opinionated wrapper for AWS X-Ray
+import { Tracer } from '@aws-lambda-powertools/tracer';
+import { captureLambdaHandler } from '@aws-lambda-powertools/tracer/middleware';
+// Business metrics, published as CloudWatch Embedded Metric Format (EMF) log lines
+import { Metrics } from '@aws-lambda-powertools/metrics';
+import { logMetrics } from '@aws-lambda-powertools/metrics/middleware';
+
+// Middy is a middleware engine designed for serverless functions, enabling us to execute custom logic
+// before and after our main handler code runs.
+// https://github.com/middyjs/middy
+// https://middy.js.org/docs/intro/how-it-works/
+// @middy/core: Middleware to simplify common Lambda tasks
+import middy from '@middy/core';
+
+// Theme index layout, shared with the backfill script and search-restaurants
+import { themeIndexEntries } from '@big-mouth/lib/theme-index';
+
+// Initialize structured logger with service name from environment
+const logger = new Logger({ serviceName: process.env.service_name });
+
+// Initialize metrics with the service and the stage as dimensions (namespace from POWERTOOLS_METRICS_NAMESPACE)
+const metrics = new Metrics({
+  serviceName: process.env.service_name,
+  defaultDimensions: { stage: process.env.stage_name },
+});
+
+// Initialize DynamoDB clients (created outside handler for connection reuse)
+const dynamodbClient = new DynamoDB({});
+const dynamodb = DynamoDBDocumentClient.from(dynamodbClient);
+
+// Initialize X-Ray tracer with service name for distributed tracing
+// Creating a Tracer would automatically capture outgoing HTTP requests
+const tracer = new Tracer({ serviceName: process.env.service_name });
+
+// Capture DynamoDB operations in X-Ray traces for performance monitoring (e.g. DynamoDB BatchWriteItem API call)
+tracer.captureAWSv3Client(dynamodb);
+
+// Environment variables
+const tableName = process.env.restaurant_themes_table; // DynamoDB theme index table
+
+// BatchWriteItem accepts up to 25 requests, and may leave some of them unprocessed when throttled
+const BATCH_SIZE = 25;
+const MAX_ATTEMPTS = 5;
+
+// Writes the requests in batches, retrying unprocessed requests with exponential backoff
+const batchWrite = async (requests) => {
+  for (let i = 0; i < requests.length; i += BATCH_SIZE) {
+    let pending = requests.slice(i, i + BATCH_SIZE);
+
+    for (let attempt = 1; pending.length > 0; attempt++) {
+      if (attempt > MAX_ATTEMPTS) {
+        throw new Error(`${pending.length} theme index writes still unprocessed after ${MAX_ATTEMPTS} attempts`);
+      }
+      if (attempt > 1) {
+        await new Promise((resolve) => setTimeout(resolve, 50 * 2 ** attempt));
+      }
+
+      const resp = await dynamodb.send(new BatchWriteCommand({ RequestItems: { [tableName]: pending } }));
+      pending = resp.UnprocessedItems?.[tableName] ?? [];
+    }
+  }
+};
+
+/**
+ * Applies one stream record to the theme index
+ * @param {Object} record - DynamoDB stream record of the restaurants table
+ */
+const syncRecord = async (record) => {
+  const { OldImage, NewImage } = record.dynamodb;
+  const oldEntries = OldImage ? themeIndexEntries(unmarshall(OldImage)) : [];
+  const newEntries = NewImage ? themeIndexEntries(unmarshall(NewImage)) : [];
+
+  // Index items are identified by termKey ('<term>#<restaurant name>') within the record's restaurant
+  const newKeys = new Set(newEntries.map((entry) => entry.termKey));
+  const oldItems = new Map(oldEntries.map((entry) => [entry.termKey, JSON.stringify(entry)]));
+
+  const deletes = oldEntries
+    .filter((entry) => !newKeys.has(entry.termKey))
+    .map(({ initial, termKey }) => ({ DeleteRequest: { Key: { initial, termKey } } }));
+
+  // Skip the items that didn't change, e.g. when only the menu of the restaurant was updated
+  const puts = newEntries
+    .filter((entry) => oldItems.get(entry.termKey) !== JSON.stringify(entry))
+    .map((entry) => ({ PutRequest: { Item: entry } }));
+
+  await batchWrite([...deletes, ...puts]);
+
+  logger.debug('synced theme index', {
+    eventName: record.eventName,
+    restaurantName: (NewImage ?? OldImage).name?.S,
+    deleted: deletes.length,
+    written: puts.length,
+  });
+};
+
+/**
+ * Lambda handler function - applies a batch of restaurants table changes to the theme index
+ * @param {Object} event - DynamoDB stream event
+ * @returns {Object} { batchItemFailures } - the first record that couldn't be applied, if any
+ */
+export const handler = middy(async (event, context) => {
+  // Reset sampling calculation to determine if this invocation should log debug messages
+  logger.refreshSampleRateCalculation();
+
+  for (const record of event.Records) {
+    try {
+      await syncRecord(record);
+    } catch (error) {
+      logger.error('failed to sync theme index', { eventID: record.eventID, error });
+
+      // Lambda retries the batch from this record - the records after it are processed again then
+      return { batchItemFailures: [{ itemIdentifier: record.dynamodb.SequenceNumber }] };
+    }
+  }
+
+  return { batchItemFailures: [] };
+})
+  // Automatically inject Lambda context (request ID, function name, etc.) into all log messages
+  .use(injectLambdaContext(logger))
+  // Add ##functions/sync-theme-index.handler segment to the X-Ray trace, and captures cold start, service name, and response of the invocation
+  .use(captureLambdaHandler(tracer))
+  // Publish the metrics of the invocation (and a ColdStart metric on the first one) when the handler finishes
+  .use(logMetrics(metrics, { captureColdStartMetric: true }));
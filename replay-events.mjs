@@ -0,0 +1,266 @@
+// Event replay tool - replays order events to rebuild the read models (e.g. the orders table)
+// The order-events bus archives every event. A replay sends the archived events of a time window back to the bus,
+// and only the rules we pick get them - by default just the seed_orders rule, to rebuild the orders table without
+// notifying the restaurants or starting order flows again (their idempotency records don't last forever). Rules match
+// on detail-type, so picking the event types picks the rules that handle them.
+//
+// The local mode replays an exported NDJSON file (one EventBridge event per line, as delivered to the rule targets)
+// straight into the seed-orders handler, e.g. to bring up a fresh stage with realistic data. It runs the handler
+// in this process, against the tables of the .env stage - install its dependencies first
+// (cd functions/seed-orders && npm ci --install-links).
+//
+// seed-orders only creates missing orders, so replaying orders that are already in the table changes nothing.
+//
+// Usage: npm run replay-events -- <command> [options]
+//   start --from <time> [--to <time>] [--detail-type <type>]... [--rule <name>]... [--no-wait]
+//                             Replay the archived events of the window (to: now) to the rules handling the event
+//                             types (default: order_placed) whose name contains one of the <name>s (default:
+//                             seed_orders), and follow the replay until it's done
+//   status <replayName>       Follow a replay until it's done
+//   list                      List the replays of the archive
+//   cancel <replayName>       Cancel a replay
+//   local --file <path> [--from <time>] [--to <time>] [--dry-run]
+//                             Replay the order_placed events of an NDJSON file into the seed-orders handler
+// Requires the eventbridge_bus_name, eventbridge_bus_arn and eventbridge_archive_name environment variables
+// (terraform outputs), and orders_table and idempotency_table for the local mode
+
+// Command line parsing and file reading
+import { parseArgs } from 'node:util';
+import { createReadStream } from 'node:fs';
+import { createInterface } from 'node:readline';
+import { randomUUID } from 'node:crypto';
+
+// AWS SDK v3 imports for EventBridge operations (archive replays)
+import {
+  EventBridgeClient,
+  CancelReplayCommand,
+  DescribeArchiveCommand,
+  DescribeReplayCommand,
+  ListReplaysCommand,
+  ListRulesCommand,
+  StartReplayCommand,
+} from '@aws-sdk/client-eventbridge';
+
+// Initialize EventBridge client
+// AWS region is configured via the AWS_REGION environment variable
+const eventBridge = new EventBridgeClient({});
+
+const busName = process.env.eventbridge_bus_name;
+const busArn = process.env.eventbridge_bus_arn;
+const archiveName = process.env.eventbridge_archive_name;
+
+// Event types replayed when none is given - the events the orders table is built from
+const DEFAULT_DETAIL_TYPES = ['order_placed'];
+
+// Rules the events are replayed to when none is given - the one rebuilding the orders table. The other rules have
+// side effects (notifying restaurants, starting order flows): they only get replayed events when asked for by name.
+const DEFAULT_RULES = ['seed_orders'];
+
+// How often a running replay is checked
+const POLL_INTERVAL_MS = 10 * 1000;
+
+// Replay states after which nothing changes anymore
+const FINAL_STATES = ['COMPLETED', 'CANCELLED', 'FAILED'];
+
+// Parses a --from or --to option (ISO 8601, e.g. 2025-07-01T00:00:00Z)
+const toDate = (value, option) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`--${option} must be a date, e.g. 2025-07-01T00:00:00Z`);
+  }
+  return date;
+};
+
+// Reads all the rules of the bus, one page at a time
+const getRules = async () => {
+  const rules = [];
+  let nextToken;
+
+  do {
+    const resp = await eventBridge.send(new ListRulesCommand({ EventBusName: busName, NextToken: nextToken }));
+    rules.push(...resp.Rules);
+    nextToken = resp.NextToken;
+  } while (nextToken);
+
+  return rules;
+};
+
+// Whether a rule gets events of one of the types - rules without a detail-type in their pattern get all of them
+const handlesAny = (rule, detailTypes) => {
+  const pattern = JSON.parse(rule.EventPattern ?? '{}');
+  const ruleTypes = pattern['detail-type'];
+  return !ruleTypes || detailTypes.some((type) => ruleTypes.includes(type));
+};
+
+// Picks the rules the replayed events are sent to
+const pickRules = async (detailTypes, names) => {
+  const rules = (await getRules())
+    .filter((rule) => rule.EventPattern && handlesAny(rule, detailTypes))
+    .filter((rule) => names.length === 0 || names.some((name) => rule.Name.includes(name)));
+
+  if (rules.length === 0) {
+    throw new Error(`no rule of [${busName}] handles ${detailTypes.join(', ')}${names.length ? ` (${names})` : ''}`);
+  }
+  for (const rule of rules) {
+    if (!JSON.parse(rule.EventPattern)['detail-type']) {
+      console.warn(`rule [${rule.Name}] gets every event type replayed, not only ${detailTypes.join(', ')}`);
+    }
+  }
+  return rules;
+};
+
+// Prints the progress of a replay until it's done
+const follow = async (replayName) => {
+  while (true) {
+    const replay = await eventBridge.send(new DescribeReplayCommand({ ReplayName: replayName }));
+    const progress = replay.EventLastReplayedTime?.toISOString() ?? '-';
+    console.log(`${new Date().toISOString()}  ${replayName}  ${replay.State}  replayed up to ${progress}`);
+
+    if (FINAL_STATES.includes(replay.State)) {
+      if (replay.State !== 'COMPLETED') {
+        throw new Error(`replay ${replay.State.toLowerCase()}: ${replay.StateReason ?? 'no reason given'}`);
+      }
+      return;
+    }
+    await new Promise((resolve) => setTimeout(resolve, POLL_INTERVAL_MS));
+  }
+};
+
+// Reads the events of an NDJSON file, one line at a time
+async function* readEvents(file) {
+  const lines = createInterface({ input: createReadStream(file), crlfDelay: Infinity });
+  let lineNumber = 0;
+
+  for await (const line of lines) {
+    lineNumber++;
+    if (!line.trim()) continue;
+
+    try {
+      yield JSON.parse(line);
+    } catch {
+      throw new Error(`${file}:${lineNumber} is not a JSON event`);
+    }
+  }
+}
+
+const commands = {
+  start: async (options) => {
+    if (!options.from) {
+      throw new Error('usage: start --from <time> [--to <time>] [--detail-type <type>]... [--rule <name>]...');
+    }
+    const from = toDate(options.from, 'from');
+    const to = options.to ? toDate(options.to, 'to') : new Date();
+    const detailTypes = options['detail-type'] ?? DEFAULT_DETAIL_TYPES;
+
+    const rules = await pickRules(detailTypes, options.rule ?? DEFAULT_RULES);
+    const { ArchiveArn } = await eventBridge.send(new DescribeArchiveCommand({ ArchiveName: archiveName }));
+
+    // Replay names are unique per account and region, and have at most 64 characters
+    const replayName = `${busName}-${Date.now()}`.slice(-64);
+    await eventBridge.send(
+      new StartReplayCommand({
+        ReplayName: replayName,
+        Description: `${detailTypes.join(', ')} from ${from.toISOString()} to ${to.toISOString()}`,
+        EventSourceArn: ArchiveArn,
+        EventStartTime: from,
+        EventEndTime: to,
+        Destination: {
+          Arn: busArn,
+          FilterArns: rules.map((rule) => rule.Arn), // Only these rules get the replayed events
+        },
+      })
+    );
+
+    console.log(`started replay [${replayName}] to ${rules.map((rule) => rule.Name).join(', ')}`);
+    if (!options['no-wait']) {
+      await follow(replayName);
+    }
+  },
+
+  status: async (options, [replayName]) => {
+    if (!replayName) {
+      throw new Error('usage: status <replayName>');
+    }
+    await follow(replayName);
+  },
+
+  list: async () => {
+    const { ArchiveArn } = await eventBridge.send(new DescribeArchiveCommand({ ArchiveName: archiveName }));
+    const resp = await eventBridge.send(new ListReplaysCommand({ EventSourceArn: ArchiveArn }));
+
+    for (const replay of resp.Replays) {
+      const window = `${replay.EventStartTime.toISOString()} - ${replay.EventEndTime.toISOString()}`;
+      console.log(`${replay.ReplayName}  ${replay.State}  ${window}`);
+    }
+  },
+
+  cancel: async (options, [replayName]) => {
+    if (!replayName) {
+      throw new Error('usage: cancel <replayName>');
+    }
+    await eventBridge.send(new CancelReplayCommand({ ReplayName: replayName }));
+    console.log(`cancelling replay [${replayName}]`);
+  },
+
+  local: async (options) => {
+    if (!options.file) {
+      throw new Error('usage: local --file <path> [--from <time>] [--to <time>] [--dry-run]');
+    }
+    const from = options.from ? toDate(options.from, 'from') : undefined;
+    const to = options.to ? toDate(options.to, 'to') : undefined;
+
+    // Imported on demand, so the other commands don't need the function's dependencies
+    const { handler } = options['dry-run'] ? {} : await import('./functions/seed-orders/index.mjs');
+
+    let replayed = 0;
+    let skipped = 0;
+    for await (const event of readEvents(options.file)) {
+      const time = event.time ? new Date(event.time) : undefined;
+      const inWindow = (!from || !time || time >= from) && (!to || !time || time <= to);
+
+      // seed-orders only handles order_placed events
+      if (event['detail-type'] !== 'order_placed' || !inWindow) {
+        skipped++;
+        continue;
+      }
+
+      if (options['dry-run']) {
+        console.log(`would replay order [${event.detail?.orderId}] (${event.time ?? 'no time'})`);
+      } else {
+        // A Lambda context, as the handler (and its idempotency guard) expect one
+        await handler(event, {
+          functionName: 'seed-orders',
+          awsRequestId: randomUUID(),
+          getRemainingTimeInMillis: () => 30 * 1000,
+        });
+      }
+      replayed++;
+    }
+
+    console.log(`${replayed} events ${options['dry-run'] ? 'to replay' : 'replayed'}, ${skipped} skipped`);
+  },
+};
+
+const { values: options, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    from: { type: 'string' },
+    to: { type: 'string' },
+    'detail-type': { type: 'string', multiple: true },
+    rule: { type: 'string', multiple: true },
+    'no-wait': { type: 'boolean', default: false },
+    file: { type: 'string' },
+    'dry-run': { type: 'boolean', default: false },
+  },
+});
+const [command, ...args] = positionals;
+
+if (!commands[command]) {
+  console.error('usage: npm run replay-events -- start|status|list|cancel|local [options]');
+  process.exit(1);
+}
+
+commands[command](options, args).catch((err) => {
+  console.error(err.message);
+  process.exitCode = 1;
+});
@@ -1,4 +1,4 @@
-// DynamoDB seeding script - populates the restaurants table with dummy data
+// DynamoDB seeding script - populates the restaurants table with dummy data (including each restaurant's menu)
 // This script is used to initialize the database with sample restaurant data for testing
 // Usage: node seed-restaurants.mjs (requires restaurants_table environment variable)
 
@@ -12,47 +12,312 @@ const dynamodbClient = new DynamoDB({});
 const dynamodb = DynamoDBDocumentClient.from(dynamodbClient); // Document client for easier JSON handling
 
 // Sample restaurant data - fictional restaurants from various TV shows and movies
-// Each restaurant has: name (primary key), image URL, and theme tags
+// Each restaurant has: name (primary key), image URL, theme tags and a menu
+// Restaurants can also have a webhook - { url, secret } - to get their orders on their own systems instead of via SNS
+// (see notify-restaurant). None of the sample restaurants have one.
+//
+// Menu model:
+// menu: {
+//   sections: [                     // Ordered groups of items, e.g. "Drinks", "Mains"
+//     {
+//       name: 'Drinks',              // Section title shown in the UI
+//       items: [
+//         {
+//           id: 'tru-blood',         // Unique (per restaurant) item ID - this is what clients put in their cart
+//           name: 'Tru Blood',       // Display name
+//           description: '...',      // Short description shown in the UI
+//           price: 450,              // Price in cents (integer, avoids floating point rounding errors)
+//           available: true,         // Whether the item can currently be ordered
+//         },
+//       ],
+//     },
+//   ],
+// }
 const restaurants = [
   {
     name: 'Fangtasia', // Primary key for DynamoDB
     image: 'https://d2qt42rcwzspd6.cloudfront.net/manning/fangtasia.png',
     themes: ['true blood'], // Tags for categorization
+    menu: {
+      sections: [
+        {
+          name: 'Drinks',
+          items: [
+            {
+              id: 'tru-blood',
+              name: 'Tru Blood',
+              description: 'Synthetic blood, served warm',
+              price: 450,
+              available: true,
+            },
+            {
+              id: 'bloody-mary',
+              name: 'Bloody Mary',
+              description: 'Vodka, tomato juice and a lot of spice',
+              price: 900,
+              available: true,
+            },
+          ],
+        },
+        {
+          name: 'Bites',
+          items: [
+            {
+              id: 'garlic-free-fries',
+              name: 'Garlic-free Fries',
+              description: 'Crispy fries, guaranteed garlic free',
+              price: 550,
+              available: true,
+            },
+            {
+              id: 'silver-platter',
+              name: 'Silver Platter',
+              description: 'Cheese and charcuterie board',
+              price: 1800,
+              available: false,
+            },
+          ],
+        },
+      ],
+    },
   },
   {
     name: "Shoney's",
     image: "https://d2qt42rcwzspd6.cloudfront.net/manning/shoney's.png",
     themes: ['cartoon', 'rick and morty'],
+    menu: {
+      sections: [
+        {
+          name: 'Breakfast',
+          items: [
+            {
+              id: 'all-american-breakfast',
+              name: 'All-American Breakfast',
+              description: 'Eggs, bacon, hash browns and toast',
+              price: 1099,
+              available: true,
+            },
+            {
+              id: 'strawberry-pancakes',
+              name: 'Strawberry Pancakes',
+              description: 'Buttermilk pancakes with fresh strawberries',
+              price: 899,
+              available: true,
+            },
+          ],
+        },
+        {
+          name: 'Desserts',
+          items: [
+            {
+              id: 'hot-fudge-cake',
+              name: 'Hot Fudge Cake',
+              description: 'Chocolate cake, ice cream and hot fudge',
+              price: 599,
+              available: true,
+            },
+          ],
+        },
+      ],
+    },
   },
   {
     name: "Freddy's BBQ Joint",
     image: "https://d2qt42rcwzspd6.cloudfront.net/manning/freddy's+bbq+joint.png",
     themes: ['netflix', 'house of cards'],
+    menu: {
+      sections: [
+        {
+          name: 'BBQ',
+          items: [
+            {
+              id: 'rack-of-ribs',
+              name: 'Rack of Ribs',
+              description: 'Slow-smoked pork ribs, best in D.C.',
+              price: 2200,
+              available: true,
+            },
+            {
+              id: 'pulled-pork-sandwich',
+              name: 'Pulled Pork Sandwich',
+              description: 'With slaw and pickles',
+              price: 1250,
+              available: true,
+            },
+          ],
+        },
+        {
+          name: 'Sides',
+          items: [
+            {
+              id: 'cornbread',
+              name: 'Cornbread',
+              description: 'Baked fresh every morning',
+              price: 400,
+              available: true,
+            },
+          ],
+        },
+      ],
+    },
   },
   {
     name: 'Pizza Planet',
     image: 'https://d2qt42rcwzspd6.cloudfront.net/manning/pizza+planet.png',
     themes: ['netflix', 'toy story'],
+    menu: {
+      sections: [
+        {
+          name: 'Pizzas',
+          items: [
+            {
+              id: 'pepperoni-pizza',
+              name: 'Pepperoni Pizza',
+              description: 'The claw has chosen',
+              price: 1400,
+              available: true,
+            },
+            {
+              id: 'space-veggie-pizza',
+              name: 'Space Veggie Pizza',
+              description: 'Peppers, olives, mushrooms and onions',
+              price: 1300,
+              available: true,
+            },
+          ],
+        },
+        {
+          name: 'Drinks',
+          items: [
+            { id: 'alien-soda', name: 'Alien Soda', description: 'Lime soda, ooooh', price: 300, available: true },
+          ],
+        },
+      ],
+    },
   },
   {
     name: 'Leaky Cauldron',
     image: 'https://d2qt42rcwzspd6.cloudfront.net/manning/leaky+cauldron.png',
     themes: ['movie', 'harry potter'],
+    menu: {
+      sections: [
+        {
+          name: 'Drinks',
+          items: [
+            {
+              id: 'butterbeer',
+              name: 'Butterbeer',
+              description: 'Sweet, frothy and warming',
+              price: 500,
+              available: true,
+            },
+            {
+              id: 'pumpkin-juice',
+              name: 'Pumpkin Juice',
+              description: 'Chilled and freshly pressed',
+              price: 400,
+              available: true,
+            },
+          ],
+        },
+        {
+          name: 'Mains',
+          items: [
+            {
+              id: 'shepherds-pie',
+              name: "Shepherd's Pie",
+              description: 'Lamb, vegetables and mashed potatoes',
+              price: 1500,
+              available: true,
+            },
+          ],
+        },
+      ],
+    },
   },
   {
     name: "Lil' Bits",
     image: 'https://d2qt42rcwzspd6.cloudfront.net/manning/lil+bits.png',
     themes: ['cartoon', 'rick and morty'],
+    menu: {
+      sections: [
+        {
+          name: 'Tiny Plates',
+          items: [
+            { id: 'tiny-burger', name: 'Tiny Burger', description: 'A very small burger', price: 350, available: true },
+            { id: 'tiny-steak', name: 'Tiny Steak', description: 'A very small steak', price: 700, available: true },
+          ],
+        },
+      ],
+    },
   },
   {
     name: 'Fancy Eats',
     image: 'https://d2qt42rcwzspd6.cloudfront.net/manning/fancy+eats.png',
     themes: ['cartoon', 'rick and morty'],
+    menu: {
+      sections: [
+        {
+          name: 'Tasting Menu',
+          items: [
+            {
+              id: 'truffle-risotto',
+              name: 'Truffle Risotto',
+              description: 'Arborio rice, black truffle and parmesan',
+              price: 3200,
+              available: true,
+            },
+            {
+              id: 'lobster-thermidor',
+              name: 'Lobster Thermidor',
+              description: 'Classic French lobster dish',
+              price: 4500,
+              available: true,
+            },
+          ],
+        },
+      ],
+    },
   },
   {
     name: 'Don Cuco',
     image: 'https://d2qt42rcwzspd6.cloudfront.net/manning/don%20cuco.png',
     themes: ['cartoon', 'rick and morty'],
+    menu: {
+      sections: [
+        {
+          name: 'Tacos',
+          items: [
+            {
+              id: 'carne-asada-tacos',
+              name: 'Carne Asada Tacos',
+              description: 'Three tacos with grilled steak',
+              price: 1150,
+              available: true,
+            },
+            {
+              id: 'fish-tacos',
+              name: 'Fish Tacos',
+              description: 'Three tacos with battered cod',
+              price: 1100,
+              available: true,
+            },
+          ],
+        },
+        {
+          name: 'Sides',
+          items: [
+            {
+              id: 'chips-and-guac',
+              name: 'Chips & Guac',
+              description: 'Made to order guacamole',
+              price: 650,
+              available: true,
+            },
+          ],
+        },
+      ],
+    },
   },
 ];
 
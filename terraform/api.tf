@@ -55,7 +55,14 @@ resource "aws_api_gateway_deployment" "main" {
     aws_api_gateway_integration.get_index,
     aws_api_gateway_integration.get_restaurants,
     aws_api_gateway_integration.search_restaurants,
+    aws_api_gateway_integration.get_search_restaurants,
+    aws_api_gateway_integration.get_menu,
     aws_api_gateway_integration.post_orders,
+    aws_api_gateway_integration.get_orders,
+    aws_api_gateway_integration.get_order,
+    aws_api_gateway_integration.cancel_order,
+    aws_api_gateway_integration.accept_order,
+    aws_api_gateway_integration.reject_order,
   ]
 
   # Control the flow of our Terraform operations
@@ -161,6 +168,68 @@ resource "aws_api_gateway_integration" "search_restaurants" {
   uri                     = module.search_restaurants_lambda.lambda_function_invoke_arn
 }
 
+# HTTP GET method for /restaurants/search
+# The same search with the criteria in the query string, for get-index to render GET /?theme=... - only the functions
+# with IAM permission can call it, like GET /restaurants
+resource "aws_api_gateway_method" "get_search_restaurants" {
+  rest_api_id   = aws_api_gateway_rest_api.main.id
+  resource_id   = aws_api_gateway_resource.search.id
+  http_method   = "GET"     # HTTP GET requests
+  authorization = "AWS_IAM" # Requests signed with the caller's IAM credentials (get-index's execution role)
+}
+
+# Lambda integration for the GET method
+resource "aws_api_gateway_integration" "get_search_restaurants" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_resource.search.id
+  http_method = aws_api_gateway_method.get_search_restaurants.http_method
+
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = module.search_restaurants_lambda.lambda_function_invoke_arn
+}
+
+# API Gateway resource for /restaurants/{name} path
+# {name} is a path parameter - API Gateway passes its value to the Lambda function in event.pathParameters.name
+resource "aws_api_gateway_resource" "restaurant" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  parent_id   = aws_api_gateway_resource.restaurants.id # Attach to restaurants resource (/restaurants)
+  path_part   = "{name}"                                # Creates /restaurants/{name} path
+}
+
+# API Gateway resource for /restaurants/{name}/menu endpoint
+resource "aws_api_gateway_resource" "menu" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  parent_id   = aws_api_gateway_resource.restaurant.id # Attach to /restaurants/{name}
+  path_part   = "menu"                                 # Creates /restaurants/{name}/menu path
+}
+
+# HTTP GET method for /restaurants/{name}/menu
+# Protected by Cognito, so the landing page can load menus on behalf of signed-in users
+resource "aws_api_gateway_method" "get_menu" {
+  rest_api_id   = aws_api_gateway_rest_api.main.id
+  resource_id   = aws_api_gateway_resource.menu.id
+  http_method   = "GET"
+  authorization = "COGNITO_USER_POOLS"
+  authorizer_id = aws_api_gateway_authorizer.cognito.id
+
+  # Declare the path parameter as required
+  request_parameters = {
+    "method.request.path.name" = true
+  }
+}
+
+# Lambda integration for the GET method
+resource "aws_api_gateway_integration" "get_menu" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_resource.menu.id
+  http_method = aws_api_gateway_method.get_menu.http_method
+
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = module.get_menu_lambda.lambda_function_invoke_arn
+}
+
 # API Gateway Cognito Authorizer
 # Validates JWT tokens issued by Cognito User Pool before allowing access to protected endpoints.
 # Clients must include valid JWT token in Authorization header to access protected resources.
@@ -197,3 +266,147 @@ resource "aws_api_gateway_integration" "post_orders" {
   type                    = "AWS_PROXY"
   uri                     = module.place_order_lambda.lambda_function_invoke_arn
 }
+
+# GET method for /orders - lists the caller's orders
+resource "aws_api_gateway_method" "get_orders" {
+  rest_api_id   = aws_api_gateway_rest_api.main.id
+  resource_id   = aws_api_gateway_resource.orders.id
+  http_method   = "GET"
+  authorization = "COGNITO_USER_POOLS"
+  authorizer_id = aws_api_gateway_authorizer.cognito.id
+}
+
+# Lambda integration for the GET method
+resource "aws_api_gateway_integration" "get_orders" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_resource.orders.id
+  http_method = aws_api_gateway_method.get_orders.http_method
+
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = module.get_orders_lambda.lambda_function_invoke_arn
+}
+
+# API Gateway resource for /orders/{id} path
+# {id} is a path parameter - API Gateway passes its value to the Lambda function in event.pathParameters.id
+resource "aws_api_gateway_resource" "order" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  parent_id   = aws_api_gateway_resource.orders.id # Attach to orders resource (/orders)
+  path_part   = "{id}"                             # Creates /orders/{id} path
+}
+
+# GET method for /orders/{id}
+# Protected by Cognito - the Lambda function uses the caller's identity to only return their own orders
+resource "aws_api_gateway_method" "get_order" {
+  rest_api_id   = aws_api_gateway_rest_api.main.id
+  resource_id   = aws_api_gateway_resource.order.id
+  http_method   = "GET"
+  authorization = "COGNITO_USER_POOLS"
+  authorizer_id = aws_api_gateway_authorizer.cognito.id
+
+  # Declare the path parameter as required
+  request_parameters = {
+    "method.request.path.id" = true
+  }
+}
+
+# Lambda integration for the GET method
+resource "aws_api_gateway_integration" "get_order" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_resource.order.id
+  http_method = aws_api_gateway_method.get_order.http_method
+
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = module.get_order_lambda.lambda_function_invoke_arn
+}
+
+# DELETE method for /orders/{id} - cancels the order
+# Protected by Cognito - the Lambda function uses the caller's identity to only cancel their own orders
+resource "aws_api_gateway_method" "cancel_order" {
+  rest_api_id   = aws_api_gateway_rest_api.main.id
+  resource_id   = aws_api_gateway_resource.order.id
+  http_method   = "DELETE"
+  authorization = "COGNITO_USER_POOLS"
+  authorizer_id = aws_api_gateway_authorizer.cognito.id
+
+  # Declare the path parameter as required
+  request_parameters = {
+    "method.request.path.id" = true
+  }
+}
+
+# Lambda integration for the DELETE method
+resource "aws_api_gateway_integration" "cancel_order" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_resource.order.id
+  http_method = aws_api_gateway_method.cancel_order.http_method
+
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = module.cancel_order_lambda.lambda_function_invoke_arn
+}
+
+# API Gateway resources for /orders/{id}/accept and /orders/{id}/reject
+# Restaurant users answer the orders placed with their restaurant (the Lambda function checks the caller's restaurant)
+resource "aws_api_gateway_resource" "accept_order" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  parent_id   = aws_api_gateway_resource.order.id # Parent is /orders/{id}
+  path_part   = "accept"                          # Creates /orders/{id}/accept path
+}
+
+resource "aws_api_gateway_resource" "reject_order" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  parent_id   = aws_api_gateway_resource.order.id # Parent is /orders/{id}
+  path_part   = "reject"                          # Creates /orders/{id}/reject path
+}
+
+# POST method for /orders/{id}/accept
+resource "aws_api_gateway_method" "accept_order" {
+  rest_api_id   = aws_api_gateway_rest_api.main.id
+  resource_id   = aws_api_gateway_resource.accept_order.id
+  http_method   = "POST"
+  authorization = "COGNITO_USER_POOLS"
+  authorizer_id = aws_api_gateway_authorizer.cognito.id
+
+  # Declare the path parameter as required
+  request_parameters = {
+    "method.request.path.id" = true
+  }
+}
+
+# Lambda integration for the POST method
+resource "aws_api_gateway_integration" "accept_order" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_resource.accept_order.id
+  http_method = aws_api_gateway_method.accept_order.http_method
+
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = module.respond_to_order_lambda.lambda_function_invoke_arn
+}
+
+# POST method for /orders/{id}/reject
+resource "aws_api_gateway_method" "reject_order" {
+  rest_api_id   = aws_api_gateway_rest_api.main.id
+  resource_id   = aws_api_gateway_resource.reject_order.id
+  http_method   = "POST"
+  authorization = "COGNITO_USER_POOLS"
+  authorizer_id = aws_api_gateway_authorizer.cognito.id
+
+  # Declare the path parameter as required
+  request_parameters = {
+    "method.request.path.id" = true
+  }
+}
+
+# Lambda integration for the POST method - same function as accept, it reads the decision from the resource path
+resource "aws_api_gateway_integration" "reject_order" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_resource.reject_order.id
+  http_method = aws_api_gateway_method.reject_order.http_method
+
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = module.respond_to_order_lambda.lambda_function_invoke_arn
+}
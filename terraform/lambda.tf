@@ -17,6 +17,7 @@ module "get_index_lambda" {
     cognito_client_id    = aws_cognito_user_pool_client.web_client.id # Cognito App Client ID
     restaurants_api      = "https://${aws_api_gateway_rest_api.main.id}.execute-api.${var.aws_region}.amazonaws.com/${var.stage_name}/restaurants"
     orders_api           = "https://${aws_api_gateway_rest_api.main.id}.execute-api.${var.aws_region}.amazonaws.com/${var.stage_name}/orders"
+    websocket_url        = aws_apigatewayv2_stage.websocket.invoke_url # WebSocket API the page gets the status of its orders from
   }
 
   # IAM permissions attached to the Lambda function's execution role
@@ -24,10 +25,21 @@ module "get_index_lambda" {
     restaurants_api_access = {
       effect = "Allow"
       actions = [
-        "execute-api:Invoke" # Allow invoking the API Gateway /restaurants endpoint
+        "execute-api:Invoke" # Allow invoking the API Gateway /restaurants endpoints
       ]
       resources = [
-        "${aws_api_gateway_rest_api.main.execution_arn}/${var.stage_name}/GET/restaurants" # API Gateway endpoint ARN
+        "${aws_api_gateway_rest_api.main.execution_arn}/${var.stage_name}/GET/restaurants",       # API Gateway endpoint ARN
+        "${aws_api_gateway_rest_api.main.execution_arn}/${var.stage_name}/GET/restaurants/search" # Search, for GET /?theme=...
+      ]
+    }
+    # Allow access to SSM parameters for configuration (how long the restaurants are cached)
+    ssm_access = {
+      effect = "Allow"
+      actions = [
+        "ssm:GetParameters*"
+      ]
+      resources = [
+        "arn:aws:ssm:${var.aws_region}:${data.aws_caller_identity.current.account_id}:parameter/${var.service_name}/${local.ssm_stage_name}/get-index/config"
       ]
     }
   }
@@ -77,9 +89,18 @@ module "get_restaurants_lambda" {
         "ssm:GetParameters*"
       ]
       resources = [
-        "arn:aws:ssm:${var.aws_region}:${data.aws_caller_identity.current.account_id}:parameter/${var.service_name}/${local.ssm_stage_name}/get-restaurants/config"
+        "arn:aws:ssm:${var.aws_region}:${data.aws_caller_identity.current.account_id}:parameter/${var.service_name}/${local.ssm_stage_name}/get-restaurants/config",
+        "arn:aws:ssm:${var.aws_region}:${data.aws_caller_identity.current.account_id}:parameter/${var.service_name}/${local.ssm_stage_name}/pagination/tokenSecret"
       ]
     }
+    # Allow decryption of the KMS-encrypted secret that signs continuation tokens
+    kms_access = {
+      effect = "Allow"
+      actions = [
+        "kms:Decrypt"
+      ]
+      resources = [data.aws_ssm_parameter.kms_arn.value]
+    }
   }
 
   # Lambda trigger permissions - allows API Gateway to invoke this Lambda function
@@ -92,7 +113,7 @@ module "get_restaurants_lambda" {
 }
 
 # ----------------------------------------
-# Lambda function for handling POST requests to the /restaurants/search path.
+# Lambda function for handling POST (and GET) requests to the /restaurants/search path.
 # ----------------------------------------
 module "search_restaurants_lambda" {
   source = "./modules/lambda-function"
@@ -106,18 +127,18 @@ module "search_restaurants_lambda" {
 
   # Environment variables for the Lambda function
   environment_variables = {
-    restaurants_table = module.dynamodb_restaurants_table.dynamodb_table_id
+    restaurant_themes_table = module.dynamodb_restaurant_themes_table.dynamodb_table_id
   }
 
   # IAM permissions attached to the Lambda function's execution role
   policy_statements = {
-    # Allow read access to DynamoDB restaurants table
+    # Allow read access to DynamoDB theme index table
     dynamodb_read = {
       effect = "Allow"
       actions = [
-        "dynamodb:Scan"
+        "dynamodb:Query"
       ]
-      resources = [module.dynamodb_restaurants_table.dynamodb_table_arn]
+      resources = [module.dynamodb_restaurant_themes_table.dynamodb_table_arn]
     }
     # Allow access to SSM parameters for configuration
     ssm_access = {
@@ -128,7 +149,8 @@ module "search_restaurants_lambda" {
       ]
       resources = [
         "arn:aws:ssm:${var.aws_region}:${data.aws_caller_identity.current.account_id}:parameter/${var.service_name}/${local.ssm_stage_name}/search-restaurants/config",
-        "arn:aws:ssm:${var.aws_region}:${data.aws_caller_identity.current.account_id}:parameter/${var.service_name}/${local.ssm_stage_name}/search-restaurants/secretString"
+        "arn:aws:ssm:${var.aws_region}:${data.aws_caller_identity.current.account_id}:parameter/${var.service_name}/${local.ssm_stage_name}/search-restaurants/secretString",
+        "arn:aws:ssm:${var.aws_region}:${data.aws_caller_identity.current.account_id}:parameter/${var.service_name}/${local.ssm_stage_name}/pagination/tokenSecret"
       ]
     }
     # Allow decryption of KMS-encrypted SSM parameters
@@ -143,188 +165,275 @@ module "search_restaurants_lambda" {
 
   # Lambda trigger permissions - allows API Gateway to invoke this Lambda function
   allowed_triggers = {
-    APIGatewayGet = {
+    APIGatewayPost = {
       service    = "apigateway"
       source_arn = "${aws_api_gateway_rest_api.main.execution_arn}/${var.stage_name}/POST/restaurants/search"
     }
+    APIGatewayGet = {
+      service    = "apigateway"
+      source_arn = "${aws_api_gateway_rest_api.main.execution_arn}/${var.stage_name}/GET/restaurants/search"
+    }
   }
 }
 
 # ----------------------------------------
-# Lambda function for handling POST requests to the /orders endpoint
-# This function processes order placement and publishes events to EventBridge
+# Lambda function to keep the theme index in sync with the restaurants table (DynamoDB stream)
 # ----------------------------------------
-module "place_order_lambda" {
+module "sync_theme_index_lambda" {
   source = "./modules/lambda-function"
 
   # Function configuration
   service_name   = var.service_name
   stage_name     = var.stage_name
   ssm_stage_name = local.ssm_stage_name
-  name           = "place-order"
-  source_path    = "${path.module}/../functions/place-order"
+  name           = "sync-theme-index"
+  source_path    = "${path.module}/../functions/sync-theme-index"
 
   # Environment variables for the Lambda function
   environment_variables = {
-    bus_name = module.eventbridge.eventbridge_bus_name # EventBridge bus for publishing order events
+    restaurant_themes_table = module.dynamodb_restaurant_themes_table.dynamodb_table_id
   }
 
   # IAM permissions attached to the Lambda function's execution role
   policy_statements = {
-    # Allow publishing events to EventBridge
-    eventbridge_put = {
+    # Allow reading the restaurants table stream (the event source mapping polls it with the function's role)
+    dynamodb_stream = {
       effect = "Allow"
       actions = [
-        "events:PutEvents" # Permission to publish events
+        "dynamodb:DescribeStream",
+        "dynamodb:GetRecords",
+        "dynamodb:GetShardIterator",
+        "dynamodb:ListStreams"
       ]
-      resources = [module.eventbridge.eventbridge_bus_arn] # Specific EventBridge bus ARN
+      resources = [module.dynamodb_restaurants_table.dynamodb_table_stream_arn]
+    }
+    # Allow writing and deleting theme index items
+    dynamodb_write = {
+      effect = "Allow"
+      actions = [
+        "dynamodb:BatchWriteItem"
+      ]
+      resources = [module.dynamodb_restaurant_themes_table.dynamodb_table_arn]
+    }
+  }
+}
+
+# Feeds the changes to the restaurants table to the sync-theme-index function
+# ReportBatchItemFailures: a failed record is retried (with the ones after it) without re-applying the whole batch
+resource "aws_lambda_event_source_mapping" "sync_theme_index" {
+  event_source_arn  = module.dynamodb_restaurants_table.dynamodb_table_stream_arn
+  function_name     = module.sync_theme_index_lambda.lambda_function_arn
+  starting_position = "TRIM_HORIZON" # Start from the oldest record still in the stream, so no change is missed
+
+  batch_size                     = 100
+  maximum_retry_attempts         = 10
+  bisect_batch_on_function_error = true
+  function_response_types        = ["ReportBatchItemFailures"]
+}
+
+# ----------------------------------------
+# Lambda function for handling GET requests to the /restaurants/{name}/menu path.
+# ----------------------------------------
+module "get_menu_lambda" {
+  source = "./modules/lambda-function"
+
+  # Function configuration
+  service_name   = var.service_name
+  stage_name     = var.stage_name
+  ssm_stage_name = local.ssm_stage_name
+  name           = "get-menu"
+  source_path    = "${path.module}/../functions/get-menu"
+
+  # Environment variables for the Lambda function
+  environment_variables = {
+    restaurants_table = module.dynamodb_restaurants_table.dynamodb_table_id
+  }
+
+  # IAM permissions attached to the Lambda function's execution role
+  policy_statements = {
+    # Allow reading a single restaurant (and its menu)
+    dynamodb_read = {
+      effect = "Allow"
+      actions = [
+        "dynamodb:GetItem"
+      ]
+      resources = [module.dynamodb_restaurants_table.dynamodb_table_arn]
     }
   }
 
   # Lambda trigger permissions - allows API Gateway to invoke this Lambda function
   allowed_triggers = {
-    APIGatewayPost = {
-      service    = "apigateway"                                                                   # AWS service that can invoke
-      source_arn = "${aws_api_gateway_rest_api.main.execution_arn}/${var.stage_name}/POST/orders" # Specific API Gateway endpoint
+    APIGatewayGet = {
+      service    = "apigateway"
+      source_arn = "${aws_api_gateway_rest_api.main.execution_arn}/${var.stage_name}/GET/restaurants/*/menu" # '*' matches any restaurant name
     }
   }
 }
 
 # ----------------------------------------
-# Lambda function to handle orders (restaurant notifications via SNS & EventBridge status updates)
+# Lambda function for handling POST requests to the /orders endpoint
+# This function saves the order, and its order_placed event in the outbox (published by the relay-outbox function)
 # ----------------------------------------
-module "notify_restaurant_lambda" {
+module "place_order_lambda" {
   source = "./modules/lambda-function"
 
   # Function configuration
   service_name   = var.service_name
   stage_name     = var.stage_name
   ssm_stage_name = local.ssm_stage_name
-  name           = "notify-restaurant"
-  source_path    = "${path.module}/../functions/notify-restaurant"
+  name           = "place-order"
+  source_path    = "${path.module}/../functions/place-order"
 
   # Environment variables for the Lambda function
   environment_variables = {
-    bus_name                      = module.eventbridge.eventbridge_bus_name             # EventBridge bus for publishing events
-    restaurant_notification_topic = module.sns_restaurant_notifications.topic_arn       # SNS topic for restaurant notifications
-    idempotency_table             = module.dynamodb_idempotency_table.dynamodb_table_id # DynamoDB table for idempotency checks
+    restaurants_table = module.dynamodb_restaurants_table.dynamodb_table_id # DynamoDB table holding the restaurant menus
+    orders_table      = module.dynamodb_orders_tables.dynamodb_table_id     # DynamoDB table the order is saved to
+    outbox_table      = module.dynamodb_outbox_table.dynamodb_table_id      # DynamoDB table the order_placed event is written to
   }
 
   # IAM permissions attached to the Lambda function's execution role
   policy_statements = {
-    # Allow publishing events to EventBridge (for restaurant_notified events)
-    eventbridge_put = {
+    # Allow saving the order and its event (both puts are part of one TransactWriteItems call)
+    dynamodb_write = {
       effect = "Allow"
       actions = [
-        "events:PutEvents" # Permission to publish events
+        "dynamodb:PutItem"
       ]
-      resources = [module.eventbridge.eventbridge_bus_arn] # Specific EventBridge bus ARN
-    },
-
-    # Allow publishing messages to SNS (for restaurant notifications)
-    sns_publish = {
-      effect = "Allow"
-      actions = [
-        "sns:Publish" # Permission to publish to SNS topics
+      resources = [
+        module.dynamodb_orders_tables.dynamodb_table_arn,
+        module.dynamodb_outbox_table.dynamodb_table_arn
       ]
-      resources = [module.sns_restaurant_notifications.topic_arn] # Specific SNS topic ARN
     }
-
-    # Allow idempotency table operations
-    dynamodb_access = {
+    # Allow reading a restaurant (and its menu) to price the order
+    dynamodb_read = {
       effect = "Allow"
       actions = [
-        "dynamodb:GetItem",
-        "dynamodb:PutItem",
-        "dynamodb:UpdateItem",
-        "dynamodb:DeleteItem"
+        "dynamodb:GetItem"
       ]
-      resources = [module.dynamodb_idempotency_table.dynamodb_table_arn]
+      resources = [module.dynamodb_restaurants_table.dynamodb_table_arn]
     }
-
-    # Allow sending failed events to queue
-    dlq_send = {
+    # Allow access to SSM parameters for configuration (currency and tax rate)
+    ssm_access = {
       effect = "Allow"
       actions = [
-        "sqs:GetQueueAttributes",
-        "sqs:GetQueueUrl",
-        "sqs:SendMessage"
+        "ssm:GetParameters*"
+      ]
+      resources = [
+        "arn:aws:ssm:${var.aws_region}:${data.aws_caller_identity.current.account_id}:parameter/${var.service_name}/${local.ssm_stage_name}/place-order/config"
       ]
-      resources = [aws_sqs_queue.notify_restaurant_dlq.arn]
     }
   }
 
-  # Lambda trigger permissions - allows EventBridge to invoke this Lambda function (rule)
+  # Lambda trigger permissions - allows API Gateway to invoke this Lambda function
   allowed_triggers = {
-    EventBridge = {
-      service    = "events"
-      source_arn = module.eventbridge.eventbridge_rule_arns["notify_restaurant"]
+    APIGatewayPost = {
+      service    = "apigateway"                                                                   # AWS service that can invoke
+      source_arn = "${aws_api_gateway_rest_api.main.execution_arn}/${var.stage_name}/POST/orders" # Specific API Gateway endpoint
     }
   }
-
-  # # OnFailure destination
-  # create_async_event_config = true                                    # Controls whether async event configuration for Lambda Function/Alias should be created
-  # destination_on_failure    = aws_sqs_queue.notify_restaurant_dlq.arn # ARN of the destination resource for failed asynchronous invocations
 }
 
-# DLQ (Dead Letter Queue) for OnFailure destination of notify_restaurant Lambda invocations
-resource "aws_sqs_queue" "notify_restaurant_dlq" {
-  name = "${var.service_name}-${var.stage_name}-notify-restaurant-dlq"
-}
+# ----------------------------------------
+# Lambda function to publish the events written to the outbox table to EventBridge (DynamoDB stream)
+# ----------------------------------------
+module "relay_outbox_lambda" {
+  source = "./modules/lambda-function"
 
-# NOTE: OnFailure destination can be configured using destination_on_failure setting in the Lambda module above
-# instead of using a separate aws_lambda_function_event_invoke_config resource
+  # Function configuration
+  service_name   = var.service_name
+  stage_name     = var.stage_name
+  ssm_stage_name = local.ssm_stage_name
+  name           = "relay-outbox"
+  source_path    = "${path.module}/../functions/relay-outbox"
 
-# Configure OnFailure destination for notify_restaurant Lambda
-resource "aws_lambda_function_event_invoke_config" "notify_restaurant" {
-  function_name = module.notify_restaurant_lambda.lambda_function_name
+  # Environment variables for the Lambda function
+  environment_variables = {
+    bus_name = module.eventbridge.eventbridge_bus_name # EventBridge bus for publishing the events
+  }
 
-  destination_config {
-    # Destination configuration for failed asynchronous invocations
-    on_failure {
-      destination = aws_sqs_queue.notify_restaurant_dlq.arn
+  # IAM permissions attached to the Lambda function's execution role
+  policy_statements = {
+    # Allow reading the outbox table stream (the event source mapping polls it with the function's role)
+    dynamodb_stream = {
+      effect = "Allow"
+      actions = [
+        "dynamodb:DescribeStream",
+        "dynamodb:GetRecords",
+        "dynamodb:GetShardIterator",
+        "dynamodb:ListStreams"
+      ]
+      resources = [module.dynamodb_outbox_table.dynamodb_table_stream_arn]
+    }
+    # Allow publishing events to EventBridge
+    eventbridge_put = {
+      effect = "Allow"
+      actions = [
+        "events:PutEvents" # Permission to publish events
+      ]
+      resources = [module.eventbridge.eventbridge_bus_arn] # Specific EventBridge bus ARN
     }
   }
 }
 
-# Alarm for failed events in the DLQ
-# Default SNS Topic Policy: the default policy allows any AWS service within our account to publish to the topic
-resource "aws_cloudwatch_metric_alarm" "on_failure_queue" {
-  alarm_name          = "[${var.stage_name}][notify-restaurant function] Failed events detected in OnFailure destination"
+# Feeds the new outbox entries to the relay-outbox function
+# An event the client was told about must reach the bus: failed records are retried (from the first unpublished one)
+# with no retry limit, and the shard waits for them. The stream only keeps records for 24 hours, so the
+# relay_outbox_iterator_age alarms go off long before that, for the cause to be fixed while the records are there.
+resource "aws_lambda_event_source_mapping" "relay_outbox" {
+  event_source_arn  = module.dynamodb_outbox_table.dynamodb_table_stream_arn
+  function_name     = module.relay_outbox_lambda.lambda_function_arn
+  starting_position = "TRIM_HORIZON" # Start from the oldest record still in the stream, so no event is missed
+
+  # Entries are only ever inserted (the TTL deletes show up as REMOVE records)
+  filter_criteria {
+    filter {
+      pattern = jsonencode({ eventName = ["INSERT"] })
+    }
+  }
+
+  batch_size                     = 100
+  maximum_retry_attempts         = -1 # Retry until the records are published - a batch is never skipped
+  maximum_record_age_in_seconds  = -1
+  bisect_batch_on_function_error = true # Split a failing batch, to retry the records that fail on their own
+  function_response_types        = ["ReportBatchItemFailures"]
+}
+
+# Alarm for events stuck in the outbox - the relay keeps retrying them, but orders are waiting for the order flow
+resource "aws_cloudwatch_metric_alarm" "relay_outbox_iterator_age" {
+  alarm_name          = "[${var.stage_name}][relay-outbox function] Events not published to EventBridge for 5 minutes"
   comparison_operator = "GreaterThanThreshold"
   evaluation_periods  = 1
-  metric_name         = "ApproximateNumberOfMessagesVisible"
-  namespace           = "AWS/SQS"
-  period              = 300 # 5 minutes
-  statistic           = "Average"
-  threshold           = 0
+  metric_name         = "IteratorAge"
+  namespace           = "AWS/Lambda"
+  period              = 60 # 1 minute
+  statistic           = "Maximum"
+  threshold           = 5 * 60 * 1000 # milliseconds
   treat_missing_data  = "notBreaching"
 
   # Services to publish metrics to CloudWatch
   dimensions = {
-    QueueName = aws_sqs_queue.notify_restaurant_dlq.name
+    FunctionName = module.relay_outbox_lambda.lambda_function_name
   }
 
   # List of actions to execute when this alarm transitions into an ALARM state from any other state.
   alarm_actions = [module.sns_alarm_topic.topic_arn]
 }
 
-# Alarm for DLQ delivery failures (DestinationDeliveryFailures) - triggers when Lambda cannot send failed events to the OnFailure destination
-# Default SNS Topic Policy: the default policy allows any AWS service within our account to publish to the topic
-resource "aws_cloudwatch_metric_alarm" "destination_delivery_failures" {
-  alarm_name          = "[${var.stage_name}][notify-restaurant function] Failed to deliver failed events to OnFailure destination"
+# Alarm for events that are about to be lost - the stream drops its records after 24 hours, published or not
+resource "aws_cloudwatch_metric_alarm" "relay_outbox_iterator_age_critical" {
+  alarm_name          = "[${var.stage_name}][relay-outbox function] Events not published to EventBridge for 12 hours - they leave the stream after 24"
   comparison_operator = "GreaterThanThreshold"
   evaluation_periods  = 1
-  metric_name         = "DestinationDeliveryFailures"
+  metric_name         = "IteratorAge"
   namespace           = "AWS/Lambda"
-  period              = 300 # 5 minutes
-  statistic           = "Sum"
-  threshold           = 0
+  period              = 60 # 1 minute
+  statistic           = "Maximum"
+  threshold           = 12 * 60 * 60 * 1000 # milliseconds
   treat_missing_data  = "notBreaching"
 
   # Services to publish metrics to CloudWatch
   dimensions = {
-    FunctionName = module.notify_restaurant_lambda.lambda_function_name
+    FunctionName = module.relay_outbox_lambda.lambda_function_name
   }
 
   # List of actions to execute when this alarm transitions into an ALARM state from any other state.
@@ -332,55 +441,944 @@ resource "aws_cloudwatch_metric_alarm" "destination_delivery_failures" {
 }
 
 # ----------------------------------------
-# Lambda function for saving order data in DynamoDB table from EventBridge events.
-# This function writes the order information from the "order_placed" events into the "orders" DynamoDB table.
-# Function is triggered by EventBridge rule "seed_orders" which filter for "order_placed" events.
+# Lambda function for handling GET requests to the /orders endpoint
+# This function lists the caller's orders (newest first, paginated)
 # ----------------------------------------
-module "seed_orders_lambda" {
+module "get_orders_lambda" {
   source = "./modules/lambda-function"
 
   # Function configuration
   service_name   = var.service_name
   stage_name     = var.stage_name
   ssm_stage_name = local.ssm_stage_name
-  name           = "seed-orders"
-  source_path    = "${path.module}/../functions/seed-orders"
+  name           = "get-orders"
+  source_path    = "${path.module}/../functions/get-orders"
 
   # Environment variables for the Lambda function
   environment_variables = {
-    orders_table      = module.dynamodb_orders_tables.dynamodb_table_id
-    idempotency_table = module.dynamodb_idempotency_table.dynamodb_table_id
+    orders_table         = module.dynamodb_orders_tables.dynamodb_table_id
+    orders_by_user_index = "userId-createdAt-index" # GSI with the orders of each user, sorted by creation time
   }
 
   # IAM permissions attached to the Lambda function's execution role
   policy_statements = {
-    # Allow write access to DynamoDB orders table
-    dynamodb_orders_write = {
+    # Allow querying the orders of a user (Query permissions on an index are granted on the index ARN)
+    dynamodb_query = {
       effect = "Allow"
       actions = [
-        "dynamodb:PutItem"
+        "dynamodb:Query"
       ]
-      resources = [module.dynamodb_orders_tables.dynamodb_table_arn]
+      resources = ["${module.dynamodb_orders_tables.dynamodb_table_arn}/index/userId-createdAt-index"]
+    }
+    # Allow access to the secret that signs continuation tokens
+    ssm_access = {
+      effect = "Allow"
+      actions = [
+        "ssm:GetParameters*"
+      ]
+      resources = [
+        "arn:aws:ssm:${var.aws_region}:${data.aws_caller_identity.current.account_id}:parameter/${var.service_name}/${local.ssm_stage_name}/pagination/tokenSecret"
+      ]
+    }
+    # Allow decryption of the KMS-encrypted secret
+    kms_access = {
+      effect = "Allow"
+      actions = [
+        "kms:Decrypt"
+      ]
+      resources = [data.aws_ssm_parameter.kms_arn.value]
     }
+  }
 
-    # Allow idempotency table operations
-    dynamodb_idempotency = {
+  # Lambda trigger permissions - allows API Gateway to invoke this Lambda function
+  allowed_triggers = {
+    APIGatewayGet = {
+      service    = "apigateway"
+      source_arn = "${aws_api_gateway_rest_api.main.execution_arn}/${var.stage_name}/GET/orders"
+    }
+  }
+}
+
+# ----------------------------------------
+# Lambda function for handling GET requests to the /orders/{id} endpoint
+# This function returns the status of one of the caller's orders
+# ----------------------------------------
+module "get_order_lambda" {
+  source = "./modules/lambda-function"
+
+  # Function configuration
+  service_name   = var.service_name
+  stage_name     = var.stage_name
+  ssm_stage_name = local.ssm_stage_name
+  name           = "get-order"
+  source_path    = "${path.module}/../functions/get-order"
+
+  # Environment variables for the Lambda function
+  environment_variables = {
+    orders_table = module.dynamodb_orders_tables.dynamodb_table_id
+  }
+
+  # IAM permissions attached to the Lambda function's execution role
+  policy_statements = {
+    # Allow reading a single order
+    dynamodb_read = {
       effect = "Allow"
       actions = [
-        "dynamodb:GetItem",
-        "dynamodb:PutItem",
-        "dynamodb:UpdateItem",
-        "dynamodb:DeleteItem"
+        "dynamodb:GetItem"
       ]
-      resources = [module.dynamodb_idempotency_table.dynamodb_table_arn]
+      resources = [module.dynamodb_orders_tables.dynamodb_table_arn]
     }
   }
 
-  # Lambda trigger permissions - allows EventBridge to invoke this Lambda function (rule)
+  # Lambda trigger permissions - allows API Gateway to invoke this Lambda function
   allowed_triggers = {
-    EventBridge = {
-      service    = "events"
-      source_arn = module.eventbridge.eventbridge_rule_arns["seed_orders"]
+    APIGatewayGet = {
+      service    = "apigateway"
+      source_arn = "${aws_api_gateway_rest_api.main.execution_arn}/${var.stage_name}/GET/orders/*" # '*' matches any order ID
+    }
+  }
+}
+
+# ----------------------------------------
+# Lambda function for the POST /orders/{id}/accept and POST /orders/{id}/reject endpoints
+# Restaurant users accept or reject orders, which resumes the order flow waiting in the "Notify restaurant" step
+# ----------------------------------------
+module "respond_to_order_lambda" {
+  source = "./modules/lambda-function"
+
+  # Function configuration
+  service_name   = var.service_name
+  stage_name     = var.stage_name
+  ssm_stage_name = local.ssm_stage_name
+  name           = "respond-to-order"
+  source_path    = "${path.module}/../functions/respond-to-order"
+
+  # Environment variables for the Lambda function
+  environment_variables = {
+    orders_table = module.dynamodb_orders_tables.dynamodb_table_id
+  }
+
+  # IAM permissions attached to the Lambda function's execution role
+  policy_statements = {
+    # Allow reading the order (and its task token), and recording the restaurant's decision
+    dynamodb_access = {
+      effect = "Allow"
+      actions = [
+        "dynamodb:GetItem",
+        "dynamodb:UpdateItem"
+      ]
+      resources = [module.dynamodb_orders_tables.dynamodb_table_arn]
+    }
+
+    # Allow resuming the order flow with the restaurant's decision
+    sfn_callback = {
+      effect = "Allow"
+      actions = [
+        "states:SendTaskSuccess"
+      ]
+      resources = [module.order_flow_state_machine.state_machine_arn]
+    }
+  }
+
+  # Lambda trigger permissions - allows API Gateway to invoke this Lambda function
+  allowed_triggers = {
+    APIGatewayAccept = {
+      service    = "apigateway"
+      source_arn = "${aws_api_gateway_rest_api.main.execution_arn}/${var.stage_name}/POST/orders/*/accept"
+    }
+    APIGatewayReject = {
+      service    = "apigateway"
+      source_arn = "${aws_api_gateway_rest_api.main.execution_arn}/${var.stage_name}/POST/orders/*/reject"
+    }
+  }
+}
+
+# ----------------------------------------
+# Lambda function for the DELETE /orders/{id} endpoint
+# Customers cancel their orders before the restaurant answers, which ends the order flow waiting in the "Notify restaurant" step
+# ----------------------------------------
+module "cancel_order_lambda" {
+  source = "./modules/lambda-function"
+
+  # Function configuration
+  service_name   = var.service_name
+  stage_name     = var.stage_name
+  ssm_stage_name = local.ssm_stage_name
+  name           = "cancel-order"
+  source_path    = "${path.module}/../functions/cancel-order"
+
+  # Environment variables for the Lambda function
+  environment_variables = {
+    orders_table = module.dynamodb_orders_tables.dynamodb_table_id
+    outbox_table = module.dynamodb_outbox_table.dynamodb_table_id # DynamoDB table the order_cancelled event is written to
+  }
+
+  # IAM permissions attached to the Lambda function's execution role
+  policy_statements = {
+    # Allow reading the order (and its task token), and marking it cancelled
+    dynamodb_access = {
+      effect = "Allow"
+      actions = [
+        "dynamodb:GetItem",
+        "dynamodb:UpdateItem"
+      ]
+      resources = [module.dynamodb_orders_tables.dynamodb_table_arn]
+    }
+
+    # Allow writing the order_cancelled event (in the same TransactWriteItems call as the order update)
+    dynamodb_outbox_write = {
+      effect = "Allow"
+      actions = [
+        "dynamodb:PutItem"
+      ]
+      resources = [module.dynamodb_outbox_table.dynamodb_table_arn]
+    }
+
+    # Allow ending the order flow waiting for the restaurant
+    sfn_callback = {
+      effect = "Allow"
+      actions = [
+        "states:SendTaskSuccess"
+      ]
+      resources = [module.order_flow_state_machine.state_machine_arn]
+    }
+  }
+
+  # Lambda trigger permissions - allows API Gateway to invoke this Lambda function
+  allowed_triggers = {
+    APIGatewayDelete = {
+      service    = "apigateway"
+      source_arn = "${aws_api_gateway_rest_api.main.execution_arn}/${var.stage_name}/DELETE/orders/*" # '*' matches any order ID
+    }
+  }
+}
+
+# ----------------------------------------
+# Lambda function to save the task tokens published by the "Notify restaurant" step on their orders
+# ----------------------------------------
+module "save_task_token_lambda" {
+  source = "./modules/lambda-function"
+
+  # Function configuration
+  service_name   = var.service_name
+  stage_name     = var.stage_name
+  ssm_stage_name = local.ssm_stage_name
+  name           = "save-task-token"
+  source_path    = "${path.module}/../functions/save-task-token"
+
+  # Environment variables for the Lambda function
+  environment_variables = {
+    orders_table = module.dynamodb_orders_tables.dynamodb_table_id
+  }
+
+  # IAM permissions attached to the Lambda function's execution role
+  policy_statements = {
+    # Allow saving the task token on the order
+    dynamodb_write = {
+      effect = "Allow"
+      actions = [
+        "dynamodb:UpdateItem"
+      ]
+      resources = [module.dynamodb_orders_tables.dynamodb_table_arn]
+    }
+
+    # Allow ending the order flow of orders cancelled before their task token arrived
+    sfn_callback = {
+      effect = "Allow"
+      actions = [
+        "states:SendTaskSuccess"
+      ]
+      resources = [module.order_flow_state_machine.state_machine_arn]
+    }
+  }
+
+  # Lambda trigger permissions - allows SNS to invoke this Lambda function
+  allowed_triggers = {
+    SNS = {
+      service    = "sns"
+      source_arn = module.sns_restaurant_notifications.topic_arn
+    }
+  }
+}
+
+# Subscribes the save-task-token function to the restaurant notifications topic
+# notify-restaurant publishes plain orders to the same topic, so the filter policy only lets through
+# the messages of the "Notify restaurant" step, which carry a task token
+resource "aws_sns_topic_subscription" "save_task_token" {
+  topic_arn = module.sns_restaurant_notifications.topic_arn
+  protocol  = "lambda"
+  endpoint  = module.save_task_token_lambda.lambda_function_arn
+
+  filter_policy_scope = "MessageBody"
+  filter_policy = jsonencode({
+    task_token = [{ exists = true }]
+  })
+}
+
+# ----------------------------------------
+# Lambda function to notify the customers of the outcome of their orders, published by the order flow
+# ----------------------------------------
+module "notify_user_lambda" {
+  source = "./modules/lambda-function"
+
+  # Function configuration
+  service_name   = var.service_name
+  stage_name     = var.stage_name
+  ssm_stage_name = local.ssm_stage_name
+  name           = "notify-user"
+  source_path    = "${path.module}/../functions/notify-user"
+
+  # Environment variables for the Lambda function
+  environment_variables = {
+    orders_table                  = module.dynamodb_orders_tables.dynamodb_table_id
+    notification_deliveries_table = module.dynamodb_notification_deliveries_table.dynamodb_table_id
+    cognito_user_pool_id          = aws_cognito_user_pool.main.id # Customers are looked up by the userId of their orders
+  }
+
+  # IAM permissions attached to the Lambda function's execution role
+  policy_statements = {
+    # Allow reading the order
+    dynamodb_orders_read = {
+      effect = "Allow"
+      actions = [
+        "dynamodb:GetItem"
+      ]
+      resources = [module.dynamodb_orders_tables.dynamodb_table_arn]
+    }
+
+    # Allow recording the delivery attempts, and finding the earlier ones of a retried notification
+    dynamodb_deliveries_access = {
+      effect = "Allow"
+      actions = [
+        "dynamodb:PutItem",
+        "dynamodb:Query"
+      ]
+      resources = [module.dynamodb_notification_deliveries_table.dynamodb_table_arn]
+    }
+
+    # Allow looking up the customer (email address, phone number and first name)
+    cognito_read = {
+      effect = "Allow"
+      actions = [
+        "cognito-idp:ListUsers"
+      ]
+      resources = [aws_cognito_user_pool.main.arn]
+    }
+
+    # Allow access to the SSM parameter of the configuration (channels, sender of the emails, webhook URL)
+    ssm_access = {
+      effect = "Allow"
+      actions = [
+        "ssm:GetParameters*"
+      ]
+      resources = [
+        "arn:aws:ssm:${var.aws_region}:${data.aws_caller_identity.current.account_id}:parameter/${var.service_name}/${local.ssm_stage_name}/notify-user/config"
+      ]
+    }
+
+    # Allow sending the emails (from the sender of the configuration, a verified SES identity)
+    ses_send = {
+      effect = "Allow"
+      actions = [
+        "ses:SendEmail"
+      ]
+      resources = ["*"]
+    }
+
+    # Allow sending the text messages - SMS aren't published to a topic, so there's no ARN to restrict them to
+    sns_sms = {
+      effect = "Allow"
+      actions = [
+        "sns:Publish"
+      ]
+      resources = ["*"]
+    }
+  }
+
+  # Lambda trigger permissions - allows SNS to invoke this Lambda function
+  allowed_triggers = {
+    SNS = {
+      service    = "sns"
+      source_arn = module.sns_user_notifications.topic_arn
+    }
+  }
+}
+
+# Subscribes the notify-user function to the user notifications topic
+resource "aws_sns_topic_subscription" "notify_user" {
+  topic_arn = module.sns_user_notifications.topic_arn
+  protocol  = "lambda"
+  endpoint  = module.notify_user_lambda.lambda_function_arn
+}
+
+# ----------------------------------------
+# Lambda function to handle orders (restaurant notifications via SNS & EventBridge status updates)
+# ----------------------------------------
+module "notify_restaurant_lambda" {
+  source = "./modules/lambda-function"
+
+  # Function configuration
+  service_name   = var.service_name
+  stage_name     = var.stage_name
+  ssm_stage_name = local.ssm_stage_name
+  name           = "notify-restaurant"
+  source_path    = "${path.module}/../functions/notify-restaurant"
+  timeout        = 30 # room for the retries of a restaurant webhook (4 attempts of up to 5s, with backoff in between)
+
+  # Environment variables for the Lambda function
+  environment_variables = {
+    bus_name                      = module.eventbridge.eventbridge_bus_name                         # EventBridge bus for publishing events
+    restaurant_notification_topic = module.sns_restaurant_notifications.topic_arn                   # SNS topic for restaurant notifications
+    idempotency_table             = module.dynamodb_idempotency_table.dynamodb_table_id             # DynamoDB table for idempotency checks
+    restaurants_table             = module.dynamodb_restaurants_table.dynamodb_table_id             # DynamoDB table holding the restaurant webhooks
+    notification_deliveries_table = module.dynamodb_notification_deliveries_table.dynamodb_table_id # DynamoDB table of the webhook delivery attempts
+  }
+
+  # IAM permissions attached to the Lambda function's execution role
+  policy_statements = {
+    # Allow publishing events to EventBridge (for restaurant_notified events)
+    eventbridge_put = {
+      effect = "Allow"
+      actions = [
+        "events:PutEvents" # Permission to publish events
+      ]
+      resources = [module.eventbridge.eventbridge_bus_arn] # Specific EventBridge bus ARN
+    },
+
+    # Allow publishing messages to SNS (for restaurant notifications)
+    sns_publish = {
+      effect = "Allow"
+      actions = [
+        "sns:Publish" # Permission to publish to SNS topics
+      ]
+      resources = [module.sns_restaurant_notifications.topic_arn] # Specific SNS topic ARN
+    }
+
+    # Allow idempotency table operations
+    dynamodb_access = {
+      effect = "Allow"
+      actions = [
+        "dynamodb:GetItem",
+        "dynamodb:PutItem",
+        "dynamodb:UpdateItem",
+        "dynamodb:DeleteItem"
+      ]
+      resources = [module.dynamodb_idempotency_table.dynamodb_table_arn]
+    }
+
+    # Allow reading the webhook of the restaurants
+    dynamodb_restaurants_read = {
+      effect = "Allow"
+      actions = [
+        "dynamodb:GetItem"
+      ]
+      resources = [module.dynamodb_restaurants_table.dynamodb_table_arn]
+    }
+
+    # Allow recording the webhook delivery attempts
+    dynamodb_deliveries_write = {
+      effect = "Allow"
+      actions = [
+        "dynamodb:PutItem"
+      ]
+      resources = [module.dynamodb_notification_deliveries_table.dynamodb_table_arn]
+    }
+
+    # Allow sending failed events to queue
+    dlq_send = {
+      effect = "Allow"
+      actions = [
+        "sqs:GetQueueAttributes",
+        "sqs:GetQueueUrl",
+        "sqs:SendMessage"
+      ]
+      resources = [aws_sqs_queue.notify_restaurant_dlq.arn]
+    }
+  }
+
+  # Lambda trigger permissions - allows EventBridge to invoke this Lambda function (rule)
+  allowed_triggers = {
+    EventBridge = {
+      service    = "events"
+      source_arn = module.eventbridge.eventbridge_rule_arns["notify_restaurant"]
+    }
+  }
+
+  # # OnFailure destination
+  # create_async_event_config = true                                    # Controls whether async event configuration for Lambda Function/Alias should be created
+  # destination_on_failure    = aws_sqs_queue.notify_restaurant_dlq.arn # ARN of the destination resource for failed asynchronous invocations
+}
+
+# DLQ (Dead Letter Queue) for OnFailure destination of notify_restaurant Lambda invocations
+# Each message is an invocation record: the original event (requestPayload) and the error (responsePayload)
+# Inspect and redrive the failed events with `npm run failed-events` (see failed-events.mjs)
+resource "aws_sqs_queue" "notify_restaurant_dlq" {
+  name                      = "${var.service_name}-${var.stage_name}-notify-restaurant-dlq"
+  message_retention_seconds = 1209600 # 14 days (the maximum), so failed events can be investigated before they're redriven
+}
+
+# NOTE: OnFailure destination can be configured using destination_on_failure setting in the Lambda module above
+# instead of using a separate aws_lambda_function_event_invoke_config resource
+
+# Configure OnFailure destination for notify_restaurant Lambda
+resource "aws_lambda_function_event_invoke_config" "notify_restaurant" {
+  function_name = module.notify_restaurant_lambda.lambda_function_name
+
+  destination_config {
+    # Destination configuration for failed asynchronous invocations
+    on_failure {
+      destination = aws_sqs_queue.notify_restaurant_dlq.arn
+    }
+  }
+}
+
+# Alarm for failed events in the DLQ
+# Default SNS Topic Policy: the default policy allows any AWS service within our account to publish to the topic
+resource "aws_cloudwatch_metric_alarm" "on_failure_queue" {
+  alarm_name          = "[${var.stage_name}][notify-restaurant function] Failed events detected in OnFailure destination"
+  comparison_operator = "GreaterThanThreshold"
+  evaluation_periods  = 1
+  metric_name         = "ApproximateNumberOfMessagesVisible"
+  namespace           = "AWS/SQS"
+  period              = 300 # 5 minutes
+  statistic           = "Average"
+  threshold           = 0
+  treat_missing_data  = "notBreaching"
+
+  # Services to publish metrics to CloudWatch
+  dimensions = {
+    QueueName = aws_sqs_queue.notify_restaurant_dlq.name
+  }
+
+  # List of actions to execute when this alarm transitions into an ALARM state from any other state.
+  alarm_actions = [module.sns_alarm_topic.topic_arn]
+}
+
+# Alarm for DLQ delivery failures (DestinationDeliveryFailures) - triggers when Lambda cannot send failed events to the OnFailure destination
+# Default SNS Topic Policy: the default policy allows any AWS service within our account to publish to the topic
+resource "aws_cloudwatch_metric_alarm" "destination_delivery_failures" {
+  alarm_name          = "[${var.stage_name}][notify-restaurant function] Failed to deliver failed events to OnFailure destination"
+  comparison_operator = "GreaterThanThreshold"
+  evaluation_periods  = 1
+  metric_name         = "DestinationDeliveryFailures"
+  namespace           = "AWS/Lambda"
+  period              = 300 # 5 minutes
+  statistic           = "Sum"
+  threshold           = 0
+  treat_missing_data  = "notBreaching"
+
+  # Services to publish metrics to CloudWatch
+  dimensions = {
+    FunctionName = module.notify_restaurant_lambda.lambda_function_name
+  }
+
+  # List of actions to execute when this alarm transitions into an ALARM state from any other state.
+  alarm_actions = [module.sns_alarm_topic.topic_arn]
+}
+
+# ----------------------------------------
+# Lambda function for saving order data in DynamoDB table from EventBridge events.
+# This function writes the order information from the "order_placed" events into the "orders" DynamoDB table.
+# Function is triggered by EventBridge rule "seed_orders" which filter for "order_placed" events.
+# Orders placed through the API are already saved by place-order - only missing orders are created (e.g. replayed events).
+# ----------------------------------------
+module "seed_orders_lambda" {
+  source = "./modules/lambda-function"
+
+  # Function configuration
+  service_name   = var.service_name
+  stage_name     = var.stage_name
+  ssm_stage_name = local.ssm_stage_name
+  name           = "seed-orders"
+  source_path    = "${path.module}/../functions/seed-orders"
+
+  # Environment variables for the Lambda function
+  environment_variables = {
+    orders_table      = module.dynamodb_orders_tables.dynamodb_table_id
+    idempotency_table = module.dynamodb_idempotency_table.dynamodb_table_id
+  }
+
+  # IAM permissions attached to the Lambda function's execution role
+  policy_statements = {
+    # Allow write access to DynamoDB orders table
+    dynamodb_orders_write = {
+      effect = "Allow"
+      actions = [
+        "dynamodb:PutItem"
+      ]
+      resources = [module.dynamodb_orders_tables.dynamodb_table_arn]
+    }
+
+    # Allow idempotency table operations
+    dynamodb_idempotency = {
+      effect = "Allow"
+      actions = [
+        "dynamodb:GetItem",
+        "dynamodb:PutItem",
+        "dynamodb:UpdateItem",
+        "dynamodb:DeleteItem"
+      ]
+      resources = [module.dynamodb_idempotency_table.dynamodb_table_arn]
+    }
+
+    # Allow sending failed events to queue
+    dlq_send = {
+      effect = "Allow"
+      actions = [
+        "sqs:GetQueueAttributes",
+        "sqs:GetQueueUrl",
+        "sqs:SendMessage"
+      ]
+      resources = [aws_sqs_queue.seed_orders_dlq.arn]
+    }
+  }
+
+  # Lambda trigger permissions - allows EventBridge to invoke this Lambda function (rule)
+  allowed_triggers = {
+    EventBridge = {
+      service    = "events"
+      source_arn = module.eventbridge.eventbridge_rule_arns["seed_orders"]
+    }
+  }
+}
+
+# DLQ (Dead Letter Queue) for OnFailure destination of seed_orders Lambda invocations
+# Same invocation records as the notify_restaurant DLQ - redriven with `npm run failed-events` too
+resource "aws_sqs_queue" "seed_orders_dlq" {
+  name                      = "${var.service_name}-${var.stage_name}-seed-orders-dlq"
+  message_retention_seconds = 1209600 # 14 days (the maximum), so failed events can be investigated before they're redriven
+}
+
+# Configure OnFailure destination for seed_orders Lambda
+# EventBridge invokes the function asynchronously: Lambda retries a failed event twice, then sends it to the DLQ
+resource "aws_lambda_function_event_invoke_config" "seed_orders" {
+  function_name = module.seed_orders_lambda.lambda_function_name
+
+  destination_config {
+    # Destination configuration for failed asynchronous invocations
+    on_failure {
+      destination = aws_sqs_queue.seed_orders_dlq.arn
+    }
+  }
+}
+
+# Alarm for failed events in the seed_orders DLQ
+resource "aws_cloudwatch_metric_alarm" "seed_orders_on_failure_queue" {
+  alarm_name          = "[${var.stage_name}][seed-orders function] Failed events detected in OnFailure destination"
+  comparison_operator = "GreaterThanThreshold"
+  evaluation_periods  = 1
+  metric_name         = "ApproximateNumberOfMessagesVisible"
+  namespace           = "AWS/SQS"
+  period              = 300 # 5 minutes
+  statistic           = "Average"
+  threshold           = 0
+  treat_missing_data  = "notBreaching"
+
+  # Services to publish metrics to CloudWatch
+  dimensions = {
+    QueueName = aws_sqs_queue.seed_orders_dlq.name
+  }
+
+  # List of actions to execute when this alarm transitions into an ALARM state from any other state.
+  alarm_actions = [module.sns_alarm_topic.topic_arn]
+}
+
+# Alarm for seed_orders DLQ delivery failures - the failed events are lost when Lambda can't send them to the DLQ
+resource "aws_cloudwatch_metric_alarm" "seed_orders_destination_delivery_failures" {
+  alarm_name          = "[${var.stage_name}][seed-orders function] Failed to deliver failed events to OnFailure destination"
+  comparison_operator = "GreaterThanThreshold"
+  evaluation_periods  = 1
+  metric_name         = "DestinationDeliveryFailures"
+  namespace           = "AWS/Lambda"
+  period              = 300 # 5 minutes
+  statistic           = "Sum"
+  threshold           = 0
+  treat_missing_data  = "notBreaching"
+
+  # Services to publish metrics to CloudWatch
+  dimensions = {
+    FunctionName = module.seed_orders_lambda.lambda_function_name
+  }
+
+  # List of actions to execute when this alarm transitions into an ALARM state from any other state.
+  alarm_actions = [module.sns_alarm_topic.topic_arn]
+}
+
+# ----------------------------------------
+# Lambda function to start the order flow state machine from the "order_placed" events.
+# Function is triggered by EventBridge rule "start_order_flow". Each execution is named after the order ID, so an
+# order never gets two executions (duplicate, redriven or replayed events are ignored).
+# ----------------------------------------
+module "start_order_flow_lambda" {
+  source = "./modules/lambda-function"
+
+  # Function configuration
+  service_name   = var.service_name
+  stage_name     = var.stage_name
+  ssm_stage_name = local.ssm_stage_name
+  name           = "start-order-flow"
+  source_path    = "${path.module}/../functions/start-order-flow"
+
+  # Environment variables for the Lambda function
+  environment_variables = {
+    state_machine_arn = module.order_flow_state_machine.state_machine_arn # Order flow started for each order
+  }
+
+  # IAM permissions attached to the Lambda function's execution role
+  policy_statements = {
+    # Allow starting executions of the order flow
+    sfn_start = {
+      effect = "Allow"
+      actions = [
+        "states:StartExecution"
+      ]
+      resources = [module.order_flow_state_machine.state_machine_arn]
+    }
+
+    # Allow sending failed events to queue
+    dlq_send = {
+      effect = "Allow"
+      actions = [
+        "sqs:GetQueueAttributes",
+        "sqs:GetQueueUrl",
+        "sqs:SendMessage"
+      ]
+      resources = [aws_sqs_queue.start_order_flow_dlq.arn]
+    }
+  }
+
+  # Lambda trigger permissions - allows EventBridge to invoke this Lambda function (rule)
+  allowed_triggers = {
+    EventBridge = {
+      service    = "events"
+      source_arn = module.eventbridge.eventbridge_rule_arns["start_order_flow"]
+    }
+  }
+}
+
+# DLQ (Dead Letter Queue) for OnFailure destination of start_order_flow Lambda invocations
+# Same invocation records as the notify_restaurant DLQ - redriven with `npm run failed-events` too
+resource "aws_sqs_queue" "start_order_flow_dlq" {
+  name                      = "${var.service_name}-${var.stage_name}-start-order-flow-dlq"
+  message_retention_seconds = 1209600 # 14 days (the maximum), so failed events can be investigated before they're redriven
+}
+
+# Configure OnFailure destination for start_order_flow Lambda
+# EventBridge invokes the function asynchronously: Lambda retries a failed event twice, then sends it to the DLQ
+resource "aws_lambda_function_event_invoke_config" "start_order_flow" {
+  function_name = module.start_order_flow_lambda.lambda_function_name
+
+  destination_config {
+    # Destination configuration for failed asynchronous invocations
+    on_failure {
+      destination = aws_sqs_queue.start_order_flow_dlq.arn
+    }
+  }
+}
+
+# Alarm for failed events in the start_order_flow DLQ - their orders are never sent to the restaurant
+resource "aws_cloudwatch_metric_alarm" "start_order_flow_on_failure_queue" {
+  alarm_name          = "[${var.stage_name}][start-order-flow function] Failed events detected in OnFailure destination"
+  comparison_operator = "GreaterThanThreshold"
+  evaluation_periods  = 1
+  metric_name         = "ApproximateNumberOfMessagesVisible"
+  namespace           = "AWS/SQS"
+  period              = 300 # 5 minutes
+  statistic           = "Average"
+  threshold           = 0
+  treat_missing_data  = "notBreaching"
+
+  # Services to publish metrics to CloudWatch
+  dimensions = {
+    QueueName = aws_sqs_queue.start_order_flow_dlq.name
+  }
+
+  # List of actions to execute when this alarm transitions into an ALARM state from any other state.
+  alarm_actions = [module.sns_alarm_topic.topic_arn]
+}
+
+# Alarm for start_order_flow DLQ delivery failures - the failed events are lost when Lambda can't send them to the DLQ
+resource "aws_cloudwatch_metric_alarm" "start_order_flow_destination_delivery_failures" {
+  alarm_name          = "[${var.stage_name}][start-order-flow function] Failed to deliver failed events to OnFailure destination"
+  comparison_operator = "GreaterThanThreshold"
+  evaluation_periods  = 1
+  metric_name         = "DestinationDeliveryFailures"
+  namespace           = "AWS/Lambda"
+  period              = 300 # 5 minutes
+  statistic           = "Sum"
+  threshold           = 0
+  treat_missing_data  = "notBreaching"
+
+  # Services to publish metrics to CloudWatch
+  dimensions = {
+    FunctionName = module.start_order_flow_lambda.lambda_function_name
+  }
+
+  # List of actions to execute when this alarm transitions into an ALARM state from any other state.
+  alarm_actions = [module.sns_alarm_topic.topic_arn]
+}
+
+# ----------------------------------------
+# Lambda authorizer of the WebSocket API ($connect route) - verifies the Cognito ID token of the connection.
+# ----------------------------------------
+module "authorize_connection_lambda" {
+  source = "./modules/lambda-function"
+
+  # Function configuration
+  service_name   = var.service_name
+  stage_name     = var.stage_name
+  ssm_stage_name = local.ssm_stage_name
+  name           = "authorize-connection"
+  source_path    = "${path.module}/../functions/authorize-connection"
+
+  # Environment variables for the Lambda function
+  environment_variables = {
+    cognito_user_pool_id = aws_cognito_user_pool.main.id # User pool the ID tokens must be issued by
+  }
+
+  # Lambda trigger permissions - allows the WebSocket API to invoke this Lambda function (authorizer)
+  allowed_triggers = {
+    APIGatewayAuthorizer = {
+      service    = "apigateway"
+      source_arn = "${aws_apigatewayv2_api.websocket.execution_arn}/authorizers/${aws_apigatewayv2_authorizer.websocket.id}"
+    }
+  }
+}
+
+# ----------------------------------------
+# Lambda function for the $connect route of the WebSocket API - records the connections of each user.
+# ----------------------------------------
+module "open_connection_lambda" {
+  source = "./modules/lambda-function"
+
+  # Function configuration
+  service_name   = var.service_name
+  stage_name     = var.stage_name
+  ssm_stage_name = local.ssm_stage_name
+  name           = "open-connection"
+  source_path    = "${path.module}/../functions/open-connection"
+
+  # Environment variables for the Lambda function
+  environment_variables = {
+    connections_table = module.dynamodb_connections_table.dynamodb_table_id # DynamoDB table of the WebSocket connections
+  }
+
+  # IAM permissions attached to the Lambda function's execution role
+  policy_statements = {
+    dynamodb_write = {
+      effect = "Allow"
+      actions = [
+        "dynamodb:PutItem"
+      ]
+      resources = [module.dynamodb_connections_table.dynamodb_table_arn]
+    }
+  }
+
+  # Lambda trigger permissions - allows the WebSocket API to invoke this Lambda function
+  allowed_triggers = {
+    APIGatewayConnect = {
+      service    = "apigateway"
+      source_arn = "${aws_apigatewayv2_api.websocket.execution_arn}/${var.stage_name}/$connect"
+    }
+  }
+}
+
+# ----------------------------------------
+# Lambda function for the $disconnect route of the WebSocket API - deletes the records of the closed connections.
+# ----------------------------------------
+module "close_connection_lambda" {
+  source = "./modules/lambda-function"
+
+  # Function configuration
+  service_name   = var.service_name
+  stage_name     = var.stage_name
+  ssm_stage_name = local.ssm_stage_name
+  name           = "close-connection"
+  source_path    = "${path.module}/../functions/close-connection"
+
+  # Environment variables for the Lambda function
+  environment_variables = {
+    connections_table = module.dynamodb_connections_table.dynamodb_table_id # DynamoDB table of the WebSocket connections
+  }
+
+  # IAM permissions attached to the Lambda function's execution role
+  policy_statements = {
+    dynamodb_write = {
+      effect = "Allow"
+      actions = [
+        "dynamodb:DeleteItem"
+      ]
+      resources = [module.dynamodb_connections_table.dynamodb_table_arn]
+    }
+  }
+
+  # Lambda trigger permissions - allows the WebSocket API to invoke this Lambda function
+  allowed_triggers = {
+    APIGatewayDisconnect = {
+      service    = "apigateway"
+      source_arn = "${aws_apigatewayv2_api.websocket.execution_arn}/${var.stage_name}/$disconnect"
+    }
+  }
+}
+
+# ----------------------------------------
+# Lambda function to push the status of the orders to the landing page, from the "order_accepted", "order_rejected"
+# and "order_timed_out" events. Function is triggered by EventBridge rule "push_order_status".
+# ----------------------------------------
+module "push_order_status_lambda" {
+  source = "./modules/lambda-function"
+
+  # Function configuration
+  service_name   = var.service_name
+  stage_name     = var.stage_name
+  ssm_stage_name = local.ssm_stage_name
+  name           = "push-order-status"
+  source_path    = "${path.module}/../functions/push-order-status"
+
+  # Environment variables for the Lambda function
+  environment_variables = {
+    orders_table                  = module.dynamodb_orders_tables.dynamodb_table_id     # DynamoDB orders table
+    connections_table             = module.dynamodb_connections_table.dynamodb_table_id # DynamoDB table of the WebSocket connections
+    # Management API of the WebSocket API's stage - https://{api-id}.execute-api.{region}.amazonaws.com/{stage}
+    websocket_management_endpoint = replace(aws_apigatewayv2_stage.websocket.invoke_url, "wss://", "https://")
+  }
+
+  # IAM permissions attached to the Lambda function's execution role
+  policy_statements = {
+    # Allow reading the order of the event
+    dynamodb_orders_read = {
+      effect = "Allow"
+      actions = [
+        "dynamodb:GetItem"
+      ]
+      resources = [module.dynamodb_orders_tables.dynamodb_table_arn]
+    }
+
+    # Allow finding the connections of the customer, and deleting the gone ones
+    dynamodb_connections_access = {
+      effect = "Allow"
+      actions = [
+        "dynamodb:Query",
+        "dynamodb:DeleteItem"
+      ]
+      resources = [module.dynamodb_connections_table.dynamodb_table_arn]
+    }
+
+    # Allow posting to the connections
+    websocket_post = {
+      effect = "Allow"
+      actions = [
+        "execute-api:ManageConnections"
+      ]
+      resources = ["${aws_apigatewayv2_api.websocket.execution_arn}/${var.stage_name}/POST/@connections/*"]
+    }
+  }
+
+  # Lambda trigger permissions - allows EventBridge to invoke this Lambda function (rule)
+  allowed_triggers = {
+    EventBridge = {
+      service    = "events"
+      source_arn = module.eventbridge.eventbridge_rule_arns["push_order_status"]
     }
   }
 }
@@ -19,6 +19,35 @@ module "dynamodb_restaurants_table" {
       type = "S"     # String type
     }
   ]
+
+  # Stream the changes to the restaurants, so the sync-theme-index function can keep the theme index up to date
+  # NEW_AND_OLD_IMAGES: the records carry the restaurant before and after the change, to work out which themes were removed
+  stream_enabled   = true
+  stream_view_type = "NEW_AND_OLD_IMAGES"
+}
+
+# DynamoDB table indexing the restaurants by theme (used by POST /restaurants/search)
+# Items are derived from the restaurants table - see functions/lib/theme-index.mjs for the layout
+module "dynamodb_restaurant_themes_table" {
+  source  = "terraform-aws-modules/dynamodb-table/aws"  # module from serverless.tf
+  version = "~> 5.0"
+
+  # Table configuration
+  name        = "${var.service_name}-${var.stage_name}-restaurant-themes"  # Naming: service-environment-purpose
+  hash_key    = "initial"                                                  # First character of the theme term
+  range_key   = "termKey"                                                  # '<theme term>#<restaurant name>', searched with begins_with
+
+  # Table attributes (only keys need to be defined upfront)
+  attributes  = [
+    {
+      name = "initial"
+      type = "S"
+    },
+    {
+      name = "termKey"
+      type = "S"
+    }
+  ]
 }
 
 # DynamoDB table for storing orders
@@ -30,13 +59,59 @@ module "dynamodb_orders_tables" {
   name        = "${var.service_name}-${var.stage_name}-orders"  # Naming: service-environment-purpose
   hash_key    = "id"
 
-  # Table attributes
+  # Table attributes (keys of the table and of its indexes)
+  attributes  = [
+    {
+      name = "id"
+      type = "S"
+    },
+    {
+      name = "userId"     # Cognito 'sub' of the user who placed the order
+      type = "S"
+    },
+    {
+      name = "createdAt"  # ISO 8601 timestamp - sorts chronologically as a string
+      type = "S"
+    }
+  ]
+
+  # Index of each user's orders sorted by creation time (used by GET /orders to list a user's order history)
+  global_secondary_indexes = [
+    {
+      name            = "userId-createdAt-index"
+      hash_key        = "userId"
+      range_key       = "createdAt"
+      projection_type = "ALL"
+    }
+  ]
+}
+
+# DynamoDB table for the transactional outbox - events written in the same transaction as the data they are about
+# The relay-outbox function publishes them to EventBridge from the table stream - see functions/lib/outbox.mjs for the layout
+module "dynamodb_outbox_table" {
+  source  = "terraform-aws-modules/dynamodb-table/aws"  # module from serverless.tf
+  version = "~> 5.0"
+
+  # Table configuration
+  name        = "${var.service_name}-${var.stage_name}-outbox"  # Naming: service-environment-purpose
+  hash_key    = "id"                                            # Unique ID of the outbox entry
+
+  # Table attributes (only keys need to be defined upfront)
   attributes  = [
     {
       name = "id"
       type = "S"
     }
   ]
+
+  # Stream the new entries to the relay-outbox function
+  # NEW_IMAGE: the records carry the entry as written - nothing else is needed to publish it
+  stream_enabled   = true
+  stream_view_type = "NEW_IMAGE"
+
+  # Entries are only needed until they are published - DynamoDB deletes them once expiresAt (epoch seconds) is past
+  ttl_enabled        = true
+  ttl_attribute_name = "expiresAt"
 }
 
 # AWS Cognito User Pool for user authentication and management
@@ -85,6 +160,21 @@ resource "aws_cognito_user_pool" "main" {
     required            = true      # Must be provided during registration
     mutable             = true      # Can be changed after registration
   }
+
+  # Restaurant attribute - identifies restaurant users, who accept or reject the orders placed with their restaurant
+  # Only set by administrators (e.g. aws cognito-idp admin-update-user-attributes), the web client can't write it
+  schema {
+    name                     = "restaurant_name"  # Custom attribute, exposed as custom:restaurant_name
+    attribute_data_type      = "String"           # Data type
+    required                 = false              # Regular users don't have it
+    mutable                  = true               # Can be changed after registration
+    developer_only_attribute = false              # Included in ID tokens, so it reaches the Cognito authorizer claims
+
+    string_attribute_constraints {
+      min_length = 1
+      max_length = 256
+    }
+  }
 }
 
 #
@@ -106,6 +196,10 @@ resource "aws_cognito_user_pool_client" "web_client" {
     "ALLOW_USER_SRP_AUTH",      # Secure Remote Password (SRP) - secure password auth
     "ALLOW_REFRESH_TOKEN_AUTH"  # Allow token refresh for session management
   ]
+
+  # Attributes users can change themselves - custom:restaurant_name is deliberately left out,
+  # otherwise anyone could make themselves a restaurant user
+  write_attributes = ["email", "given_name", "family_name"]
 }
 
 # Cognito User Pool Client for server-side applications - handles server-to-server authentication flows
@@ -145,6 +239,7 @@ module "eventbridge" {
   bus_name = "${var.service_name}-${var.stage_name}-order-events"
 
   # Enable event archiving (for storing all events for later retrieval and analysis)
+  # Replay the archived events with `npm run replay-events` (see replay-events.mjs)
   create_archives = true
 
   # EventBridge archive configuration
@@ -189,6 +284,22 @@ module "eventbridge" {
         detail-type = ["order_placed"]
       })
     }
+
+    # Rule to match order_placed events and trigger start_order_flow_lambda (one order flow execution per order)
+    start_order_flow = {
+      event_pattern = jsonencode({
+        source      = ["big-mouth"]
+        detail-type = ["order_placed"]
+      })
+    }
+
+    # Rule to match the decisions on the orders and trigger push_order_status_lambda (live status on the landing page)
+    push_order_status = {
+      event_pattern = jsonencode({
+        source      = ["big-mouth"]
+        detail-type = ["order_accepted", "order_rejected", "order_timed_out"]
+      })
+    }
   }
 
   # EventBridge targets define where matching events should be sent
@@ -209,9 +320,82 @@ module "eventbridge" {
         arn  = module.seed_orders_lambda.lambda_function_arn      # Lambda function to invoke
       }
     ]
+
+    # Targets for the start_order_flow rule
+    start_order_flow = [
+      {
+        name = "start-order-flow-lambda"                          # Target identifier
+        arn  = module.start_order_flow_lambda.lambda_function_arn # Lambda function to invoke
+      }
+    ]
+
+    # Targets for the push_order_status rule
+    push_order_status = [
+      {
+        name = "push-order-status-lambda"                          # Target identifier
+        arn  = module.push_order_status_lambda.lambda_function_arn # Lambda function to invoke
+      }
+    ]
   }
 }
 
+# DynamoDB table of the WebSocket connections of the landing page (written by open-connection and close-connection)
+# One item per connection, under the Cognito sub of its user - push-order-status queries the connections of a customer
+module "dynamodb_connections_table" {
+  source  = "terraform-aws-modules/dynamodb-table/aws"  # module from serverless.tf
+  version = "~> 5.0"
+
+  # Table configuration
+  name        = "${var.service_name}-${var.stage_name}-connections"  # Naming: service-environment-purpose
+  hash_key    = "userId"                                             # Cognito sub of the user
+  range_key   = "connectionId"                                       # API Gateway connection ID
+
+  # Table attributes (only keys need to be defined upfront)
+  attributes  = [
+    {
+      name = "userId"
+      type = "S"
+    },
+    {
+      name = "connectionId"
+      type = "S"
+    }
+  ]
+
+  # API Gateway closes connections after 2 hours - DynamoDB deletes the ones $disconnect missed once expiresAt is past
+  ttl_enabled        = true
+  ttl_attribute_name = "expiresAt"
+}
+
+# DynamoDB table of the delivery attempts of the notifications - the user notifications (written by the notify-user
+# function), and the orders POSTed to restaurant webhooks (written by the notify-restaurant function)
+# One item per attempt and channel - what a customer or a restaurant was told about an order, or why they weren't
+module "dynamodb_notification_deliveries_table" {
+  source  = "terraform-aws-modules/dynamodb-table/aws"  # module from serverless.tf
+  version = "~> 5.0"
+
+  # Table configuration
+  name        = "${var.service_name}-${var.stage_name}-notification-deliveries"  # Naming: service-environment-purpose
+  hash_key    = "orderId"                                                        # The order the notification is about
+  range_key   = "attemptId"                                                      # '<attempted at>#<channel>' - sorts the attempts chronologically
+
+  # Table attributes (only keys need to be defined upfront)
+  attributes  = [
+    {
+      name = "orderId"
+      type = "S"
+    },
+    {
+      name = "attemptId"
+      type = "S"
+    }
+  ]
+
+  # Attempts are kept for 90 days - DynamoDB deletes them once expiresAt (epoch seconds) is past
+  ttl_enabled        = true
+  ttl_attribute_name = "expiresAt"
+}
+
 # Amazon SNS topic for notifying restaurants on orders
 # SNS (Simple Notification Service) enables pub/sub messaging for microservices and event-driven applications
 # https://registry.terraform.io/modules/terraform-aws-modules/sns/aws/latest
@@ -14,7 +14,7 @@
  * Default configurations:
  * - CloudWatch log retention: 7 days
  * - X-Ray tracing: enabled
- * - Powertools environment variables
+ * - Powertools environment variables (logger and metrics)
  * - NPM packaging commands
  * - Default timeout and memory settings
  */
@@ -35,11 +35,11 @@ module "lambda" {
 
   # Source code packaging configuration
   source_path = [{
-    path = var.source_path   # Path to function source code
-    commands = [             # build commands that Terraform executes when packaging the Lambda function
-      "rm -rf node_modules", # Remove the existing node_modules directory
-      "npm ci --omit=dev",   # Install dependencies, exclude development dependencies
-      ":zip"                 # Special Terraform command to create a zip package of the source code. This ZIP file becomes the Lambda deployment package
+    path = var.source_path                 # Path to function source code
+    commands = [                           # build commands that Terraform executes when packaging the Lambda function
+      "rm -rf node_modules",               # Remove the existing node_modules directory
+      "npm ci --omit=dev --install-links", # Install dependencies, exclude development dependencies; copy local (file:) packages such as functions/lib into node_modules instead of symlinking them, so they end up in the zip
+      ":zip"                               # Special Terraform command to create a zip package of the source code. This ZIP file becomes the Lambda deployment package
     ]
   }]
 
@@ -58,6 +58,7 @@ module "lambda" {
       POWERTOOLS_LOG_LEVEL          = var.log_level       # INFO for prod, DEBUG for dev
       POWERTOOLS_LOGGER_SAMPLE_RATE = var.log_sample_rate # Sample 10% of logs regardless of log level
       POWERTOOLS_LOGGER_LOG_EVENT   = "${var.log_event}"  # Log the incoming Lambda event payload; NOTE: may include PII/sensitive info
+      POWERTOOLS_METRICS_NAMESPACE  = var.service_name    # CloudWatch namespace of the business metrics (service and stage are dimensions)
     },
     var.environment_variables # Function-specific environment variables
   )
@@ -38,6 +38,64 @@ output "restaurants_table" {
   value       = module.dynamodb_restaurants_table.dynamodb_table_id # DynamoDB table ID
 }
 
+# DynamoDB theme index table name - used by the backfill script and the tests to check the index
+output "restaurant_themes_table" {
+  description = "The name of the restaurant themes (search index) table"
+  value       = module.dynamodb_restaurant_themes_table.dynamodb_table_id
+}
+
+# DynamoDB orders table name - used by tests to set up and clean up orders
+output "orders_table" {
+  description = "The name of the orders table"
+  value       = module.dynamodb_orders_tables.dynamodb_table_id
+}
+
+# DynamoDB outbox table name - used by place-order in the tests
+output "outbox_table" {
+  description = "The name of the transactional outbox table"
+  value       = module.dynamodb_outbox_table.dynamodb_table_id
+}
+
+# DynamoDB notification deliveries table name - used by notify-user in the tests
+output "notification_deliveries_table" {
+  description = "The name of the table of the user notification delivery attempts"
+  value       = module.dynamodb_notification_deliveries_table.dynamodb_table_id
+}
+
+# DynamoDB connections table name - used by the WebSocket functions in the tests
+output "connections_table" {
+  description = "The name of the table of the WebSocket connections"
+  value       = module.dynamodb_connections_table.dynamodb_table_id
+}
+
+# WebSocket API URL - the landing page connects to it for the status of its orders
+output "websocket_url" {
+  description = "The URL of the WebSocket API"
+  value       = aws_apigatewayv2_stage.websocket.invoke_url
+}
+
+# Management API of the WebSocket API - used by push-order-status in the tests
+output "websocket_management_endpoint" {
+  description = "The endpoint of the management API of the WebSocket API's stage"
+  value       = replace(aws_apigatewayv2_stage.websocket.invoke_url, "wss://", "https://")
+}
+
+# OnFailure destination queues - used by failed-events.mjs to list, inspect and redrive failed events
+output "notify_restaurant_dlq_url" {
+  description = "URL of the queue holding the events notify-restaurant failed to process"
+  value       = aws_sqs_queue.notify_restaurant_dlq.url
+}
+
+output "seed_orders_dlq_url" {
+  description = "URL of the queue holding the events seed-orders failed to process"
+  value       = aws_sqs_queue.seed_orders_dlq.url
+}
+
+output "start_order_flow_dlq_url" {
+  description = "URL of the queue holding the events start-order-flow failed to process"
+  value       = aws_sqs_queue.start_order_flow_dlq.url
+}
+
 # Restaurants API endpoint - full URL to /restaurants resource
 output "restaurants_api" {
   description = "URL to the GET /restaurants endpoint"
@@ -84,6 +142,12 @@ output "eventbridge_bus_arn" {
   value       = module.eventbridge.eventbridge_bus_arn
 }
 
+# EventBridge archive name - used by replay-events.mjs to replay the archived events
+output "eventbridge_archive_name" {
+  description = "Name of the archive of the order-events bus"
+  value       = "${var.service_name}-${var.stage_name}-order-events-archive"
+}
+
 # Orders API endpoint - full URL to /orders resource
 output "orders_api" {
   description = "URL to the POST /orders endpoint"
@@ -91,6 +155,12 @@ output "orders_api" {
 }
 
 
+# Order flow state machine ARN - used by the tests to follow (and stop) the executions of their orders
+output "order_flow_state_machine_arn" {
+  description = "ARN of the order flow state machine"
+  value       = module.order_flow_state_machine.state_machine_arn
+}
+
 # Restaurant notifications SNS topic ARN - used for subscribing restaurant notification handlers
 output "restaurant_notification_topic" {
   description = "ARN of the restaurant notifications SNS topic"
@@ -117,3 +187,10 @@ output "POWERTOOLS_LOG_LEVEL" {
   description = "Log level for the Lambda powertools logger"
   value       = local.log_level
 }
+
+// Powertools metrics configuration - CloudWatch namespace of the business metrics of all Lambda functions
+// https://docs.powertools.aws.dev/lambda/typescript/latest/core/metrics/#utility-settings
+output "POWERTOOLS_METRICS_NAMESPACE" {
+  description = "CloudWatch namespace of the Lambda powertools metrics"
+  value       = var.service_name
+}
@@ -0,0 +1,63 @@
+# API Gateway WebSocket API configuration with Lambda integrations - pushes the status of the orders to the landing page.
+# Using native Terraform resources, like the REST API (terraform/api.tf).
+#
+# Routes:
+#   $connect     authorize-connection (Lambda authorizer, ID token in the token query string parameter) -> open-connection
+#   $disconnect  close-connection
+# The page never sends anything: push-order-status posts to the connections through the management API.
+
+# Main WebSocket API resource
+resource "aws_apigatewayv2_api" "websocket" {
+  name                       = "${var.service_name}-${var.stage_name}-websocket" # Naming convention: service-environment-purpose
+  protocol_type              = "WEBSOCKET"
+  route_selection_expression = "$request.body.action" # Required, though there are no custom routes
+}
+
+# WebSocket API stage - deployed automatically on every change of the routes and integrations
+resource "aws_apigatewayv2_stage" "websocket" {
+  api_id      = aws_apigatewayv2_api.websocket.id
+  name        = var.stage_name # Environment identifier
+  auto_deploy = true
+}
+
+# Lambda authorizer of the $connect route - browsers can't set headers on WebSocket connections, so the Cognito ID
+# token is passed in the query string, and verified by the authorize-connection function
+resource "aws_apigatewayv2_authorizer" "websocket" {
+  api_id           = aws_apigatewayv2_api.websocket.id
+  name             = "CognitoTokenAuthorizer"
+  authorizer_type  = "REQUEST"
+  authorizer_uri   = module.authorize_connection_lambda.lambda_function_invoke_arn
+  identity_sources = ["route.request.querystring.token"] # Connections without a token are rejected (401) right away
+}
+
+# $connect route - records the connection of the user
+resource "aws_apigatewayv2_route" "connect" {
+  api_id             = aws_apigatewayv2_api.websocket.id
+  route_key          = "$connect"
+  authorization_type = "CUSTOM"
+  authorizer_id      = aws_apigatewayv2_authorizer.websocket.id
+  target             = "integrations/${aws_apigatewayv2_integration.connect.id}"
+}
+
+# Lambda integration for the $connect route
+resource "aws_apigatewayv2_integration" "connect" {
+  api_id             = aws_apigatewayv2_api.websocket.id
+  integration_type   = "AWS_PROXY"
+  integration_method = "POST"
+  integration_uri    = module.open_connection_lambda.lambda_function_invoke_arn
+}
+
+# $disconnect route - deletes the record of the connection
+resource "aws_apigatewayv2_route" "disconnect" {
+  api_id    = aws_apigatewayv2_api.websocket.id
+  route_key = "$disconnect"
+  target    = "integrations/${aws_apigatewayv2_integration.disconnect.id}"
+}
+
+# Lambda integration for the $disconnect route
+resource "aws_apigatewayv2_integration" "disconnect" {
+  api_id             = aws_apigatewayv2_api.websocket.id
+  integration_type   = "AWS_PROXY"
+  integration_method = "POST"
+  integration_uri    = module.close_connection_lambda.lambda_function_invoke_arn
+}
@@ -0,0 +1,161 @@
+/**
+ * Local API Gateway, for the local test mode (TEST_MODE=local) and the dev server (dev-server.mjs)
+ *
+ * Serves the routes of terraform/api.tf from the functions, in-process: requests are matched to their resource,
+ * authorized like the API's authorizers, and turned into the Lambda proxy events the functions get from API Gateway:
+ *
+ *   COGNITO   the Authorization header must hold an ID token of the user pool (locally signed, see
+ *             tests/local/jwt.mjs) - its claims are passed in requestContext.authorizer.claims, or the request is
+ *             answered 401 without invoking the function
+ *   AWS_IAM   not checked - the requests are signed with whatever credentials there are
+ *
+ * Requests to the local API's URL are intercepted from fetch() (see interceptFetch()), so the tests (and get-index,
+ * which calls the API itself) use it like the deployed API - nothing listens on a port.
+ */
+
+import { randomUUID } from 'node:crypto';
+
+// In-process Lambda invocations
+import { invoke } from './lambda.mjs';
+// Verifies the locally signed ID tokens
+import { verifyToken } from './jwt.mjs';
+
+/**
+ * Routes of the API (terraform/api.tf): method, resource path, function and authorization
+ */
+export const routes = [
+  { method: 'GET', resource: '/', functionName: 'get-index', authorization: 'NONE' },
+  { method: 'GET', resource: '/restaurants', functionName: 'get-restaurants', authorization: 'AWS_IAM' },
+  { method: 'POST', resource: '/restaurants/search', functionName: 'search-restaurants', authorization: 'COGNITO' },
+  { method: 'GET', resource: '/restaurants/search', functionName: 'search-restaurants', authorization: 'AWS_IAM' },
+  { method: 'GET', resource: '/restaurants/{name}/menu', functionName: 'get-menu', authorization: 'COGNITO' },
+  { method: 'POST', resource: '/orders', functionName: 'place-order', authorization: 'COGNITO' },
+  { method: 'GET', resource: '/orders', functionName: 'get-orders', authorization: 'COGNITO' },
+  { method: 'GET', resource: '/orders/{id}', functionName: 'get-order', authorization: 'COGNITO' },
+  { method: 'DELETE', resource: '/orders/{id}', functionName: 'cancel-order', authorization: 'COGNITO' },
+  { method: 'POST', resource: '/orders/{id}/accept', functionName: 'respond-to-order', authorization: 'COGNITO' },
+  { method: 'POST', resource: '/orders/{id}/reject', functionName: 'respond-to-order', authorization: 'COGNITO' },
+];
+
+// Matches a path to a resource path, e.g. /orders/123 to /orders/{id} - returns the path parameters, or undefined
+const matchResource = (resource, path) => {
+  const names = [];
+  const pattern = resource.replace(/\{(\w+)\}/g, (_, name) => {
+    names.push(name);
+    return '([^/]+)';
+  });
+  const match = path.match(new RegExp(`^${pattern}/?$`));
+  return match && Object.fromEntries(names.map((name, i) => [name, decodeURIComponent(match[i + 1])]));
+};
+
+const jsonResponse = (status, body, headers = {}) =>
+  new Response(JSON.stringify(body), { status, headers: { 'content-type': 'application/json', ...headers } });
+
+// The claims of the caller, if the request carries a valid ID token (as the Cognito authorizer checks it)
+const cognitoClaims = async (request, verify) => {
+  try {
+    // Tokens of any client of the user pool are accepted
+    const claims = await verify(request.headers.get('authorization'), { userPoolId: process.env.cognito_user_pool_id });
+    // API Gateway passes the claims as strings
+    return Object.fromEntries(Object.entries(claims).map(([name, value]) => [name, String(value)]));
+  } catch {
+    return undefined;
+  }
+};
+
+/**
+ * Handles a request to the API
+ *
+ * @param {Request} request - The request (fetch API), to the API's URL
+ * @param {Object} options - { baseUrl, stage, verifyToken } - the URL the API is served at, the name of its stage,
+ *                           and how ID tokens are verified (default: locally signed tokens, see tests/local/jwt.mjs)
+ * @returns {Promise<Response>} The response (fetch API)
+ */
+export const handleRequest = async (request, { baseUrl, stage, verifyToken: verify = verifyToken }) => {
+  const url = new URL(request.url);
+  const path = url.pathname.slice(new URL(baseUrl).pathname.replace(/\/$/, '').length) || '/';
+  const requestId = randomUUID();
+
+  const candidates = routes
+    .map((route) => ({ ...route, pathParameters: matchResource(route.resource, path) }))
+    .filter((route) => route.pathParameters);
+  const route = candidates.find((x) => x.method === request.method);
+  // API Gateway answers requests to missing resources (or methods) like unauthorized ones
+  if (!route) {
+    return jsonResponse(403, { message: 'Missing Authentication Token' }, { 'x-amzn-requestid': requestId });
+  }
+
+  let claims;
+  if (route.authorization === 'COGNITO') {
+    claims = await cognitoClaims(request, verify);
+    if (!claims) {
+      return jsonResponse(401, { message: 'Unauthorized' }, { 'x-amzn-requestid': requestId });
+    }
+  }
+
+  const headers = Object.fromEntries(request.headers.entries());
+  const query = [...url.searchParams.keys()];
+  const body = ['GET', 'HEAD'].includes(request.method) ? '' : await request.text();
+
+  // Lambda proxy integration event
+  const event = {
+    resource: route.resource,
+    path,
+    httpMethod: request.method,
+    headers,
+    multiValueHeaders: Object.fromEntries(Object.entries(headers).map(([name, value]) => [name, [value]])),
+    queryStringParameters: query.length ? Object.fromEntries(url.searchParams.entries()) : null,
+    multiValueQueryStringParameters: query.length
+      ? Object.fromEntries(query.map((name) => [name, url.searchParams.getAll(name)]))
+      : null,
+    pathParameters: Object.keys(route.pathParameters).length ? route.pathParameters : null,
+    stageVariables: null,
+    requestContext: {
+      resourcePath: route.resource,
+      httpMethod: request.method,
+      path: `/${stage}${path}`,
+      stage,
+      requestId,
+      requestTimeEpoch: Date.now(),
+      identity: { sourceIp: '127.0.0.1', userAgent: headers['user-agent'] },
+      ...(claims && { authorizer: { claims } }),
+    },
+    body: body || null,
+    isBase64Encoded: false,
+  };
+
+  let response;
+  try {
+    response = await invoke(route.functionName, event);
+  } catch (error) {
+    // The function failed (rather than returning an error response) - API Gateway doesn't say why
+    console.error(`${route.functionName} failed`, error);
+    return jsonResponse(502, { message: 'Internal server error' }, { 'x-amzn-requestid': requestId });
+  }
+
+  const responseHeaders = new Headers({ 'content-type': 'application/json', 'x-amzn-requestid': requestId });
+  for (const [name, value] of Object.entries(response.headers ?? {})) {
+    responseHeaders.set(name, value);
+  }
+  for (const [name, values] of Object.entries(response.multiValueHeaders ?? {})) {
+    values.forEach((value) => responseHeaders.append(name, value));
+  }
+  const responseBody = response.isBase64Encoded ? Buffer.from(response.body, 'base64') : response.body;
+
+  // Responses to HEAD requests, and 204 / 304 responses have no body
+  const withoutBody = request.method === 'HEAD' || [204, 304].includes(response.statusCode);
+  return new Response(withoutBody ? null : responseBody, { status: response.statusCode, headers: responseHeaders });
+};
+
+/**
+ * Serves the requests fetch() makes to the API's URL from the local API - other requests go out as usual
+ * @param {Object} options - { baseUrl, stage } - as handleRequest()
+ */
+export const interceptFetch = (options) => {
+  const fetch = globalThis.fetch;
+
+  globalThis.fetch = async (input, init) => {
+    const request = new Request(input, init);
+    return request.url.startsWith(options.baseUrl) ? await handleRequest(request, options) : await fetch(input, init);
+  };
+};
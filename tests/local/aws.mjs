@@ -0,0 +1,664 @@
+/**
+ * In-process fakes of the AWS services, for the local test mode (TEST_MODE=local)
+ *
+ * DynamoDB (tests/local/dynamodb.mjs), SSM Parameter Store, SNS, EventBridge, Step Functions, the Cognito user
+ * pools (users only) and the connections of the WebSocket API (management API), served to the AWS SDK
+ * clients of the functions and the tests by replacing the send() of the clients - the same way the integration tests
+ * mock a single client. Everything the fakes are sent is kept for the tests to inspect:
+ *
+ *   local.dynamodb.items(table)       the items of a table
+ *   local.ssm.parameters              the parameters, by name
+ *   local.sns.messages                the messages published ({ TopicArn, Message, MessageAttributes })
+ *   local.eventBridge.events          the events published, as the rules get them
+ *   local.stepFunctions.executions    the executions, by ARN ({ status, input, output, states, waiting... })
+ *   local.cognito.userPools           the users of each user pool, by ID ({ Username, Attributes })
+ *   local.apiGateway.connections      the open WebSocket connections, by ID ({ messages } - the messages posted)
+ *   local.failures                    the invocations that failed ({ source, functionName, event, error })
+ *
+ * What the services do asynchronously - DynamoDB streams, EventBridge rules, SNS subscriptions and the executions of
+ * the state machines - happens when the test asks for it with settle(), so the tests decide when the effects of a
+ * request show up, and see all of them at once:
+ *
+ *   await when.we_invoke_place_order(user, 'Fangtasia', items);
+ *   await local.settle(); // the outbox is relayed, the order flow started and the restaurant notified
+ */
+
+// AWS SDK clients and commands the functions and the tests use
+import {
+  DynamoDBClient,
+  GetItemCommand,
+  PutItemCommand,
+  UpdateItemCommand,
+  DeleteItemCommand,
+  QueryCommand as QueryItemsCommand,
+  ScanCommand as ScanItemsCommand,
+} from '@aws-sdk/client-dynamodb';
+import {
+  DynamoDBDocumentClient,
+  GetCommand,
+  PutCommand,
+  UpdateCommand,
+  DeleteCommand,
+  QueryCommand,
+  ScanCommand,
+  BatchGetCommand,
+  BatchWriteCommand,
+  TransactWriteCommand,
+} from '@aws-sdk/lib-dynamodb';
+import {
+  SSMClient,
+  GetParameterCommand,
+  GetParametersCommand,
+  GetParametersByPathCommand,
+  PutParameterCommand,
+  ParameterAlreadyExists,
+  ParameterNotFound,
+} from '@aws-sdk/client-ssm';
+import { SNSClient, PublishCommand, NotFoundException } from '@aws-sdk/client-sns';
+import { EventBridgeClient, PutEventsCommand, ResourceNotFoundException } from '@aws-sdk/client-eventbridge';
+import {
+  SFNClient,
+  StartExecutionCommand,
+  SendTaskSuccessCommand,
+  SendTaskFailureCommand,
+  SendTaskHeartbeatCommand,
+  StopExecutionCommand,
+  DescribeExecutionCommand,
+  ExecutionAlreadyExists,
+  ExecutionDoesNotExist,
+  StateMachineDoesNotExist,
+  TaskDoesNotExist,
+  TaskTimedOut,
+} from '@aws-sdk/client-sfn';
+import {
+  CognitoIdentityProviderClient,
+  ListUsersCommand,
+  ResourceNotFoundException as UserPoolNotFoundException,
+  InvalidParameterException,
+} from '@aws-sdk/client-cognito-identity-provider';
+import {
+  ApiGatewayManagementApiClient,
+  PostToConnectionCommand,
+  GoneException,
+} from '@aws-sdk/client-apigatewaymanagementapi';
+import { randomUUID } from 'node:crypto';
+
+// In-memory DynamoDB
+import { createDynamoDB, dynamoDBClients, withAttributeValues } from './dynamodb.mjs';
+// Offline Step Functions simulator - runs the executions of the state machines
+import { startExecution, StatesError } from '../step-functions.mjs';
+
+const ACCOUNT_ID = '123456789012';
+
+// Ends settle() if the environment keeps itself busy (e.g. a function that publishes the events it handles)
+const MAX_DELIVERIES = 1000;
+const SETTLE_TIMEOUT_MS = 10000;
+
+const region = () => process.env.AWS_REGION;
+
+/**
+ * Tells whether a value matches an event pattern (EventBridge rules, SNS filter policies, event source mapping
+ * filters): every field of the pattern must match one of its values - literals, { prefix }, { exists } or
+ * { 'anything-but' } - and nested patterns match nested objects
+ * @param {Object} pattern - The pattern
+ * @param {Object} value - The event (or message, record)
+ * @returns {boolean} true if the value matches
+ */
+export const matchesPattern = (pattern, value) =>
+  Object.entries(pattern).every(([field, expected]) => {
+    const actual = value?.[field];
+    if (!Array.isArray(expected)) {
+      return matchesPattern(expected, actual);
+    }
+    return expected.some((x) => {
+      if (x && typeof x === 'object') {
+        if ('exists' in x) return (actual !== undefined) === x.exists;
+        if ('prefix' in x) return typeof actual === 'string' && actual.startsWith(x.prefix);
+        if ('anything-but' in x) return actual !== undefined && ![x['anything-but']].flat().includes(actual);
+        throw new Error(`unsupported pattern: ${JSON.stringify(x)}`);
+      }
+      return Array.isArray(actual) ? actual.includes(x) : actual === x;
+    });
+  });
+
+/**
+ * Creates the fakes of the AWS services
+ *
+ * @param {Object} options - { invoke } - invokes a function in-process (see tests/local/lambda.mjs)
+ * @returns {Object} The fakes - configure them (tables, topics, rules...), install() them, and settle() them
+ */
+export const createLocalAws = ({ invoke }) => {
+  // Deliveries waiting for settle() - invocations of functions by the services
+  const pending = [];
+  // Invocations that failed - a failed asynchronous invocation isn't the failure of the request that caused it
+  const failures = [];
+
+  // Invokes a function asynchronously (as EventBridge, SNS and event source mappings do) on the next settle()
+  const invokeLater = (source, functionName, event) => {
+    pending.push(async () => {
+      try {
+        const response = await invoke(functionName, event);
+        // Stream records the function reported as failed (ReportBatchItemFailures)
+        if (response?.batchItemFailures?.length) {
+          failures.push({ source, functionName, event, batchItemFailures: response.batchItemFailures });
+        }
+      } catch (error) {
+        failures.push({ source, functionName, event, error });
+      }
+    });
+  };
+
+  // ----------------------------------------
+  // DynamoDB
+  // ----------------------------------------
+
+  const dynamodb = createDynamoDB();
+  // Event source mappings of the table streams, by table name: [{ functionName, filter }]
+  const streamTargets = new Map();
+
+  dynamodb.onStreamRecord((tableName, record) => {
+    for (const { functionName, filter } of streamTargets.get(tableName) ?? []) {
+      if (filter && !matchesPattern(filter, record)) continue;
+      const eventSourceARN = `arn:aws:dynamodb:${region()}:${ACCOUNT_ID}:table/${tableName}/stream/local`;
+      invokeLater(`dynamodb:${tableName}`, functionName, {
+        Records: [{ ...record, awsRegion: region(), eventSourceARN }],
+      });
+    }
+  });
+
+  const { documentClientSend, clientSend } = dynamoDBClients(dynamodb, {
+    document: {
+      getItem: GetCommand,
+      putItem: PutCommand,
+      updateItem: UpdateCommand,
+      deleteItem: DeleteCommand,
+      query: QueryCommand,
+      scan: ScanCommand,
+      batchGetItem: BatchGetCommand,
+      batchWriteItem: BatchWriteCommand,
+      transactWriteItems: TransactWriteCommand,
+    },
+    lowLevel: {
+      getItem: GetItemCommand,
+      putItem: PutItemCommand,
+      updateItem: UpdateItemCommand,
+      deleteItem: DeleteItemCommand,
+      query: QueryItemsCommand,
+      scan: ScanItemsCommand,
+    },
+  });
+
+  // ----------------------------------------
+  // SSM Parameter Store
+  // ----------------------------------------
+
+  // Parameters by name: { Name, Type, Value, Version }
+  const parameters = new Map();
+
+  const ssm = {
+    parameters,
+    putParameter: ({ Name, Type = 'String', Value, Overwrite }) => {
+      const current = parameters.get(Name);
+      if (current && !Overwrite) {
+        throw new ParameterAlreadyExists({ $metadata: {}, message: `The parameter ${Name} already exists.` });
+      }
+      const Version = (current?.Version ?? 0) + 1;
+      parameters.set(Name, { Name, Type, Value, Version });
+      return { Version };
+    },
+    getParameter: ({ Name }) => {
+      if (!parameters.has(Name)) {
+        throw new ParameterNotFound({ $metadata: {}, message: `Parameter ${Name} not found` });
+      }
+      return { Parameter: { ...parameters.get(Name) } };
+    },
+    getParameters: ({ Names }) => ({
+      Parameters: Names.filter((x) => parameters.has(x)).map((x) => ({ ...parameters.get(x) })),
+      InvalidParameters: Names.filter((x) => !parameters.has(x)),
+    }),
+    getParametersByPath: ({ Path, Recursive }) => ({
+      Parameters: [...parameters.values()]
+        .filter(({ Name }) => Name.startsWith(`${Path.replace(/\/$/, '')}/`))
+        .filter(({ Name }) => Recursive || !Name.slice(Path.length).replace(/^\//, '').includes('/'))
+        .map((x) => ({ ...x })),
+    }),
+  };
+
+  // ----------------------------------------
+  // SNS
+  // ----------------------------------------
+
+  // Subscriptions of each topic, by topic ARN: [{ functionName, filterPolicy, filterPolicyScope }]
+  const topics = new Map();
+  const messages = [];
+
+  // Values of the message attributes, as filter policies (MessageAttributes scope) match them
+  const attributeValues = (MessageAttributes = {}) =>
+    Object.fromEntries(Object.entries(MessageAttributes).map(([name, x]) => [name, x.StringValue ?? x.BinaryValue]));
+
+  const sns = {
+    messages,
+    createTopic: (topicArn) => topics.set(topicArn, []),
+    subscribe: (topicArn, subscription) => topics.get(topicArn).push(subscription),
+    publish: ({ TopicArn, Message, MessageAttributes }) => {
+      if (!topics.has(TopicArn)) {
+        throw new NotFoundException({ $metadata: {}, message: 'Topic does not exist' });
+      }
+      const MessageId = randomUUID();
+      messages.push({ TopicArn, Message, MessageAttributes });
+
+      for (const { functionName, filterPolicy, filterPolicyScope } of topics.get(TopicArn)) {
+        if (filterPolicy) {
+          let body;
+          try {
+            body = filterPolicyScope === 'MessageBody' ? JSON.parse(Message) : attributeValues(MessageAttributes);
+          } catch {
+            continue; // Messages that aren't JSON never match a MessageBody filter policy
+          }
+          if (!matchesPattern(filterPolicy, body)) continue;
+        }
+        invokeLater(`sns:${TopicArn}`, functionName, {
+          Records: [
+            {
+              EventSource: 'aws:sns',
+              EventVersion: '1.0',
+              EventSubscriptionArn: `${TopicArn}:${randomUUID()}`,
+              Sns: {
+                Type: 'Notification',
+                MessageId,
+                TopicArn,
+                Message,
+                Timestamp: new Date().toISOString(),
+                // Lambda gets the message attributes as { Type, Value }
+                MessageAttributes: Object.fromEntries(
+                  Object.entries(MessageAttributes ?? {}).map(([name, x]) => [
+                    name,
+                    { Type: x.DataType, Value: x.StringValue ?? x.BinaryValue },
+                  ])
+                ),
+              },
+            },
+          ],
+        });
+      }
+      return { MessageId };
+    },
+  };
+
+  // ----------------------------------------
+  // Cognito user pools
+  // ----------------------------------------
+
+  // Users of each user pool, by user pool ID: [{ Username, Attributes, Enabled, UserStatus }]
+  const userPools = new Map();
+
+  // ListUsers filters: "<attribute> = \"<value>\"" (exact match) or "<attribute> ^= \"<value>\"" (prefix)
+  const USERS_FILTER = /^\s*([\w:]+)\s*(\^?=)\s*"(.*)"\s*$/;
+
+  const cognito = {
+    userPools,
+    createUserPool: (userPoolId) => userPools.set(userPoolId, []),
+    /**
+     * Adds a confirmed user to a user pool
+     * @param {string} userPoolId - ID of the user pool
+     * @param {Object} user - { username, attributes } - attributes by name (sub, email, given_name...)
+     */
+    addUser: (userPoolId, { username, attributes }) => {
+      userPools.get(userPoolId).push({
+        Username: username,
+        Attributes: Object.entries(attributes).map(([Name, Value]) => ({ Name, Value: String(Value) })),
+        Enabled: true,
+        UserStatus: 'CONFIRMED',
+      });
+    },
+    listUsers: ({ UserPoolId, Filter, Limit = 60 }) => {
+      if (!userPools.has(UserPoolId)) {
+        throw new UserPoolNotFoundException({ $metadata: {}, message: `User pool ${UserPoolId} does not exist.` });
+      }
+      let users = userPools.get(UserPoolId);
+      if (Filter) {
+        const [, name, operator, value] = Filter.match(USERS_FILTER) ?? [];
+        if (!name) {
+          throw new InvalidParameterException({ $metadata: {}, message: `Invalid filter: ${Filter}` });
+        }
+        users = users.filter(({ Attributes }) => {
+          const actual = Attributes.find((x) => x.Name === name)?.Value;
+          return operator === '=' ? actual === value : actual?.startsWith(value);
+        });
+      }
+      return { Users: users.slice(0, Limit) };
+    },
+  };
+
+  // ----------------------------------------
+  // API Gateway WebSocket connections
+  // ----------------------------------------
+
+  // Open connections, by connection ID: { messages, onMessage } - the messages posted to it (parsed), and who gets them
+  const connections = new Map();
+
+  const apiGateway = {
+    connections,
+    /**
+     * Opens a connection (see tests/local/websocket.mjs)
+     * @param {string} connectionId - ID of the connection
+     * @param {Function} onMessage - Called with each message posted to the connection (optional)
+     */
+    connect: (connectionId, onMessage) => connections.set(connectionId, { messages: [], onMessage }),
+    // Closes a connection - without its $disconnect route, as when the client just goes away
+    disconnect: (connectionId) => connections.delete(connectionId),
+    postToConnection: ({ ConnectionId, Data }) => {
+      const connection = connections.get(ConnectionId);
+      if (!connection) {
+        throw new GoneException({ $metadata: {}, message: `Connection ${ConnectionId} is gone` });
+      }
+      const message = JSON.parse(Buffer.from(Data).toString());
+      connection.messages.push(message);
+      connection.onMessage?.(message);
+      return {};
+    },
+  };
+
+  // ----------------------------------------
+  // EventBridge
+  // ----------------------------------------
+
+  // Rules of each bus, by bus name: [{ name, pattern, functionName }]
+  const buses = new Map();
+  const events = [];
+
+  const eventBridge = {
+    events,
+    createBus: (busName) => buses.set(busName, []),
+    addRule: (busName, rule) => buses.get(busName).push(rule),
+    putEvents: ({ Entries }) => {
+      const results = Entries.map(({ Source, DetailType, Detail, EventBusName = 'default' }) => {
+        if (!buses.has(EventBusName)) {
+          throw new ResourceNotFoundException({ $metadata: {}, message: `Event bus ${EventBusName} does not exist.` });
+        }
+        // The event as the targets of the rules get it
+        const event = {
+          version: '0',
+          id: randomUUID(),
+          'detail-type': DetailType,
+          source: Source,
+          account: ACCOUNT_ID,
+          time: new Date().toISOString(),
+          region: region(),
+          resources: [],
+          detail: JSON.parse(Detail),
+        };
+        events.push({ ...event, 'event-bus-name': EventBusName });
+
+        for (const { name, pattern, functionName } of buses.get(EventBusName)) {
+          if (matchesPattern(pattern, event)) {
+            invokeLater(`events:${EventBusName}/${name}`, functionName, event);
+          }
+        }
+        return { EventId: event.id };
+      });
+      return { Entries: results, FailedEntryCount: 0 };
+    },
+  };
+
+  // ----------------------------------------
+  // Step Functions
+  // ----------------------------------------
+
+  const stateMachines = new Map();
+  // Executions by ARN: { executionArn, stateMachineArn, name, input, status, output, error, cause, states, waiting }
+  const executions = new Map();
+  // Executions waiting for a callback, by task token
+  const tasks = new Map();
+  // Task tokens of the tasks that timed out
+  const expiredTokens = new Set();
+
+  // Thrown into an execution stopped while it waits for a callback
+  class ExecutionAborted extends Error {}
+
+  // The services the state machines integrate with, as the simulator calls them
+  const stateMachineIntegrations = {
+    dynamodb: {
+      api: Object.fromEntries(
+        ['getItem', 'putItem', 'updateItem', 'deleteItem'].map((action) => [
+          action,
+          (args) => {
+            try {
+              return withAttributeValues(dynamodb[action])(args);
+            } catch (error) {
+              throw new StatesError(`DynamoDB.${error.name}`, error.message);
+            }
+          },
+        ])
+      ),
+    },
+    eventBridge: {
+      api: {
+        // The integration serializes the Detail of each entry
+        putEvents: ({ Entries }) =>
+          eventBridge.putEvents({
+            Entries: Entries.map((x) => ({
+              ...x,
+              Detail: typeof x.Detail === 'string' ? x.Detail : JSON.stringify(x.Detail),
+            })),
+          }),
+      },
+    },
+    sns: {
+      api: {
+        publish: (args) =>
+          sns.publish({
+            ...args,
+            Message: typeof args.Message === 'string' ? args.Message : JSON.stringify(args.Message),
+          }),
+      },
+    },
+  };
+
+  const executionOf = (executionArn) => {
+    const execution = executions.get(executionArn);
+    if (!execution) {
+      throw new ExecutionDoesNotExist({ $metadata: {}, message: `Execution Does Not Exist: '${executionArn}'` });
+    }
+    return execution;
+  };
+
+  // Resumes an execution waiting for a callback with the response of the task
+  const resume = (taskToken, response) => {
+    if (expiredTokens.has(taskToken)) {
+      throw new TaskTimedOut({ $metadata: {}, message: 'Task Timed Out' });
+    }
+    const execution = tasks.get(taskToken);
+    if (!execution) {
+      throw new TaskDoesNotExist({ $metadata: {}, message: 'Task Does Not Exist' });
+    }
+    tasks.delete(taskToken);
+    const { resolve } = execution.waiting;
+    execution.waiting = undefined;
+    resolve(response);
+    return {};
+  };
+
+  const stepFunctions = {
+    executions,
+    createStateMachine: (stateMachineArn, definition) => stateMachines.set(stateMachineArn, definition),
+    startExecution: ({ stateMachineArn, name = randomUUID(), input = '{}' }) => {
+      const definition = stateMachines.get(stateMachineArn);
+      if (!definition) {
+        throw new StateMachineDoesNotExist({
+          $metadata: {},
+          message: `State Machine Does Not Exist: '${stateMachineArn}'`,
+        });
+      }
+      const executionArn = `${stateMachineArn.replace(':stateMachine:', ':execution:')}:${name}`;
+      if (executions.has(executionArn)) {
+        throw new ExecutionAlreadyExists({ $metadata: {}, message: `Execution Already Exists: '${executionArn}'` });
+      }
+
+      const startDate = new Date();
+      const execution = { executionArn, stateMachineArn, name, input, status: 'RUNNING', startDate };
+      executions.set(executionArn, execution);
+
+      // Every .waitForTaskToken state waits until SendTaskSuccess / SendTaskFailure, timeOut() or StopExecution
+      const waitForCallback = ({ taskToken }) =>
+        new Promise((resolve, reject) => {
+          execution.waiting = { taskToken, resolve, reject };
+          tasks.set(taskToken, execution);
+        });
+      const callbacks = Object.fromEntries(
+        Object.entries(definition.States)
+          .filter(([, state]) => state.Resource?.endsWith('.waitForTaskToken'))
+          .map(([stateName]) => [stateName, waitForCallback])
+      );
+
+      startExecution(definition, { input: JSON.parse(input), name, fakes: stateMachineIntegrations, callbacks }).then(
+        (result) => {
+          Object.assign(execution, {
+            status: result.status,
+            states: result.states,
+            stopDate: new Date(),
+            ...(result.status === 'SUCCEEDED'
+              ? { output: JSON.stringify(result.output) }
+              : { error: result.error, cause: result.cause }),
+          });
+        },
+        (error) => {
+          if (error instanceof ExecutionAborted) return;
+          // A definition the simulator can't run
+          Object.assign(execution, { status: 'FAILED', error: error.name, cause: error.message, stopDate: new Date() });
+          failures.push({ source: `states:${stateMachineArn}`, executionArn, error });
+        }
+      );
+
+      return { executionArn, startDate };
+    },
+    sendTaskSuccess: ({ taskToken, output }) => resume(taskToken, { output: JSON.parse(output) }),
+    sendTaskFailure: ({ taskToken, error, cause }) => resume(taskToken, { error, cause }),
+    sendTaskHeartbeat: ({ taskToken }) => {
+      if (!tasks.has(taskToken)) {
+        throw new (expiredTokens.has(taskToken) ? TaskTimedOut : TaskDoesNotExist)({
+          $metadata: {},
+          message: 'Task Does Not Exist',
+        });
+      }
+      return {};
+    },
+    stopExecution: ({ executionArn, error, cause }) => {
+      const execution = executionOf(executionArn);
+      if (execution.status === 'RUNNING') {
+        Object.assign(execution, { status: 'ABORTED', error, cause, stopDate: new Date() });
+        if (execution.waiting) {
+          tasks.delete(execution.waiting.taskToken);
+          execution.waiting.reject(new ExecutionAborted());
+        }
+      }
+      return { stopDate: execution.stopDate };
+    },
+    describeExecution: ({ executionArn }) => {
+      const { waiting, states, ...execution } = executionOf(executionArn);
+      return execution;
+    },
+    /**
+     * Times out the task an execution waits in (as TimeoutSeconds would), e.g. the "Notify restaurant" step of an
+     * order nobody answers
+     * @param {string} executionArn - ARN of the execution
+     */
+    timeOut: (executionArn) => {
+      const { waiting } = executionOf(executionArn);
+      if (!waiting) {
+        throw new Error(`execution ${executionArn} isn't waiting for a callback`);
+      }
+      expiredTokens.add(waiting.taskToken);
+      tasks.delete(waiting.taskToken);
+      executions.get(executionArn).waiting = undefined;
+      waiting.resolve({ timeout: true });
+    },
+  };
+
+  // ----------------------------------------
+  // AWS SDK clients
+  // ----------------------------------------
+
+  // send() of a client, serving its commands from a fake: [CommandClass, operation] pairs
+  const serve = (commands) =>
+    async function (command) {
+      const [, operation] = commands.find(([Command]) => command instanceof Command) ?? [];
+      if (!operation) {
+        throw new Error(`${command.constructor.name} is not supported locally`);
+      }
+      return structuredClone(operation(structuredClone(command.input)));
+    };
+
+  return {
+    dynamodb,
+    ssm,
+    sns,
+    eventBridge,
+    stepFunctions,
+    cognito,
+    apiGateway,
+    failures,
+
+    /**
+     * Feeds the stream of a table to a function (as an event source mapping does), one record per invocation
+     * @param {string} tableName - Name of the table (it must have a stream)
+     * @param {Object} mapping - { functionName, filter } - filter is a pattern the records must match
+     */
+    addEventSourceMapping: (tableName, mapping) => {
+      streamTargets.set(tableName, [...(streamTargets.get(tableName) ?? []), mapping]);
+    },
+
+    /**
+     * Replaces send() of the AWS SDK clients, so every client - the functions' and the tests' - uses the fakes
+     */
+    install: () => {
+      DynamoDBDocumentClient.prototype.send = documentClientSend;
+      DynamoDBClient.prototype.send = clientSend;
+      SSMClient.prototype.send = serve([
+        [GetParameterCommand, ssm.getParameter],
+        [GetParametersCommand, ssm.getParameters],
+        [GetParametersByPathCommand, ssm.getParametersByPath],
+        [PutParameterCommand, ssm.putParameter],
+      ]);
+      SNSClient.prototype.send = serve([[PublishCommand, sns.publish]]);
+      EventBridgeClient.prototype.send = serve([[PutEventsCommand, eventBridge.putEvents]]);
+      SFNClient.prototype.send = serve([
+        [StartExecutionCommand, stepFunctions.startExecution],
+        [SendTaskSuccessCommand, stepFunctions.sendTaskSuccess],
+        [SendTaskFailureCommand, stepFunctions.sendTaskFailure],
+        [SendTaskHeartbeatCommand, stepFunctions.sendTaskHeartbeat],
+        [StopExecutionCommand, stepFunctions.stopExecution],
+        [DescribeExecutionCommand, stepFunctions.describeExecution],
+      ]);
+      CognitoIdentityProviderClient.prototype.send = serve([[ListUsersCommand, cognito.listUsers]]);
+      ApiGatewayManagementApiClient.prototype.send = serve([[PostToConnectionCommand, apiGateway.postToConnection]]);
+    },
+
+    /**
+     * Runs what the services do asynchronously, until nothing is left to do: the deliveries of the streams, rules and
+     * subscriptions (including the ones they cause), and the executions until they end or wait for a callback
+     * @returns {Promise<void>}
+     */
+    settle: async () => {
+      const deadline = Date.now() + SETTLE_TIMEOUT_MS;
+      for (let deliveries = 0; ;) {
+        if (pending.length) {
+          if (++deliveries > MAX_DELIVERIES) {
+            throw new Error(`the local environment didn't settle after ${MAX_DELIVERIES} deliveries`);
+          }
+          await pending.shift()();
+          continue;
+        }
+        const busy = [...executions.values()].some((x) => x.status === 'RUNNING' && !x.waiting);
+        if (!busy) {
+          return;
+        }
+        if (Date.now() > deadline) {
+          throw new Error(`the executions of the local environment didn't settle within ${SETTLE_TIMEOUT_MS}ms`);
+        }
+        // Let the running executions move on
+        await new Promise((resolve) => setImmediate(resolve));
+      }
+    },
+  };
+};
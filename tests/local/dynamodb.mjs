@@ -0,0 +1,867 @@
+/**
+ * In-memory DynamoDB for the local test mode (TEST_MODE=local)
+ *
+ * A document store with the tables of terraform/main.tf, serving the requests of both the document client
+ * (@aws-sdk/lib-dynamodb - plain values) and the low-level client (@aws-sdk/client-dynamodb - attribute values, as
+ * Powertools idempotency sends them). It evaluates the expressions the functions use:
+ *
+ *   ConditionExpression / FilterExpression / KeyConditionExpression
+ *     comparisons (= <> < <= > >=), BETWEEN, IN, AND, OR, NOT, parentheses,
+ *     attribute_exists, attribute_not_exists, attribute_type, begins_with, contains, size
+ *   UpdateExpression
+ *     SET (with + and -, if_not_exists, list_append), REMOVE, ADD, DELETE
+ *   ProjectionExpression
+ *
+ * with ExpressionAttributeNames and ExpressionAttributeValues, and fails the way DynamoDB does: a failed condition
+ * throws ConditionalCheckFailedException (TransactionCanceledException in a transaction), an unknown table
+ * ResourceNotFoundException, and anything it doesn't support a ValidationException - rather than being ignored.
+ *
+ * Tables with a stream call the listeners of the store with the stream records of each change (see onStreamRecord()).
+ */
+
+// AWS SDK exceptions - the functions (and Powertools) tell DynamoDB errors apart by their name or class
+import {
+  ConditionalCheckFailedException,
+  DynamoDBServiceException,
+  ResourceNotFoundException,
+  TransactionCanceledException,
+} from '@aws-sdk/client-dynamodb';
+// AWS SDK utility to convert DynamoDB JSON to plain objects and back
+import { marshall, unmarshall } from '@aws-sdk/util-dynamodb';
+// Compares attribute values (lists, maps and sets included)
+import { isDeepStrictEqual } from 'node:util';
+
+const validationError = (message) =>
+  new DynamoDBServiceException({ name: 'ValidationException', $fault: 'client', $metadata: {}, message });
+
+// ----------------------------------------
+// Expressions
+// ----------------------------------------
+
+const KEYWORDS = ['AND', 'OR', 'NOT', 'BETWEEN', 'IN', 'SET', 'REMOVE', 'ADD', 'DELETE'];
+const TOKEN = /\s*(#[\w]+|:[\w]+|[A-Za-z_][\w]*|\d+|<>|<=|>=|[=<>(),.[\]+-])/y;
+
+// Splits an expression into tokens (names, #names, :values, keywords and symbols)
+const tokenize = (expression) => {
+  const tokens = [];
+  TOKEN.lastIndex = 0;
+  while (TOKEN.lastIndex < expression.length) {
+    if (/^\s*$/.test(expression.slice(TOKEN.lastIndex))) break;
+    const match = TOKEN.exec(expression);
+    if (!match) {
+      throw validationError(`Invalid expression: unexpected character at ${TOKEN.lastIndex}: ${expression}`);
+    }
+    tokens.push(match[1]);
+  }
+  return tokens;
+};
+
+/**
+ * Parser of the expressions of a request - resolves #names and :values as it goes
+ */
+class Parser {
+  constructor(expression, { names = {}, values = {} }) {
+    this.expression = expression;
+    this.tokens = tokenize(expression);
+    this.pos = 0;
+    this.names = names;
+    this.values = values;
+  }
+
+  peek(offset = 0) {
+    return this.tokens[this.pos + offset];
+  }
+
+  // The next token, if it's the given keyword or symbol
+  accept(token) {
+    const next = this.peek();
+    if (next !== undefined && next.toUpperCase() === token) {
+      this.pos++;
+      return true;
+    }
+    return false;
+  }
+
+  expect(token) {
+    if (!this.accept(token)) {
+      throw validationError(`Invalid expression: expected ${token} at "${this.peek() ?? 'end'}": ${this.expression}`);
+    }
+  }
+
+  end() {
+    if (this.pos < this.tokens.length) {
+      throw validationError(`Invalid expression: unexpected "${this.peek()}": ${this.expression}`);
+    }
+  }
+
+  // Document path, e.g. #status, items[0].name
+  path() {
+    const path = [this.name()];
+    for (;;) {
+      if (this.accept('.')) {
+        path.push(this.name());
+      } else if (this.accept('[')) {
+        path.push(Number(this.tokens[this.pos++]));
+        this.expect(']');
+      } else {
+        return path;
+      }
+    }
+  }
+
+  name() {
+    const token = this.tokens[this.pos++];
+    if (token?.startsWith('#')) {
+      if (!(token in this.names)) {
+        throw validationError(`An expression attribute name used in the document path is not defined: ${token}`);
+      }
+      return this.names[token];
+    }
+    if (!token || !/^[A-Za-z_]/.test(token)) {
+      throw validationError(
+        `Invalid expression: expected an attribute name at "${token ?? 'end'}": ${this.expression}`
+      );
+    }
+    return token;
+  }
+
+  value() {
+    const token = this.tokens[this.pos++];
+    if (!(token in this.values)) {
+      throw validationError(`An expression attribute value used in expression is not defined: ${token}`);
+    }
+    return { type: 'value', value: this.values[token] };
+  }
+
+  // Operand of a condition: path, :value or size(path)
+  operand() {
+    if (this.peek()?.startsWith(':')) return this.value();
+    if (this.peek() === 'size' && this.peek(1) === '(') {
+      this.pos += 2;
+      const path = this.path();
+      this.expect(')');
+      return { type: 'size', path };
+    }
+    return { type: 'path', path: this.path() };
+  }
+
+  condition() {
+    let left = this.conjunction();
+    while (this.accept('OR')) {
+      left = { type: 'or', left, right: this.conjunction() };
+    }
+    return left;
+  }
+
+  conjunction() {
+    let left = this.negation();
+    while (this.accept('AND')) {
+      left = { type: 'and', left, right: this.negation() };
+    }
+    return left;
+  }
+
+  negation() {
+    if (this.accept('NOT')) {
+      return { type: 'not', condition: this.negation() };
+    }
+    return this.comparison();
+  }
+
+  comparison() {
+    if (this.accept('(')) {
+      const condition = this.condition();
+      this.expect(')');
+      return condition;
+    }
+
+    const fn = this.peek();
+    if (['attribute_exists', 'attribute_not_exists', 'attribute_type', 'begins_with', 'contains'].includes(fn)) {
+      this.pos++;
+      this.expect('(');
+      const path = this.path();
+      const operand = fn === 'attribute_exists' || fn === 'attribute_not_exists' ? undefined : this.argument();
+      this.expect(')');
+      return { type: 'function', fn, path, operand };
+    }
+
+    const left = this.operand();
+    if (this.accept('BETWEEN')) {
+      const low = this.operand();
+      this.expect('AND');
+      return { type: 'between', left, low, high: this.operand() };
+    }
+    if (this.accept('IN')) {
+      this.expect('(');
+      const list = [this.operand()];
+      while (this.accept(',')) list.push(this.operand());
+      this.expect(')');
+      return { type: 'in', left, list };
+    }
+
+    const operator = this.tokens[this.pos++];
+    if (!['=', '<>', '<', '<=', '>', '>='].includes(operator)) {
+      throw validationError(`Invalid expression: unsupported operator "${operator ?? 'end'}": ${this.expression}`);
+    }
+    return { type: 'compare', operator, left, right: this.operand() };
+  }
+
+  argument() {
+    this.expect(',');
+    return this.operand();
+  }
+
+  // Value of a SET action: operand, operand + operand, operand - operand
+  setValue() {
+    const left = this.setOperand();
+    for (const operator of ['+', '-']) {
+      if (this.accept(operator)) {
+        return { type: 'arithmetic', operator, left, right: this.setOperand() };
+      }
+    }
+    return left;
+  }
+
+  setOperand() {
+    const fn = this.peek();
+    if ((fn === 'if_not_exists' || fn === 'list_append') && this.peek(1) === '(') {
+      this.pos += 2;
+      const first = fn === 'if_not_exists' ? { type: 'path', path: this.path() } : this.setOperand();
+      this.expect(',');
+      const second = this.setOperand();
+      this.expect(')');
+      return { type: fn, first, second };
+    }
+    return this.operand();
+  }
+
+  update() {
+    const actions = [];
+    while (this.pos < this.tokens.length) {
+      const clause = this.tokens[this.pos++].toUpperCase();
+      do {
+        if (clause === 'SET') {
+          const path = this.path();
+          this.expect('=');
+          actions.push({ clause, path, value: this.setValue() });
+        } else if (clause === 'REMOVE') {
+          actions.push({ clause, path: this.path() });
+        } else if (clause === 'ADD' || clause === 'DELETE') {
+          actions.push({ clause, path: this.path(), value: this.value() });
+        } else {
+          throw validationError(`Invalid UpdateExpression: unexpected "${clause}": ${this.expression}`);
+        }
+      } while (this.accept(','));
+    }
+    return actions;
+  }
+
+  projection() {
+    const paths = [this.path()];
+    while (this.accept(',')) paths.push(this.path());
+    return paths;
+  }
+}
+
+// Value at a document path, or undefined
+const get = (item, path) => path.reduce((value, key) => (value == null ? undefined : value[key]), item);
+
+const typeOf = (value) => {
+  if (value === null) return 'NULL';
+  if (typeof value === 'string') return 'S';
+  if (typeof value === 'number' || typeof value === 'bigint') return 'N';
+  if (typeof value === 'boolean') return 'BOOL';
+  if (value instanceof Uint8Array) return 'B';
+  if (Array.isArray(value)) return 'L';
+  if (value instanceof Set) {
+    const [first] = value;
+    return typeof first === 'number' ? 'NS' : first instanceof Uint8Array ? 'BS' : 'SS';
+  }
+  return 'M';
+};
+
+const sizeOf = (value) => {
+  if (typeof value === 'string' || Array.isArray(value) || value instanceof Uint8Array) return value.length;
+  if (value instanceof Set) return value.size;
+  if (value && typeof value === 'object') return Object.keys(value).length;
+  return undefined;
+};
+
+const operandValue = (operand, item) => {
+  switch (operand.type) {
+    case 'value':
+      return operand.value;
+    case 'path':
+      return get(item, operand.path);
+    case 'size':
+      return sizeOf(get(item, operand.path));
+  }
+};
+
+// Orders two values of the same scalar type, or returns undefined (DynamoDB comparisons of other types are false)
+const order = (a, b) => {
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  if (typeof a === 'string' && typeof b === 'string') return a < b ? -1 : a > b ? 1 : 0;
+  return undefined;
+};
+
+// Evaluates a parsed condition against an item
+const evaluate = (condition, item) => {
+  switch (condition.type) {
+    case 'or':
+      return evaluate(condition.left, item) || evaluate(condition.right, item);
+    case 'and':
+      return evaluate(condition.left, item) && evaluate(condition.right, item);
+    case 'not':
+      return !evaluate(condition.condition, item);
+    case 'between': {
+      const value = operandValue(condition.left, item);
+      return (
+        order(value, operandValue(condition.low, item)) >= 0 && order(value, operandValue(condition.high, item)) <= 0
+      );
+    }
+    case 'in': {
+      const value = operandValue(condition.left, item);
+      return condition.list.some((x) => isDeepStrictEqual(value, operandValue(x, item)));
+    }
+    case 'compare': {
+      const left = operandValue(condition.left, item);
+      const right = operandValue(condition.right, item);
+      if (left === undefined || right === undefined) return false;
+      if (condition.operator === '=') return isDeepStrictEqual(left, right);
+      if (condition.operator === '<>') return !isDeepStrictEqual(left, right);
+      const comparison = order(left, right);
+      if (comparison === undefined) return false;
+      return { '<': comparison < 0, '<=': comparison <= 0, '>': comparison > 0, '>=': comparison >= 0 }[
+        condition.operator
+      ];
+    }
+    case 'function': {
+      const value = get(item, condition.path);
+      const operand = condition.operand && operandValue(condition.operand, item);
+      switch (condition.fn) {
+        case 'attribute_exists':
+          return value !== undefined;
+        case 'attribute_not_exists':
+          return value === undefined;
+        case 'attribute_type':
+          return value !== undefined && typeOf(value) === operand;
+        case 'begins_with':
+          return typeof value === 'string' && typeof operand === 'string' && value.startsWith(operand);
+        case 'contains':
+          if (typeof value === 'string') return typeof operand === 'string' && value.includes(operand);
+          if (value instanceof Set) return value.has(operand);
+          if (Array.isArray(value)) return value.some((x) => isDeepStrictEqual(x, operand));
+          return false;
+      }
+    }
+  }
+};
+
+const parseCondition = (expression, request) => {
+  const parser = new Parser(expression, request);
+  const condition = parser.condition();
+  parser.end();
+  return condition;
+};
+
+// Request fields the expressions read their #names and :values from
+const placeholders = (request) => ({
+  names: request.ExpressionAttributeNames,
+  values: request.ExpressionAttributeValues,
+});
+
+// Sets the value at a document path - the parent of a nested path must exist, as in DynamoDB
+const set = (item, path, value) => {
+  const parent = get(item, path.slice(0, -1));
+  if (parent == null || typeof parent !== 'object') {
+    throw validationError('The document path provided in the update expression is invalid for update');
+  }
+  parent[path.at(-1)] = value;
+};
+
+const remove = (item, path) => {
+  const parent = get(item, path.slice(0, -1));
+  if (Array.isArray(parent)) {
+    parent.splice(path.at(-1), 1);
+  } else if (parent && typeof parent === 'object') {
+    delete parent[path.at(-1)];
+  }
+};
+
+const updateValue = (operand, item) => {
+  switch (operand.type) {
+    case 'if_not_exists': {
+      const value = get(item, operand.first.path);
+      return value === undefined ? updateValue(operand.second, item) : value;
+    }
+    case 'list_append':
+      return [...updateValue(operand.first, item), ...updateValue(operand.second, item)];
+    case 'arithmetic': {
+      const left = updateValue(operand.left, item);
+      const right = updateValue(operand.right, item);
+      if (typeof left !== 'number' || typeof right !== 'number') {
+        throw validationError('An operand in the update expression has an incorrect data type');
+      }
+      return operand.operator === '+' ? left + right : left - right;
+    }
+    default: {
+      const value = operandValue(operand, item);
+      if (value === undefined) {
+        throw validationError('The provided expression refers to an attribute that does not exist in the item');
+      }
+      return value;
+    }
+  }
+};
+
+// Applies an UpdateExpression to (a copy of) an item - every value is read from the item as it was before the update
+const applyUpdate = (item, request, keyAttributes) => {
+  const actions = new Parser(request.UpdateExpression, placeholders(request)).update();
+  const updated = structuredClone(item);
+
+  for (const action of actions) {
+    if (keyAttributes.includes(action.path[0])) {
+      throw validationError(`Cannot update attribute ${action.path[0]}. This attribute is part of the key`);
+    }
+    switch (action.clause) {
+      case 'SET':
+        set(updated, action.path, structuredClone(updateValue(action.value, item)));
+        break;
+      case 'REMOVE':
+        remove(updated, action.path);
+        break;
+      case 'ADD': {
+        const current = get(updated, action.path);
+        const { value } = action.value;
+        if (typeof value === 'number') {
+          set(updated, action.path, (current ?? 0) + value);
+        } else if (value instanceof Set) {
+          set(updated, action.path, new Set([...(current ?? []), ...value]));
+        } else {
+          throw validationError('ADD only supports numbers and sets');
+        }
+        break;
+      }
+      case 'DELETE': {
+        const current = get(updated, action.path);
+        if (current instanceof Set) {
+          const remaining = new Set([...current].filter((x) => !action.value.value.has(x)));
+          remaining.size ? set(updated, action.path, remaining) : remove(updated, action.path);
+        }
+        break;
+      }
+    }
+  }
+  return updated;
+};
+
+// Keeps the attributes of a ProjectionExpression
+const project = (item, request) => {
+  if (!request.ProjectionExpression) return item;
+
+  const parser = new Parser(request.ProjectionExpression, placeholders(request));
+  const paths = parser.projection();
+  parser.end();
+
+  const projected = {};
+  for (const path of paths) {
+    const value = get(item, path);
+    if (value === undefined) continue;
+    // Nested paths keep their parents (lists become maps of the projected positions' values, flattened here)
+    let target = projected;
+    path.slice(0, -1).forEach((key, i) => {
+      target[key] ??= typeof path[i + 1] === 'number' ? [] : {};
+      target = target[key];
+    });
+    target[path.at(-1)] = value;
+  }
+  return projected;
+};
+
+// ----------------------------------------
+// Store
+// ----------------------------------------
+
+/**
+ * Creates an in-memory DynamoDB
+ * @returns {Object} The store - createTable(), the operations of the DynamoDB API, and onStreamRecord()
+ */
+export const createDynamoDB = () => {
+  // Tables by name: { hashKey, rangeKey, indexes, streamViewType, items: Map }
+  const tables = new Map();
+  const streamListeners = [];
+  let sequenceNumber = 0;
+
+  const tableOf = (name) => {
+    const table = tables.get(name);
+    if (!table) {
+      throw new ResourceNotFoundException({
+        $metadata: {},
+        message: `Requested resource not found: Table: ${name} not found`,
+      });
+    }
+    return table;
+  };
+
+  const keyAttributesOf = (table) => [table.hashKey, table.rangeKey].filter(Boolean);
+
+  // The key of an item (or a Key parameter), as the identifier of the item in the table
+  const keyOf = (table, item, { strict = false } = {}) => {
+    const attributes = keyAttributesOf(table);
+    if (strict && Object.keys(item).length !== attributes.length) {
+      throw validationError('The provided key element does not match the schema');
+    }
+    const key = attributes.map((name) => item[name]);
+    if (key.some((x) => typeof x !== 'string' && typeof x !== 'number')) {
+      throw validationError('The provided key element does not match the schema');
+    }
+    return JSON.stringify(key);
+  };
+
+  const pickKey = (attributes, item) => Object.fromEntries(attributes.map((name) => [name, item[name]]));
+
+  // Tells the stream listeners about a change of an item
+  const streamChange = (tableName, table, oldItem, newItem) => {
+    if (!table.streamViewType || (!oldItem && !newItem) || isDeepStrictEqual(oldItem, newItem)) return;
+
+    const withImages = table.streamViewType !== 'KEYS_ONLY';
+    const record = {
+      eventID: `${++sequenceNumber}`,
+      eventName: !oldItem ? 'INSERT' : !newItem ? 'REMOVE' : 'MODIFY',
+      eventSource: 'aws:dynamodb',
+      dynamodb: {
+        Keys: marshall(pickKey(keyAttributesOf(table), newItem ?? oldItem)),
+        ...(withImages && newItem && table.streamViewType !== 'OLD_IMAGE' && { NewImage: marshall(newItem) }),
+        ...(withImages && oldItem && table.streamViewType.includes('OLD') && { OldImage: marshall(oldItem) }),
+        SequenceNumber: `${sequenceNumber}`.padStart(21, '0'),
+        StreamViewType: table.streamViewType,
+      },
+    };
+    streamListeners.forEach((listener) => listener(tableName, record));
+  };
+
+  // Checks the ConditionExpression of a request against the current item
+  const checkCondition = (request, item) => {
+    if (!request.ConditionExpression) return;
+    if (!evaluate(parseCondition(request.ConditionExpression, placeholders(request)), item ?? {})) {
+      throw new ConditionalCheckFailedException({
+        $metadata: {},
+        message: 'The conditional request failed',
+        ...(request.ReturnValuesOnConditionCheckFailure === 'ALL_OLD' && item && { Item: structuredClone(item) }),
+      });
+    }
+  };
+
+  const returnValues = (request, oldItem, newItem) => {
+    switch (request.ReturnValues ?? 'NONE') {
+      case 'NONE':
+        return {};
+      case 'ALL_OLD':
+        return oldItem ? { Attributes: structuredClone(oldItem) } : {};
+      case 'ALL_NEW':
+        return newItem ? { Attributes: structuredClone(newItem) } : {};
+      default:
+        throw validationError(`ReturnValues ${request.ReturnValues} is not supported locally`);
+    }
+  };
+
+  // Write operations, as (check, apply) pairs - transactions check every item before they apply any
+  const writes = {
+    put: (request) => {
+      const table = tableOf(request.TableName);
+      const key = keyOf(table, request.Item);
+      const oldItem = table.items.get(key);
+      return {
+        check: () => checkCondition(request, oldItem),
+        apply: () => {
+          const newItem = structuredClone(request.Item);
+          table.items.set(key, newItem);
+          streamChange(request.TableName, table, oldItem, newItem);
+          return returnValues(request, oldItem, undefined);
+        },
+      };
+    },
+    update: (request) => {
+      const table = tableOf(request.TableName);
+      const key = keyOf(table, request.Key, { strict: true });
+      const oldItem = table.items.get(key);
+      return {
+        check: () => checkCondition(request, oldItem),
+        apply: () => {
+          // Updating a missing item creates it
+          const newItem = applyUpdate(oldItem ?? structuredClone(request.Key), request, keyAttributesOf(table));
+          table.items.set(key, newItem);
+          streamChange(request.TableName, table, oldItem, newItem);
+          return returnValues(request, oldItem, newItem);
+        },
+      };
+    },
+    delete: (request) => {
+      const table = tableOf(request.TableName);
+      const key = keyOf(table, request.Key, { strict: true });
+      const oldItem = table.items.get(key);
+      return {
+        check: () => checkCondition(request, oldItem),
+        apply: () => {
+          table.items.delete(key);
+          streamChange(request.TableName, table, oldItem, undefined);
+          return returnValues(request, oldItem, undefined);
+        },
+      };
+    },
+    conditionCheck: (request) => {
+      const table = tableOf(request.TableName);
+      const oldItem = table.items.get(keyOf(table, request.Key, { strict: true }));
+      return { check: () => checkCondition(request, oldItem), apply: () => ({}) };
+    },
+  };
+
+  const write = (operation) => (request) => {
+    const { check, apply } = writes[operation](request);
+    check();
+    return apply();
+  };
+
+  // Reads the items of a table or index, in key order, one page at a time (Query and Scan)
+  const read = (request, matchesKey) => {
+    const table = tableOf(request.TableName);
+    const index = request.IndexName ? table.indexes[request.IndexName] : table;
+    if (!index) {
+      throw validationError(`The table does not have the specified index: ${request.IndexName}`);
+    }
+    // Index items are the items with the index keys, and their keys combine the table's and the index's
+    const keyAttributes = [...new Set([...keyAttributesOf(index), ...keyAttributesOf(table)])];
+
+    let items = [...table.items.values()].filter((item) =>
+      keyAttributesOf(index).every((name) => item[name] !== undefined)
+    );
+    items = items.filter(matchesKey);
+    if (index.rangeKey) {
+      items.sort((a, b) => order(a[index.rangeKey], b[index.rangeKey]));
+    }
+    if (request.ScanIndexForward === false) {
+      items.reverse();
+    }
+
+    if (request.ExclusiveStartKey) {
+      const start = items.findIndex((item) =>
+        isDeepStrictEqual(pickKey(keyAttributes, item), request.ExclusiveStartKey)
+      );
+      items = start === -1 ? [] : items.slice(start + 1);
+    }
+
+    // Limit is the number of items read, before the FilterExpression
+    const page = request.Limit ? items.slice(0, request.Limit) : items;
+    const lastEvaluatedKey =
+      request.Limit && page.length === request.Limit ? pickKey(keyAttributes, page.at(-1)) : undefined;
+
+    const filter = request.FilterExpression && parseCondition(request.FilterExpression, placeholders(request));
+    const matching = filter ? page.filter((item) => evaluate(filter, item)) : page;
+
+    return {
+      Items: matching.map((item) => structuredClone(project(item, request))),
+      Count: matching.length,
+      ScannedCount: page.length,
+      ...(lastEvaluatedKey && { LastEvaluatedKey: lastEvaluatedKey }),
+    };
+  };
+
+  const store = {
+    /**
+     * Creates an empty table
+     * @param {string} name - Table name
+     * @param {Object} definition - { hashKey, rangeKey, indexes: { name: { hashKey, rangeKey } }, streamViewType }
+     */
+    createTable: (name, { hashKey, rangeKey, indexes = {}, streamViewType }) => {
+      tables.set(name, { hashKey, rangeKey, indexes, streamViewType, items: new Map() });
+    },
+
+    /**
+     * Listens to the stream records of the tables with a stream
+     * @param {Function} listener - Called with (tableName, record), the record as Lambda gets it from the stream
+     */
+    onStreamRecord: (listener) => streamListeners.push(listener),
+
+    /**
+     * The items of a table (plain values), e.g. to check what the functions wrote
+     * @param {string} name - Table name
+     * @returns {Array} The items
+     */
+    items: (name) => [...tableOf(name).items.values()].map((item) => structuredClone(item)),
+
+    // Operations of the DynamoDB API - requests and responses with plain values (as the document client has them)
+    getItem: (request) => {
+      const table = tableOf(request.TableName);
+      const item = table.items.get(keyOf(table, request.Key, { strict: true }));
+      return item ? { Item: structuredClone(project(item, request)) } : {};
+    },
+    putItem: write('put'),
+    updateItem: write('update'),
+    deleteItem: write('delete'),
+    query: (request) => {
+      const table = tableOf(request.TableName);
+      if (!request.KeyConditionExpression) {
+        throw validationError('Either the KeyConditions or KeyConditionExpression parameter must be specified');
+      }
+      const index = request.IndexName ? table.indexes[request.IndexName] : table;
+      const keyCondition = parseCondition(request.KeyConditionExpression, placeholders(request));
+      // The partition key must be matched with =
+      const hashKeyCondition = (condition) =>
+        (condition.type === 'compare' && condition.operator === '=' && condition.left.path?.[0] === index?.hashKey) ||
+        (condition.type === 'and' && (hashKeyCondition(condition.left) || hashKeyCondition(condition.right)));
+      if (index && !hashKeyCondition(keyCondition)) {
+        throw validationError('Query condition missed key schema element');
+      }
+      return read(request, (item) => evaluate(keyCondition, item));
+    },
+    scan: (request) => read(request, () => true),
+    batchGetItem: (request) => ({
+      Responses: Object.fromEntries(
+        Object.entries(request.RequestItems).map(([TableName, { Keys, ...rest }]) => [
+          TableName,
+          Keys.map((Key) => store.getItem({ TableName, Key, ...rest }).Item).filter(Boolean),
+        ])
+      ),
+      UnprocessedKeys: {},
+    }),
+    batchWriteItem: (request) => {
+      for (const [TableName, requests] of Object.entries(request.RequestItems)) {
+        if (requests.length > 25) {
+          throw validationError('Too many items requested for the BatchWriteItem call');
+        }
+        for (const { PutRequest, DeleteRequest } of requests) {
+          PutRequest ? write('put')({ TableName, ...PutRequest }) : write('delete')({ TableName, ...DeleteRequest });
+        }
+      }
+      return { UnprocessedItems: {} };
+    },
+    transactWriteItems: (request) => {
+      const operations = request.TransactItems.map(({ Put, Update, Delete, ConditionCheck }) =>
+        Put
+          ? writes.put(Put)
+          : Update
+            ? writes.update(Update)
+            : Delete
+              ? writes.delete(Delete)
+              : writes.conditionCheck(ConditionCheck)
+      );
+
+      const reasons = operations.map(({ check }) => {
+        try {
+          check();
+          return { Code: 'None' };
+        } catch (error) {
+          if (error.name !== 'ConditionalCheckFailedException') throw error;
+          return { Code: 'ConditionalCheckFailed', Message: error.message };
+        }
+      });
+      if (reasons.some((x) => x.Code !== 'None')) {
+        throw new TransactionCanceledException({
+          $metadata: {},
+          message: `Transaction cancelled, please refer cancellation reasons for specific reasons [${reasons.map((x) => x.Code).join(', ')}]`,
+          CancellationReasons: reasons,
+        });
+      }
+
+      operations.forEach(({ apply }) => apply());
+      return {};
+    },
+  };
+  return store;
+};
+
+// ----------------------------------------
+// AWS SDK clients
+// ----------------------------------------
+
+// Request fields holding items or keys - attribute values for the low-level client, plain values for the document client
+const ITEM_FIELDS = ['Item', 'Key', 'ExclusiveStartKey', 'ExpressionAttributeValues'];
+
+const convertRequest = (request, convert) => {
+  const converted = { ...request };
+  for (const field of ITEM_FIELDS) {
+    if (converted[field]) converted[field] = convert(converted[field]);
+  }
+  if (converted.RequestItems) {
+    converted.RequestItems = Object.fromEntries(
+      Object.entries(converted.RequestItems).map(([table, requests]) => [
+        table,
+        Array.isArray(requests)
+          ? requests.map(({ PutRequest, DeleteRequest }) =>
+              PutRequest
+                ? { PutRequest: convertRequest(PutRequest, convert) }
+                : { DeleteRequest: convertRequest(DeleteRequest, convert) }
+            )
+          : { ...requests, Keys: requests.Keys.map(convert) },
+      ])
+    );
+  }
+  if (converted.TransactItems) {
+    converted.TransactItems = converted.TransactItems.map((x) =>
+      Object.fromEntries(Object.entries(x).map(([operation, request]) => [operation, convertRequest(request, convert)]))
+    );
+  }
+  return converted;
+};
+
+const convertResponse = (response, convert) => {
+  const converted = { ...response };
+  for (const field of ['Item', 'Attributes', 'LastEvaluatedKey']) {
+    if (converted[field]) converted[field] = convert(converted[field]);
+  }
+  if (converted.Items) converted.Items = converted.Items.map(convert);
+  if (converted.Responses) {
+    converted.Responses = Object.fromEntries(
+      Object.entries(converted.Responses).map(([table, items]) => [table, items.map(convert)])
+    );
+  }
+  return converted;
+};
+
+/**
+ * Wraps an operation of a store to take and return attribute values ({ "S": "..." }), as the DynamoDB API does
+ * @param {Function} operation - Operation of the store (e.g. store.updateItem)
+ * @returns {Function} The operation, for requests of the low-level client (or of Step Functions' DynamoDB integration)
+ */
+export const withAttributeValues = (operation) => (request) => {
+  try {
+    return convertResponse(operation(convertRequest(request, (x) => unmarshall(x))), (x) => marshall(x));
+  } catch (error) {
+    // The item of a failed condition, in attribute values (ReturnValuesOnConditionCheckFailure)
+    if (error.Item) error.Item = marshall(error.Item);
+    throw error;
+  }
+};
+
+/**
+ * Serves the requests of the DynamoDB clients from a store
+ *
+ * @param {Object} store - In-memory DynamoDB (from createDynamoDB())
+ * @param {Object} commands - { document, lowLevel } - the command classes of each client, by operation name
+ *                            (e.g. { putItem: PutCommand })
+ * @returns {Object} { documentClientSend, clientSend } - implementations of DynamoDBDocumentClient.send() and
+ *                   DynamoDBClient.send()
+ */
+export const dynamoDBClients = (store, { document, lowLevel }) => {
+  const operationOf = (classes, command) => {
+    const operation = Object.keys(classes).find((name) => command instanceof classes[name]);
+    if (!operation) {
+      throw validationError(`${command.constructor.name} is not supported locally`);
+    }
+    return operation;
+  };
+
+  return {
+    documentClientSend: async function (command) {
+      const operation = operationOf(document, command);
+      // Values go through the client's own marshalling, so what the real client rejects (e.g. undefined) fails here too
+      const { marshallOptions, unmarshallOptions } = this.config?.translateConfig ?? {};
+      const normalize = (values) => unmarshall(marshall(values, marshallOptions), unmarshallOptions);
+      return convertResponse(store[operation](convertRequest(command.input, normalize)), (x) => x);
+    },
+    clientSend: async function (command) {
+      return withAttributeValues(store[operationOf(lowLevel, command)])(command.input);
+    },
+  };
+};
@@ -0,0 +1,201 @@
+/**
+ * Local environment, for the local test mode (TEST_MODE=local)
+ *
+ * The resources of the terraform stack - tables, parameters, topics, bus, state machine and API - as in-process fakes,
+ * wired to the functions the way terraform wires them, so nothing needs an AWS account or the network:
+ *
+ *   restaurants table stream        -> sync-theme-index
+ *   outbox table stream (INSERTs)   -> relay-outbox
+ *   order-events bus                -> notify-restaurant, seed-orders, start-order-flow (order_placed)
+ *                                   -> push-order-status (order_accepted, order_rejected, order_timed_out)
+ *   restaurant notifications topic  -> save-task-token (messages with a task token)
+ *   user notifications topic        -> notify-user (delivering on its local, in-memory channels)
+ *   order flow state machine        (terraform/state_machines/order-flow.asl.json)
+ *   API                             (terraform/api.tf, see tests/local/api.mjs)
+ *   WebSocket API                   (terraform/websocket.tf, see tests/local/websocket.mjs)
+ *
+ * The restaurants of seed-restaurants.mjs are seeded, and indexed by theme. The user pool is empty: the users signed in
+ * locally (given.an_authenticated_user()) are added to it.
+ */
+
+// Fakes of the AWS services
+import { createLocalAws } from './aws.mjs';
+// In-process Lambda invocations
+import { invoke } from './lambda.mjs';
+// Local API Gateway
+import { interceptFetch } from './api.mjs';
+// Loads the definition of the order flow state machine
+import { loadStateMachine } from '../step-functions.mjs';
+
+const SERVICE_NAME = 'big-mouth';
+const STAGE_NAME = 'local';
+const REGION = 'us-east-1';
+const ACCOUNT_ID = '123456789012';
+
+const API_URL = `https://api.big-mouth.local/${STAGE_NAME}`;
+const WEBSOCKET_URL = `wss://websocket.big-mouth.local/${STAGE_NAME}`;
+
+const topicArn = (name) => `arn:aws:sns:${REGION}:${ACCOUNT_ID}:${SERVICE_NAME}-${STAGE_NAME}-${name}`;
+
+/**
+ * Environment variables of the functions and the tests (as terraform output and the function modules set them),
+ * naming the local resources
+ */
+export const localEnv = {
+  AWS_REGION: REGION,
+  // The AWS SDK signs every request, so it needs credentials - any will do
+  AWS_ACCESS_KEY_ID: 'local',
+  AWS_SECRET_ACCESS_KEY: 'local',
+  service_name: SERVICE_NAME,
+  stage_name: STAGE_NAME,
+  ssm_stage_name: STAGE_NAME,
+  POWERTOOLS_METRICS_NAMESPACE: SERVICE_NAME,
+
+  restaurants_table: `${SERVICE_NAME}-${STAGE_NAME}-restaurants`,
+  restaurant_themes_table: `${SERVICE_NAME}-${STAGE_NAME}-restaurant-themes`,
+  orders_table: `${SERVICE_NAME}-${STAGE_NAME}-orders`,
+  orders_by_user_index: 'userId-createdAt-index',
+  outbox_table: `${SERVICE_NAME}-${STAGE_NAME}-outbox`,
+  idempotency_table: `${SERVICE_NAME}-${STAGE_NAME}-idempotency`,
+  notification_deliveries_table: `${SERVICE_NAME}-${STAGE_NAME}-notification-deliveries`,
+  connections_table: `${SERVICE_NAME}-${STAGE_NAME}-connections`,
+
+  bus_name: `${SERVICE_NAME}-${STAGE_NAME}-order-events`,
+  eventbridge_bus_name: `${SERVICE_NAME}-${STAGE_NAME}-order-events`,
+  restaurant_notification_topic: topicArn('restaurant-notifications'),
+  user_notification_topic: topicArn('user-notifications'),
+  state_machine_arn: `arn:aws:states:${REGION}:${ACCOUNT_ID}:stateMachine:${SERVICE_NAME}-${STAGE_NAME}-order-flow`,
+  order_flow_state_machine_arn: `arn:aws:states:${REGION}:${ACCOUNT_ID}:stateMachine:${SERVICE_NAME}-${STAGE_NAME}-order-flow`,
+
+  cognito_user_pool_id: `${REGION}_local`,
+  cognito_client_id: 'local-web-client',
+  cognito_server_client_id: 'local-server-client',
+
+  // notify-user keeps the messages in memory (functions/notify-user/channels.mjs)
+  notification_adapters: 'local',
+
+  api_gateway_url: API_URL,
+  restaurants_api: `${API_URL}/restaurants`,
+  orders_api: `${API_URL}/orders`,
+  websocket_url: WEBSOCKET_URL,
+  websocket_management_endpoint: WEBSOCKET_URL.replace('wss://', 'https://'),
+};
+
+// Parameters the functions load from SSM (created by hand in a deployed stage, see the README)
+const parameters = {
+  'get-index/config': { cacheTtlSeconds: 60 },
+  'get-restaurants/config': { defaultResults: 8, maxResults: 50 },
+  'search-restaurants/config': { defaultResults: 8, maxResults: 50 },
+  'search-restaurants/secretString': 'local secret',
+  'place-order/config': { currency: 'USD', taxRate: 0.08 },
+  'notify-user/config': {
+    channels: ['email', 'sms', 'webhook'],
+    senderEmail: 'orders@big-mouth.local',
+    webhookUrl: 'https://hooks.big-mouth.local/order-updates',
+  },
+  'pagination/tokenSecret': 'local-pagination-token-secret',
+};
+
+// The environment started (for this test file)
+let local;
+
+/**
+ * The local environment started by the setup of the local test mode (tests/local/setup.mjs)
+ * @returns {Object} The fakes (see tests/local/aws.mjs), to inspect and settle()
+ */
+export const localEnvironment = () => {
+  if (!local) {
+    throw new Error('the local environment is only started in the local test mode (TEST_MODE=local)');
+  }
+  return local;
+};
+
+/**
+ * Starts the local environment: sets the environment variables, replaces the AWS SDK clients with the fakes, creates
+ * the resources and seeds the restaurants
+ * @returns {Promise<Object>} The fakes (see tests/local/aws.mjs), to inspect and settle()
+ */
+export const startLocalEnvironment = async () => {
+  Object.assign(process.env, localEnv);
+
+  local = createLocalAws({ invoke });
+  local.install();
+  interceptFetch({ baseUrl: API_URL, stage: STAGE_NAME });
+
+  // DynamoDB tables (terraform/main.tf)
+  local.dynamodb.createTable(localEnv.restaurants_table, { hashKey: 'name', streamViewType: 'NEW_AND_OLD_IMAGES' });
+  local.dynamodb.createTable(localEnv.restaurant_themes_table, { hashKey: 'initial', rangeKey: 'termKey' });
+  local.dynamodb.createTable(localEnv.orders_table, {
+    hashKey: 'id',
+    indexes: { [localEnv.orders_by_user_index]: { hashKey: 'userId', rangeKey: 'createdAt' } },
+  });
+  local.dynamodb.createTable(localEnv.outbox_table, { hashKey: 'id', streamViewType: 'NEW_IMAGE' });
+  local.dynamodb.createTable(localEnv.idempotency_table, { hashKey: 'id' });
+  local.dynamodb.createTable(localEnv.notification_deliveries_table, { hashKey: 'orderId', rangeKey: 'attemptId' });
+  local.dynamodb.createTable(localEnv.connections_table, { hashKey: 'userId', rangeKey: 'connectionId' });
+
+  // Event source mappings (terraform/lambda.tf)
+  local.addEventSourceMapping(localEnv.restaurants_table, { functionName: 'sync-theme-index' });
+  local.addEventSourceMapping(localEnv.outbox_table, {
+    functionName: 'relay-outbox',
+    filter: { eventName: ['INSERT'] },
+  });
+
+  // Order events bus and its rules
+  local.eventBridge.createBus(localEnv.bus_name);
+  for (const functionName of ['notify-restaurant', 'seed-orders', 'start-order-flow']) {
+    local.eventBridge.addRule(localEnv.bus_name, {
+      name: functionName.replaceAll('-', '_'),
+      pattern: { source: ['big-mouth'], 'detail-type': ['order_placed'] },
+      functionName,
+    });
+  }
+  local.eventBridge.addRule(localEnv.bus_name, {
+    name: 'push_order_status',
+    pattern: { source: ['big-mouth'], 'detail-type': ['order_accepted', 'order_rejected', 'order_timed_out'] },
+    functionName: 'push-order-status',
+  });
+
+  // Topics, and the save-task-token and notify-user subscriptions
+  local.sns.createTopic(localEnv.restaurant_notification_topic);
+  local.sns.createTopic(localEnv.user_notification_topic);
+  local.sns.subscribe(localEnv.restaurant_notification_topic, {
+    functionName: 'save-task-token',
+    filterPolicyScope: 'MessageBody',
+    filterPolicy: { task_token: [{ exists: true }] },
+  });
+  local.sns.subscribe(localEnv.user_notification_topic, { functionName: 'notify-user' });
+
+  // User pool of the customers and restaurant users
+  local.cognito.createUserPool(localEnv.cognito_user_pool_id);
+
+  // Order flow state machine (terraform/step-functions.tf)
+  local.stepFunctions.createStateMachine(
+    localEnv.state_machine_arn,
+    loadStateMachine('terraform/state_machines/order-flow.asl.json', {
+      ORDERS_TABLE_NAME: localEnv.orders_table,
+      EVENT_BUS_NAME: localEnv.bus_name,
+      RESTAURANT_TOPIC_ARN: localEnv.restaurant_notification_topic,
+      USER_TOPIC_ARN: localEnv.user_notification_topic,
+    })
+  );
+
+  for (const [name, value] of Object.entries(parameters)) {
+    local.ssm.putParameter({
+      Name: `/${SERVICE_NAME}/${STAGE_NAME}/${name}`,
+      Type: name.endsWith('Secret') || name.endsWith('secretString') ? 'SecureString' : 'String',
+      Value: typeof value === 'string' ? value : JSON.stringify(value),
+    });
+  }
+
+  // The restaurants, as `npm run bootstrap-db` seeds them - sync-theme-index indexes them from the stream
+  await import('../../seed-restaurants.mjs');
+  await local.settle();
+  if (local.failures.length) {
+    throw new Error(
+      `seeding the local environment failed: ${local.failures.map((x) => x.error ?? x.functionName).join(', ')}`
+    );
+  }
+
+  return local;
+};
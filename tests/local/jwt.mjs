@@ -0,0 +1,79 @@
+/**
+ * Locally signed Cognito-like ID tokens for the local test mode (TEST_MODE=local)
+ *
+ * Cognito signs its tokens with the private keys of the user pool (RS256), and the Cognito authorizer of API Gateway
+ * verifies them with the public keys. Locally there is no user pool: the tokens have the claims of Cognito ID tokens,
+ * signed with a local secret (HS256), and the local API Gateway (tests/local/api.mjs) verifies them the way the
+ * authorizer does - signature, issuer, audience, token use and expiry.
+ */
+
+import { createHmac, timingSafeEqual } from 'node:crypto';
+
+// Issuer of the tokens of a user pool, as Cognito sets the iss claim
+import { issuerOf } from '../../functions/lib/cognito.mjs';
+
+// Signs the local tokens - they are only ever accepted by the local API Gateway
+const SECRET = 'big-mouth-local-user-pool';
+
+// How long a token is valid, like Cognito's default ID token validity
+const VALIDITY_SECONDS = 60 * 60;
+
+const base64url = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+const signatureOf = (content) => createHmac('sha256', SECRET).update(content).digest();
+
+/**
+ * Issues an ID token for a user
+ *
+ * @param {Object} claims - Claims of the user (sub, cognito:username, given_name, custom:restaurant_name...)
+ * @param {Object} options - { userPoolId, clientId, expiresIn } - the user pool and app client the token is for, and
+ *                           its validity in seconds
+ * @returns {string} The token (JWT)
+ */
+export const signToken = (claims, { userPoolId, clientId, expiresIn = VALIDITY_SECONDS }) => {
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64url({ alg: 'HS256', typ: 'JWT' });
+  const payload = base64url({
+    ...claims,
+    iss: issuerOf(userPoolId),
+    aud: clientId,
+    token_use: 'id',
+    auth_time: now,
+    iat: now,
+    exp: now + expiresIn,
+  });
+
+  return `${header}.${payload}.${signatureOf(`${header}.${payload}`).toString('base64url')}`;
+};
+
+/**
+ * Verifies an ID token, as the Cognito authorizer does
+ *
+ * @param {string} token - The token (JWT), as the client sent it in the Authorization header
+ * @param {Object} options - { userPoolId, clientId } - the user pool the token must be issued by, and the app client it
+ *                           must be issued for (any client of the user pool if omitted, as the Cognito authorizer of
+ *                           REST APIs accepts)
+ * @returns {Object} The claims of the token
+ * @throws {Error} If the token is malformed, tampered with, expired, or not an ID token of the user pool
+ */
+export const verifyToken = (token, { userPoolId, clientId }) => {
+  const [header, payload, signature] = token?.split('.') ?? [];
+  if (!header || !payload || !signature) {
+    throw new Error('malformed token');
+  }
+
+  const expected = signatureOf(`${header}.${payload}`);
+  const actual = Buffer.from(signature, 'base64url');
+  if (actual.length !== expected.length || !timingSafeEqual(actual, expected)) {
+    throw new Error('invalid signature');
+  }
+
+  const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+  if (claims.iss !== issuerOf(userPoolId) || (clientId && claims.aud !== clientId) || claims.token_use !== 'id') {
+    throw new Error('token not issued by this user pool');
+  }
+  if (claims.exp <= Date.now() / 1000) {
+    throw new Error('token expired');
+  }
+  return claims;
+};
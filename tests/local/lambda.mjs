@@ -0,0 +1,41 @@
+/**
+ * In-process Lambda invocations for the local test mode (TEST_MODE=local)
+ *
+ * The functions run in the test process, each imported once and reused - like a warm execution environment - with
+ * the context Lambda passes to them. API Gateway, EventBridge rules, SNS subscriptions and DynamoDB streams of the
+ * local environment all invoke them through here.
+ */
+
+import { randomUUID } from 'node:crypto';
+
+// Bumped by reloadFunctions() - a new version imports the functions anew, like a cold start
+let version = 0;
+
+/**
+ * Makes the next invocations import the functions anew, e.g. after their code changed (the dev server)
+ *
+ * Only the index.mjs modules (and what they read when imported, e.g. get-index's template) are loaded again: the
+ * packages they import - @big-mouth/lib included - stay as they were first imported.
+ */
+export const reloadFunctions = () => {
+  version++;
+};
+
+/**
+ * Invokes a function with an event
+ * @param {string} functionName - Name of the function (its directory under functions/, e.g. place-order)
+ * @param {Object} event - The event, as the source of the invocation builds it
+ * @returns {Promise<Object>} The response of the function
+ */
+export const invoke = async (functionName, event) => {
+  const module = `../../functions/${functionName}/index.mjs`;
+  const { handler } = await import(version ? `${module}?version=${version}` : module);
+
+  const context = {
+    functionName,
+    awsRequestId: randomUUID(),
+    // Powertools idempotency needs to know how long the invocation may still run
+    getRemainingTimeInMillis: () => 5000,
+  };
+  return await handler(event, context);
+};
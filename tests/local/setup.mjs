@@ -0,0 +1,10 @@
+/**
+ * Setup of the local test mode (TEST_MODE=local) - runs before each test file (vitest.config.mjs)
+ *
+ * Every test file gets its own local environment, with the seeded restaurants only: the functions and the test steps
+ * run against the fakes, as they would against the resources of a deployed stage.
+ */
+
+import { startLocalEnvironment } from './environment.mjs';
+
+await startLocalEnvironment();
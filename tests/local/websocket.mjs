@@ -0,0 +1,91 @@
+/**
+ * Local WebSocket API, for the local test mode (TEST_MODE=local) and the dev server (dev-server.mjs)
+ *
+ * Serves the routes of terraform/websocket.tf from the functions, in-process: connections are authorized like
+ * authorize-connection does it - the token query string parameter must hold an ID token of the user pool (locally
+ * signed, see tests/local/jwt.mjs) - and the $connect and $disconnect routes get the events API Gateway sends them,
+ * with the authorizer context ({ sub, username }).
+ *
+ * The messages the functions post to a connection (through the management API, see tests/local/aws.mjs) are kept
+ * with the connection, and handed to its listener - the dev server writes them to the browser's socket.
+ */
+
+import { randomUUID } from 'node:crypto';
+
+// In-process Lambda invocations
+import { invoke } from './lambda.mjs';
+// Verifies the locally signed ID tokens
+import { verifyToken } from './jwt.mjs';
+
+// Event of a route of the connection, as API Gateway sends it to the integration
+const routeEvent = (routeKey, eventType, { connectionId, connectedAt, url, authorizer }) => ({
+  headers: { Host: url.host },
+  ...(eventType === 'CONNECT' && { queryStringParameters: Object.fromEntries(url.searchParams.entries()) }),
+  requestContext: {
+    routeKey,
+    eventType,
+    messageDirection: 'IN',
+    connectionId,
+    connectedAt,
+    requestId: randomUUID(),
+    requestTimeEpoch: Date.now(),
+    domainName: url.host,
+    stage: url.pathname.split('/')[1],
+    identity: { sourceIp: '127.0.0.1' },
+    authorizer,
+  },
+  isBase64Encoded: false,
+});
+
+/**
+ * Opens a connection to the WebSocket API
+ *
+ * @param {string} url - URL of the connection, e.g. wss://websocket.big-mouth.local/local?token=<ID token>
+ * @param {Object} options - { apiGateway, verifyToken, onMessage } - the connections of the local environment
+ *                           (local.apiGateway), how ID tokens are verified (default: locally signed tokens), and the
+ *                           listener of the messages posted to the connection (optional)
+ * @returns {Promise<Object>} The connection: { connectionId, messages, close() } - close() runs $disconnect
+ * @throws {Error} If the connection is refused - its statusCode is the one API Gateway answers the upgrade with
+ */
+export const connect = async (url, { apiGateway, verifyToken: verify = verifyToken, onMessage }) => {
+  const connectionUrl = new URL(url);
+  const refused = (statusCode, message) => Object.assign(new Error(message), { statusCode });
+
+  // The authorizer - tokens of any client of the user pool are accepted
+  let claims;
+  try {
+    claims = await verify(connectionUrl.searchParams.get('token'), { userPoolId: process.env.cognito_user_pool_id });
+  } catch {
+    throw refused(401, 'Unauthorized');
+  }
+
+  const connection = {
+    connectionId: randomUUID(),
+    connectedAt: Date.now(),
+    url: connectionUrl,
+    authorizer: { principalId: claims.sub, sub: claims.sub, username: claims['cognito:username'] },
+  };
+  // API Gateway has the connection before $connect runs, and drops it if $connect fails
+  apiGateway.connect(connection.connectionId, onMessage);
+
+  let response;
+  try {
+    response = await invoke('open-connection', routeEvent('$connect', 'CONNECT', connection));
+  } catch (error) {
+    console.error('open-connection failed', error);
+  }
+  if (!(response?.statusCode >= 200 && response?.statusCode < 300)) {
+    // API Gateway refuses the connection when its $connect route fails
+    apiGateway.disconnect(connection.connectionId);
+    throw refused(response?.statusCode ?? 502, 'Connection refused by the $connect route');
+  }
+
+  return {
+    connectionId: connection.connectionId,
+    messages: apiGateway.connections.get(connection.connectionId).messages,
+    close: async () => {
+      apiGateway.disconnect(connection.connectionId);
+      await invoke('close-connection', routeEvent('$disconnect', 'DISCONNECT', connection));
+    },
+  };
+};
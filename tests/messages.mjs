@@ -67,6 +67,7 @@ export const startListening = () => {
               sourceType: 'sns', // Indicates this came from SNS
               source: body.TopicArn, // The SNS topic ARN
               message: body.Message, // The actual message content
+              messageAttributes: body.MessageAttributes, // Message attributes, e.g. the correlation ID
             });
           }
           // Check if this is an EventBridge message (has eventBusName)
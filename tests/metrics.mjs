@@ -0,0 +1,70 @@
+/**
+ * Metrics Capture for Integration Testing
+ *
+ * This module captures the metrics the functions publish in handler mode, to verify them in the tests.
+ * Powertools Metrics publishes metrics as CloudWatch Embedded Metric Format (EMF) log lines, which it writes to
+ * stdout - CloudWatch extracts the metrics from the function logs.
+ * https://docs.aws.amazon.com/AmazonCloudWatch/latest/monitoring/CloudWatch_Embedded_Metric_Format_Specification.html
+ *
+ * The output still reaches stdout, so the test logs show the metrics too.
+ */
+
+// Vitest spies, to watch the writes to stdout
+import { vi } from 'vitest';
+
+// Parses an EMF log line - other output (e.g. the structured logs of the Logger) is ignored
+const parseEmf = (line) => {
+  try {
+    const doc = JSON.parse(line);
+    return doc?._aws?.CloudWatchMetrics ? doc : undefined;
+  } catch {
+    return undefined;
+  }
+};
+
+/**
+ * Starts capturing the EMF log lines written to stdout
+ * @returns {Object} Object with stop() and metric() methods
+ */
+export const startCapturing = () => {
+  // EMF documents published since the capture started
+  const docs = [];
+
+  // Pass the writes through, and keep the EMF lines
+  const write = process.stdout.write;
+  const spy = vi.spyOn(process.stdout, 'write').mockImplementation((chunk, ...args) => {
+    String(chunk)
+      .split('\n')
+      .map(parseEmf)
+      .filter(Boolean)
+      .forEach((doc) => docs.push(doc));
+    return write.call(process.stdout, chunk, ...args);
+  });
+
+  // Stops capturing (the captured metrics can still be read)
+  const stop = () => spy.mockRestore();
+
+  /**
+   * Finds the published values of a metric
+   * @param {string} name - Metric name, e.g. 'OrdersPlaced'
+   * @returns {Array} One { namespace, unit, value, dimensions } per EMF document with the metric
+   */
+  const metric = (name) =>
+    docs.flatMap((doc) =>
+      doc._aws.CloudWatchMetrics.flatMap(({ Namespace, Dimensions, Metrics }) =>
+        Metrics.filter((x) => x.Name === name).map((x) => ({
+          namespace: Namespace,
+          unit: x.Unit,
+          value: doc[name],
+          // Dimension values are top-level members of the document
+          dimensions: Object.fromEntries(Dimensions.flat().map((dimension) => [dimension, doc[dimension]])),
+        }))
+      )
+    );
+
+  // Return the public API
+  return {
+    stop, // Function to stop capturing
+    metric, // Function to find the values of a metric
+  };
+};
@@ -0,0 +1,378 @@
+/**
+ * Offline Step Functions Simulator for Integration Testing
+ *
+ * Runs a state machine definition (ASL, JSONata query language) in the test process, against in-memory fakes of the
+ * services it integrates with, so the order flow can be tested without deploying it:
+ *
+ *   const definition = loadStateMachine('terraform/state_machines/order-flow.asl.json', { ORDERS_TABLE_NAME: ... });
+ *   const fakes = createFakes();
+ *   const execution = await startExecution(definition, {
+ *     input: { order_id: '123' },
+ *     fakes,
+ *     callbacks: { 'Notify restaurant': () => ({ output: { isAccepted: true } }) },
+ *   });
+ *
+ * Supported:
+ *   states       Pass, Task, Choice, Succeed, Fail (Assign, Output, Arguments, Condition, Catch)
+ *   resources    arn:aws:states:::dynamodb:getItem / updateItem (ConditionExpression: name = :value, joined with AND)
+ *                arn:aws:states:::events:putEvents
+ *                arn:aws:states:::sns:publish
+ *                any of them with .waitForTaskToken - the state waits for the callback of the test
+ *
+ * Like Step Functions, the template variables of the definition (terraform's templatefile syntax, ${NAME}) must all be
+ * given, and the DynamoDB integrations only take typed attribute values ({ "S": "..." }), so the same mistakes fail
+ * here and in the cloud. Anything the simulator doesn't support throws, rather than being ignored.
+ */
+
+// Read the state machine definition
+import { readFileSync } from 'node:fs';
+import { randomUUID } from 'node:crypto';
+// JSONata, the query language of the definition - the same library Step Functions uses
+import jsonata from 'jsonata';
+// AWS SDK utility to convert DynamoDB JSON to plain objects and back
+import { marshall, unmarshall } from '@aws-sdk/util-dynamodb';
+
+// Ends executions stuck in a loop
+const MAX_TRANSITIONS = 100;
+
+// Types of a DynamoDB attribute value
+const ATTRIBUTE_TYPES = ['S', 'N', 'B', 'SS', 'NS', 'BS', 'M', 'L', 'NULL', 'BOOL'];
+
+/**
+ * Error of a state, as Step Functions reports it (e.g. States.Timeout) - Catch and Fail states match on its name
+ */
+export class StatesError extends Error {
+  constructor(name, cause) {
+    super(cause);
+    this.name = name;
+    this.cause = cause;
+  }
+}
+
+/**
+ * Loads a state machine definition, with its template variables substituted (as terraform's templatefile does)
+ * @param {string} path - Path of the ASL file, relative to the project root
+ * @param {Object} templateVariables - Values of the ${NAME} variables, e.g. { ORDERS_TABLE_NAME: 'orders' }
+ * @returns {Object} The state machine definition
+ */
+export const loadStateMachine = (path, templateVariables = {}) => {
+  const template = readFileSync(new URL(`../${path}`, import.meta.url), 'utf8');
+
+  const source = template.replace(/\$\{(\w+)\}/g, (_, name) => {
+    if (!(name in templateVariables)) {
+      throw new Error(`template variable ${name} of ${path} is missing`);
+    }
+    return templateVariables[name];
+  });
+
+  return JSON.parse(source);
+};
+
+// Checks the attribute values of a DynamoDB request are typed - { "S": "..." }, not "..."
+const checkAttributeValues = (values, parameter) => {
+  for (const [name, value] of Object.entries(values ?? {})) {
+    const types = value && typeof value === 'object' ? Object.keys(value) : [];
+    if (types.length !== 1 || !ATTRIBUTE_TYPES.includes(types[0])) {
+      throw new StatesError(
+        'DynamoDB.AmazonDynamoDBException',
+        `${parameter}.${name} must be an attribute value, e.g. { "S": "..." } (got ${JSON.stringify(value)})`
+      );
+    }
+  }
+};
+
+// Resolves #name placeholders of an expression
+const attributeName = (token, names = {}) => (token.startsWith('#') ? names[token] : token);
+
+// Applies an UpdateExpression (SET a = :value, ... REMOVE b, ...) to an item
+const applyUpdate = (item, { UpdateExpression, ExpressionAttributeNames, ExpressionAttributeValues }) => {
+  const values = unmarshall(ExpressionAttributeValues ?? {});
+  const clauses = UpdateExpression.split(/\b(SET|REMOVE)\b/i)
+    .map((x) => x.trim())
+    .filter(Boolean);
+
+  for (let i = 0; i < clauses.length; i += 2) {
+    const action = clauses[i].toUpperCase();
+    const operands = clauses[i + 1].split(',').map((x) => x.trim());
+
+    for (const operand of operands) {
+      if (action === 'SET') {
+        const [name, value] = operand.split('=').map((x) => x.trim());
+        if (!(value in values)) {
+          throw new Error(`unsupported update: ${operand} (only SET name = :value)`);
+        }
+        item[attributeName(name, ExpressionAttributeNames)] = values[value];
+      } else if (action === 'REMOVE') {
+        delete item[attributeName(operand, ExpressionAttributeNames)];
+      } else {
+        throw new Error(`unsupported update expression: ${UpdateExpression}`);
+      }
+    }
+  }
+};
+
+// Checks the ConditionExpression of an update (name = :value, joined with AND) against the current item
+const checkCondition = (item, { ConditionExpression, ExpressionAttributeNames, ExpressionAttributeValues }) => {
+  if (!ConditionExpression) return;
+  const values = unmarshall(ExpressionAttributeValues ?? {});
+
+  const holds = ConditionExpression.split(/\bAND\b/i).every((comparison) => {
+    const [name, value, ...rest] = comparison.split('=').map((x) => x.trim());
+    if (!/^#?\w+$/.test(name) || !(value in values) || rest.length > 0) {
+      throw new Error(`unsupported condition: ${comparison.trim()} (only name = :value, joined with AND)`);
+    }
+    return item?.[attributeName(name, ExpressionAttributeNames)] === values[value];
+  });
+
+  if (!holds) {
+    throw new StatesError('DynamoDB.ConditionalCheckFailedException', 'The conditional request failed');
+  }
+};
+
+/**
+ * Creates in-memory fakes of the services the state machine integrates with
+ * @returns {Object} { dynamodb, eventBridge, sns } - with the items written, the events and the messages published
+ */
+export const createFakes = () => {
+  // Items of each table, by their key (JSON)
+  const tables = new Map();
+  const table = (name) => tables.get(name) ?? tables.set(name, new Map()).get(name);
+  const keyOf = (key) => JSON.stringify(Object.entries(unmarshall(key)).sort());
+
+  const dynamodb = {
+    /**
+     * Writes an item, as the application would before the execution starts
+     * @param {string} tableName
+     * @param {Object} key - Key attributes (plain values), e.g. { id: '123' }
+     * @param {Object} item - The other attributes (plain values)
+     */
+    putItem: (tableName, key, item) => table(tableName).set(keyOf(marshall(key)), { ...key, ...item }),
+    /**
+     * Reads an item written by the state machine (or put by the test)
+     * @returns {Object} The item (plain values), or undefined
+     */
+    getItem: (tableName, key) => table(tableName).get(keyOf(marshall(key))),
+    // Integrations of the state machine - the requests and results of the DynamoDB API
+    api: {
+      getItem: ({ TableName, Key }) => {
+        checkAttributeValues(Key, 'Key');
+        const item = table(TableName).get(keyOf(Key));
+        return item ? { Item: marshall(item) } : {};
+      },
+      updateItem: (request) => {
+        const { TableName, Key, ExpressionAttributeValues } = request;
+        checkAttributeValues(Key, 'Key');
+        checkAttributeValues(ExpressionAttributeValues, 'ExpressionAttributeValues');
+        checkCondition(table(TableName).get(keyOf(Key)), request);
+        // Like DynamoDB, updating a missing item creates it
+        const item = table(TableName).get(keyOf(Key)) ?? unmarshall(Key);
+        applyUpdate(item, request);
+        table(TableName).set(keyOf(Key), item);
+        return {};
+      },
+    },
+  };
+
+  // Events published, as { Source, DetailType, Detail, EventBusName } (Detail as the state machine built it)
+  const events = [];
+  const eventBridge = {
+    events,
+    api: {
+      putEvents: ({ Entries }) => {
+        events.push(...Entries);
+        return { Entries: Entries.map(() => ({ EventId: randomUUID() })), FailedEntryCount: 0 };
+      },
+    },
+  };
+
+  // Messages published, as { TopicArn, Message, MessageAttributes } (Message as the JSON string subscribers get)
+  const messages = [];
+  const sns = {
+    messages,
+    api: {
+      publish: ({ TopicArn, Message, MessageAttributes }) => {
+        const message = typeof Message === 'string' ? Message : JSON.stringify(Message);
+        messages.push({ TopicArn, Message: message, MessageAttributes });
+        return { MessageId: randomUUID() };
+      },
+    },
+  };
+
+  return { dynamodb, eventBridge, sns };
+};
+
+// Evaluates the JSONata expressions ("{% ... %}") of a value, e.g. the Arguments of a state
+const evaluate = async (value, bindings) => {
+  if (typeof value === 'string') {
+    const expression = value.match(/^\{%(.*)%\}$/s)?.[1];
+    return expression === undefined ? value : await jsonata(expression).evaluate(null, bindings);
+  }
+  if (Array.isArray(value)) {
+    return Promise.all(value.map((x) => evaluate(x, bindings)));
+  }
+  if (value && typeof value === 'object') {
+    const entries = await Promise.all(
+      Object.entries(value).map(async ([key, x]) => [key, await evaluate(x, bindings)])
+    );
+    return Object.fromEntries(entries);
+  }
+  return value;
+};
+
+// Calls the fake of a Task state's resource, e.g. arn:aws:states:::dynamodb:updateItem
+const callService = (fakes, resource, args) => {
+  const [, service, action] = resource.match(/^arn:aws:states:::(\w+):(\w+)$/) ?? [];
+  const api = { dynamodb: fakes.dynamodb.api, events: fakes.eventBridge.api, sns: fakes.sns.api }[service];
+
+  if (!api?.[action]) {
+    throw new Error(`unsupported resource: ${resource}`);
+  }
+  return api[action](args);
+};
+
+// Runs a Task state, and returns its result
+const runTask = async (state, stateName, args, { fakes, callbacks, taskToken }) => {
+  const waitForTaskToken = state.Resource.endsWith('.waitForTaskToken');
+  const resource = state.Resource.replace(/\.waitForTaskToken$/, '');
+
+  const result = await callService(fakes, resource, args);
+  if (!waitForTaskToken) {
+    return result;
+  }
+
+  // The test plays the part of whoever calls SendTaskSuccess / SendTaskFailure, or lets the state time out
+  const callback = callbacks[stateName];
+  if (!callback) {
+    throw new Error(`state [${stateName}] waits for a task token, but the test has no callback for it`);
+  }
+  const response = await callback({ arguments: args, taskToken });
+
+  if (response?.timeout) {
+    if (!state.TimeoutSeconds && !state.HeartbeatSeconds) {
+      throw new Error(`state [${stateName}] has no timeout - it would wait forever`);
+    }
+    throw new StatesError('States.Timeout', `state [${stateName}] timed out`);
+  }
+  if (response?.error) {
+    throw new StatesError(response.error, response.cause);
+  }
+  return response?.output ?? {};
+};
+
+// Finds the Catch of a state matching an error
+const catcherOf = (state, error) =>
+  (state.Catch ?? []).find((x) => x.ErrorEquals.includes(error.name) || x.ErrorEquals.includes('States.ALL'));
+
+/**
+ * Runs an execution of a state machine until it ends
+ *
+ * @param {Object} definition - The state machine definition (from loadStateMachine())
+ * @param {Object} options - { input, name, fakes, callbacks }
+ *   input     - Input of the execution
+ *   name      - Name of the execution (random by default)
+ *   fakes     - Service fakes (from createFakes())
+ *   callbacks - Responses of the .waitForTaskToken states, by state name: functions that get { arguments, taskToken }
+ *               (the arguments of the state, e.g. the SNS message with the task token) and return { output } (as
+ *               SendTaskSuccess), { error, cause } (as SendTaskFailure) or { timeout: true }
+ * @returns {Object} { status, output, error, cause, states } - status is SUCCEEDED or FAILED, states the names of the
+ *                   states entered, in order
+ */
+export const startExecution = async (definition, { input = {}, name = randomUUID(), fakes, callbacks = {} }) => {
+  if (definition.QueryLanguage !== 'JSONata') {
+    throw new Error('only JSONata state machines are supported');
+  }
+
+  const execution = {
+    Id: `arn:aws:states:us-east-1:123456789012:execution:simulated:${name}`,
+    Name: name,
+    Input: input,
+    StartTime: new Date().toISOString(),
+  };
+  // Variables assigned with Assign
+  const variables = {};
+  const states = [];
+
+  let stateName = definition.StartAt;
+  let stateInput = input;
+
+  for (let transitions = 0; transitions < MAX_TRANSITIONS; transitions++) {
+    const state = definition.States[stateName];
+    if (!state) {
+      throw new Error(`state [${stateName}] doesn't exist`);
+    }
+    states.push(stateName);
+
+    const context = {
+      Execution: execution,
+      State: { Name: stateName, EnteredTime: new Date().toISOString() },
+      StateMachine: { Name: 'simulated' },
+      ...(state.Resource?.endsWith('.waitForTaskToken') && { Task: { Token: randomUUID() } }),
+    };
+    const bindings = (extra = {}) => ({ ...variables, states: { input: stateInput, context, ...extra } });
+
+    switch (state.Type) {
+      case 'Succeed':
+        return { status: 'SUCCEEDED', output: stateInput, states };
+
+      case 'Fail':
+        return { status: 'FAILED', error: state.Error, cause: state.Cause, states };
+
+      case 'Choice': {
+        let next = state.Default;
+        for (const choice of state.Choices) {
+          if (await evaluate(choice.Condition, bindings())) {
+            next = choice.Next;
+            break;
+          }
+        }
+        if (!next) {
+          return { status: 'FAILED', error: 'States.NoChoiceMatched', states };
+        }
+        stateName = next;
+        continue;
+      }
+
+      case 'Pass':
+      case 'Task': {
+        let result = stateInput;
+        let transition = state;
+        let extra = {};
+
+        if (state.Type === 'Task') {
+          const args = await evaluate(state.Arguments ?? {}, bindings());
+          try {
+            result = await runTask(state, stateName, args, { fakes, callbacks, taskToken: context.Task?.Token });
+            extra = { result };
+          } catch (error) {
+            const catcher = error instanceof StatesError && catcherOf(state, error);
+            if (!catcher) {
+              if (error instanceof StatesError) {
+                return { status: 'FAILED', error: error.name, cause: error.cause, states };
+              }
+              throw error;
+            }
+            transition = catcher;
+            extra = { errorOutput: { Error: error.name, Cause: error.cause } };
+            result = extra.errorOutput;
+          }
+        }
+
+        // Assign and Output both see the variables as they were before the state
+        const assigned = await evaluate(transition.Assign ?? {}, bindings(extra));
+        stateInput = transition.Output === undefined ? result : await evaluate(transition.Output, bindings(extra));
+        Object.assign(variables, assigned);
+
+        if (transition.End || (transition === state && state.End)) {
+          return { status: 'SUCCEEDED', output: stateInput, states };
+        }
+        stateName = transition.Next;
+        continue;
+      }
+
+      default:
+        throw new Error(`unsupported state type: ${state.Type} (${stateName})`);
+    }
+  }
+
+  throw new Error(`the execution didn't end after ${MAX_TRANSITIONS} transitions`);
+};
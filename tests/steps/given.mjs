@@ -2,7 +2,8 @@
  * Test setup helpers for creating test prerequisites
  *
  * This module provides functions to set up test preconditions, such as creating authenticated users
- * in Cognito for testing protected endpoints.
+ * in Cognito for testing protected endpoints, orders in the orders table, restaurants in the restaurants table, and
+ * the events functions are invoked with.
  */
 
 // Import AWS SDK Cognito client and commands for user management
@@ -12,9 +13,17 @@ import {
   AdminInitiateAuthCommand,
   AdminRespondToAuthChallengeCommand,
 } from '@aws-sdk/client-cognito-identity-provider';
+// Import AWS SDK DynamoDB clients for writing test data
+import { DynamoDB } from '@aws-sdk/client-dynamodb';
+import { DynamoDBDocumentClient, PutCommand } from '@aws-sdk/lib-dynamodb';
 
 // Import Chance library for generating random user information
 import { Chance } from 'chance';
+// Import the event contracts to build valid events
+import { eventDetail } from '../../functions/lib/events.mjs';
+// Import the local ID tokens and environment (local test mode)
+import { signToken } from '../local/jwt.mjs';
+import { localEnvironment } from '../local/environment.mjs';
 
 // Initialize Chance for random data generation
 const chance = Chance();
@@ -40,9 +49,10 @@ const random_password = () => `${chance.string({ length: 8 })}B!gM0uth`;
  * 4. Responds to the password change challenge
  * 5. Returns the user details and authentication tokens
  *
- * @returns {Object} User details including username, name, and ID token
+ * @param {Array} extraAttributes - Additional Cognito user attributes (e.g. [{ Name: 'custom:restaurant_name', Value: 'Fangtasia' }])
+ * @returns {Object} User details including username, name, sub (the user's unique ID) and ID token
  */
-export const an_authenticated_user = async () => {
+export const an_authenticated_user = async (extraAttributes = []) => {
   // Initialize Cognito client
   const cognito = new CognitoIdentityProviderClient();
 
@@ -60,6 +70,11 @@ export const an_authenticated_user = async () => {
   const password = random_password();
   const email = `${firstName}-${lastName}@big-mouth.com`;
 
+  // There is no user pool in the local test mode - the ID token is signed locally, for the local API Gateway
+  if (process.env.TEST_MODE === 'local') {
+    return a_locally_signed_in_user({ username, firstName, lastName, email }, extraAttributes);
+  }
+
   // Step 1: Create the user in Cognito
   // This uses the AdminCreateUser API which creates a user with a temporary password.
   // The user is created in FORCE_CHANGE_PASSWORD state and will need to set a new password.
@@ -75,9 +90,12 @@ export const an_authenticated_user = async () => {
       { Name: 'given_name', Value: firstName },
       { Name: 'family_name', Value: lastName },
       { Name: 'email', Value: email },
+      ...extraAttributes,
     ],
   });
-  await cognito.send(createReq);
+  const createResp = await cognito.send(createReq);
+  // 'sub' is the unique identifier Cognito assigns to the user - the Cognito authorizer passes it to our functions
+  const sub = createResp.User.Attributes.find((x) => x.Name === 'sub').Value;
 
   console.log(`[${username}] - user is created`);
 
@@ -121,6 +139,156 @@ export const an_authenticated_user = async () => {
     username,
     firstName,
     lastName,
+    sub,
     idToken: challengeResp.AuthenticationResult.IdToken,
   };
 };
+
+/**
+ * Signs in a user of the local test mode, with the ID token Cognito would issue them (see tests/local/jwt.mjs) - the
+ * user is added to the local user pool, for the functions looking users up
+ *
+ * @param {Object} profile - { username, firstName, lastName, email }
+ * @param {Array} extraAttributes - Additional user attributes, as an_authenticated_user() takes them
+ * @returns {Object} User details as an_authenticated_user() returns them
+ */
+const a_locally_signed_in_user = ({ username, firstName, lastName, email }, extraAttributes) => {
+  const sub = chance.guid();
+  const attributes = {
+    sub,
+    given_name: firstName,
+    family_name: lastName,
+    email,
+    email_verified: true,
+    ...Object.fromEntries(extraAttributes.map((x) => [x.Name, x.Value])),
+  };
+  localEnvironment().cognito.addUser(process.env.cognito_user_pool_id, { username, attributes });
+
+  const idToken = signToken(
+    { ...attributes, 'cognito:username': username },
+    { userPoolId: process.env.cognito_user_pool_id, clientId: process.env.cognito_server_client_id }
+  );
+
+  console.log(`[${username}] - user is signed in locally`);
+
+  return { username, firstName, lastName, sub, idToken };
+};
+
+/**
+ * Creates a restaurant user - a Cognito user who accepts or rejects the orders placed with their restaurant
+ *
+ * @param {string} restaurantName - The restaurant the user works for
+ * @returns {Object} User details as an_authenticated_user(), plus the restaurant name
+ */
+export const a_restaurant_user = async (restaurantName) => {
+  const user = await an_authenticated_user([{ Name: 'custom:restaurant_name', Value: restaurantName }]);
+
+  return { ...user, restaurantName };
+};
+
+/**
+ * Writes an order to the orders table, as seed-orders would after an order_placed event
+ *
+ * @param {Object} user - The user who placed the order (from an_authenticated_user())
+ * @param {Object} props - Order attributes to override the defaults with (e.g. { status: 'ACCEPTED' })
+ * @returns {Object} The order as stored in DynamoDB
+ */
+export const an_order = async (user, props = {}) => {
+  const dynamodb = DynamoDBDocumentClient.from(new DynamoDB());
+
+  const now = new Date().toISOString();
+  const order = {
+    id: chance.guid(),
+    userId: user.sub,
+    status: 'PLACED',
+    restaurantName: 'Fangtasia',
+    items: [{ itemId: 'tru-blood', name: 'Tru Blood', unitPrice: 450, quantity: 2, lineTotal: 900 }],
+    subtotal: 900,
+    tax: 72,
+    total: 972,
+    currency: 'USD',
+    createdAt: now,
+    updatedAt: now,
+    ...props,
+  };
+
+  await dynamodb.send(
+    new PutCommand({
+      TableName: process.env.orders_table,
+      Item: order,
+    })
+  );
+
+  console.log(`[${order.id}] - order is created`);
+
+  return order;
+};
+
+/**
+ * Writes a restaurant to the restaurants table, with no menu and no themes (so search doesn't find it)
+ *
+ * @param {Object} props - Restaurant attributes to override the defaults with (e.g. { webhook: { url, secret } })
+ * @returns {Object} The restaurant as stored in DynamoDB
+ */
+export const a_restaurant = async (props = {}) => {
+  const dynamodb = DynamoDBDocumentClient.from(new DynamoDB());
+
+  const restaurant = {
+    name: `Test Restaurant ${chance.string({ length: 8, pool: 'abcdefghijklmnopqrstuvwxyz' })}`,
+    image: 'https://d2qt42rcwzspd6.cloudfront.net/manning/fangtasia.png',
+    themes: [],
+    ...props,
+  };
+
+  await dynamodb.send(
+    new PutCommand({
+      TableName: process.env.restaurants_table,
+      Item: restaurant,
+    })
+  );
+
+  console.log(`[${restaurant.name}] - restaurant is created`);
+
+  return restaurant;
+};
+
+/**
+ * Builds an order_placed event, as place-order publishes it (current version of the contract)
+ *
+ * @param {Object} props - Detail attributes to override the defaults with (e.g. { orderId })
+ * @returns {Object} The EventBridge event
+ */
+export const an_order_placed_event = (props = {}) => ({
+  source: 'big-mouth',
+  'detail-type': 'order_placed',
+  detail: eventDetail('order_placed', {
+    orderId: chance.guid(),
+    userId: chance.guid(),
+    restaurantName: 'Fangtasia',
+    items: [{ itemId: 'tru-blood', name: 'Tru Blood', unitPrice: 450, quantity: 2, lineTotal: 900 }],
+    subtotal: 900,
+    tax: 72,
+    total: 972,
+    currency: 'USD',
+    createdAt: new Date().toISOString(),
+    correlationId: chance.guid(), // As set by place-order
+    ...props,
+  }),
+});
+
+/**
+ * Builds an event of the order flow's decision on an order, as the state machine publishes it (current version of the
+ * contract)
+ *
+ * @param {string} detailType - order_accepted, order_rejected or order_timed_out
+ * @param {Object} order - The order decided on (from an_order())
+ * @returns {Object} The EventBridge event
+ */
+export const an_order_status_event = (detailType, order) => ({
+  source: 'big-mouth',
+  'detail-type': detailType,
+  detail: eventDetail(detailType, {
+    orderId: order.id,
+    correlationId: chance.guid(), // As the order flow carries it
+  }),
+});
@@ -2,11 +2,19 @@
  * Test teardown helpers for cleaning up test resources
  *
  * This module provides functions to clean up resources created during tests, such as deleting test users
- * from Cognito after tests complete.
+ * from Cognito, test orders from the orders table (stopping their order flow), the delivery attempts of their
+ * notifications, and test restaurants from the restaurants table and the theme index after tests complete.
  */
 
 // Import AWS SDK Cognito client and commands for user management
 import { CognitoIdentityProviderClient, AdminDeleteUserCommand } from '@aws-sdk/client-cognito-identity-provider';
+// Import AWS SDK DynamoDB clients for deleting test data
+import { DynamoDB } from '@aws-sdk/client-dynamodb';
+import { DynamoDBDocumentClient, DeleteCommand, QueryCommand } from '@aws-sdk/lib-dynamodb';
+// Import AWS SDK Step Functions client for stopping the order flow of test orders
+import { SFNClient, StopExecutionCommand } from '@aws-sdk/client-sfn';
+// Import the theme index layout to find the index items of a restaurant
+import { themeIndexEntries } from '../../functions/lib/theme-index.mjs';
 
 /**
  * Deletes a Cognito user that was created for testing
@@ -15,6 +23,11 @@ import { CognitoIdentityProviderClient, AdminDeleteUserCommand } from '@aws-sdk/
  * @returns {Promise<void>}
  */
 export const an_authenticated_user = async (user) => {
+  // Users of the local test mode only exist in their ID token
+  if (process.env.TEST_MODE === 'local') {
+    return;
+  }
+
   // Initialize Cognito client
   const cognito = new CognitoIdentityProviderClient();
 
@@ -29,3 +42,144 @@ export const an_authenticated_user = async (user) => {
 
   console.log(`[${user.username}] - user deleted`);
 };
+
+/**
+ * Stops the order flow execution of an order, if it's still running
+ * Orders placed through place-order start an execution named after the order ID - left running, it would notify the
+ * restaurant, and write the status of the order back to the table once it timed out.
+ *
+ * @param {string} orderId - ID of the order
+ * @returns {Promise<void>}
+ */
+const an_order_flow = async (orderId) => {
+  const sfn = new SFNClient();
+  // arn:aws:states:{region}:{account}:stateMachine:{name} -> arn:aws:states:{region}:{account}:execution:{name}:{orderId}
+  const executionArn = `${process.env.order_flow_state_machine_arn.replace(':stateMachine:', ':execution:')}:${orderId}`;
+
+  try {
+    await sfn.send(new StopExecutionCommand({ executionArn, cause: 'test teardown' }));
+    console.log(`[${orderId}] - order flow stopped`);
+  } catch (error) {
+    // Orders written directly to the table have no execution
+    if (error.name !== 'ExecutionDoesNotExist') {
+      throw error;
+    }
+  }
+};
+
+/**
+ * Deletes an order that was created for testing, and stops its order flow
+ *
+ * @param {Object} order - The order object returned from given.an_order()
+ * @returns {Promise<void>}
+ */
+export const an_order = async (order) => {
+  await an_order_flow(order.id);
+
+  const dynamodb = DynamoDBDocumentClient.from(new DynamoDB());
+
+  await dynamodb.send(
+    new DeleteCommand({
+      TableName: process.env.orders_table,
+      Key: { id: order.id },
+    })
+  );
+
+  console.log(`[${order.id}] - order deleted`);
+};
+
+/**
+ * Deletes a restaurant that was created for testing
+ *
+ * @param {Object} restaurant - The restaurant object returned from given.a_restaurant()
+ * @returns {Promise<void>}
+ */
+export const a_restaurant = async (restaurant) => {
+  const dynamodb = DynamoDBDocumentClient.from(new DynamoDB());
+
+  await dynamodb.send(
+    new DeleteCommand({
+      TableName: process.env.restaurants_table,
+      Key: { name: restaurant.name },
+    })
+  );
+
+  console.log(`[${restaurant.name}] - restaurant is deleted`);
+};
+
+/**
+ * Deletes the theme index items of a restaurant that was indexed for testing
+ *
+ * @param {Object} restaurant - The restaurant object passed to when.we_invoke_sync_theme_index()
+ * @returns {Promise<void>}
+ */
+export const a_theme_indexed_restaurant = async (restaurant) => {
+  const dynamodb = DynamoDBDocumentClient.from(new DynamoDB());
+
+  for (const { initial, termKey } of themeIndexEntries(restaurant)) {
+    await dynamodb.send(
+      new DeleteCommand({
+        TableName: process.env.restaurant_themes_table,
+        Key: { initial, termKey },
+      })
+    );
+  }
+
+  console.log(`[${restaurant.name}] - theme index items deleted`);
+};
+
+/**
+ * Deletes the notification delivery attempts recorded for an order (by notify-user and notify-restaurant)
+ *
+ * @param {Object} order - The order object returned from given.an_order()
+ * @returns {Promise<void>}
+ */
+export const the_notification_deliveries = async (order) => {
+  const dynamodb = DynamoDBDocumentClient.from(new DynamoDB());
+
+  const resp = await dynamodb.send(
+    new QueryCommand({
+      TableName: process.env.notification_deliveries_table,
+      KeyConditionExpression: 'orderId = :orderId',
+      ExpressionAttributeValues: { ':orderId': order.id },
+    })
+  );
+  for (const { orderId, attemptId } of resp.Items) {
+    await dynamodb.send(
+      new DeleteCommand({
+        TableName: process.env.notification_deliveries_table,
+        Key: { orderId, attemptId },
+      })
+    );
+  }
+
+  console.log(`[${order.id}] - ${resp.Items.length} notification deliveries deleted`);
+};
+
+/**
+ * Deletes the WebSocket connections recorded for a user (by open-connection)
+ *
+ * @param {Object} user - The user object returned from given.an_authenticated_user()
+ * @returns {Promise<void>}
+ */
+export const the_connections = async (user) => {
+  const dynamodb = DynamoDBDocumentClient.from(new DynamoDB());
+
+  const resp = await dynamodb.send(
+    new QueryCommand({
+      TableName: process.env.connections_table,
+      KeyConditionExpression: 'userId = :userId',
+      ExpressionAttributeValues: { ':userId': user.sub },
+    })
+  );
+  for (const { userId, connectionId } of resp.Items) {
+    await dynamodb.send(
+      new DeleteCommand({
+        TableName: process.env.connections_table,
+        Key: { userId, connectionId },
+      })
+    );
+  }
+
+  console.log(`[${user.username}] - ${resp.Items.length} connections deleted`);
+};
@@ -3,6 +3,8 @@ const APP_ROOT = '../../';
 
 // Import lodash utility library
 import _ from 'lodash';
+// Generates the request IDs of the Lambda invocations in handler mode
+import { randomUUID } from 'node:crypto';
 
 // Signing utility - AWS client for making authenticated requests to AWS services
 import { AwsClient } from 'aws4fetch';
@@ -10,10 +12,34 @@ import { AwsClient } from 'aws4fetch';
 import { fromNodeProviderChain } from '@aws-sdk/credential-providers';
 // AWS SDK v3 imports for EventBridge operations (used for publishing events in tests)
 import { EventBridgeClient, PutEventsCommand } from '@aws-sdk/client-eventbridge';
+// AWS SDK utility to convert plain objects to DynamoDB JSON (used to build DynamoDB stream records)
+import { marshall } from '@aws-sdk/util-dynamodb';
 
-// Determine invocation mode: 'handler' for local, 'http' for deployed API
+// Determine invocation mode: 'handler' for local, 'http' for deployed API, 'local' for the local API Gateway (and
+// handlers) of the local environment - see tests/local/environment.mjs
 const mode = process.env.TEST_MODE;
 
+// Mimic Lambda's on-demand execution environments - Powertools only reports cold starts (e.g. the ColdStart metric)
+// for those. Set before the handlers are imported, as Powertools reads it when the Logger, Tracer or Metrics is created.
+process.env.AWS_LAMBDA_INITIALIZATION_TYPE ??= 'on-demand';
+
+/**
+ * Builds the request context API Gateway adds to requests that pass the Cognito authorizer
+ * Functions behind the authorizer read the caller's identity from event.requestContext.authorizer.claims
+ * @param {Object} user - The authenticated Cognito user object
+ * @returns {Object} The requestContext of the Lambda event
+ */
+const cognitoRequestContext = (user) => ({
+  authorizer: {
+    claims: {
+      sub: user.sub,
+      'cognito:username': user.username,
+      // Only restaurant users have this attribute
+      ...(user.restaurantName && { 'custom:restaurant_name': user.restaurantName }),
+    },
+  },
+});
+
 /**
  * Invokes a Lambda function handler directly with the provided event
  * @param {Object} event - The Lambda event object
@@ -26,6 +52,10 @@ const viaHandler = async (event, functionName) => {
 
   // Create Lambda context object
   const context = {
+    // Name of the function - e.g. the ColdStart metric has it as a dimension
+    functionName,
+    // Every invocation has a request ID - error responses include it when there's no API Gateway request ID
+    awsRequestId: randomUUID(),
     // Mimic Lambda's getRemainingTimeInMillis to determine the time left in this invocation - required by makeHandlerIdempotent idempotency checker.
     getRemainingTimeInMillis: () => 5000,
   };
@@ -56,8 +86,8 @@ const viaHttp = async (relPath, method, opts) => {
 
   // Extract request body from options if provided
   const body = _.get(opts, 'body');
-  // Initialize empty headers object
-  const headers = {};
+  // Request bodies are JSON, unless the test says otherwise (e.g. to test unsupported content types)
+  const headers = { ...(body && { 'Content-Type': 'application/json' }), ..._.get(opts, 'headers') };
 
   // Add Authorization header if auth option is provided
   // Used for authenticating against Cognito-protected endpoints (i.e. search-restaurants)
@@ -92,8 +122,9 @@ const viaHttp = async (relPath, method, opts) => {
     respHeaders[key] = value;
   }
 
-  // Parse response body based on content type (JSON or text)
-  const respBody = respHeaders['content-type'] === 'application/json' ? await res.json() : await res.text();
+  // Parse response body based on content type (JSON or text) - 304 responses have none
+  const text = await res.text();
+  const respBody = respHeaders['content-type'] === 'application/json' && text ? JSON.parse(text) : text;
 
   // Return standardized response object that matches Lambda function response format
   return {
@@ -133,16 +164,19 @@ const viaEventBridge = async (busName, source, detailType, detail) => {
 
 /**
  * Test helper to invoke the get-index Lambda function
+ * @param {Object} params - Query string parameters (e.g. { theme: 'cartoon', nextToken })
+ * @param {Object} headers - Request headers (e.g. { 'If-None-Match': etag })
  * @returns {Object} The Lambda function response
  */
-export const we_invoke_get_index = async () => {
+export const we_invoke_get_index = async (params = {}, headers = {}) => {
   // Choose invocation method based on TEST_MODE environment variable
   // This allows the same test to run against local handlers or deployed API
   switch (mode) {
     case 'handler':
-      return await viaHandler({}, 'get-index');
+      return await viaHandler({ queryStringParameters: params, headers }, 'get-index');
+    case 'local':
     case 'http':
-      return await viaHttp('', 'GET');
+      return await viaHttp(`?${new URLSearchParams(params)}`, 'GET', { headers });
     default:
       throw new Error(`unsupported mode: ${mode}`);
   }
@@ -150,18 +184,24 @@ export const we_invoke_get_index = async () => {
 
 /**
  * Test helper to invoke the get-restaurants Lambda function
+ * @param {Object} params - Query string parameters (e.g. { limit: 3, nextToken })
+ * @param {Object} requestHeaders - Request headers (e.g. { 'If-None-Match': etag }) - version 2 of the response is
+ *                                  asked for, unless they have an Accept header of their own
  * @returns {Object} The Lambda function response
  */
-export const we_invoke_get_restaurants = async () => {
+export const we_invoke_get_restaurants = async (params = {}, requestHeaders = {}) => {
+  const headers = { Accept: 'application/vnd.big-mouth.v2+json', ...requestHeaders };
+
   // Choose invocation method based on TEST_MODE environment variable
   // This allows the same test to run against local handlers or deployed API
   switch (mode) {
     case 'handler':
-      return await viaHandler({}, 'get-restaurants');
+      return await viaHandler({ queryStringParameters: params, headers }, 'get-restaurants');
+    case 'local':
     case 'http':
       // Use IAM authentication to sign the request with AWS credentials
       // This is required because the /restaurants endpoint is protected by IAM authorization in API Gateway
-      return await viaHttp('restaurants', 'GET', { iam_auth: true });
+      return await viaHttp(`restaurants?${new URLSearchParams(params)}`, 'GET', { iam_auth: true, headers });
     default:
       throw new Error(`unsupported mode: ${mode}`);
   }
@@ -169,18 +209,19 @@ export const we_invoke_get_restaurants = async () => {
 
 /**
  * Test helper to invoke the search-restaurants Lambda function
- * @param {string} theme - The search theme to be included in the request body
+ * @param {string|Object} criteria - The search theme, or the whole request body (e.g. { themes: ['netflix', 'toy story'], match: 'all', limit: 2 })
  * @param {Object} user - The authenticated Cognito user object (required for HTTP mode) - contains the Cognito idToken needed for authorization
  * @returns {Object} The Lambda function response
  */
-export const we_invoke_search_restaurants = async (theme, user) => {
-  const body = JSON.stringify({ theme });
+export const we_invoke_search_restaurants = async (criteria, user) => {
+  const body = JSON.stringify(typeof criteria === 'string' ? { theme: criteria } : criteria);
 
   // Choose invocation method based on TEST_MODE environment variable
   // This allows the same test to run against local handlers or deployed API
   switch (mode) {
     case 'handler':
-      return await viaHandler({ body }, 'search-restaurants');
+      return await viaHandler({ body, headers: { 'Content-Type': 'application/json' } }, 'search-restaurants');
+    case 'local':
     case 'http':
       const auth = user.idToken;
       return await viaHttp('restaurants/search', 'POST', { body, auth });
@@ -189,27 +230,254 @@ export const we_invoke_search_restaurants = async (theme, user) => {
   }
 };
 
+/**
+ * Test helper to invoke the search-restaurants Lambda function through GET /restaurants/search, as get-index does
+ * @param {Object} params - Query string parameters (e.g. { theme: 'netflix,toy story', match: 'all', limit: 2 })
+ * @returns {Object} The Lambda function response
+ */
+export const we_invoke_search_restaurants_by_query = async (params) => {
+  // Choose invocation method based on TEST_MODE environment variable
+  // This allows the same test to run against local handlers or deployed API
+  switch (mode) {
+    case 'handler':
+      return await viaHandler({ httpMethod: 'GET', queryStringParameters: params }, 'search-restaurants');
+    case 'local':
+    case 'http':
+      // The GET endpoint is for get-index, so it's protected by IAM authorization rather than Cognito
+      return await viaHttp(`restaurants/search?${new URLSearchParams(params)}`, 'GET', { iam_auth: true });
+    default:
+      throw new Error(`unsupported mode: ${mode}`);
+  }
+};
+
+/**
+ * Test helper to invoke the get-menu Lambda function
+ * @param {string} restaurantName - The name of the restaurant whose menu to fetch
+ * @param {Object} user - The authenticated Cognito user object (required for HTTP mode)
+ * @returns {Object} The Lambda function response
+ */
+export const we_invoke_get_menu = async (restaurantName, user) => {
+  // Choose invocation method based on TEST_MODE environment variable
+  // This allows the same test to run against local handlers or deployed API
+  switch (mode) {
+    case 'handler':
+      // API Gateway passes the {name} path parameter in event.pathParameters
+      return await viaHandler({ pathParameters: { name: restaurantName } }, 'get-menu');
+    case 'local':
+    case 'http':
+      const auth = user.idToken;
+      return await viaHttp(`restaurants/${encodeURIComponent(restaurantName)}/menu`, 'GET', { auth });
+    default:
+      throw new Error(`unsupported mode: ${mode}`);
+  }
+};
+
 /**
  * Test helper to invoke the place-order Lambda function
  * @param {Object} user - The authenticated Cognito user object (required for HTTP mode)
  * @param {string} restaurantName - The name of the restaurant to place an order with
+ * @param {Array} items - The cart, as menu item IDs and quantities (e.g. [{ itemId: 'tru-blood', quantity: 2 }])
  * @returns {Object} The Lambda function response
  */
-export const we_invoke_place_order = async (user, restaurantName) => {
-  // Create request body with restaurant name
-  const body = JSON.stringify({ restaurantName });
+export const we_invoke_place_order = async (user, restaurantName, items) => {
+  // Create request body with restaurant name and cart
+  const body = JSON.stringify({ restaurantName, items });
+
+  return await we_invoke_place_order_with_body(user, body);
+};
 
+/**
+ * Test helper to invoke the place-order Lambda function with any request body, e.g. to test malformed requests
+ * @param {Object} user - The authenticated Cognito user object (required for HTTP mode)
+ * @param {string} body - The raw request body
+ * @param {Object} headers - Extra request headers (e.g. { 'Content-Type': 'text/plain' })
+ * @returns {Object} The Lambda function response
+ */
+export const we_invoke_place_order_with_body = async (user, body, headers = {}) => {
   // Choose invocation method based on TEST_MODE environment variable
   // This allows the same test to run against local handlers or deployed API
   switch (mode) {
     case 'handler':
-      // Direct Lambda invocation for local testing
-      return await viaHandler({ body }, 'place-order');
+      // Direct Lambda invocation for local testing (with the claims the Cognito authorizer would add)
+      return await viaHandler(
+        {
+          body,
+          headers: { 'Content-Type': 'application/json', ...headers },
+          requestContext: cognitoRequestContext(user),
+        },
+        'place-order'
+      );
+    case 'local':
     case 'http':
       // Extract authentication token from user object
       const auth = user.idToken;
       // Make authenticated HTTP request to the API Gateway endpoint
-      return await viaHttp('orders', 'POST', { body, auth });
+      return await viaHttp('orders', 'POST', { body, auth, headers });
+    default:
+      throw new Error(`unsupported mode: ${mode}`);
+  }
+};
+
+/**
+ * Test helper to invoke the get-orders Lambda function
+ * @param {Object} user - The authenticated Cognito user object
+ * @param {Object} params - Query string parameters (limit, nextToken, status)
+ * @returns {Object} The Lambda function response
+ */
+export const we_invoke_get_orders = async (user, params = {}) => {
+  // Choose invocation method based on TEST_MODE environment variable
+  // This allows the same test to run against local handlers or deployed API
+  switch (mode) {
+    case 'handler':
+      return await viaHandler(
+        { queryStringParameters: params, requestContext: cognitoRequestContext(user) },
+        'get-orders'
+      );
+    case 'local':
+    case 'http':
+      const auth = user.idToken;
+      return await viaHttp(`orders?${new URLSearchParams(params)}`, 'GET', { auth });
+    default:
+      throw new Error(`unsupported mode: ${mode}`);
+  }
+};
+
+/**
+ * Test helper to invoke the get-order Lambda function
+ * @param {Object} user - The authenticated Cognito user object
+ * @param {string} orderId - The ID of the order to get
+ * @returns {Object} The Lambda function response
+ */
+export const we_invoke_get_order = async (user, orderId) => {
+  // Choose invocation method based on TEST_MODE environment variable
+  // This allows the same test to run against local handlers or deployed API
+  switch (mode) {
+    case 'handler':
+      return await viaHandler(
+        { pathParameters: { id: orderId }, requestContext: cognitoRequestContext(user) },
+        'get-order'
+      );
+    case 'local':
+    case 'http':
+      const auth = user.idToken;
+      return await viaHttp(`orders/${orderId}`, 'GET', { auth });
+    default:
+      throw new Error(`unsupported mode: ${mode}`);
+  }
+};
+
+/**
+ * Test helper to invoke the cancel-order Lambda function (DELETE /orders/{id})
+ * @param {Object} user - The authenticated Cognito user object
+ * @param {string} orderId - The ID of the order to cancel
+ * @returns {Object} The Lambda function response
+ */
+export const we_invoke_cancel_order = async (user, orderId) => {
+  // Choose invocation method based on TEST_MODE environment variable
+  // This allows the same test to run against local handlers or deployed API
+  switch (mode) {
+    case 'handler':
+      return await viaHandler(
+        { pathParameters: { id: orderId }, requestContext: cognitoRequestContext(user) },
+        'cancel-order'
+      );
+    case 'local':
+    case 'http':
+      const auth = user.idToken;
+      return await viaHttp(`orders/${orderId}`, 'DELETE', { auth });
+    default:
+      throw new Error(`unsupported mode: ${mode}`);
+  }
+};
+
+/**
+ * Test helper to invoke the respond-to-order Lambda function (POST /orders/{id}/accept or POST /orders/{id}/reject)
+ * @param {Object} user - The authenticated restaurant user object
+ * @param {string} orderId - The ID of the order to respond to
+ * @param {string} action - 'accept' or 'reject'
+ * @param {Object} payload - The request body (e.g. { estimatedPrepMinutes: 20 } or { reason: 'Closing early' })
+ * @returns {Object} The Lambda function response
+ */
+export const we_invoke_respond_to_order = async (user, orderId, action, payload) => {
+  const body = JSON.stringify(payload);
+
+  // Choose invocation method based on TEST_MODE environment variable
+  // This allows the same test to run against local handlers or deployed API
+  switch (mode) {
+    case 'handler':
+      // The function reads the decision from the resource path, as both endpoints share it
+      return await viaHandler(
+        {
+          resource: `/orders/{id}/${action}`,
+          pathParameters: { id: orderId },
+          headers: { 'Content-Type': 'application/json' },
+          body,
+          requestContext: cognitoRequestContext(user),
+        },
+        'respond-to-order'
+      );
+    case 'local':
+    case 'http':
+      const auth = user.idToken;
+      return await viaHttp(`orders/${orderId}/${action}`, 'POST', { body, auth });
+    default:
+      throw new Error(`unsupported mode: ${mode}`);
+  }
+};
+
+/**
+ * Test helper to invoke the sync-theme-index Lambda function with a DynamoDB stream event of the restaurants table
+ * Only supported in handler and local modes - in the deployed environment the stream is fed by real changes to the restaurants
+ * table, which would show up in the tests that count the seeded restaurants.
+ * @param {Array} changes - One { oldImage, newImage } per restaurant change (omit oldImage for an INSERT, newImage for a REMOVE)
+ * @returns {Object} The Lambda function response ({ batchItemFailures })
+ */
+export const we_invoke_sync_theme_index = async (changes) => {
+  const Records = changes.map(({ oldImage, newImage }, i) => ({
+    eventID: `${i + 1}`,
+    eventName: !oldImage ? 'INSERT' : !newImage ? 'REMOVE' : 'MODIFY',
+    eventSource: 'aws:dynamodb',
+    dynamodb: {
+      Keys: marshall({ name: (newImage ?? oldImage).name }),
+      ...(oldImage && { OldImage: marshall(oldImage) }),
+      ...(newImage && { NewImage: marshall(newImage) }),
+      SequenceNumber: `${Date.now()}${i}`,
+      StreamViewType: 'NEW_AND_OLD_IMAGES',
+    },
+  }));
+
+  switch (mode) {
+    case 'handler':
+    case 'local':
+      return await viaHandler({ Records }, 'sync-theme-index');
+    default:
+      throw new Error(`unsupported mode: ${mode}`);
+  }
+};
+
+/**
+ * Test helper to invoke the relay-outbox Lambda function with a DynamoDB stream event of the outbox table
+ * Only supported in handler and local modes - in the deployed environment the stream is fed by the entries place-order writes.
+ * @param {Array} entries - Outbox table items (e.g. built with outboxEntry() from functions/lib/outbox.mjs)
+ * @returns {Object} The Lambda function response ({ batchItemFailures })
+ */
+export const we_invoke_relay_outbox = async (entries) => {
+  const Records = entries.map((entry, i) => ({
+    eventID: `${i + 1}`,
+    eventName: 'INSERT',
+    eventSource: 'aws:dynamodb',
+    dynamodb: {
+      Keys: marshall({ id: entry.id }),
+      NewImage: marshall(entry),
+      SequenceNumber: `${Date.now()}${i}`,
+      StreamViewType: 'NEW_IMAGE',
+    },
+  }));
+
+  switch (mode) {
+    case 'handler':
+    case 'local':
+      return await viaHandler({ Records }, 'relay-outbox');
     default:
       throw new Error(`unsupported mode: ${mode}`);
   }
@@ -225,6 +493,7 @@ export const we_invoke_notify_restaurant = async (event) => {
   // This allows the same test to run against local handlers or deployed API
   switch (mode) {
     case 'handler':
+    case 'local':
       // Direct Lambda invocation for local testing
       await viaHandler(event, 'notify-restaurant');
       break;
@@ -239,3 +508,171 @@ export const we_invoke_notify_restaurant = async (event) => {
       throw new Error(`unsupported mode: ${mode}`);
   }
 };
+
+/**
+ * Test helper to invoke the seed-orders Lambda function directly without using EventBridge
+ * Only supported in handler and local modes - in the deployed environment the seed_orders rule gets every order_placed event,
+ * and the place-order tests check the orders are saved.
+ * @param {Object} event - The EventBridge event object containing the order
+ * @returns {void}
+ */
+export const we_invoke_seed_orders = async (event) => {
+  switch (mode) {
+    case 'handler':
+    case 'local':
+      await viaHandler(event, 'seed-orders');
+      break;
+    default:
+      throw new Error(`unsupported mode: ${mode}`);
+  }
+};
+
+/**
+ * Test helper to invoke the start-order-flow Lambda function directly without using EventBridge
+ * Only supported in handler and local modes - in the deployed environment the start_order_flow rule gets every order_placed
+ * event, and the start-order-flow e2e tests place real orders.
+ * @param {Object} event - The EventBridge event object containing the order
+ * @returns {void}
+ */
+export const we_invoke_start_order_flow = async (event) => {
+  switch (mode) {
+    case 'handler':
+    case 'local':
+      await viaHandler(event, 'start-order-flow');
+      break;
+    default:
+      throw new Error(`unsupported mode: ${mode}`);
+  }
+};
+
+/**
+ * Test helper to invoke the notify-user Lambda function with a message of the user notifications topic
+ * Only supported in handler and local modes - in the deployed environment the function emails and texts real customers.
+ * @param {Object} message - The message, as the order flow publishes it ({ order_id, notification_message })
+ * @param {Object} options - { messageId } - the SNS message ID, the same on the retries of an invocation
+ * @returns {void}
+ */
+export const we_invoke_notify_user = async (message, { messageId = randomUUID() } = {}) => {
+  const event = {
+    Records: [
+      {
+        EventSource: 'aws:sns',
+        EventVersion: '1.0',
+        Sns: {
+          Type: 'Notification',
+          MessageId: messageId,
+          TopicArn: process.env.user_notification_topic,
+          Message: JSON.stringify(message),
+          Timestamp: new Date().toISOString(),
+          MessageAttributes: {},
+        },
+      },
+    ],
+  };
+
+  switch (mode) {
+    case 'handler':
+    case 'local':
+      await viaHandler(event, 'notify-user');
+      break;
+    default:
+      throw new Error(`unsupported mode: ${mode}`);
+  }
+};
+
+/**
+ * Builds the request context API Gateway adds to the events of the routes of a WebSocket connection
+ * Functions of the routes read the user's identity from event.requestContext.authorizer (set by authorize-connection)
+ * @param {string} routeKey - The route, $connect or $disconnect
+ * @param {Object} user - The authenticated Cognito user object
+ * @param {string} connectionId - The ID of the connection
+ * @returns {Object} The requestContext of the Lambda event
+ */
+const websocketRequestContext = (routeKey, user, connectionId) => ({
+  routeKey,
+  eventType: routeKey === '$connect' ? 'CONNECT' : 'DISCONNECT',
+  connectionId,
+  connectedAt: Date.now(),
+  requestId: randomUUID(),
+  stage: process.env.stage_name,
+  authorizer: { principalId: user.sub, sub: user.sub, username: user.username },
+});
+
+/**
+ * Test helper to invoke the authorize-connection Lambda function with the $connect request of a WebSocket connection
+ * Only supported in handler and local modes - the deployed WebSocket API needs a WebSocket client.
+ * @param {string} token - The token query string parameter of the connection (omitted if undefined)
+ * @returns {Object} The Lambda function response (the policy and the authorizer context)
+ */
+export const we_invoke_authorize_connection = async (token) => {
+  const event = {
+    type: 'REQUEST',
+    methodArn: `arn:aws:execute-api:${process.env.AWS_REGION}:123456789012:abcdef1234/${process.env.stage_name}/$connect`,
+    queryStringParameters: token === undefined ? {} : { token },
+    requestContext: { routeKey: '$connect', eventType: 'CONNECT', connectionId: randomUUID() },
+  };
+
+  switch (mode) {
+    case 'handler':
+    case 'local':
+      return await viaHandler(event, 'authorize-connection');
+    default:
+      throw new Error(`unsupported mode: ${mode}`);
+  }
+};
+
+/**
+ * Test helper to invoke the open-connection Lambda function with the $connect event of an authorized connection
+ * Only supported in handler and local modes - the deployed WebSocket API needs a WebSocket client.
+ * @param {Object} user - The authenticated Cognito user object the connection was authorized for
+ * @param {string} connectionId - The ID of the connection
+ * @returns {Object} The Lambda function response
+ */
+export const we_invoke_open_connection = async (user, connectionId) => {
+  const event = { requestContext: websocketRequestContext('$connect', user, connectionId) };
+
+  switch (mode) {
+    case 'handler':
+    case 'local':
+      return await viaHandler(event, 'open-connection');
+    default:
+      throw new Error(`unsupported mode: ${mode}`);
+  }
+};
+
+/**
+ * Test helper to invoke the close-connection Lambda function with the $disconnect event of a connection
+ * Only supported in handler and local modes - the deployed WebSocket API needs a WebSocket client.
+ * @param {Object} user - The authenticated Cognito user object the connection was authorized for
+ * @param {string} connectionId - The ID of the connection
+ * @returns {Object} The Lambda function response
+ */
+export const we_invoke_close_connection = async (user, connectionId) => {
+  const event = { requestContext: websocketRequestContext('$disconnect', user, connectionId) };
+
+  switch (mode) {
+    case 'handler':
+    case 'local':
+      return await viaHandler(event, 'close-connection');
+    default:
+      throw new Error(`unsupported mode: ${mode}`);
+  }
+};
+
+/**
+ * Test helper to invoke the push-order-status Lambda function directly without using EventBridge
+ * Only supported in handler and local modes - in the deployed environment the push_order_status rule gets the
+ * decisions of the order flow, and the pushes go to WebSocket connections.
+ * @param {Object} event - The EventBridge event object (order_accepted, order_rejected or order_timed_out)
+ * @returns {void}
+ */
+export const we_invoke_push_order_status = async (event) => {
+  switch (mode) {
+    case 'handler':
+    case 'local':
+      await viaHandler(event, 'push-order-status');
+      break;
+    default:
+      throw new Error(`unsupported mode: ${mode}`);
+  }
+};
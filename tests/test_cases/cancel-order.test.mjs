@@ -0,0 +1,227 @@
+/**
+ * Test Flow Overview
+ *
+ * Integration Test Mode (TEST_MODE=handler):
+ * Test → cancel-order Lambda → DynamoDB (orders and outbox tables) + Mock Step Functions
+ * Orders are written to the orders table (some with a fake task token), and the transaction that cancels them (with
+ * the order_cancelled event in the outbox) and the SendTaskSuccess calls are verified.
+ *
+ * End-to-End Test Mode (TEST_MODE=http):
+ * Test → API Gateway → cancel-order Lambda → DynamoDB → relay-outbox Lambda → EventBridge → SQS → Test Listener
+ * A fake task token can't end a real execution, so only orders the order flow isn't waiting on are cancelled end-to-end.
+ */
+
+// Import testing utilities from Vitest framework
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+// Import test helpers for invoking Lambda functions
+import * as when from '../steps/when.mjs';
+// Import test setup helpers for creating authenticated users and orders
+import * as given from '../steps/given.mjs';
+// Import test teardown helpers for cleaning up resources
+import * as teardown from '../steps/teardown.mjs';
+// Import SQS message listener for e2e testing (monitors EventBridge messages in test queue)
+import { startListening } from '../messages.mjs';
+// Import AWS SDK clients for mocking (and spying on DynamoDB reads and writes)
+import { SFNClient } from '@aws-sdk/client-sfn';
+import { DynamoDBDocumentClient, GetCommand, TransactWriteCommand } from '@aws-sdk/lib-dynamodb';
+
+// Create mock functions for AWS service calls (used in handler mode)
+const mockSfnSend = vi.fn();
+
+/**
+ * Test suite for the cancel-order Lambda function
+ *
+ * This test verifies the following:
+ * 1. A customer can cancel their order while it's PLACED - it becomes CANCELLED
+ * 2. Cancelling writes an order_cancelled event to the outbox (in the same transaction), and ends the order flow
+ *    waiting for the restaurant
+ * 3. Orders of other users can't be cancelled (404)
+ * 4. Decided and cancelled orders can't be cancelled (409) - even when the decision comes in while cancelling
+ */
+describe('Given a customer with orders', () => {
+  // The customer who places the orders, and another user
+  let customer, otherUser;
+  // Orders created by the tests, deleted at the end
+  const orders = [];
+
+  // SQS message listener in e2e mode
+  let listener;
+
+  // Original DynamoDBDocumentClient.send, restored at the end
+  const send = DynamoDBDocumentClient.prototype.send;
+  // Transactions written by cancel-order
+  const transactions = [];
+  // Orders cancel-order loads as they were before a restaurant answered them, by ID
+  const staleOrders = new Map();
+
+  // Creates an order with the customer at Fangtasia
+  const an_order = async (props) => {
+    const order = await given.an_order(customer, props);
+    orders.push(order);
+    return order;
+  };
+
+  beforeAll(async () => {
+    if (process.env.TEST_MODE !== 'http') {
+      SFNClient.prototype.send = mockSfnSend; // Replace real SFNClient.send()
+      mockSfnSend.mockResolvedValue({});
+
+      // Keep track of the transactions (and still write them), and load the stale orders
+      DynamoDBDocumentClient.prototype.send = function (command, ...args) {
+        if (command instanceof TransactWriteCommand) {
+          transactions.push(command.input);
+        }
+        if (command instanceof GetCommand && !command.input.ConsistentRead && staleOrders.has(command.input.Key.id)) {
+          return Promise.resolve({ Item: staleOrders.get(command.input.Key.id) });
+        }
+        return send.call(this, command, ...args);
+      };
+    } else {
+      listener = startListening();
+    }
+
+    customer = await given.an_authenticated_user();
+    otherUser = await given.an_authenticated_user();
+  });
+
+  afterAll(async () => {
+    DynamoDBDocumentClient.prototype.send = send;
+    for (const order of orders) {
+      await teardown.an_order(order);
+    }
+    await teardown.an_authenticated_user(customer);
+    await teardown.an_authenticated_user(otherUser);
+
+    if (listener) {
+      await listener.stop();
+    }
+  });
+
+  describe(`When the customer cancels an order the restaurant hasn't been asked about yet`, () => {
+    let order, resp;
+
+    beforeAll(async () => {
+      mockSfnSend.mockClear();
+
+      order = await an_order();
+      resp = await when.we_invoke_cancel_order(customer, order.id);
+    });
+
+    it(`[int][e2e] Should return 200 and mark the order CANCELLED`, async () => {
+      expect(resp.statusCode).toEqual(200);
+      expect(resp.body).toEqual({ orderId: order.id, status: 'CANCELLED', cancelledAt: expect.any(String) });
+
+      const orderResp = await when.we_invoke_get_order(customer, order.id);
+      expect(orderResp.body.status).toEqual('CANCELLED');
+      expect(orderResp.body.cancelledAt).toEqual(resp.body.cancelledAt);
+    });
+
+    it(`[int] Should write the order_cancelled event to the outbox, in the same transaction`, async () => {
+      const transaction = transactions.find((x) => x.TransactItems.some((item) => item.Update?.Key.id === order.id));
+      expect(transaction.TransactItems).toHaveLength(2);
+
+      const [, { Put }] = transaction.TransactItems;
+      expect(Put.TableName).toEqual(process.env.outbox_table);
+      expect(Put.Item).toEqual(expect.objectContaining({ source: 'big-mouth', detailType: 'order_cancelled' }));
+      expect(JSON.parse(Put.Item.detail)).toEqual({
+        schemaVersion: 2,
+        orderId: order.id,
+        userId: customer.sub,
+        restaurantName: 'Fangtasia',
+        cancelledAt: resp.body.cancelledAt,
+        correlationId: expect.any(String),
+      });
+    });
+
+    it(`[int] Should not call the order flow, as it isn't waiting for the restaurant`, async () => {
+      expect(mockSfnSend).not.toHaveBeenCalled();
+    });
+
+    it(`[e2e] Should publish the order_cancelled event to EventBridge`, async () => {
+      await listener.waitForMessage((x) => {
+        if (x.sourceType !== 'eventbridge' || x.source !== process.env.eventbridge_bus_name) return false;
+        const event = JSON.parse(x.message);
+        return event['detail-type'] === 'order_cancelled' && event.detail.orderId === order.id;
+      });
+    }, 10000);
+
+    it(`[int][e2e] Should return 409 when the order is cancelled again`, async () => {
+      const secondResp = await when.we_invoke_cancel_order(customer, order.id);
+
+      expect(secondResp.statusCode).toEqual(409);
+    });
+  });
+
+  describe(`When the customer cancels an order waiting for the restaurant`, () => {
+    let resp;
+
+    beforeAll(async () => {
+      mockSfnSend.mockClear();
+
+      const order = await an_order({ taskToken: 'fake-task-token' });
+      resp = await when.we_invoke_cancel_order(customer, order.id);
+    });
+
+    it(`[int] Should end the "Notify restaurant" step of the order flow`, async () => {
+      expect(resp.statusCode).toEqual(200);
+      expect(mockSfnSend).toHaveBeenCalledTimes(1);
+
+      const [sendTaskSuccessCmd] = mockSfnSend.mock.calls[0];
+      expect(sendTaskSuccessCmd.input).toEqual({
+        taskToken: 'fake-task-token',
+        output: JSON.stringify({ isCancelled: true }),
+      });
+    });
+  });
+
+  describe(`When the restaurant answers the order while the customer cancels it`, () => {
+    let order, resp;
+
+    beforeAll(async () => {
+      transactions.length = 0;
+
+      // cancel-order loads the order before the answer, and cancels it after
+      order = await an_order({ status: 'ACCEPTED' });
+      staleOrders.set(order.id, { ...order, status: 'PLACED' });
+      resp = await when.we_invoke_cancel_order(customer, order.id);
+      staleOrders.delete(order.id);
+    });
+
+    it(`[int] Should return 409`, async () => {
+      expect(resp.statusCode).toEqual(409);
+      expect(resp.body.message).toEqual(`order [${order.id}] has already been decided`);
+    });
+
+    it(`[int] Should leave the order as it is, without its order_cancelled event`, async () => {
+      // The transaction was tried, and cancelled as a whole
+      expect(transactions).toHaveLength(1);
+
+      const orderResp = await when.we_invoke_get_order(customer, order.id);
+      expect(orderResp.body.status).toEqual('ACCEPTED');
+    });
+  });
+
+  describe(`When the order can't be cancelled`, () => {
+    it(`[int][e2e] Should return 404 for orders of other users`, async () => {
+      const order = await an_order();
+      const resp = await when.we_invoke_cancel_order(otherUser, order.id);
+
+      expect(resp.statusCode).toEqual(404);
+    });
+
+    it(`[int][e2e] Should return 409 for orders the restaurant has answered`, async () => {
+      const accepted = await an_order({ status: 'ACCEPTED' });
+      const resp = await when.we_invoke_cancel_order(customer, accepted.id);
+
+      expect(resp.statusCode).toEqual(409);
+      expect(resp.body.message).toEqual(`order [${accepted.id}] has already been decided`);
+    });
+
+    it(`[int][e2e] Should return 409 for orders with a decision the order flow hasn't recorded yet`, async () => {
+      const deciding = await an_order({ decision: 'REJECTED', taskToken: 'fake-task-token' });
+      const resp = await when.we_invoke_cancel_order(customer, deciding.id);
+
+      expect(resp.statusCode).toEqual(409);
+    });
+  });
+});
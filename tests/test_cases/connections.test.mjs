@@ -0,0 +1,150 @@
+/**
+ * Test Flow Overview
+ *
+ * Integration Test Mode (TEST_MODE=handler and TEST_MODE=local):
+ * Test → authorize-connection / open-connection / close-connection Lambda → DynamoDB (connections)
+ * The functions get the events API Gateway sends on the $connect and $disconnect routes of the WebSocket API.
+ *
+ * Local Test Mode (TEST_MODE=local):
+ * Test → local WebSocket API (tests/local/websocket.mjs) → open-connection / close-connection Lambda → DynamoDB
+ *
+ * There are no e2e tests: the deployed WebSocket API needs a WebSocket client.
+ */
+
+// Import testing utilities from Vitest framework
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+// Generates the IDs of the connections
+import { randomUUID } from 'node:crypto';
+// Import test helpers for invoking Lambda functions
+import * as when from '../steps/when.mjs';
+// Import test setup helpers for creating authenticated users
+import * as given from '../steps/given.mjs';
+// Import test teardown helpers for cleaning up resources
+import * as teardown from '../steps/teardown.mjs';
+// Import AWS SDK clients for reading the connections
+import { DynamoDB } from '@aws-sdk/client-dynamodb';
+import { DynamoDBDocumentClient, QueryCommand } from '@aws-sdk/lib-dynamodb';
+// The local environment and its WebSocket API, in local mode
+import { localEnvironment } from '../local/environment.mjs';
+import { connect } from '../local/websocket.mjs';
+
+// Connections recorded for a user
+const connectionsOf = async (user) => {
+  const dynamodb = DynamoDBDocumentClient.from(new DynamoDB());
+  const resp = await dynamodb.send(
+    new QueryCommand({
+      TableName: process.env.connections_table,
+      KeyConditionExpression: 'userId = :userId',
+      ExpressionAttributeValues: { ':userId': user.sub },
+    })
+  );
+  return resp.Items;
+};
+
+/**
+ * Test suite for the connection functions of the WebSocket API
+ *
+ * This test verifies the following:
+ * 1. Connections without a valid ID token are refused
+ * 2. A connection is recorded under its user on $connect, and its record deleted on $disconnect
+ * 3. The record expires when API Gateway closes the connection at the latest (2 hours)
+ */
+describe('Given an authenticated user', () => {
+  let user;
+
+  beforeAll(async () => {
+    user = await given.an_authenticated_user();
+  });
+
+  afterAll(async () => {
+    await teardown.the_connections(user);
+    await teardown.an_authenticated_user(user);
+  });
+
+  describe('When a connection has no token', () => {
+    it(`[int] Should refuse it`, async () => {
+      await expect(when.we_invoke_authorize_connection(undefined)).rejects.toThrow('Unauthorized');
+    });
+  });
+
+  describe('When the token of a connection is not a JWT', () => {
+    it(`[int] Should refuse it`, async () => {
+      await expect(when.we_invoke_authorize_connection('not-a-token')).rejects.toThrow('Unauthorized');
+    });
+  });
+
+  describe('When the connection carries the ID token of the user', () => {
+    // The user pool signs the ID tokens in handler mode - local tokens aren't, so authorize-connection refuses them
+    it.skipIf(process.env.TEST_MODE === 'local')(`[int] Should allow it for the user`, async () => {
+      const resp = await when.we_invoke_authorize_connection(user.idToken);
+
+      expect(resp.principalId).toEqual(user.sub);
+      expect(resp.policyDocument.Statement).toEqual([
+        expect.objectContaining({ Action: 'execute-api:Invoke', Effect: 'Allow' }),
+      ]);
+      expect(resp.context).toEqual({ sub: user.sub, username: user.username });
+    });
+  });
+
+  describe('When the user connects', () => {
+    const connectionId = randomUUID();
+    let resp;
+
+    beforeAll(async () => {
+      resp = await when.we_invoke_open_connection(user, connectionId);
+    });
+
+    it(`[int] Should accept the connection`, async () => {
+      expect(resp.statusCode).toEqual(200);
+    });
+
+    it(`[int] Should record the connection under the user, until it expires`, async () => {
+      const connection = (await connectionsOf(user)).find((x) => x.connectionId === connectionId);
+
+      expect(connection).toBeDefined();
+      const connectedAt = Date.parse(connection.connectedAt) / 1000;
+      expect(connection.expiresAt - connectedAt).toBeCloseTo(2 * 60 * 60, -1);
+    });
+
+    describe('When the user disconnects', () => {
+      beforeAll(async () => {
+        resp = await when.we_invoke_close_connection(user, connectionId);
+      });
+
+      it(`[int] Should delete the connection`, async () => {
+        expect(resp.statusCode).toEqual(200);
+        expect((await connectionsOf(user)).map((x) => x.connectionId)).not.toContain(connectionId);
+      });
+    });
+  });
+
+  describe('When the user connects to the local WebSocket API', () => {
+    let connection;
+
+    beforeAll(async () => {
+      if (process.env.TEST_MODE === 'local') {
+        const url = `${process.env.websocket_url}?token=${encodeURIComponent(user.idToken)}`;
+        connection = await connect(url, { apiGateway: localEnvironment().apiGateway });
+      }
+    });
+
+    it(`[local] Should record the connection`, async () => {
+      expect((await connectionsOf(user)).map((x) => x.connectionId)).toContain(connection.connectionId);
+    });
+
+    it(`[local] Should refuse a connection without a valid token`, async () => {
+      const url = `${process.env.websocket_url}?token=not-a-token`;
+
+      await expect(connect(url, { apiGateway: localEnvironment().apiGateway })).rejects.toMatchObject({
+        statusCode: 401,
+      });
+    });
+
+    it(`[local] Should delete the connection when it's closed`, async () => {
+      await connection.close();
+
+      expect((await connectionsOf(user)).map((x) => x.connectionId)).not.toContain(connection.connectionId);
+      expect(localEnvironment().apiGateway.connections.has(connection.connectionId)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,311 @@
+/**
+ * Test Flow Overview
+ *
+ * Integration Test Mode (TEST_MODE=handler):
+ * Producer → event → Consumer, checked against the event contracts (functions/lib/events.mjs)
+ * 1. The order_placed event place-order writes to the outbox is handed to its consumers (notify-restaurant and
+ *    seed-orders), and the restaurant_notified event notify-restaurant publishes is checked against its contract.
+ * 2. The Detail of every putEvents state of the order flow state machine is checked against its contract.
+ * 3. Events published before the contracts (schema version 1) are upcast - or rejected, when they don't have what the
+ *    current version needs - and events that break the contracts are rejected.
+ *
+ * There are no end-to-end tests: contracts are about what the code publishes and reads, which the handler mode
+ * covers - the place-order and notify-restaurant tests check the events reach the bus.
+ */
+
+// Import testing utilities from Vitest framework
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+// Import test helpers for invoking Lambda functions
+import * as when from '../steps/when.mjs';
+// Import test setup helpers for creating authenticated users and events
+import * as given from '../steps/given.mjs';
+// Import test teardown helpers for cleaning up resources
+import * as teardown from '../steps/teardown.mjs';
+// Import the event contracts
+import { EventContractError, LegacyEventError, eventDetail, readEventDetail } from '../../functions/lib/events.mjs';
+// Import AWS SDK clients for mocking (and spying on DynamoDB writes)
+import { EventBridgeClient } from '@aws-sdk/client-eventbridge';
+import { SNSClient } from '@aws-sdk/client-sns';
+import { DynamoDBDocumentClient, TransactWriteCommand } from '@aws-sdk/lib-dynamodb';
+// Read the state machine definition
+import { readFileSync } from 'node:fs';
+// Import Chance library for generating random IDs
+import { Chance } from 'chance';
+
+const chance = Chance();
+
+// Create mock functions for AWS service calls
+const mockEvbSend = vi.fn();
+EventBridgeClient.prototype.send = mockEvbSend; // Replace real EventBridge.send()
+const mockSnsSend = vi.fn();
+SNSClient.prototype.send = mockSnsSend; // Replace real SNS.send()
+
+// Definition of the order flow state machine
+const ORDER_FLOW = new URL('../../terraform/state_machines/order-flow.asl.json', import.meta.url);
+
+// Replaces the JSONata expressions of a state's arguments ("{% ... %}") with sample values
+const withSampleValues = (value) => {
+  if (typeof value === 'string') {
+    return /^\{%.*%\}$/s.test(value) ? chance.guid() : value;
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, x]) => [key, withSampleValues(x)]));
+  }
+  return value;
+};
+
+/**
+ * Test suite for the order_placed contract, between place-order and its consumers
+ *
+ * This test verifies the following:
+ * 1. place-order writes an order_placed event of the current version to the outbox
+ * 2. notify-restaurant and seed-orders handle it
+ * 3. notify-restaurant publishes a restaurant_notified event that matches its contract
+ */
+describe('Given an authenticated user', () => {
+  let user;
+  // Orders placed by the tests, deleted at the end
+  const orders = [];
+  // Original DynamoDBDocumentClient.send, restored at the end
+  const send = DynamoDBDocumentClient.prototype.send;
+  // Transactions written by place-order
+  const transactions = [];
+
+  beforeAll(async () => {
+    user = await given.an_authenticated_user();
+
+    // Keep track of the transactions, and still write them
+    DynamoDBDocumentClient.prototype.send = function (command, ...args) {
+      if (command instanceof TransactWriteCommand) {
+        transactions.push(command.input);
+      }
+      return send.call(this, command, ...args);
+    };
+    mockEvbSend.mockReturnValue({});
+    mockSnsSend.mockReturnValue({});
+  });
+
+  afterAll(async () => {
+    DynamoDBDocumentClient.prototype.send = send;
+    for (const order of orders) {
+      await teardown.an_order(order);
+    }
+    await teardown.an_authenticated_user(user);
+  });
+
+  describe('When place-order publishes an order_placed event', () => {
+    let event;
+
+    beforeAll(async () => {
+      const resp = await when.we_invoke_place_order(user, 'Fangtasia', [{ itemId: 'tru-blood', quantity: 2 }]);
+      expect(resp.statusCode).toEqual(200);
+      orders.push({ id: resp.body.orderId });
+
+      // The event, as relay-outbox publishes it
+      const outboxItem = transactions
+        .flatMap((x) => x.TransactItems)
+        .map((x) => x.Put.Item)
+        .find((item) => item.detailType === 'order_placed');
+      event = {
+        source: outboxItem.source,
+        'detail-type': outboxItem.detailType,
+        detail: JSON.parse(outboxItem.detail),
+      };
+    });
+
+    it(`[int] Should publish the current version of the contract`, async () => {
+      expect(event.detail.schemaVersion).toEqual(2);
+      expect(readEventDetail(event)).toEqual(event.detail);
+    });
+
+    it(`[int] Should be handled by notify-restaurant`, async () => {
+      mockSnsSend.mockClear();
+      mockEvbSend.mockClear();
+
+      await when.we_invoke_notify_restaurant(event);
+
+      expect(mockSnsSend).toHaveBeenCalledTimes(1);
+      expect(mockEvbSend).toHaveBeenCalledTimes(1);
+
+      // The restaurant_notified event matches its contract too
+      const [putEventsCmd] = mockEvbSend.mock.calls[0];
+      const [entry] = putEventsCmd.input.Entries;
+      expect(() =>
+        readEventDetail({ 'detail-type': entry.DetailType, detail: JSON.parse(entry.Detail) })
+      ).not.toThrow();
+    });
+
+    it(`[int] Should be handled by seed-orders`, async () => {
+      // The order is already saved (by place-order) - seed-orders leaves it as it is
+      await when.we_invoke_seed_orders(event);
+    });
+  });
+});
+
+/**
+ * Test suite for the events of the order flow state machine
+ *
+ * The state machine builds its events in its definition (JSONata) - their Detail is checked with sample values.
+ */
+describe('Given the order flow state machine', () => {
+  const { States } = JSON.parse(readFileSync(ORDER_FLOW, 'utf8'));
+  const entries = Object.entries(States)
+    .filter(([, state]) => state.Resource === 'arn:aws:states:::events:putEvents')
+    .flatMap(([name, state]) => state.Arguments.Entries.map((entry) => [name, entry]));
+
+  it(`[int] Should publish events`, async () => {
+    expect(entries.length).toBeGreaterThan(0);
+  });
+
+  it.each(entries)(`[int] Should publish events that match their contract (%s)`, async (name, entry) => {
+    expect(entry.Source).toEqual('big-mouth');
+
+    const detail = withSampleValues(entry.Detail);
+    expect(detail.schemaVersion).toEqual(2);
+    expect(() => readEventDetail({ 'detail-type': entry.DetailType, detail })).not.toThrow();
+  });
+});
+
+/**
+ * Test suite for the events published before the contracts (schema version 1), e.g. replayed from the archive
+ *
+ * The details are the ones the producers published over time, before the contracts.
+ */
+describe('Given events of schema version 1', () => {
+  it(`[int] Should upcast the order_placed events of place-order, with the priced order and its correlation ID`, async () => {
+    const { detail } = given.an_order_placed_event();
+    const { schemaVersion, ...legacyDetail } = detail;
+
+    expect(readEventDetail({ 'detail-type': 'order_placed', detail: legacyDetail })).toEqual(detail);
+  });
+
+  it(`[int] Should use the event ID of order_placed events without a correlation ID`, async () => {
+    const { detail } = given.an_order_placed_event();
+    const { schemaVersion, correlationId, ...legacyDetail } = detail;
+    const id = chance.guid();
+
+    expect(readEventDetail({ id, 'detail-type': 'order_placed', detail: legacyDetail })).toEqual({
+      ...detail,
+      correlationId: id,
+    });
+  });
+
+  it(`[int] Should upcast the order_accepted events of the state machine`, async () => {
+    const orderId = chance.guid();
+    const id = chance.guid();
+    const event = { id, 'detail-type': 'order_accepted', detail: { order_id: orderId } };
+
+    expect(readEventDetail(event)).toEqual({ schemaVersion: 2, orderId, correlationId: id });
+  });
+
+  it.each(['order_accepted', 'order_rejected', 'order_timed_out'])(
+    `[int] Should upcast the %s events of the state machine, with their correlation ID`,
+    async (detailType) => {
+      const orderId = chance.guid();
+      const correlationId = chance.guid();
+      const event = { 'detail-type': detailType, detail: { order_id: orderId, correlation_id: correlationId } };
+
+      expect(readEventDetail(event)).toEqual({ schemaVersion: 2, orderId, correlationId });
+    }
+  );
+
+  it(`[int] Should drop the fields version 2 doesn't have`, async () => {
+    const orderId = chance.guid();
+    const id = chance.guid();
+    const event = { id, 'detail-type': 'order_accepted', detail: { orderId, restaurantName: 'Fangtasia' } };
+
+    expect(readEventDetail(event)).toEqual({ schemaVersion: 2, orderId, correlationId: id });
+  });
+
+  it(`[int] Should not upcast the order_placed events of the first orders`, async () => {
+    // As place-order published them before it priced the orders
+    const event = {
+      id: chance.guid(),
+      'detail-type': 'order_placed',
+      detail: { orderId: chance.guid(), restaurantName: 'Fangtasia' },
+    };
+
+    expect(() => readEventDetail(event)).toThrow(LegacyEventError);
+    expect(() => readEventDetail(event)).toThrow(
+      "order_placed event of schema version 1 can't be upcast to version 2: detail.userId is required"
+    );
+  });
+
+  it(`[int] Should not upcast the order_placed events of the state machine`, async () => {
+    const event = { id: chance.guid(), 'detail-type': 'order_placed', detail: { order_id: chance.guid() } };
+
+    expect(() => readEventDetail(event)).toThrow(LegacyEventError);
+  });
+
+  it(`[int] Should not upcast the restaurant_notified events of the first orders`, async () => {
+    // notify-restaurant published the detail of the order_placed event
+    const event = {
+      id: chance.guid(),
+      'detail-type': 'restaurant_notified',
+      detail: { orderId: chance.guid(), restaurantName: 'Fangtasia' },
+    };
+
+    expect(() => readEventDetail(event)).toThrow(LegacyEventError);
+  });
+
+  // The functions install their own copy of functions/lib, so their errors are matched by name
+  it(`[int] Should fail notify-restaurant with a LegacyEventError, without notifying the restaurant`, async () => {
+    mockSnsSend.mockClear();
+    const event = {
+      id: chance.guid(),
+      source: 'big-mouth',
+      'detail-type': 'order_placed',
+      detail: { orderId: chance.guid(), restaurantName: 'Fangtasia' },
+    };
+
+    await expect(when.we_invoke_notify_restaurant(event)).rejects.toMatchObject({ name: 'LegacyEventError' });
+    expect(mockSnsSend).not.toHaveBeenCalled();
+  });
+});
+
+/**
+ * Test suite for events that break their contract
+ */
+describe('Given events that break their contract', () => {
+  it(`[int] Should not publish events with unknown fields`, async () => {
+    const { detail } = given.an_order_placed_event();
+
+    expect(() => eventDetail('order_placed', { ...detail, discount: 100 })).toThrow(EventContractError);
+  });
+
+  it(`[int] Should not publish events of unknown types`, async () => {
+    expect(() => eventDetail('order_delivered', { orderId: chance.guid() })).toThrow(EventContractError);
+  });
+
+  it(`[int] Should reject events of a later version`, async () => {
+    const { detail } = given.an_order_placed_event();
+
+    expect(() => readEventDetail({ 'detail-type': 'order_placed', detail: { ...detail, schemaVersion: 3 } })).toThrow(
+      EventContractError
+    );
+  });
+
+  // The functions install their own copy of functions/lib, so their errors are matched by name
+  it(`[int] Should fail notify-restaurant, without notifying the restaurant`, async () => {
+    mockSnsSend.mockClear();
+    const { detail } = given.an_order_placed_event();
+    const { items, ...withoutItems } = detail;
+
+    await expect(
+      when.we_invoke_notify_restaurant({ source: 'big-mouth', 'detail-type': 'order_placed', detail: withoutItems })
+    ).rejects.toMatchObject({ name: 'EventContractError' });
+    expect(mockSnsSend).not.toHaveBeenCalled();
+  });
+
+  it(`[int] Should fail seed-orders`, async () => {
+    const { detail } = given.an_order_placed_event();
+
+    await expect(
+      when.we_invoke_seed_orders({
+        source: 'big-mouth',
+        'detail-type': 'order_placed',
+        detail: { ...detail, total: -1 },
+      })
+    ).rejects.toMatchObject({ name: 'EventContractError' });
+  });
+});
@@ -1,5 +1,5 @@
 // Import testing utilities from Vitest framework
-import { describe, it, expect } from 'vitest';
+import { describe, it, expect, vi } from 'vitest';
 
 // Import cheerio for HTML parsing and DOM manipulation
 import { load } from 'cheerio';
@@ -11,7 +11,11 @@ import * as when from '../steps/when.mjs';
  * Test objective: Verify that the get-index Lambda function correctly:
  * 1. Returns a properly formatted HTML page with HTTP 200 status
  * 2. Includes the expected Content-Type header for HTML
- * 3. Contains exactly 8 restaurant elements in the restaurants list
+ * 3. Contains exactly 8 restaurant elements in the restaurants list - the first page - and links to the next page
+ * 4. Renders the restaurants of a theme search (?theme=) on the server, one page at a time (?nextToken=)
+ * 5. Escapes the names of the restaurants, and never interpolates them into script
+ * 6. Keeps the restaurants in memory between invocations, sends an ETag and cache headers, and answers 304 when the
+ *    browser already has the page
  *
  * This test directly invokes the Lambda handler without going through API Gateway
  * to validate the core functionality of the index page generation.
@@ -39,5 +43,140 @@ describe(`When we invoke the GET / endpoint`, () => {
     const restaurants = $('.restaurant', '#restaurantsUl');
     // Verify exactly 8 restaurants are displayed
     expect(restaurants.length).toEqual(8);
+    // They fit on the first page - there's no next one to link to
+    expect($('a', '.search-results').text()).not.toContain('More restaurants');
+  });
+});
+
+// Names of the restaurants of the page, as its restaurants list shows them
+const restaurantNames = (html) => {
+  const $ = load(html);
+  return $('.restaurant-name', '#restaurantsUl')
+    .map((i, x) => $(x).text())
+    .get()
+    .sort();
+};
+
+describe(`When we page through the restaurants on the GET / endpoint`, () => {
+  it(`[int][e2e] Should return the page of restaurants of the nextToken`, async () => {
+    // A token of the first 3 restaurants - the page shows the ones after them
+    const firstPage = await when.we_invoke_get_restaurants({ limit: 3 });
+    const res = await when.we_invoke_get_index({ nextToken: firstPage.body.nextToken });
+
+    expect(res.statusCode).toEqual(200);
+    const names = restaurantNames(res.body);
+    expect(names).toHaveLength(5);
+    for (const restaurant of firstPage.body.restaurants) {
+      expect(names).not.toContain(restaurant.name);
+    }
+  });
+
+  it(`[int][e2e] Should return 400 for a tampered nextToken`, async () => {
+    const res = await when.we_invoke_get_index({ nextToken: 'not-a-token' });
+
+    expect(res.statusCode).toEqual(400);
+  });
+});
+
+describe(`When we search for a theme on the GET / endpoint`, () => {
+  it(`[int][e2e] Should return the page with the restaurants of the theme`, async () => {
+    const res = await when.we_invoke_get_index({ theme: 'cartoon' });
+
+    expect(res.statusCode).toEqual(200);
+    expect(restaurantNames(res.body)).toHaveLength(4);
+    // The search box shows the search, so it can be refined
+    expect(load(res.body)('#theme').attr('value')).toEqual('cartoon');
+  });
+
+  it(`[int][e2e] Should return the restaurants with any of several themes`, async () => {
+    const res = await when.we_invoke_get_index({ theme: 'toy story, house of cards' });
+
+    expect(restaurantNames(res.body)).toEqual(["Freddy's BBQ Joint", 'Pizza Planet']);
+  });
+
+  it(`[int][e2e] Should say so when nothing matches`, async () => {
+    const res = await when.we_invoke_get_index({ theme: 'klingon' });
+
+    expect(res.statusCode).toEqual(200);
+    expect(restaurantNames(res.body)).toEqual([]);
+    expect(load(res.body)('.search-results').text()).toContain('No restaurants found');
+  });
+
+  it(`[int][e2e] Should return all the restaurants when the theme is blank`, async () => {
+    const res = await when.we_invoke_get_index({ theme: ' , ' });
+
+    expect(restaurantNames(res.body)).toHaveLength(8);
+  });
+
+  it(`[int][e2e] Should keep the names of the restaurants out of the page's script`, async () => {
+    const res = await when.we_invoke_get_index({ theme: 'house of cards' });
+    const $ = load(res.body);
+
+    expect($('[onclick]', '#restaurantsUl')).toHaveLength(0);
+    // The menu is opened from the name in the data-restaurant-name attribute, quotes and all
+    expect($('[data-restaurant-name]', '#restaurantsUl').attr('data-restaurant-name')).toEqual("Freddy's BBQ Joint");
+    expect(res.body).toContain('data-restaurant-name="Freddy&#39;s BBQ Joint"');
+  });
+
+  it(`[int][e2e] Should return the page of results of the nextToken`, async () => {
+    // A token of the first result - the page shows the ones after it
+    const firstPage = await when.we_invoke_search_restaurants_by_query({ theme: 'cartoon', limit: 1 });
+    const res = await when.we_invoke_get_index({ theme: 'cartoon', nextToken: firstPage.body.nextToken });
+
+    expect(res.statusCode).toEqual(200);
+    const names = restaurantNames(res.body);
+    expect(names).toHaveLength(3);
+    expect(names).not.toContain(firstPage.body.restaurants[0].name);
+  });
+
+  it(`[int][e2e] Should return 400 when the nextToken is of another search`, async () => {
+    const firstPage = await when.we_invoke_search_restaurants_by_query({ theme: 'cartoon', limit: 1 });
+    const res = await when.we_invoke_get_index({ theme: 'netflix', nextToken: firstPage.body.nextToken });
+
+    expect(res.statusCode).toEqual(400);
+  });
+});
+
+describe(`When we invoke the GET / endpoint again`, () => {
+  it(`[int][e2e] Should return the page with an ETag and cache headers`, async () => {
+    const res = await when.we_invoke_get_index();
+
+    expect(res.headers.etag).toMatch(/^"[\w-]+"$/);
+    expect(res.headers['cache-control']).toMatch(/^public, max-age=\d+$/);
+    expect(res.headers.vary).toEqual('Accept-Encoding');
+  });
+
+  it(`[int][e2e] Should return 304 without a body when the browser has the page`, async () => {
+    const firstTime = await when.we_invoke_get_index();
+    const res = await when.we_invoke_get_index({}, { 'If-None-Match': firstTime.headers.etag });
+
+    expect(res.statusCode).toEqual(304);
+    expect(res.body).toEqual('');
+  });
+
+  it(`[int][e2e] Should return the page when the browser has another one`, async () => {
+    const search = await when.we_invoke_get_index({ theme: 'cartoon' });
+    const res = await when.we_invoke_get_index({}, { 'If-None-Match': search.headers.etag });
+
+    expect(res.statusCode).toEqual(200);
+    expect(restaurantNames(res.body)).toHaveLength(8);
+  });
+
+  // get-index runs in the test's process in integration mode, so its calls to the API can be counted
+  it(`[int] Should not get the restaurants from the API while they're cached`, async () => {
+    await when.we_invoke_get_index();
+
+    const fetchSpy = vi.spyOn(globalThis, 'fetch');
+    try {
+      const res = await when.we_invoke_get_index();
+
+      expect(restaurantNames(res.body)).toHaveLength(8);
+      const restaurantsCalls = fetchSpy.mock.calls.filter(([input]) =>
+        new Request(input).url.startsWith(process.env.restaurants_api)
+      );
+      expect(restaurantsCalls).toEqual([]);
+    } finally {
+      fetchSpy.mockRestore();
+    }
   });
 });
@@ -0,0 +1,102 @@
+// Import testing utilities from Vitest framework
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+
+// Import test helpers that simulate Lambda function invocations
+import * as when from '../steps/when.mjs';
+
+// Import test setup helpers for creating authenticated users
+import * as given from '../steps/given.mjs';
+// Import test teardown helpers for cleaning up resources after tests
+import * as teardown from '../steps/teardown.mjs';
+// Import AWS SDK client for mocking
+import { DynamoDBDocumentClient } from '@aws-sdk/lib-dynamodb';
+
+/**
+ * Test objective: Verify that the get-menu Lambda function correctly:
+ * 1. Returns a successful HTTP 200 response with the menu of a known restaurant
+ * 2. Returns menu sections whose items have an id, name, description, price (in cents) and availability
+ * 3. Returns 404 for a restaurant that doesn't exist
+ * 4. Returns 500 (without the details of the error) when something unexpected goes wrong
+ *
+ * The tests rely on the menus loaded by seed-restaurants.mjs.
+ */
+
+// Outer describe block for setting up authenticated user context
+describe('Given an authenticated user', () => {
+  // Store the authenticated user for use in tests and cleanup
+  let user;
+
+  // Before all tests: create an authenticated Cognito user
+  beforeAll(async () => {
+    user = await given.an_authenticated_user();
+  });
+
+  // After all tests: clean up by deleting the Cognito user
+  afterAll(async () => {
+    await teardown.an_authenticated_user(user);
+  });
+
+  // Test suite for the menu endpoint of a restaurant with a menu
+  describe(`When we invoke the GET /restaurants/{name}/menu endpoint for 'Fangtasia'`, () => {
+    let res;
+
+    beforeAll(async () => {
+      res = await when.we_invoke_get_menu('Fangtasia', user);
+    });
+
+    it(`[int][e2e] Should return 200`, async () => {
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.restaurantName).toEqual('Fangtasia');
+    });
+
+    it(`[int][e2e] Should return menu sections with priced items`, async () => {
+      expect(res.body.sections.length).toBeGreaterThan(0);
+
+      for (const section of res.body.sections) {
+        expect(section).toHaveProperty('name');
+
+        for (const item of section.items) {
+          expect(item).toHaveProperty('id');
+          expect(item).toHaveProperty('name');
+          expect(item).toHaveProperty('description');
+          expect(Number.isInteger(item.price)).toBe(true); // prices are in cents
+          expect(typeof item.available).toBe('boolean');
+        }
+      }
+
+      // The item IDs used by the place-order tests are on the menu
+      const itemIds = res.body.sections.flatMap((x) => x.items.map((item) => item.id));
+      expect(itemIds).toEqual(expect.arrayContaining(['tru-blood', 'garlic-free-fries']));
+    });
+  });
+
+  // Test suite for an unknown restaurant
+  describe(`When we invoke the GET /restaurants/{name}/menu endpoint for an unknown restaurant`, () => {
+    it(`[int][e2e] Should return 404`, async () => {
+      const res = await when.we_invoke_get_menu('The Krusty Krab', user);
+
+      expect(res.statusCode).toEqual(404);
+      expect(res.body.message).toEqual('restaurant [The Krusty Krab] not found');
+      expect(res.body.requestId).toBeTruthy();
+    });
+  });
+
+  // Test suite for unexpected errors (only in handler mode, where DynamoDB can be made to fail)
+  describe(`When DynamoDB fails`, () => {
+    let res;
+
+    beforeAll(async () => {
+      vi.spyOn(DynamoDBDocumentClient.prototype, 'send').mockRejectedValueOnce(new Error('DynamoDB is down'));
+      res = await when.we_invoke_get_menu('Fangtasia', user);
+    });
+
+    afterAll(() => {
+      vi.restoreAllMocks();
+    });
+
+    it(`[int] Should return 500 without the details of the error`, async () => {
+      expect(res.statusCode).toEqual(500);
+      expect(res.body).toEqual({ message: 'internal server error', requestId: expect.any(String) });
+    });
+  });
+});
@@ -0,0 +1,77 @@
+// Import testing utilities from Vitest framework
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+// Import test helpers for invoking Lambda functions
+import * as when from '../steps/when.mjs';
+// Import test setup helpers for creating authenticated users and orders
+import * as given from '../steps/given.mjs';
+// Import test teardown helpers for cleaning up resources
+import * as teardown from '../steps/teardown.mjs';
+
+/**
+ * Test suite for the get-order Lambda function
+ *
+ * This test verifies the following:
+ * 1. The owner of an order gets its status, restaurant and timestamps
+ * 2. Other users can't see the order (404, as if it didn't exist)
+ * 3. Unknown order IDs return 404
+ */
+
+// Outer describe block for setting up the users and the order
+describe('Given an authenticated user with an order', () => {
+  // The user who placed the order, and another user
+  let user, anotherUser;
+  // The order placed by the user
+  let order;
+
+  // Set up test environment before all tests
+  beforeAll(async () => {
+    user = await given.an_authenticated_user();
+    anotherUser = await given.an_authenticated_user();
+    order = await given.an_order(user, { status: 'ACCEPTED' });
+  });
+
+  // Clean up the users and the order after all tests
+  afterAll(async () => {
+    await teardown.an_order(order);
+    await teardown.an_authenticated_user(user);
+    await teardown.an_authenticated_user(anotherUser);
+  });
+
+  describe(`When the user invokes the GET /orders/{id} endpoint`, () => {
+    let resp;
+
+    beforeAll(async () => {
+      resp = await when.we_invoke_get_order(user, order.id);
+    });
+
+    it(`[int][e2e] Should return 200 with the order status`, async () => {
+      expect(resp.statusCode).toEqual(200);
+      expect(resp.body).toEqual(
+        expect.objectContaining({
+          orderId: order.id,
+          status: 'ACCEPTED',
+          restaurantName: order.restaurantName,
+          createdAt: order.createdAt,
+          updatedAt: order.updatedAt,
+          total: order.total,
+        })
+      );
+    });
+  });
+
+  describe(`When another user invokes the GET /orders/{id} endpoint`, () => {
+    it(`[int][e2e] Should return 404`, async () => {
+      const resp = await when.we_invoke_get_order(anotherUser, order.id);
+
+      expect(resp.statusCode).toEqual(404);
+    });
+  });
+
+  describe(`When the user invokes the GET /orders/{id} endpoint with an unknown order ID`, () => {
+    it(`[int][e2e] Should return 404`, async () => {
+      const resp = await when.we_invoke_get_order(user, 'not-an-order');
+
+      expect(resp.statusCode).toEqual(404);
+    });
+  });
+});
@@ -0,0 +1,90 @@
+// Import testing utilities from Vitest framework
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+// Import test helpers for invoking Lambda functions
+import * as when from '../steps/when.mjs';
+// Import test setup helpers for creating authenticated users and orders
+import * as given from '../steps/given.mjs';
+// Import test teardown helpers for cleaning up resources
+import * as teardown from '../steps/teardown.mjs';
+
+/**
+ * Test suite for the get-orders Lambda function
+ *
+ * This test verifies the following:
+ * 1. Orders are returned newest first, one page at a time, with a continuation token
+ * 2. The continuation token returns the next page
+ * 3. The status filter only returns orders with that status, even when they are not on the first page
+ * 4. Users only see their own orders
+ */
+
+describe('Given an authenticated user with 3 orders', () => {
+  let user, anotherUser;
+  let orders;
+
+  beforeAll(async () => {
+    user = await given.an_authenticated_user();
+    anotherUser = await given.an_authenticated_user();
+
+    // Oldest to newest - the oldest order is the only ACCEPTED one
+    orders = [
+      await given.an_order(user, { status: 'ACCEPTED', createdAt: '2025-01-01T10:00:00.000Z' }),
+      await given.an_order(user, { status: 'REJECTED', createdAt: '2025-01-02T10:00:00.000Z' }),
+      await given.an_order(user, { status: 'PLACED', createdAt: '2025-01-03T10:00:00.000Z' }),
+    ];
+  });
+
+  afterAll(async () => {
+    for (const order of orders) {
+      await teardown.an_order(order);
+    }
+    await teardown.an_authenticated_user(user);
+    await teardown.an_authenticated_user(anotherUser);
+  });
+
+  describe(`When the user invokes the GET /orders endpoint with limit=2`, () => {
+    let firstPage, secondPage;
+
+    beforeAll(async () => {
+      firstPage = await when.we_invoke_get_orders(user, { limit: 2 });
+      secondPage = await when.we_invoke_get_orders(user, { limit: 2, nextToken: firstPage.body.nextToken });
+    });
+
+    it(`[int][e2e] Should return the 2 newest orders and a continuation token`, async () => {
+      expect(firstPage.statusCode).toEqual(200);
+      expect(firstPage.body.orders.map((x) => x.orderId)).toEqual([orders[2].id, orders[1].id]);
+      expect(firstPage.body.nextToken).toBeTruthy();
+    });
+
+    it(`[int][e2e] Should return the oldest order on the next page`, async () => {
+      expect(secondPage.statusCode).toEqual(200);
+      expect(secondPage.body.orders.map((x) => x.orderId)).toEqual([orders[0].id]);
+      expect(secondPage.body.nextToken).toBeNull();
+    });
+  });
+
+  describe(`When the user invokes the GET /orders endpoint with status=ACCEPTED and limit=1`, () => {
+    it(`[int][e2e] Should return the ACCEPTED order`, async () => {
+      const resp = await when.we_invoke_get_orders(user, { status: 'ACCEPTED', limit: 1 });
+
+      expect(resp.statusCode).toEqual(200);
+      expect(resp.body.orders).toEqual([expect.objectContaining({ orderId: orders[0].id, status: 'ACCEPTED' })]);
+    });
+  });
+
+  describe(`When the user invokes the GET /orders endpoint with an unknown status`, () => {
+    it(`[int][e2e] Should return 400`, async () => {
+      const resp = await when.we_invoke_get_orders(user, { status: 'EATEN' });
+
+      expect(resp.statusCode).toEqual(400);
+    });
+  });
+
+  describe(`When another user invokes the GET /orders endpoint`, () => {
+    it(`[int][e2e] Should not return the user's orders`, async () => {
+      const resp = await when.we_invoke_get_orders(anotherUser);
+
+      expect(resp.statusCode).toEqual(200);
+      expect(resp.body.orders).toEqual([]);
+    });
+  });
+});
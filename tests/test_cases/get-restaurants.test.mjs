@@ -7,8 +7,12 @@ import * as when from '../steps/when.mjs';
 /**
  * Test objective: Verify that the get-restaurants Lambda function correctly:
  * 1. Returns a successful HTTP 200 response
- * 2. Returns exactly 8 restaurant objects in an array
+ * 2. Returns a page of restaurant objects, and a continuation token while there are more
  * 3. Each restaurant has the required properties (name and image)
+ * 4. Walking the pages returns all 8 restaurants exactly once
+ * 5. Rejects tampered continuation tokens and page sizes above the maximum
+ * 6. Sends an ETag and cache headers, and answers 304 when the caller already has the page
+ * 7. Returns version 1 of the response - a bare array - to the callers that don't ask for version 2
  *
  * This test directly invokes the Lambda handler to validate the core
  * functionality of retrieving restaurant data from the database.
@@ -16,21 +20,111 @@ import * as when from '../steps/when.mjs';
 
 // Test suite for the restaurants listing endpoint
 describe(`When we invoke the GET /restaurants endpoint`, () => {
-  // Test case verifying the restaurants data structure and count
+  // Test case verifying the restaurants data structure
   // Test tags in the name ([int][e2e]) indicate this test can run in both integration and e2e test modes
-  it(`[int][e2e] Should return an array of 8 restaurants`, async () => {
+  it(`[int][e2e] Should return a page of restaurants`, async () => {
     // Call the restaurants endpoint through test helper
     const res = await when.we_invoke_get_restaurants();
 
     // Verify HTTP response status is successful
     expect(res.statusCode).toEqual(200);
-    // Verify exactly 8 restaurants are returned
-    expect(res.body).toHaveLength(8);
+    expect(res.body.restaurants.length).toBeGreaterThan(0);
 
     // Verify each restaurant has the required properties
-    for (let restaurant of res.body) {
+    for (let restaurant of res.body.restaurants) {
       expect(restaurant).toHaveProperty('name'); // Each restaurant must have a name
       expect(restaurant).toHaveProperty('image'); // Each restaurant must have an image
     }
   });
+
+  // Test case walking the whole catalogue with small pages
+  it(`[int][e2e] Should return all 8 restaurants across pages`, async () => {
+    const names = [];
+    let nextToken;
+
+    do {
+      const res = await when.we_invoke_get_restaurants({ limit: 3, ...(nextToken && { nextToken }) });
+
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.restaurants.length).toBeLessThanOrEqual(3);
+
+      names.push(...res.body.restaurants.map((x) => x.name));
+      nextToken = res.body.nextToken;
+    } while (nextToken);
+
+    // Every restaurant shows up exactly once
+    expect(names).toHaveLength(8);
+    expect(new Set(names).size).toEqual(8);
+  });
+
+  // Test case verifying there's no token when nothing is left - even when the last page is full
+  it(`[int][e2e] Should return no nextToken with the last restaurants`, async () => {
+    const firstPage = await when.we_invoke_get_restaurants({ limit: 4 });
+    const lastPage = await when.we_invoke_get_restaurants({ limit: 4, nextToken: firstPage.body.nextToken });
+
+    expect(lastPage.body.restaurants).toHaveLength(4);
+    expect(lastPage.body.nextToken).toBeNull();
+  });
+
+  // Test case verifying that continuation tokens can't be edited
+  it(`[int][e2e] Should return 400 for a tampered nextToken`, async () => {
+    const firstPage = await when.we_invoke_get_restaurants({ limit: 3 });
+    const [payload, signature] = firstPage.body.nextToken.split('.');
+
+    // Point the token at another restaurant, keeping the original signature
+    const forgedPayload = Buffer.from(
+      JSON.stringify({ scope: 'get-restaurants', key: { name: 'Pizza Planet' } })
+    ).toString('base64url');
+    expect(forgedPayload).not.toEqual(payload);
+
+    const res = await when.we_invoke_get_restaurants({ nextToken: `${forgedPayload}.${signature}` });
+
+    expect(res.statusCode).toEqual(400);
+  });
+
+  // Test case verifying the page size limit
+  it(`[int][e2e] Should return 400 for a limit above the maximum`, async () => {
+    const res = await when.we_invoke_get_restaurants({ limit: 1000 });
+
+    expect(res.statusCode).toEqual(400);
+  });
+
+  // Test case verifying the cache headers
+  it(`[int][e2e] Should return the page with an ETag and cache headers`, async () => {
+    const res = await when.we_invoke_get_restaurants({ limit: 3 });
+
+    expect(res.headers.etag).toMatch(/^"[\w-]+"$/);
+    expect(res.headers['cache-control']).toEqual('private, no-cache');
+    expect(res.headers.vary).toEqual('Accept, Authorization');
+  });
+
+  // Test case verifying conditional requests
+  it(`[int][e2e] Should return 304 without a body when the page hasn't changed`, async () => {
+    const firstTime = await when.we_invoke_get_restaurants({ limit: 3 });
+    const res = await when.we_invoke_get_restaurants({ limit: 3 }, { 'If-None-Match': firstTime.headers.etag });
+
+    expect(res.statusCode).toEqual(304);
+    expect(res.body).toEqual('');
+    expect(res.headers.etag).toEqual(firstTime.headers.etag);
+  });
+
+  // Test case verifying that ETags are per page
+  it(`[int][e2e] Should return the page when the ETag is of another page`, async () => {
+    const otherPage = await when.we_invoke_get_restaurants({ limit: 2 });
+    const res = await when.we_invoke_get_restaurants({ limit: 3 }, { 'If-None-Match': otherPage.headers.etag });
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.restaurants).toHaveLength(3);
+    expect(res.headers.etag).not.toEqual(otherPage.headers.etag);
+  });
+
+  // Test case verifying the clients written before the pagination keep working
+  it(`[int][e2e] Should return a bare array of restaurants without the version 2 media type`, async () => {
+    const res = await when.we_invoke_get_restaurants({}, { Accept: 'application/json' });
+
+    expect(res.statusCode).toEqual(200);
+    expect(Array.isArray(res.body)).toBe(true);
+    expect(res.body.length).toBeGreaterThan(0);
+    expect(res.body[0]).toHaveProperty('name');
+  });
 });
@@ -18,6 +18,8 @@ import { describe, it, beforeAll, expect, vi } from 'vitest';
 
 // Import test helpers for invoking Lambda functions
 import * as when from '../steps/when';
+// Import test helpers for building the events
+import * as given from '../steps/given';
 
 // Import AWS SDK clients for mocking
 import { EventBridgeClient } from '@aws-sdk/client-eventbridge';
@@ -43,14 +45,8 @@ EventBridgeClient.prototype.send = mockEvbSend; // Replace real EventBridge clie
 describe('When we invoke the notify-restaurant function twice with the same order ID', () => {
   // Create a consistent test event with the same orderId for both invocations
   // The orderId is used by the idempotency tool to determine if an event has been processed
-  const event = {
-    source: 'big-mouth', // Event source identifier
-    'detail-type': 'order_placed', // Event type
-    detail: {
-      orderId: chance.guid(), // Same orderId for both invocations (idempotency key)
-      restaurantName: 'Fangtasia', // Restaurant name for testing
-    },
-  };
+  // Same orderId for both invocations (idempotency key)
+  const event = given.an_order_placed_event();
 
   // Set up test by invoking the function twice with identical events
   beforeAll(async () => {
@@ -85,3 +81,35 @@ describe('When we invoke the notify-restaurant function twice with the same orde
   // Idempotency testing requires direct function invocation with controlled inputs
   it('[e2e] No e2e idempotency tests - requires handler mode for precise control', () => {});
 });
+
+/**
+ * Test suite for the same order arriving in different events
+ *
+ * The outbox relay publishes at least once, and failed events are redriven from the OnFailure destination queue -
+ * the events differ (e.g. their IDs), but the restaurant must only be notified of the order once.
+ */
+describe('When we invoke the notify-restaurant function with two events of the same order', () => {
+  const orderId = chance.guid();
+
+  // Two events with different IDs, carrying the same order
+  const an_event = () => ({
+    id: chance.guid(), // EventBridge event ID
+    ...given.an_order_placed_event({ orderId }),
+  });
+
+  beforeAll(async () => {
+    mockSnsSend.mockClear();
+    mockEvbSend.mockClear();
+
+    mockSnsSend.mockReturnValue({});
+    mockEvbSend.mockReturnValue({});
+
+    await when.we_invoke_notify_restaurant(an_event());
+    await when.we_invoke_notify_restaurant(an_event());
+  });
+
+  it(`[int] Should only notify the restaurant once`, async () => {
+    expect(mockSnsSend).toHaveBeenCalledTimes(1);
+    expect(mockEvbSend).toHaveBeenCalledTimes(1);
+  });
+});
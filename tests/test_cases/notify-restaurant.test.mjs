@@ -7,6 +7,10 @@
  * 2. Invoke: Call notify-restaurant Lambda handler directly.
  * 3. Verify: Check mock function calls to ensure correct AWS service interactions.
  *
+ * Restaurants with a webhook (handler and local modes):
+ * Test → notify-restaurant Lambda → local webhook receiver (tests/webhooks.mjs) + DynamoDB (delivery attempts)
+ * The receiver verifies the signatures with the restaurant's secret, and fails requests on demand.
+ *
  * End-to-End Test Mode (TEST_MODE=http):
  * Test → EventBridge → notify-restaurant Lambda → SNS/EventBridge → SQS → Test Listener
  * 1. Setup: Start SQS message listener.
@@ -18,21 +22,40 @@
 import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
 // Import test helpers for invoking Lambda functions
 import * as when from '../steps/when';
+// Import test helpers for building the events
+import * as given from '../steps/given';
+// Import test teardown helpers for deleting the test restaurants and delivery attempts
+import * as teardown from '../steps/teardown';
 // Import SQS message listener for e2e testing (monitors SNS+EventBridge messages in test queue)
 import { startListening } from '../messages.mjs';
-// Import Chance library for generating random test data
-import { Chance } from 'chance';
+// Import the local webhook receiver, standing in for a restaurant's systems
+import { startReceiving } from '../webhooks.mjs';
+// Import metrics capture helper for checking the published metrics (handler mode)
+import { startCapturing } from '../metrics.mjs';
 // Import AWS SDK clients for mocking
 import { EventBridgeClient } from '@aws-sdk/client-eventbridge';
 import { SNSClient } from '@aws-sdk/client-sns';
-
-// Initialize Chance for random data generation
-const chance = Chance();
+// Import AWS SDK clients for reading the delivery attempts
+import { DynamoDB } from '@aws-sdk/client-dynamodb';
+import { DynamoDBDocumentClient, QueryCommand } from '@aws-sdk/lib-dynamodb';
 
 // Create mock functions for AWS service calls (used in handler mode)
 const mockEvbSend = vi.fn(); // Mock for EventBridge send method - creates an empty spy function
 const mockSnsSend = vi.fn(); // Mock for SNS send method - creates an empty spy function
 
+// Delivery attempts recorded for an order, oldest first
+const deliveriesOf = async (orderId) => {
+  const dynamodb = DynamoDBDocumentClient.from(new DynamoDB());
+  const resp = await dynamodb.send(
+    new QueryCommand({
+      TableName: process.env.notification_deliveries_table,
+      KeyConditionExpression: 'orderId = :orderId',
+      ExpressionAttributeValues: { ':orderId': orderId },
+    })
+  );
+  return resp.Items;
+};
+
 /**
  * Test suite for the notify-restaurant Lambda function
  *
@@ -40,28 +63,24 @@ const mockSnsSend = vi.fn(); // Mock for SNS send method - creates an empty spy
  * 1. Publishes a notification message to the SNS topic
  * 2. Publishes a restaurant_notified event to EventBridge
  * 3. Handles the event correctly (no errors)
+ * 4. Passes the correlation ID of the order on in the SNS message attributes and in the event
+ * 5. Counts the notification with the RestaurantNotified metric
  *
  * Integration tests (handler mode): uses mocks for AWS service calls.
  * E2E tests (http mode): starts a listener for SQS messages and verifies that the correct SNS and EventBridge messages are published.
  */
 describe(`When we invoke the notify-restaurant function`, () => {
-  // Sample EventBridge event for testing
-  const event = {
-    source: 'big-mouth', // Event source identifier
-    'detail-type': 'order_placed', // Event type
-    detail: {
-      // Event payload
-      orderId: chance.guid(), // Random order ID
-      restaurantName: 'Fangtasia', // Restaurant name for testing
-    },
-  };
+  // Sample EventBridge event for testing - an order of Fangtasia, with the correlation ID set by place-order
+  const event = given.an_order_placed_event();
 
   // SQS message listener in e2e mode
   let listener;
+  // Metrics published by the function
+  let metrics;
 
   // Set up test environment before all tests
   beforeAll(async () => {
-    if (process.env.TEST_MODE === 'handler') {
+    if (process.env.TEST_MODE !== 'http') {
       // Integration tests
       EventBridgeClient.prototype.send = mockEvbSend; // Replace real EventBridge.send()
       SNSClient.prototype.send = mockSnsSend; // Replace real SNS.send()
@@ -75,12 +94,14 @@ describe(`When we invoke the notify-restaurant function`, () => {
     }
 
     // Invoke the notify-restaurant function with the test event
+    metrics = startCapturing();
     await when.we_invoke_notify_restaurant(event);
+    metrics.stop();
   });
 
   // Clean up after all tests
   afterAll(async () => {
-    if (process.env.TEST_MODE === 'handler') {
+    if (process.env.TEST_MODE !== 'http') {
       // Integration tests: Clear mock call history
       mockEvbSend.mockClear();
       mockSnsSend.mockClear();
@@ -107,6 +128,10 @@ describe(`When we invoke the notify-restaurant function`, () => {
     expect(publishCmd.input).toEqual({
       Message: expect.stringMatching(`"restaurantName":"Fangtasia"`), // Message includes restaurant name
       TopicArn: expect.stringMatching(process.env.restaurant_notification_topic), // Correct SNS topic
+      MessageAttributes: {
+        // Correlation ID passed on to the subscribers
+        correlationId: { DataType: 'String', StringValue: event.detail.correlationId },
+      },
     });
   });
 
@@ -129,6 +154,13 @@ describe(`When we invoke the notify-restaurant function`, () => {
         }),
       ],
     });
+    // The correlation ID of the order is passed on
+    expect(JSON.parse(putEventsCmd.input.Entries[0].Detail).correlationId).toEqual(event.detail.correlationId);
+  });
+
+  // Verify the RestaurantNotified metric (written to stdout in handler mode)
+  it(`[int] Should count the notification`, async () => {
+    expect(metrics.metric('RestaurantNotified')).toEqual([expect.objectContaining({ unit: 'Count', value: 1 })]);
   });
 
   // -------------------------------
@@ -148,7 +180,8 @@ describe(`When we invoke the notify-restaurant function`, () => {
       (x) =>
         x.sourceType === 'sns' && // Message came from SNS
         x.source === process.env.restaurant_notification_topic && // From correct SNS topic ARN
-        x.message === expectedMsg // Contains expected content
+        x.message === expectedMsg && // Contains expected content
+        x.messageAttributes?.correlationId?.Value === event.detail.correlationId // Carries the correlation ID
     );
   }, 10000); // 10 second timeout for message delivery
 
@@ -170,3 +203,157 @@ describe(`When we invoke the notify-restaurant function`, () => {
     );
   }, 10000);
 });
+
+/**
+ * Test suite for the notify-restaurant Lambda function, with restaurants that have a webhook
+ *
+ * This test verifies that the function:
+ * 1. POSTs the order to the webhook, signed with the restaurant's secret, instead of publishing it to SNS
+ * 2. Retries failed requests, and records every attempt
+ * 3. Fails the invocation - without publishing the restaurant_notified event - when the restaurant won't accept it
+ *
+ * Integration tests only: a deployed function can't reach the local receiver.
+ */
+describe('Given a restaurant with a webhook', () => {
+  const secret = 'whsec_test';
+  let receiver, restaurant;
+  // Orders of the tests, whose delivery attempts are deleted at the end
+  const orderIds = [];
+
+  const an_order_placed_event = () => {
+    const event = given.an_order_placed_event({ restaurantName: restaurant.name });
+    orderIds.push(event.detail.orderId);
+    return event;
+  };
+  const requestsAbout = (event) => receiver.requests.filter((x) => x.body.orderId === event.detail.orderId);
+
+  beforeAll(async () => {
+    if (process.env.TEST_MODE === 'http') {
+      return;
+    }
+
+    EventBridgeClient.prototype.send = mockEvbSend; // Replace real EventBridge.send()
+    SNSClient.prototype.send = mockSnsSend; // Replace real SNS.send()
+    mockEvbSend.mockReturnValue({});
+    mockSnsSend.mockReturnValue({});
+
+    receiver = await startReceiving({ secret });
+    restaurant = await given.a_restaurant({ webhook: { url: receiver.url, secret } });
+  });
+
+  afterAll(async () => {
+    if (process.env.TEST_MODE === 'http') {
+      return;
+    }
+
+    await receiver.stop();
+    for (const orderId of orderIds) {
+      await teardown.the_notification_deliveries({ id: orderId });
+    }
+    await teardown.a_restaurant(restaurant);
+  });
+
+  describe('When an order is placed with the restaurant', () => {
+    // Built once the restaurant exists
+    const event = {};
+
+    beforeAll(async () => {
+      if (process.env.TEST_MODE === 'http') {
+        return;
+      }
+
+      mockEvbSend.mockClear();
+      mockSnsSend.mockClear();
+      Object.assign(event, an_order_placed_event());
+      await when.we_invoke_notify_restaurant(event);
+    });
+
+    it(`[int] Should POST the order to the webhook, signed with the restaurant's secret`, async () => {
+      expect(requestsAbout(event)).toEqual([
+        expect.objectContaining({ body: event.detail, verified: true, status: 200 }),
+      ]);
+    });
+
+    it(`[int] Should not publish the order to SNS`, async () => {
+      expect(mockSnsSend).not.toHaveBeenCalled();
+    });
+
+    it(`[int] Should publish the restaurant_notified event`, async () => {
+      expect(mockEvbSend).toHaveBeenCalledTimes(1);
+      expect(mockEvbSend.mock.calls[0][0].input.Entries[0].DetailType).toEqual('restaurant_notified');
+    });
+
+    it(`[int] Should record the delivery`, async () => {
+      expect(await deliveriesOf(event.detail.orderId)).toEqual([
+        expect.objectContaining({
+          channel: 'restaurant_webhook',
+          type: 'order_placed',
+          address: receiver.url,
+          attempt: 1,
+          status: 'DELIVERED',
+        }),
+      ]);
+    });
+  });
+
+  describe('When the webhook fails, then recovers', () => {
+    const event = {};
+
+    beforeAll(async () => {
+      if (process.env.TEST_MODE === 'http') {
+        return;
+      }
+
+      Object.assign(event, an_order_placed_event());
+      receiver.respondWith(503, 503);
+      await when.we_invoke_notify_restaurant(event);
+    });
+
+    it(`[int] Should retry until the order is delivered`, async () => {
+      expect(requestsAbout(event).map((x) => x.status)).toEqual([503, 503, 200]);
+    });
+
+    it(`[int] Should record every attempt`, async () => {
+      const deliveries = await deliveriesOf(event.detail.orderId);
+
+      expect(deliveries.map(({ attempt, status }) => ({ attempt, status }))).toEqual([
+        { attempt: 1, status: 'FAILED' },
+        { attempt: 2, status: 'FAILED' },
+        { attempt: 3, status: 'DELIVERED' },
+      ]);
+      expect(deliveries[0].error).toMatch('503');
+    });
+  });
+
+  describe(`When the restaurant doesn't accept the signature`, () => {
+    const event = {};
+    let error;
+
+    beforeAll(async () => {
+      if (process.env.TEST_MODE === 'http') {
+        return;
+      }
+
+      // The restaurant rotated its secret, but the record still has the old one
+      await given.a_restaurant({ ...restaurant, webhook: { url: receiver.url, secret: 'whsec_old' } });
+      mockEvbSend.mockClear();
+
+      Object.assign(event, an_order_placed_event());
+      error = await when.we_invoke_notify_restaurant(event).catch((x) => x);
+
+      await given.a_restaurant(restaurant);
+    });
+
+    it(`[int] Should fail the invocation without retrying`, async () => {
+      expect(error).toBeInstanceOf(Error);
+      expect(requestsAbout(event)).toEqual([expect.objectContaining({ verified: false, status: 401 })]);
+      expect(await deliveriesOf(event.detail.orderId)).toEqual([
+        expect.objectContaining({ attempt: 1, status: 'FAILED', error: expect.stringMatching('401') }),
+      ]);
+    });
+
+    it(`[int] Should not publish the restaurant_notified event`, async () => {
+      expect(mockEvbSend).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,227 @@
+/**
+ * Test Flow Overview
+ *
+ * Integration Test Mode (TEST_MODE=handler and TEST_MODE=local):
+ * Test → notify-user Lambda → DynamoDB (order, delivery attempts) + Cognito (customer) → local channels
+ * The function delivers on its local, in-memory channels (functions/notify-user/channels.mjs), so no customer is
+ * emailed or texted - the test checks the messages they kept. In handler mode, the configuration is mocked (SSM), so
+ * the tests don't depend on the channels configured in the stage.
+ *
+ * There are no e2e tests: the deployed function emails and texts real customers.
+ */
+
+// Import testing utilities from Vitest framework
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+// Generates the IDs of the SNS messages
+import { randomUUID } from 'node:crypto';
+// Import test helpers for invoking Lambda functions
+import * as when from '../steps/when.mjs';
+// Import test setup helpers for creating authenticated users and orders
+import * as given from '../steps/given.mjs';
+// Import test teardown helpers for cleaning up resources
+import * as teardown from '../steps/teardown.mjs';
+// Import AWS SDK clients for mocking the configuration and reading the delivery attempts
+import { SSMClient } from '@aws-sdk/client-ssm';
+import { DynamoDB } from '@aws-sdk/client-dynamodb';
+import { DynamoDBDocumentClient, QueryCommand } from '@aws-sdk/lib-dynamodb';
+// Import the local channels of the function, to check the messages they kept
+import { localChannels, sentMessages } from '../../functions/notify-user/channels.mjs';
+
+// Deliver on the local channels - read when the function is imported
+process.env.notification_adapters = 'local';
+
+// Configuration of the function in handler mode (the local environment has the same)
+const config = {
+  channels: ['email', 'sms', 'webhook'],
+  senderEmail: 'orders@big-mouth.local',
+  webhookUrl: 'https://hooks.big-mouth.local/order-updates',
+};
+const mockSsmSend = vi.fn();
+
+// Messages kept by the local channels about an order
+const messagesAbout = (order) => sentMessages.filter((x) => x.message.orderId === order.id);
+
+// Delivery attempts recorded for an order
+const deliveriesOf = async (order) => {
+  const dynamodb = DynamoDBDocumentClient.from(new DynamoDB());
+  const resp = await dynamodb.send(
+    new QueryCommand({
+      TableName: process.env.notification_deliveries_table,
+      KeyConditionExpression: 'orderId = :orderId',
+      ExpressionAttributeValues: { ':orderId': order.id },
+    })
+  );
+  return resp.Items;
+};
+
+/**
+ * Test suite for the notify-user Lambda function
+ *
+ * This test verifies the following:
+ * 1. The customer who placed the order gets the rendered message of the outcome, on the channels they can be reached on
+ * 2. Every delivery attempt is recorded, delivered or failed
+ * 3. A failed channel fails the invocation, and its retry only delivers on the channels that failed
+ * 4. Notifications of unknown orders are dropped
+ */
+describe('Given a customer with an order at Fangtasia', () => {
+  let customer;
+  // Orders created by the tests, deleted at the end
+  const orders = [];
+  // Original SSMClient.send, restored at the end
+  const send = SSMClient.prototype.send;
+
+  const an_order = async (props) => {
+    const order = await given.an_order(customer, props);
+    orders.push(order);
+    return order;
+  };
+
+  beforeAll(async () => {
+    if (process.env.TEST_MODE === 'handler') {
+      SSMClient.prototype.send = mockSsmSend; // Replace real SSMClient.send()
+      mockSsmSend.mockResolvedValue({
+        Parameters: [
+          {
+            Name: `/${process.env.service_name}/${process.env.ssm_stage_name}/notify-user/config`,
+            Value: JSON.stringify(config),
+          },
+        ],
+        InvalidParameters: [],
+      });
+    }
+
+    customer = await given.an_authenticated_user();
+  });
+
+  afterAll(async () => {
+    SSMClient.prototype.send = send;
+    for (const order of orders) {
+      await teardown.the_notification_deliveries(order);
+      await teardown.an_order(order);
+    }
+    await teardown.an_authenticated_user(customer);
+  });
+
+  describe('When the order is confirmed', () => {
+    let order;
+
+    beforeAll(async () => {
+      order = await an_order({ status: 'ACCEPTED', estimatedPrepMinutes: 20 });
+      await when.we_invoke_notify_user({ order_id: order.id, notification_message: 'Order confirmed' });
+    });
+
+    it(`[int] Should email the customer`, async () => {
+      const emails = messagesAbout(order).filter((x) => x.channel === 'email');
+
+      expect(emails).toEqual([
+        {
+          channel: 'email',
+          address: `${customer.firstName}-${customer.lastName}@big-mouth.com`,
+          message: {
+            type: 'order_confirmed',
+            orderId: order.id,
+            subject: 'Your order from Fangtasia is confirmed',
+            text: `Hi ${customer.firstName}, Fangtasia accepted your order ($9.72) - it will be ready in about 20 minutes.`,
+          },
+        },
+      ]);
+    });
+
+    it(`[int] Should call the webhook`, async () => {
+      const calls = messagesAbout(order).filter((x) => x.channel === 'webhook');
+
+      expect(calls).toEqual([
+        expect.objectContaining({
+          address: config.webhookUrl,
+          message: expect.objectContaining({ orderId: order.id }),
+        }),
+      ]);
+    });
+
+    it(`[int] Should not text a customer without a verified phone number`, async () => {
+      expect(messagesAbout(order).filter((x) => x.channel === 'sms')).toEqual([]);
+    });
+
+    it(`[int] Should record the delivery attempts`, async () => {
+      const deliveries = await deliveriesOf(order);
+
+      expect(deliveries).toHaveLength(2);
+      expect(deliveries).toEqual(
+        expect.arrayContaining([
+          expect.objectContaining({ channel: 'email', status: 'DELIVERED', type: 'order_confirmed' }),
+          expect.objectContaining({ channel: 'webhook', status: 'DELIVERED', type: 'order_confirmed' }),
+        ])
+      );
+    });
+  });
+
+  describe('When the order is declined', () => {
+    let order;
+
+    beforeAll(async () => {
+      order = await an_order({ status: 'REJECTED', rejectReason: 'Out of Tru Blood' });
+      await when.we_invoke_notify_user({ order_id: order.id, notification_message: 'Order declined' });
+    });
+
+    it(`[int] Should tell the customer why`, async () => {
+      const [email] = messagesAbout(order).filter((x) => x.channel === 'email');
+
+      expect(email.message.subject).toEqual('Your order from Fangtasia was declined');
+      expect(email.message.text).toEqual(
+        `Hi ${customer.firstName}, sorry - Fangtasia can't take your order ($9.72): Out of Tru Blood.`
+      );
+    });
+  });
+
+  describe('When a channel fails', () => {
+    let order, error, deliver;
+    const messageId = randomUUID();
+
+    beforeAll(async () => {
+      order = await an_order({ status: 'TIMED_OUT' });
+      deliver = vi.spyOn(localChannels.webhook, 'deliver').mockRejectedValueOnce(new Error('webhook answered 503'));
+
+      const message = { order_id: order.id, notification_message: 'Order expired' };
+      error = await when.we_invoke_notify_user(message, { messageId }).catch((x) => x);
+    });
+
+    afterAll(() => {
+      deliver.mockRestore();
+    });
+
+    it(`[int] Should fail the invocation, after delivering on the other channels`, async () => {
+      expect(error).toBeInstanceOf(Error);
+      expect(messagesAbout(order).map((x) => x.channel)).toEqual(['email']);
+    });
+
+    it(`[int] Should record the failed attempt`, async () => {
+      const deliveries = await deliveriesOf(order);
+
+      expect(deliveries).toEqual(
+        expect.arrayContaining([
+          expect.objectContaining({ channel: 'webhook', status: 'FAILED', error: 'webhook answered 503' }),
+        ])
+      );
+    });
+
+    it(`[int] Should only deliver on the failed channel when Lambda retries`, async () => {
+      await when.we_invoke_notify_user({ order_id: order.id, notification_message: 'Order expired' }, { messageId });
+
+      expect(messagesAbout(order).map((x) => x.channel)).toEqual(['email', 'webhook']);
+      const deliveries = await deliveriesOf(order);
+      expect(deliveries.filter((x) => x.channel === 'webhook').map((x) => x.status)).toEqual(
+        expect.arrayContaining(['FAILED', 'DELIVERED'])
+      );
+    });
+  });
+
+  describe('When the order is unknown', () => {
+    it(`[int] Should drop the notification`, async () => {
+      const before = sentMessages.length;
+
+      await when.we_invoke_notify_user({ order_id: randomUUID(), notification_message: 'Order confirmed' });
+
+      expect(sentMessages).toHaveLength(before);
+    });
+  });
+});
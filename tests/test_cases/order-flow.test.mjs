@@ -0,0 +1,210 @@
+/**
+ * Test Flow Overview
+ *
+ * Integration Test Mode (TEST_MODE=handler):
+ * Test → order flow state machine (offline simulator, tests/step-functions.mjs) → DynamoDB, EventBridge and SNS fakes
+ * The definition (terraform/state_machines/order-flow.asl.json) runs as it is deployed, and the test answers the
+ * "Notify restaurant" step the way respond-to-order, cancel-order and save-task-token do (or lets it time out).
+ * The items written, the events published and the messages sent are checked exactly.
+ *
+ * There are no end-to-end tests here: the start-order-flow tests follow a deployed execution to the
+ * "Notify restaurant" step, and the respond-to-order tests resume it.
+ */
+
+// Import testing utilities from Vitest framework
+import { describe, it, expect, beforeAll } from 'vitest';
+// Import the offline Step Functions simulator
+import { loadStateMachine, createFakes, startExecution } from '../step-functions.mjs';
+// Import the event contracts
+import { readEventDetail } from '../../functions/lib/events.mjs';
+// Import Chance library for generating random IDs
+import { Chance } from 'chance';
+
+const chance = Chance();
+
+// Template variables of the definition (as terraform renders it)
+const ORDERS_TABLE_NAME = 'orders';
+const EVENT_BUS_NAME = 'order-events';
+const RESTAURANT_TOPIC_ARN = 'arn:aws:sns:us-east-1:123456789012:restaurant-notifications';
+const USER_TOPIC_ARN = 'arn:aws:sns:us-east-1:123456789012:user-notifications';
+
+const definition = loadStateMachine('terraform/state_machines/order-flow.asl.json', {
+  ORDERS_TABLE_NAME,
+  EVENT_BUS_NAME,
+  RESTAURANT_TOPIC_ARN,
+  USER_TOPIC_ARN,
+});
+
+// Runs the order flow of a placed order, with the restaurant's answer (or none - { timeout: true }) - or a function
+// that returns the answer, given { fakes, orderId } (e.g. to change the order while the flow waits)
+const an_order_flow = async (answer, { correlationId = chance.guid() } = {}) => {
+  const orderId = chance.guid();
+  const fakes = createFakes();
+  // The order, as place-order saved it
+  fakes.dynamodb.putItem(ORDERS_TABLE_NAME, { id: orderId }, { status: 'PLACED', taskToken: chance.guid() });
+
+  // The notification of the restaurant, with the task token (as notify-restaurant's subscribers get it)
+  let notification;
+  const execution = await startExecution(definition, {
+    name: orderId, // As start-order-flow names it
+    input: correlationId ? { order_id: orderId, correlation_id: correlationId } : { order_id: orderId },
+    fakes,
+    callbacks: {
+      'Notify restaurant': ({ arguments: args }) => {
+        notification = args;
+        return typeof answer === 'function' ? answer({ fakes, orderId }) : answer;
+      },
+    },
+  });
+
+  return { orderId, correlationId, fakes, execution, notification };
+};
+
+/**
+ * Test suite for the order flow state machine
+ *
+ * This test verifies the following:
+ * 1. The restaurant is notified of the order, with a task token
+ * 2. An accepted, rejected or timed out order is updated, its event published, and the user notified
+ * 3. A cancelled order ends the flow, without updates (cancel-order did them)
+ * 4. An order that is no longer PLACED when the flow resumes (or times out) is left as it is
+ * 5. The correlation ID of the order is carried to every event and message
+ */
+describe('Given the order flow state machine', () => {
+  describe.each([
+    ['ACCEPTED', { output: { isAccepted: true, estimatedPrepMinutes: 20 } }, 'order_accepted', 'Order confirmed'],
+    ['REJECTED', { output: { isAccepted: false, reason: 'Out of stock' } }, 'order_rejected', 'Order declined'],
+    ['TIMED_OUT', { timeout: true }, 'order_timed_out', 'Order expired'],
+  ])('When the order ends up %s', (status, answer, detailType, notificationMessage) => {
+    let flow;
+
+    beforeAll(async () => {
+      flow = await an_order_flow(answer);
+    });
+
+    it(`[int] Should notify the restaurant with a task token`, async () => {
+      const [message] = flow.fakes.sns.messages;
+
+      expect(message).toEqual({
+        TopicArn: RESTAURANT_TOPIC_ARN,
+        Message: JSON.stringify({ order_id: flow.orderId, task_token: flow.notification.Message.task_token }),
+        MessageAttributes: { correlationId: { DataType: 'String', StringValue: flow.correlationId } },
+      });
+      expect(flow.notification.Message.task_token).toEqual(expect.any(String));
+    });
+
+    it(`[int] Should update the order to ${status}`, async () => {
+      expect(flow.fakes.dynamodb.getItem(ORDERS_TABLE_NAME, { id: flow.orderId })).toEqual({
+        id: flow.orderId,
+        status,
+        updatedAt: expect.any(String),
+        // The task token is removed - the order can't be answered anymore
+      });
+    });
+
+    it(`[int] Should publish an ${detailType} event`, async () => {
+      expect(flow.fakes.eventBridge.events).toEqual([
+        {
+          Source: 'big-mouth',
+          DetailType: detailType,
+          Detail: { schemaVersion: 2, orderId: flow.orderId, correlationId: flow.correlationId },
+          EventBusName: EVENT_BUS_NAME,
+        },
+      ]);
+
+      // The event matches its contract
+      const [entry] = flow.fakes.eventBridge.events;
+      expect(() => readEventDetail({ 'detail-type': entry.DetailType, detail: entry.Detail })).not.toThrow();
+    });
+
+    it(`[int] Should notify the user`, async () => {
+      expect(flow.fakes.sns.messages).toHaveLength(2);
+
+      expect(flow.fakes.sns.messages[1]).toEqual({
+        TopicArn: USER_TOPIC_ARN,
+        Message: JSON.stringify({ order_id: flow.orderId, notification_message: notificationMessage }),
+        MessageAttributes: { correlationId: { DataType: 'String', StringValue: flow.correlationId } },
+      });
+    });
+
+    if (status === 'TIMED_OUT') {
+      it(`[int] Should fail the execution with OrderTimeout`, async () => {
+        expect(flow.execution).toMatchObject({ status: 'FAILED', error: 'OrderTimeout' });
+      });
+    } else {
+      it(`[int] Should succeed`, async () => {
+        expect(flow.execution).toMatchObject({ status: 'SUCCEEDED', output: { order_id: flow.orderId } });
+      });
+    }
+  });
+
+  describe('When the order is cancelled', () => {
+    let flow;
+
+    beforeAll(async () => {
+      // As cancel-order and save-task-token resume the flow
+      flow = await an_order_flow({ output: { isCancelled: true } });
+    });
+
+    it(`[int] Should end the flow in the "Order cancelled" state`, async () => {
+      expect(flow.execution.status).toEqual('SUCCEEDED');
+      expect(flow.execution.states.at(-1)).toEqual('Order cancelled');
+    });
+
+    it(`[int] Should leave the order as it is`, async () => {
+      expect(flow.fakes.dynamodb.getItem(ORDERS_TABLE_NAME, { id: flow.orderId })).toMatchObject({ status: 'PLACED' });
+    });
+
+    it(`[int] Should publish no events, and only notify the restaurant`, async () => {
+      expect(flow.fakes.eventBridge.events).toEqual([]);
+      expect(flow.fakes.sns.messages.map((x) => x.TopicArn)).toEqual([RESTAURANT_TOPIC_ARN]);
+    });
+  });
+
+  describe('When the order was cancelled without resuming its flow, and the flow times out', () => {
+    let flow;
+
+    beforeAll(async () => {
+      // As when cancel-order marked the order CANCELLED, but failed to resume the flow (SendTaskSuccess)
+      flow = await an_order_flow(({ fakes, orderId }) => {
+        fakes.dynamodb.putItem(ORDERS_TABLE_NAME, { id: orderId }, { status: 'CANCELLED' });
+        return { timeout: true };
+      });
+    });
+
+    it(`[int] Should leave the order CANCELLED`, async () => {
+      expect(flow.fakes.dynamodb.getItem(ORDERS_TABLE_NAME, { id: flow.orderId })).toEqual({
+        id: flow.orderId,
+        status: 'CANCELLED',
+      });
+    });
+
+    it(`[int] Should publish no events, and only notify the restaurant`, async () => {
+      expect(flow.fakes.eventBridge.events).toEqual([]);
+      expect(flow.fakes.sns.messages.map((x) => x.TopicArn)).toEqual([RESTAURANT_TOPIC_ARN]);
+    });
+
+    it(`[int] Should end the flow in the "Order no longer placed" state`, async () => {
+      expect(flow.execution.status).toEqual('SUCCEEDED');
+      expect(flow.execution.states.at(-1)).toEqual('Order no longer placed');
+    });
+  });
+
+  describe('When the execution has no correlation ID', () => {
+    let flow;
+
+    beforeAll(async () => {
+      // As executions started before correlation IDs were introduced
+      flow = await an_order_flow({ output: { isAccepted: true } }, { correlationId: null });
+    });
+
+    it(`[int] Should use the execution name (the order ID)`, async () => {
+      const [event] = flow.fakes.eventBridge.events;
+      expect(event.Detail.correlationId).toEqual(flow.orderId);
+
+      for (const message of flow.fakes.sns.messages) {
+        expect(message.MessageAttributes.correlationId.StringValue).toEqual(flow.orderId);
+      }
+    });
+  });
+});
@@ -0,0 +1,184 @@
+/**
+ * Test Flow Overview
+ *
+ * Local Test Mode (TEST_MODE=local):
+ * Test → local API Gateway → place-order Lambda → outbox → relay-outbox Lambda → EventBridge
+ *      → notify-restaurant, seed-orders and start-order-flow Lambdas → order flow state machine → SNS
+ *      → save-task-token Lambda → (restaurant answers) → respond-to-order Lambda → order flow state machine
+ *      → SNS → notify-user Lambda, and EventBridge → push-order-status Lambda → the customer's open page (WebSocket)
+ * The whole journey of an order, end to end, against the fakes of the local environment (tests/local/): every
+ * function, rule, subscription, stream and state is the deployed one, and the test settles the environment after each
+ * request, to see everything the request set off.
+ *
+ * The same journey is covered piecewise by the e2e tests (start-order-flow, respond-to-order) in a deployed stage.
+ */
+
+// Import testing utilities from Vitest framework
+import { describe, it, expect, beforeAll } from 'vitest';
+// Import test helpers for invoking Lambda functions
+import * as when from '../steps/when.mjs';
+// Import test setup helpers for creating authenticated users
+import * as given from '../steps/given.mjs';
+// Import the local environment, to settle it and inspect its fakes
+import { localEnvironment } from '../local/environment.mjs';
+// Import the local WebSocket API, to keep the landing page of the customer open
+import { connect } from '../local/websocket.mjs';
+// Import the local channels of notify-user, to see what the customer was told
+import { sentMessages } from '../../functions/notify-user/channels.mjs';
+
+const executionArnOf = (orderId) =>
+  `${process.env.order_flow_state_machine_arn.replace(':stateMachine:', ':execution:')}:${orderId}`;
+
+// Places an order with Fangtasia, and lets the environment settle - the order flow waits for the restaurant
+const an_order_placed = async (customer) => {
+  const resp = await when.we_invoke_place_order(customer, 'Fangtasia', [{ itemId: 'tru-blood', quantity: 2 }]);
+  await localEnvironment().settle();
+  return resp;
+};
+
+// Messages published to a topic about an order
+const messagesAbout = (topicArn, orderId) =>
+  localEnvironment()
+    .sns.messages.filter((x) => x.TopicArn === topicArn)
+    .map((x) => JSON.parse(x.Message))
+    .filter((x) => (x.order_id ?? x.orderId) === orderId);
+
+// Types of the messages the customer got about an order, on a channel
+const customerMessagesAbout = (orderId, channel) =>
+  sentMessages.filter((x) => x.message.orderId === orderId && x.channel === channel).map((x) => x.message.type);
+
+// Events published about an order
+const eventsAbout = (orderId) => localEnvironment().eventBridge.events.filter((x) => x.detail.orderId === orderId);
+
+/**
+ * Test suite for the journey of an order
+ *
+ * This test verifies the following:
+ * 1. A placed order is relayed to EventBridge, notifies the restaurant and starts the order flow, which waits for the
+ *    restaurant with a task token saved on the order
+ * 2. An accepted order is confirmed to the customer (by email, and live on their open page), with an order_accepted
+ *    event
+ * 3. An order nobody answers times out, and can't be answered anymore
+ * 4. Nothing on the way fails
+ */
+describe('Given a customer and a restaurant user of Fangtasia', () => {
+  let customer, restaurantUser, page;
+
+  beforeAll(async () => {
+    customer = await given.an_authenticated_user();
+    restaurantUser = await given.a_restaurant_user('Fangtasia');
+    // The landing page of the customer, connected to the WebSocket API for the status of their orders
+    page = await connect(`${process.env.websocket_url}?token=${encodeURIComponent(customer.idToken)}`, {
+      apiGateway: localEnvironment().apiGateway,
+    });
+  });
+
+  describe('When the customer places an order', () => {
+    let resp, orderId;
+
+    beforeAll(async () => {
+      resp = await an_order_placed(customer);
+      orderId = resp.body.orderId;
+    });
+
+    it(`[local] Should place the order`, async () => {
+      expect(resp.statusCode).toEqual(200);
+
+      const orderResp = await when.we_invoke_get_order(customer, orderId);
+      expect(orderResp.body).toMatchObject({ orderId, status: 'PLACED' });
+    });
+
+    it(`[local] Should publish the order_placed event through the outbox`, async () => {
+      expect(eventsAbout(orderId).map((x) => x['detail-type'])).toEqual(['order_placed', 'restaurant_notified']);
+    });
+
+    it(`[local] Should notify the restaurant, and wait for its answer with a task token`, async () => {
+      const [order, notification] = messagesAbout(process.env.restaurant_notification_topic, orderId);
+      expect(order).toMatchObject({ orderId, restaurantName: 'Fangtasia' });
+      expect(notification).toEqual({ order_id: orderId, task_token: expect.any(String) });
+
+      const execution = localEnvironment().stepFunctions.executions.get(executionArnOf(orderId));
+      expect(execution.status).toEqual('RUNNING');
+      expect(execution.waiting.taskToken).toEqual(notification.task_token);
+
+      // save-task-token saved it on the order, for the restaurant's answer
+      const [item] = localEnvironment()
+        .dynamodb.items(process.env.orders_table)
+        .filter((x) => x.id === orderId);
+      expect(item.taskToken).toEqual(notification.task_token);
+    });
+
+    describe('When the restaurant accepts the order', () => {
+      let acceptResp;
+
+      beforeAll(async () => {
+        acceptResp = await when.we_invoke_respond_to_order(restaurantUser, orderId, 'accept', {
+          estimatedPrepMinutes: 20,
+        });
+        await localEnvironment().settle();
+      });
+
+      it(`[local] Should accept the order, with the prep time`, async () => {
+        expect(acceptResp.statusCode).toEqual(200);
+
+        const orderResp = await when.we_invoke_get_order(customer, orderId);
+        expect(orderResp.body).toMatchObject({ orderId, status: 'ACCEPTED', estimatedPrepMinutes: 20 });
+      });
+
+      it(`[local] Should end the order flow, with an order_accepted event and the customer notified`, async () => {
+        const execution = localEnvironment().stepFunctions.executions.get(executionArnOf(orderId));
+        expect(execution.status).toEqual('SUCCEEDED');
+
+        expect(eventsAbout(orderId).map((x) => x['detail-type'])).toContain('order_accepted');
+        expect(messagesAbout(process.env.user_notification_topic, orderId)).toEqual([
+          { order_id: orderId, notification_message: 'Order confirmed' },
+        ]);
+      });
+
+      it(`[local] Should email the customer the confirmation`, async () => {
+        expect(customerMessagesAbout(orderId, 'email')).toEqual(['order_confirmed']);
+      });
+
+      it(`[local] Should show the accepted order on the customer's page`, async () => {
+        expect(page.messages.filter((x) => x.orderId === orderId)).toEqual([
+          expect.objectContaining({ type: 'order_status', status: 'ACCEPTED', estimatedPrepMinutes: 20 }),
+        ]);
+      });
+    });
+  });
+
+  describe('When nobody answers an order', () => {
+    let orderId;
+
+    beforeAll(async () => {
+      const resp = await an_order_placed(customer);
+      orderId = resp.body.orderId;
+
+      localEnvironment().stepFunctions.timeOut(executionArnOf(orderId));
+      await localEnvironment().settle();
+    });
+
+    it(`[local] Should time out the order, and notify the customer`, async () => {
+      const orderResp = await when.we_invoke_get_order(customer, orderId);
+      expect(orderResp.body).toMatchObject({ orderId, status: 'TIMED_OUT' });
+
+      expect(eventsAbout(orderId).map((x) => x['detail-type'])).toContain('order_timed_out');
+      expect(messagesAbout(process.env.user_notification_topic, orderId)).toEqual([
+        { order_id: orderId, notification_message: 'Order expired' },
+      ]);
+      expect(customerMessagesAbout(orderId, 'email')).toEqual(['order_expired']);
+    });
+
+    it(`[local] Should refuse the restaurant's late answer with 410`, async () => {
+      const resp = await when.we_invoke_respond_to_order(restaurantUser, orderId, 'accept', {
+        estimatedPrepMinutes: 20,
+      });
+
+      expect(resp.statusCode).toEqual(410);
+    });
+  });
+
+  it(`[local] Should not fail any invocation on the way`, async () => {
+    expect(localEnvironment().failures).toEqual([]);
+  });
+});
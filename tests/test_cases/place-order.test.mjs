@@ -8,16 +8,34 @@ import * as given from '../steps/given.mjs';
 import * as teardown from '../steps/teardown.mjs';
 // Import SQS message listener for e2e testing (monitors EventBridge messages in test queue)
 import { startListening } from '../messages.mjs';
+// Import metrics capture helper for checking the published metrics (handler mode)
+import { startCapturing } from '../metrics.mjs';
+// Import Chance library for generating random correlation IDs
+import { Chance } from 'chance';
+
+const chance = Chance();
 
 /**
  * Test suite for the place-order Lambda function
  *
  * This test verifies the following:
  * 1. Returns a successful HTTP 200 response
- * 2. Publishes an order_placed event to EventBridge with the correct data
- *    Test → place-order Lambda → EventBridge → test SQS → Test Listener
+ * 2. Prices the cart on the server (subtotal, tax and total)
+ * 3. Saves the order in the orders table (PLACED), before anything else learns about it
+ * 4. Publishes an order_placed event to EventBridge with the priced cart, through the outbox
+ *    Test → place-order Lambda → outbox table → relay-outbox Lambda → EventBridge → test SQS → Test Listener
+ * 5. Rejects carts with items that are not on the restaurant's menu, and orders from restaurants without a menu
+ * 6. Rejects malformed requests with 400 or 415, in the shared error format ({ message, errors, requestId })
+ * 7. Passes the x-correlation-id of the request on in the order_placed event, and returns it in the response
+ * 8. Publishes the OrdersPlaced metric for the restaurant (and the ColdStart metric on the first invocation)
  */
 
+// Cart used for the tests - item IDs from the Fangtasia menu (see seed-restaurants.mjs)
+const items = [
+  { itemId: 'tru-blood', quantity: 2 },
+  { itemId: 'garlic-free-fries', quantity: 1 },
+];
+
 // Outer describe block for setting up authenticated user context
 describe('Given an authenticated user', () => {
   // Store the authenticated user for use in tests and cleanup
@@ -25,32 +43,52 @@ describe('Given an authenticated user', () => {
 
   // SQS message listener in e2e mode
   let listener;
+  // Orders placed by the tests, deleted at the end
+  const orders = [];
+
+  // Places an order, and keeps track of it if it was placed
+  const place_order = async (invoke) => {
+    const resp = await invoke();
+    if (resp.statusCode === 200) {
+      orders.push({ id: resp.body.orderId });
+    }
+    return resp;
+  };
 
   // Set up test environment before all tests
   beforeAll(async () => {
     // Create an authenticated Cognito user
     user = await given.an_authenticated_user();
-    // Start listening for real messages in the SQS queue
-    listener = startListening();
+    if (process.env.TEST_MODE === 'http') {
+      // E2E tests: start listening for real messages in the SQS queue
+      listener = startListening();
+    }
   });
 
   // After all tests
   afterAll(async () => {
-    // Clean up by deleting the Cognito user
+    // Clean up by deleting the orders and the Cognito user
+    for (const order of orders) {
+      await teardown.an_order(order);
+    }
     await teardown.an_authenticated_user(user);
     // Stop the SQS message listener
-    listener.stop();
+    if (listener) {
+      await listener.stop();
+    }
   });
 
   // Test suite for the order placement endpoint
   describe(`When we invoke the POST /orders endpoint`, () => {
-    // Store the response for assertions in multiple test cases
-    let resp;
+    // Store the response and the published metrics for assertions in multiple test cases
+    let resp, metrics;
 
     // Before all tests
     beforeAll(async () => {
+      metrics = startCapturing();
       // Invoke place-order endpoint with restaurant name 'Fangtasia'
-      resp = await when.we_invoke_place_order(user, 'Fangtasia');
+      resp = await place_order(() => when.we_invoke_place_order(user, 'Fangtasia', items));
+      metrics.stop();
     });
 
     // Test case verifying successful HTTP response
@@ -59,18 +97,79 @@ describe('Given an authenticated user', () => {
       expect(resp.statusCode).toEqual(200);
     });
 
+    // Test case verifying the cart is priced on the server
+    it(`[int][e2e] Should return the priced cart`, async () => {
+      const { items: lines, subtotal, tax, total } = resp.body;
+
+      // One priced line per cart item, in the order they were added
+      expect(lines.map((x) => [x.itemId, x.quantity])).toEqual([
+        ['tru-blood', 2],
+        ['garlic-free-fries', 1],
+      ]);
+      for (const line of lines) {
+        expect(line.lineTotal).toEqual(line.unitPrice * line.quantity);
+      }
+
+      // Totals add up
+      expect(subtotal).toEqual(lines.reduce((sum, x) => sum + x.lineTotal, 0));
+      expect(total).toEqual(subtotal + tax);
+    });
+
+    // Test case verifying the order is saved - the orders table is the source of truth, not the event
+    it(`[int][e2e] Should save the order as PLACED`, async () => {
+      const { orderId, items: lines, total, createdAt } = resp.body;
+
+      const orderResp = await when.we_invoke_get_order(user, orderId);
+
+      expect(orderResp.statusCode).toEqual(200);
+      expect(orderResp.body).toEqual(
+        expect.objectContaining({
+          orderId,
+          status: 'PLACED',
+          restaurantName: 'Fangtasia',
+          items: lines,
+          total,
+          createdAt,
+          updatedAt: createdAt,
+        })
+      );
+    });
+
+    // Test cases verifying the published metrics - written to stdout in handler mode, in the function logs in e2e mode
+    it(`[int] Should publish the OrdersPlaced metric for the restaurant`, async () => {
+      expect(metrics.metric('OrdersPlaced')).toEqual([
+        {
+          namespace: process.env.POWERTOOLS_METRICS_NAMESPACE,
+          unit: 'Count',
+          value: 1,
+          dimensions: { service: process.env.service_name, stage: process.env.stage_name, restaurantName: 'Fangtasia' },
+        },
+      ]);
+    });
+
+    // This is the first invocation of the function in this test file
+    it(`[int] Should publish the ColdStart metric`, async () => {
+      expect(metrics.metric('ColdStart')).toEqual([
+        expect.objectContaining({ value: 1, dimensions: expect.objectContaining({ function_name: 'place-order' }) }),
+      ]);
+    });
+
     // Test case verifying event publication to EventBridge
     // Test tag in the name ([e2e]) indicate this test can run only in e2e test mode
     it(`[e2e] Should publish a message to EventBridge bus`, async () => {
       const { orderId } = resp.body;
 
-      // Expected message content
+      // Expected message content - the event carries the same priced order that was returned to the client
       const expectedMsg = JSON.stringify({
         source: 'big-mouth',
         'detail-type': 'order_placed',
         detail: {
+          schemaVersion: 2, // Version of the order_placed contract (functions/lib/events.mjs)
+          ...resp.body,
           orderId,
           restaurantName: 'Fangtasia',
+          // Without an x-correlation-id header, the request ID becomes the correlation ID
+          correlationId: resp.headers['x-correlation-id'],
         },
       });
 
@@ -83,4 +182,107 @@ describe('Given an authenticated user', () => {
       );
     }, 10000);
   });
+
+  // Test suite for requests that carry their own correlation ID
+  describe(`When we invoke the POST /orders endpoint with an x-correlation-id header`, () => {
+    const correlationId = chance.guid();
+    let resp;
+
+    beforeAll(async () => {
+      const body = JSON.stringify({ restaurantName: 'Fangtasia', items });
+      resp = await place_order(() =>
+        when.we_invoke_place_order_with_body(user, body, { 'x-correlation-id': correlationId })
+      );
+    });
+
+    it(`[int][e2e] Should return the correlation ID in the x-correlation-id header`, async () => {
+      expect(resp.statusCode).toEqual(200);
+      expect(resp.headers['x-correlation-id']).toEqual(correlationId);
+    });
+
+    it(`[e2e] Should publish the order_placed event with the correlation ID`, async () => {
+      const { orderId } = resp.body;
+
+      await listener.waitForMessage((x) => {
+        if (x.sourceType !== 'eventbridge' || x.source !== process.env.eventbridge_bus_name) return false;
+        const { detail } = JSON.parse(x.message);
+        return detail.orderId === orderId && detail.correlationId === correlationId;
+      });
+    }, 10000);
+  });
+
+  // Test suite for carts that can't be fulfilled by the restaurant
+  describe(`When we invoke the POST /orders endpoint with an item that is not on the menu`, () => {
+    let resp, metrics;
+
+    beforeAll(async () => {
+      metrics = startCapturing();
+      resp = await when.we_invoke_place_order(user, 'Fangtasia', [{ itemId: 'krabby-patty', quantity: 1 }]);
+      metrics.stop();
+    });
+
+    it(`[int][e2e] Should return 422`, async () => {
+      expect(resp.statusCode).toEqual(422);
+      expect(resp.body.message).toContain('krabby-patty');
+    });
+
+    it(`[int] Should not count the order`, async () => {
+      expect(metrics.metric('OrdersPlaced')).toEqual([]);
+    });
+  });
+
+  // Test suite for restaurants seeded before the menus
+  describe(`When we invoke the POST /orders endpoint for a restaurant without a menu`, () => {
+    let restaurant;
+
+    beforeAll(async () => {
+      restaurant = await given.a_restaurant();
+    });
+
+    afterAll(async () => {
+      await teardown.a_restaurant(restaurant);
+    });
+
+    it(`[int][e2e] Should return 422`, async () => {
+      const resp = await when.we_invoke_place_order(user, restaurant.name, items);
+
+      expect(resp.statusCode).toEqual(422);
+      expect(resp.body.message).toEqual(`restaurant [${restaurant.name}] has no menu`);
+    });
+  });
+
+  // Test suite for requests that don't match the request body schema
+  describe(`When we invoke the POST /orders endpoint with a malformed request`, () => {
+    it(`[int][e2e] Should return 400 when the body isn't valid JSON`, async () => {
+      const resp = await when.we_invoke_place_order_with_body(user, '{ "restaurantName": ');
+
+      expect(resp.statusCode).toEqual(400);
+      expect(resp.body.message).toEqual('request body must be valid JSON');
+      expect(resp.body.requestId).toBeTruthy();
+    });
+
+    it(`[int][e2e] Should return 400 with the problems when the restaurant is missing`, async () => {
+      const resp = await when.we_invoke_place_order_with_body(user, JSON.stringify({ items }));
+
+      expect(resp.statusCode).toEqual(400);
+      expect(resp.body.errors).toEqual([{ path: 'body.restaurantName', message: 'body.restaurantName is required' }]);
+      expect(resp.body.requestId).toBeTruthy();
+    });
+
+    it(`[int][e2e] Should return 400 when a quantity is out of range`, async () => {
+      const resp = await when.we_invoke_place_order(user, 'Fangtasia', [{ itemId: 'tru-blood', quantity: 1000 }]);
+
+      expect(resp.statusCode).toEqual(400);
+      expect(resp.body.errors[0].path).toEqual('body.items[0].quantity');
+    });
+
+    it(`[int][e2e] Should return 415 when the body isn't JSON`, async () => {
+      const resp = await when.we_invoke_place_order_with_body(user, 'restaurantName=Fangtasia', {
+        'Content-Type': 'application/x-www-form-urlencoded',
+      });
+
+      expect(resp.statusCode).toEqual(415);
+      expect(resp.body.requestId).toBeTruthy();
+    });
+  });
 });
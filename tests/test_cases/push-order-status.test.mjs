@@ -0,0 +1,231 @@
+/**
+ * Test Flow Overview
+ *
+ * Integration Test Mode (TEST_MODE=handler and TEST_MODE=local):
+ * Test → push-order-status Lambda → DynamoDB (order, connections) → API Gateway management API
+ * The customer's connections are recorded by open-connection. In handler mode the management API is mocked, so the
+ * messages posted to the connections are kept by the test; in local mode the local environment keeps them.
+ *
+ * There are no e2e tests: the deployed WebSocket API needs a WebSocket client.
+ */
+
+// Import testing utilities from Vitest framework
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+// Generates the IDs of the connections
+import { randomUUID } from 'node:crypto';
+// Import test helpers for invoking Lambda functions
+import * as when from '../steps/when.mjs';
+// Import test setup helpers for creating authenticated users, orders and events
+import * as given from '../steps/given.mjs';
+// Import test teardown helpers for cleaning up resources
+import * as teardown from '../steps/teardown.mjs';
+// Import AWS SDK clients for mocking the management API and reading the connections
+import { ApiGatewayManagementApiClient, GoneException } from '@aws-sdk/client-apigatewaymanagementapi';
+import { DynamoDB } from '@aws-sdk/client-dynamodb';
+import { DynamoDBDocumentClient, QueryCommand } from '@aws-sdk/lib-dynamodb';
+// The local environment, which keeps the messages posted to the connections in local mode
+import { localEnvironment } from '../local/environment.mjs';
+
+const mode = process.env.TEST_MODE;
+
+// Handler mode: messages posted to the connections, by connection ID, and the connections that are gone
+const posted = new Map();
+const gone = new Set();
+const mockSend = vi.fn(async ({ input: { ConnectionId, Data } }) => {
+  if (gone.has(ConnectionId)) {
+    throw new GoneException({ $metadata: {}, message: `Connection ${ConnectionId} is gone` });
+  }
+  posted.set(ConnectionId, [...(posted.get(ConnectionId) ?? []), JSON.parse(Data)]);
+  return {};
+});
+
+// Opens a connection of a user: API Gateway has it, and open-connection records it
+const a_connection = async (user) => {
+  const connectionId = randomUUID();
+  if (mode === 'local') {
+    localEnvironment().apiGateway.connect(connectionId);
+  }
+  await when.we_invoke_open_connection(user, connectionId);
+  return connectionId;
+};
+
+// Closes a connection without its $disconnect route, as when the browser just goes away
+const drop = (connectionId) => {
+  if (mode === 'local') {
+    localEnvironment().apiGateway.disconnect(connectionId);
+  } else {
+    gone.add(connectionId);
+  }
+};
+
+// Messages posted to a connection
+const messagesTo = (connectionId) =>
+  mode === 'local'
+    ? (localEnvironment().apiGateway.connections.get(connectionId)?.messages ?? [])
+    : (posted.get(connectionId) ?? []);
+
+// Connections recorded for a user
+const connectionsOf = async (user) => {
+  const dynamodb = DynamoDBDocumentClient.from(new DynamoDB());
+  const resp = await dynamodb.send(
+    new QueryCommand({
+      TableName: process.env.connections_table,
+      KeyConditionExpression: 'userId = :userId',
+      ExpressionAttributeValues: { ':userId': user.sub },
+    })
+  );
+  return resp.Items.map((x) => x.connectionId);
+};
+
+/**
+ * Test suite for the push-order-status Lambda function
+ *
+ * This test verifies the following:
+ * 1. Every open page of the customer who placed the order gets its new status - and no other customer's
+ * 2. Connections that are gone are deleted, without failing the pushes to the others
+ * 3. Events of schema version 1 are upcast, and events that break their contract fail
+ * 4. Events of unknown orders are dropped
+ */
+describe('Given a customer with two open pages', () => {
+  let customer, otherCustomer;
+  let connections, otherConnection;
+  // Orders created by the tests, deleted at the end
+  const orders = [];
+  // Original ApiGatewayManagementApiClient.send, restored at the end
+  const send = ApiGatewayManagementApiClient.prototype.send;
+
+  const an_order = async (props) => {
+    const order = await given.an_order(customer, props);
+    orders.push(order);
+    return order;
+  };
+
+  beforeAll(async () => {
+    if (mode === 'handler') {
+      ApiGatewayManagementApiClient.prototype.send = mockSend; // Replace real ApiGatewayManagementApiClient.send()
+    }
+
+    customer = await given.an_authenticated_user();
+    otherCustomer = await given.an_authenticated_user();
+    connections = [await a_connection(customer), await a_connection(customer)];
+    otherConnection = await a_connection(otherCustomer);
+  });
+
+  afterAll(async () => {
+    ApiGatewayManagementApiClient.prototype.send = send;
+    for (const order of orders) {
+      await teardown.an_order(order);
+    }
+    for (const user of [customer, otherCustomer]) {
+      await teardown.the_connections(user);
+      await teardown.an_authenticated_user(user);
+    }
+  });
+
+  describe('When the order is accepted', () => {
+    let order;
+
+    beforeAll(async () => {
+      order = await an_order({ status: 'ACCEPTED', estimatedPrepMinutes: 20 });
+      await when.we_invoke_push_order_status(given.an_order_status_event('order_accepted', order));
+    });
+
+    it(`[int] Should push the status to every page of the customer`, async () => {
+      for (const connectionId of connections) {
+        expect(messagesTo(connectionId)).toEqual([
+          {
+            type: 'order_status',
+            orderId: order.id,
+            restaurantName: 'Fangtasia',
+            status: 'ACCEPTED',
+            estimatedPrepMinutes: 20,
+            updatedAt: order.updatedAt,
+          },
+        ]);
+      }
+    });
+
+    it(`[int] Should not push it to other customers`, async () => {
+      expect(messagesTo(otherConnection)).toEqual([]);
+    });
+  });
+
+  describe('When the order is declined', () => {
+    let order;
+
+    beforeAll(async () => {
+      order = await an_order({ status: 'REJECTED', rejectReason: 'Out of Tru Blood' });
+      await when.we_invoke_push_order_status(given.an_order_status_event('order_rejected', order));
+    });
+
+    it(`[int] Should push the reason`, async () => {
+      const [message] = messagesTo(connections[0]).filter((x) => x.orderId === order.id);
+
+      expect(message).toEqual(expect.objectContaining({ status: 'REJECTED', rejectReason: 'Out of Tru Blood' }));
+    });
+  });
+
+  describe('When a page was closed without disconnecting', () => {
+    let order, closed, open;
+
+    beforeAll(async () => {
+      [closed, open] = [await a_connection(customer), await a_connection(customer)];
+      drop(closed);
+
+      order = await an_order({ status: 'TIMED_OUT' });
+      await when.we_invoke_push_order_status(given.an_order_status_event('order_timed_out', order));
+    });
+
+    it(`[int] Should delete its connection`, async () => {
+      const recorded = await connectionsOf(customer);
+
+      expect(recorded).not.toContain(closed);
+      expect(recorded).toContain(open);
+    });
+
+    it(`[int] Should still push to the other pages`, async () => {
+      expect(messagesTo(open)).toEqual([expect.objectContaining({ orderId: order.id, status: 'TIMED_OUT' })]);
+    });
+  });
+
+  describe('When the event is of schema version 1, e.g. replayed from the archive', () => {
+    let order;
+
+    beforeAll(async () => {
+      order = await an_order({ status: 'ACCEPTED', estimatedPrepMinutes: 10 });
+      // As the state machine published them before the contracts
+      await when.we_invoke_push_order_status({
+        source: 'big-mouth',
+        'detail-type': 'order_accepted',
+        detail: { order_id: order.id, correlation_id: randomUUID() },
+      });
+    });
+
+    it(`[int] Should push the status`, async () => {
+      expect(messagesTo(connections[0]).filter((x) => x.orderId === order.id)).toEqual([
+        expect.objectContaining({ status: 'ACCEPTED', estimatedPrepMinutes: 10 }),
+      ]);
+    });
+  });
+
+  // The functions install their own copy of functions/lib, so their errors are matched by name
+  describe('When the event breaks its contract', () => {
+    it(`[int] Should fail, without pushing anything`, async () => {
+      const before = messagesTo(connections[0]).length;
+      const event = { source: 'big-mouth', 'detail-type': 'order_accepted', detail: { schemaVersion: 2 } };
+
+      await expect(when.we_invoke_push_order_status(event)).rejects.toMatchObject({ name: 'EventContractError' });
+      expect(messagesTo(connections[0])).toHaveLength(before);
+    });
+  });
+
+  describe('When the order is unknown', () => {
+    it(`[int] Should drop the event`, async () => {
+      const before = messagesTo(connections[0]).length;
+
+      await when.we_invoke_push_order_status(given.an_order_status_event('order_accepted', { id: randomUUID() }));
+
+      expect(messagesTo(connections[0])).toHaveLength(before);
+    });
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * Test Flow Overview
+ *
+ * Integration Test Mode (TEST_MODE=handler):
+ * Test → relay-outbox Lambda → Mock EventBridge
+ * The relay-outbox function is fed DynamoDB stream records of made-up outbox entries, and the PutEvents calls are
+ * verified on the mock.
+ *
+ * There's no end-to-end test of the function on its own: the stream is only fed by the entries place-order writes,
+ * and the place-order tests check the order_placed events reach the bus.
+ */
+
+// Import testing utilities from Vitest framework
+import { describe, it, expect, beforeAll, vi } from 'vitest';
+// Import test helpers for invoking Lambda functions
+import * as when from '../steps/when.mjs';
+// Import the outbox layout to build the entries
+import { outboxEntry } from '../../functions/lib/outbox.mjs';
+// Import AWS SDK client for mocking
+import { EventBridgeClient } from '@aws-sdk/client-eventbridge';
+// Import Chance library for generating random order IDs
+import { Chance } from 'chance';
+
+const chance = Chance();
+
+// Create mock function for AWS service calls
+const mockEvbSend = vi.fn();
+
+// An order_placed entry, as written by place-order
+const an_outbox_entry = () =>
+  outboxEntry({
+    source: 'big-mouth',
+    detailType: 'order_placed',
+    detail: { orderId: chance.guid(), restaurantName: 'Fangtasia', correlationId: chance.guid() },
+  });
+
+/**
+ * Test suite for the relay-outbox Lambda function
+ *
+ * This test verifies the following:
+ * 1. New outbox entries are published to EventBridge as written
+ * 2. Entries EventBridge fails to publish are retried
+ * 3. Entries that still can't be published are reported as batch item failures, so Lambda retries them
+ */
+describe('Given new entries in the outbox', () => {
+  beforeAll(() => {
+    EventBridgeClient.prototype.send = mockEvbSend; // Replace real EventBridge.send()
+  });
+
+  describe('When the entries are relayed', () => {
+    const entries = [an_outbox_entry(), an_outbox_entry()];
+    let resp;
+
+    beforeAll(async () => {
+      mockEvbSend.mockReset();
+      mockEvbSend.mockResolvedValue({ FailedEntryCount: 0, Entries: [{ EventId: '1' }, { EventId: '2' }] });
+
+      resp = await when.we_invoke_relay_outbox(entries);
+    });
+
+    it(`[int] Should publish the events to EventBridge as written`, async () => {
+      expect(mockEvbSend).toHaveBeenCalledTimes(1);
+
+      const [putEventsCmd] = mockEvbSend.mock.calls[0];
+      expect(putEventsCmd.input.Entries).toEqual(
+        entries.map((entry) => ({
+          Source: 'big-mouth',
+          DetailType: 'order_placed',
+          Detail: entry.detail,
+          EventBusName: process.env.bus_name,
+        }))
+      );
+    });
+
+    it(`[int] Should not report any failed record`, async () => {
+      expect(resp.batchItemFailures).toEqual([]);
+    });
+  });
+
+  describe('When EventBridge fails to publish some of the entries', () => {
+    const entries = [an_outbox_entry(), an_outbox_entry()];
+    let resp;
+
+    beforeAll(async () => {
+      mockEvbSend.mockReset();
+      mockEvbSend
+        .mockResolvedValueOnce({
+          FailedEntryCount: 1,
+          Entries: [{ EventId: '1' }, { ErrorCode: 'ThrottlingException', ErrorMessage: 'Rate exceeded' }],
+        })
+        .mockResolvedValueOnce({ FailedEntryCount: 0, Entries: [{ EventId: '2' }] });
+
+      resp = await when.we_invoke_relay_outbox(entries);
+    });
+
+    it(`[int] Should retry the failed entry only`, async () => {
+      expect(mockEvbSend).toHaveBeenCalledTimes(2);
+
+      const [retryCmd] = mockEvbSend.mock.calls[1];
+      expect(retryCmd.input.Entries).toEqual([expect.objectContaining({ Detail: entries[1].detail })]);
+    });
+
+    it(`[int] Should not report any failed record`, async () => {
+      expect(resp.batchItemFailures).toEqual([]);
+    });
+  });
+
+  describe('When EventBridge keeps failing', () => {
+    const entries = [an_outbox_entry(), an_outbox_entry()];
+    let resp;
+
+    beforeAll(async () => {
+      mockEvbSend.mockReset();
+      mockEvbSend.mockRejectedValue(new Error('Service unavailable'));
+
+      resp = await when.we_invoke_relay_outbox(entries);
+    });
+
+    it(`[int] Should report the first record, so Lambda retries from there`, async () => {
+      expect(resp.batchItemFailures).toHaveLength(1);
+      expect(resp.batchItemFailures[0].itemIdentifier).toEqual(expect.any(String));
+    });
+  });
+});
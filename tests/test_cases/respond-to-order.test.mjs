@@ -0,0 +1,224 @@
+/**
+ * Test Flow Overview
+ *
+ * Integration Test Mode (TEST_MODE=handler):
+ * Test → respond-to-order Lambda → DynamoDB + Mock Step Functions
+ * Orders are written to the orders table with a fake task token, and the SendTaskSuccess calls are verified on the mock.
+ *
+ * End-to-End Test Mode (TEST_MODE=http):
+ * Test → API Gateway → respond-to-order Lambda → DynamoDB
+ * A fake task token can't resume a real execution, so only the requests that are refused before the state machine
+ * is called run end-to-end.
+ */
+
+// Import testing utilities from Vitest framework
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+// Import test helpers for invoking Lambda functions
+import * as when from '../steps/when.mjs';
+// Import test setup helpers for creating authenticated users and orders
+import * as given from '../steps/given.mjs';
+// Import test teardown helpers for cleaning up resources
+import * as teardown from '../steps/teardown.mjs';
+// Import AWS SDK client for mocking
+import { SFNClient } from '@aws-sdk/client-sfn';
+// Import metrics capture helper for checking the published metrics (handler mode)
+import { startCapturing } from '../metrics.mjs';
+
+// Create mock function for Step Functions calls (used in handler mode)
+const mockSfnSend = vi.fn();
+
+/**
+ * Test suite for the respond-to-order Lambda function
+ *
+ * This test verifies the following:
+ * 1. A restaurant user can accept (with a prep time) or reject (with a reason) an order placed with their restaurant
+ * 2. The decision resumes the order flow with SendTaskSuccess, and is only recorded once
+ * 3. Customers and other restaurants can't respond to the order
+ * 4. Decided and expired orders are refused with 409 and 410
+ * 5. Rejections are counted with the OrdersRejected metric, per restaurant
+ */
+describe('Given a customer and a restaurant user of Fangtasia', () => {
+  // The customer who places the orders, the Fangtasia restaurant user and a restaurant user of another restaurant
+  let customer, restaurantUser, otherRestaurantUser;
+  // Orders created by the tests, deleted at the end
+  const orders = [];
+  // Original SFNClient.send, restored for the teardown (it stops the order flows of the orders)
+  const send = SFNClient.prototype.send;
+
+  // Creates an order with the customer at Fangtasia
+  const an_order = async (props) => {
+    const order = await given.an_order(customer, props);
+    orders.push(order);
+    return order;
+  };
+
+  // Creates an order waiting in the "Notify restaurant" step of the order flow
+  const a_waiting_order = () => an_order({ taskToken: 'fake-task-token' });
+
+  beforeAll(async () => {
+    if (process.env.TEST_MODE !== 'http') {
+      SFNClient.prototype.send = mockSfnSend; // Replace real SFNClient.send()
+    }
+
+    customer = await given.an_authenticated_user();
+    restaurantUser = await given.a_restaurant_user('Fangtasia');
+    otherRestaurantUser = await given.a_restaurant_user('Pizza Planet');
+  });
+
+  afterAll(async () => {
+    SFNClient.prototype.send = send;
+    for (const order of orders) {
+      await teardown.an_order(order);
+    }
+    await teardown.an_authenticated_user(customer);
+    await teardown.an_authenticated_user(restaurantUser);
+    await teardown.an_authenticated_user(otherRestaurantUser);
+  });
+
+  describe(`When the restaurant accepts the order`, () => {
+    let order, resp, metrics;
+
+    beforeAll(async () => {
+      mockSfnSend.mockClear();
+      mockSfnSend.mockResolvedValue({});
+
+      order = await a_waiting_order();
+      metrics = startCapturing();
+      resp = await when.we_invoke_respond_to_order(restaurantUser, order.id, 'accept', { estimatedPrepMinutes: 20 });
+      metrics.stop();
+    });
+
+    it(`[int] Should resume the order flow with the prep time`, async () => {
+      expect(resp.statusCode).toEqual(200);
+      expect(mockSfnSend).toHaveBeenCalledTimes(1);
+
+      const [sendTaskSuccessCmd] = mockSfnSend.mock.calls[0];
+      expect(sendTaskSuccessCmd.input).toEqual({
+        taskToken: 'fake-task-token',
+        output: JSON.stringify({ isAccepted: true, estimatedPrepMinutes: 20 }),
+      });
+    });
+
+    it(`[int] Should not count a rejection`, async () => {
+      expect(metrics.metric('OrdersRejected')).toEqual([]);
+    });
+
+    it(`[int] Should show the prep time to the customer`, async () => {
+      const orderResp = await when.we_invoke_get_order(customer, order.id);
+
+      expect(orderResp.body.estimatedPrepMinutes).toEqual(20);
+    });
+
+    it(`[int] Should refuse to decide the order a second time`, async () => {
+      const secondResp = await when.we_invoke_respond_to_order(restaurantUser, order.id, 'reject', {
+        reason: 'Changed our mind',
+      });
+
+      expect(secondResp.statusCode).toEqual(409);
+      expect(mockSfnSend).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe(`When the restaurant rejects the order`, () => {
+    let resp, metrics;
+
+    beforeAll(async () => {
+      mockSfnSend.mockClear();
+      mockSfnSend.mockResolvedValue({});
+
+      const order = await a_waiting_order();
+      metrics = startCapturing();
+      resp = await when.we_invoke_respond_to_order(restaurantUser, order.id, 'reject', { reason: 'Out of Tru Blood' });
+      metrics.stop();
+    });
+
+    it(`[int] Should resume the order flow with the reason`, async () => {
+      expect(resp.statusCode).toEqual(200);
+
+      const [sendTaskSuccessCmd] = mockSfnSend.mock.calls[0];
+      expect(JSON.parse(sendTaskSuccessCmd.input.output)).toEqual({ isAccepted: false, reason: 'Out of Tru Blood' });
+    });
+
+    it(`[int] Should count the rejection for the restaurant`, async () => {
+      expect(metrics.metric('OrdersRejected')).toEqual([
+        expect.objectContaining({ value: 1, dimensions: expect.objectContaining({ restaurantName: 'Fangtasia' }) }),
+      ]);
+    });
+  });
+
+  describe(`When the order flow stopped waiting for the restaurant`, () => {
+    let order, resp;
+
+    beforeAll(async () => {
+      mockSfnSend.mockClear();
+      mockSfnSend.mockRejectedValue(Object.assign(new Error('Task Timed Out'), { name: 'TaskTimedOut' }));
+
+      order = await a_waiting_order();
+      resp = await when.we_invoke_respond_to_order(restaurantUser, order.id, 'accept', { estimatedPrepMinutes: 20 });
+    });
+
+    it(`[int] Should return 410 and not record the decision`, async () => {
+      expect(resp.statusCode).toEqual(410);
+
+      const orderResp = await when.we_invoke_get_order(customer, order.id);
+      expect(orderResp.body.estimatedPrepMinutes).toBeUndefined();
+    });
+  });
+
+  describe(`When the request is refused before the order flow is resumed`, () => {
+    let order;
+
+    beforeAll(async () => {
+      mockSfnSend.mockClear();
+      order = await a_waiting_order();
+    });
+
+    it(`[int][e2e] Should return 403 to users who aren't restaurant users`, async () => {
+      const resp = await when.we_invoke_respond_to_order(customer, order.id, 'accept', { estimatedPrepMinutes: 20 });
+
+      expect(resp.statusCode).toEqual(403);
+    });
+
+    it(`[int][e2e] Should return 404 to other restaurants`, async () => {
+      const resp = await when.we_invoke_respond_to_order(otherRestaurantUser, order.id, 'accept', {
+        estimatedPrepMinutes: 20,
+      });
+
+      expect(resp.statusCode).toEqual(404);
+    });
+
+    it(`[int][e2e] Should return 400 when the prep time is missing`, async () => {
+      const resp = await when.we_invoke_respond_to_order(restaurantUser, order.id, 'accept', {});
+
+      expect(resp.statusCode).toEqual(400);
+    });
+
+    it(`[int][e2e] Should return 400 when the reject reason is missing`, async () => {
+      const resp = await when.we_invoke_respond_to_order(restaurantUser, order.id, 'reject', {});
+
+      expect(resp.statusCode).toEqual(400);
+    });
+
+    it(`[int][e2e] Should return 409 for orders that have already been decided`, async () => {
+      const decidedOrder = await an_order({ status: 'ACCEPTED' });
+      const resp = await when.we_invoke_respond_to_order(restaurantUser, decidedOrder.id, 'reject', {
+        reason: 'Closing early',
+      });
+
+      expect(resp.statusCode).toEqual(409);
+    });
+
+    it(`[int][e2e] Should return 410 for orders that have timed out`, async () => {
+      const expiredOrder = await an_order({ status: 'TIMED_OUT' });
+      const resp = await when.we_invoke_respond_to_order(restaurantUser, expiredOrder.id, 'accept', {
+        estimatedPrepMinutes: 20,
+      });
+
+      expect(resp.statusCode).toEqual(410);
+    });
+
+    it(`[int] Should not resume the order flow`, async () => {
+      expect(mockSfnSend).not.toHaveBeenCalled();
+    });
+  });
+});
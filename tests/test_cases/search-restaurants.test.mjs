@@ -1,5 +1,5 @@
 // Import testing utilities from Vitest framework
-import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
 
 // Import test helpers that simulate Lambda function invocations
 import * as when from '../steps/when.mjs';
@@ -8,6 +8,8 @@ import * as when from '../steps/when.mjs';
 import * as given from '../steps/given.mjs';
 // Import test teardown helpers for cleaning up resources after tests
 import * as teardown from '../steps/teardown.mjs';
+// Import metrics capture helper for checking the published metrics (handler mode)
+import { startCapturing } from '../metrics.mjs';
 
 /**
  * Test objective: Verify that the search-restaurants Lambda function correctly:
@@ -15,6 +17,11 @@ import * as teardown from '../steps/teardown.mjs';
  * 2. Returns a successful HTTP 200 response
  * 3. Returns the correct number of filtered restaurants (4)
  * 4. Ensures each restaurant in the results has the required properties
+ * 5. Matches themes case-insensitively and partially, with any/all semantics for several themes
+ * 6. Pages through the matches with continuation tokens
+ * 7. Publishes the SearchQueries, SearchHits and ZeroResultSearches metrics
+ * 8. Takes the search from the query string on GET /restaurants/search (get-index's endpoint)
+ * 9. Never logs the secret string it loads from SSM
  *
  * This test validates the search functionality by invoking the Lambda function either directly
  * or through API Gateway (depending on TEST_MODE), using an authenticated Cognito user for authorization.
@@ -47,13 +54,175 @@ describe('Given an authenticated user', () => {
       // Verify HTTP response status is successful
       expect(res.statusCode).toEqual(200);
       // Verify exactly 4 restaurants match the 'cartoon' theme
-      expect(res.body).toHaveLength(4);
+      expect(res.body.restaurants).toHaveLength(4);
 
       // Verify each restaurant in search results has the required properties
-      for (let restaurant of res.body) {
+      for (let restaurant of res.body.restaurants) {
         expect(restaurant).toHaveProperty('name'); // Each restaurant must have a name
         expect(restaurant).toHaveProperty('image'); // Each restaurant must have an image
       }
     });
   });
+
+  // Test suite for the search metrics
+  describe(`When we search for restaurants with and without matches`, () => {
+    let metrics;
+
+    beforeAll(async () => {
+      metrics = startCapturing();
+      await when.we_invoke_search_restaurants('cartoon', user);
+      await when.we_invoke_search_restaurants('klingon', user);
+      metrics.stop();
+    });
+
+    // Metrics are written to stdout in handler mode - in e2e mode they're in the function logs
+    it(`[int] Should count the searches, their hits and the searches without results`, async () => {
+      expect(metrics.metric('SearchQueries').map((x) => x.value)).toEqual([1, 1]);
+      expect(metrics.metric('SearchHits').map((x) => x.value)).toEqual([4, 0]);
+      expect(metrics.metric('ZeroResultSearches').map((x) => x.value)).toEqual([0, 1]);
+    });
+
+    it(`[int] Should publish the metrics with the service and stage dimensions`, async () => {
+      expect(metrics.metric('SearchQueries')[0]).toEqual({
+        namespace: process.env.POWERTOOLS_METRICS_NAMESPACE,
+        unit: 'Count',
+        value: 1,
+        dimensions: { service: process.env.service_name, stage: process.env.stage_name },
+      });
+    });
+  });
+
+  // Test suite for theme matching
+  describe(`When we search with different casing, partial themes and several themes`, () => {
+    // Search and return the names of the matching restaurants
+    const searchNames = async (criteria) => {
+      const res = await when.we_invoke_search_restaurants(criteria, user);
+      expect(res.statusCode).toEqual(200);
+      return res.body.restaurants.map((x) => x.name).sort();
+    };
+
+    it(`[int][e2e] Should match themes case-insensitively`, async () => {
+      expect(await searchNames('CarToon')).toHaveLength(4);
+    });
+
+    it(`[int][e2e] Should match part of a theme`, async () => {
+      // 'rick' is part of the 'rick and morty' theme
+      expect(await searchNames('rick')).toHaveLength(4);
+    });
+
+    it(`[int][e2e] Should return restaurants with any of the themes`, async () => {
+      expect(await searchNames({ themes: ['toy story', 'house of cards'], match: 'any' })).toEqual([
+        "Freddy's BBQ Joint",
+        'Pizza Planet',
+      ]);
+    });
+
+    it(`[int][e2e] Should return restaurants with all of the themes`, async () => {
+      expect(await searchNames({ themes: ['netflix', 'toy story'], match: 'all' })).toEqual(['Pizza Planet']);
+    });
+
+    it(`[int][e2e] Should return no restaurants when nothing matches`, async () => {
+      const res = await when.we_invoke_search_restaurants('klingon', user);
+
+      expect(res.statusCode).toEqual(200);
+      expect(res.body).toEqual({ restaurants: [], nextToken: null });
+    });
+
+    it(`[int][e2e] Should return 400 for an unknown match mode`, async () => {
+      const res = await when.we_invoke_search_restaurants({ themes: ['cartoon'], match: 'most' }, user);
+
+      expect(res.statusCode).toEqual(400);
+    });
+  });
+
+  // Test suite for paginated search results
+  describe(`When we page through the 'cartoon' restaurants one at a time`, () => {
+    it(`[int][e2e] Should return each of the 4 restaurants once`, async () => {
+      const names = [];
+      let nextToken;
+
+      do {
+        const res = await when.we_invoke_search_restaurants(
+          { themes: ['cartoon'], limit: 1, ...(nextToken && { nextToken }) },
+          user
+        );
+
+        expect(res.statusCode).toEqual(200);
+        names.push(...res.body.restaurants.map((x) => x.name));
+        nextToken = res.body.nextToken;
+      } while (nextToken);
+
+      expect(names).toHaveLength(4);
+      expect(new Set(names).size).toEqual(4);
+    });
+
+    it(`[int][e2e] Should return 400 when the token is used for another search`, async () => {
+      const firstPage = await when.we_invoke_search_restaurants({ themes: ['cartoon'], limit: 1 }, user);
+      const res = await when.we_invoke_search_restaurants(
+        { themes: ['netflix'], limit: 1, nextToken: firstPage.body.nextToken },
+        user
+      );
+
+      expect(res.statusCode).toEqual(400);
+    });
+  });
+
+  // Test suite for the GET endpoint, called by get-index with IAM authorization
+  describe(`When we invoke the GET /restaurants/search endpoint`, () => {
+    it(`[int][e2e] Should return the restaurants of the theme`, async () => {
+      const res = await when.we_invoke_search_restaurants_by_query({ theme: 'cartoon' });
+
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.restaurants).toHaveLength(4);
+    });
+
+    it(`[int][e2e] Should take several themes separated with commas`, async () => {
+      const res = await when.we_invoke_search_restaurants_by_query({ theme: 'netflix,toy story', match: 'all' });
+
+      expect(res.body.restaurants.map((x) => x.name)).toEqual(['Pizza Planet']);
+    });
+
+    it(`[int][e2e] Should page through the restaurants`, async () => {
+      const firstPage = await when.we_invoke_search_restaurants_by_query({ theme: 'cartoon', limit: 1 });
+      const secondPage = await when.we_invoke_search_restaurants_by_query({
+        theme: 'cartoon',
+        limit: 1,
+        nextToken: firstPage.body.nextToken,
+      });
+
+      expect(secondPage.statusCode).toEqual(200);
+      expect(secondPage.body.restaurants).toHaveLength(1);
+      expect(secondPage.body.restaurants[0].name).not.toEqual(firstPage.body.restaurants[0].name);
+    });
+
+    it(`[int][e2e] Should return 400 without a theme`, async () => {
+      const res = await when.we_invoke_search_restaurants_by_query({});
+
+      expect(res.statusCode).toEqual(400);
+    });
+
+    it(`[int][e2e] Should return 400 for a limit that isn't a number`, async () => {
+      const res = await when.we_invoke_search_restaurants_by_query({ theme: 'cartoon', limit: 'ten' });
+
+      expect(res.statusCode).toEqual(400);
+    });
+  });
+
+  // Test suite for the secrets the function loads from SSM (their local values are in tests/local/environment.mjs)
+  describe(`When we search for restaurants with the local SSM parameters`, () => {
+    it(`[local] Should not log the secret string`, async () => {
+      const stdout = vi.spyOn(process.stdout, 'write');
+      const consoleInfo = vi.spyOn(console, 'info');
+      try {
+        const res = await when.we_invoke_search_restaurants('cartoon', user);
+        expect(res.statusCode).toEqual(200);
+
+        const output = [...stdout.mock.calls, ...consoleInfo.mock.calls].flat().map(String).join('\n');
+        expect(output).not.toContain('local secret');
+      } finally {
+        stdout.mockRestore();
+        consoleInfo.mockRestore();
+      }
+    });
+  });
 });
@@ -0,0 +1,109 @@
+/**
+ * Test Flow Overview
+ *
+ * Integration Test Mode (TEST_MODE=handler and TEST_MODE=local):
+ * Test → seed-orders Lambda → DynamoDB (orders table)
+ * The function is fed order_placed events, and the orders table and the published metrics are checked.
+ *
+ * There are no e2e tests: in the deployed environment the seed_orders rule gets every order_placed event, and the
+ * place-order tests check the orders are saved.
+ */
+
+// Import testing utilities from Vitest framework
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+// Import test helpers for invoking Lambda functions
+import * as when from '../steps/when.mjs';
+// Import test setup helpers for creating orders and events
+import * as given from '../steps/given.mjs';
+// Import test teardown helpers for cleaning up resources
+import * as teardown from '../steps/teardown.mjs';
+// Import metrics capture helper for checking the published metrics (handler mode)
+import { startCapturing } from '../metrics.mjs';
+// Import AWS SDK clients for reading the orders
+import { DynamoDB } from '@aws-sdk/client-dynamodb';
+import { DynamoDBDocumentClient, GetCommand } from '@aws-sdk/lib-dynamodb';
+
+// Reads an order from the orders table
+const an_order_in_the_table = async (orderId) => {
+  const dynamodb = DynamoDBDocumentClient.from(new DynamoDB());
+  const resp = await dynamodb.send(new GetCommand({ TableName: process.env.orders_table, Key: { id: orderId } }));
+  return resp.Item;
+};
+
+/**
+ * Test suite for the seed-orders Lambda function
+ *
+ * This test verifies the following:
+ * 1. The order of an order_placed event is saved as PLACED, and counted as seeded
+ * 2. An order that is already saved is left as it is, and counted as skipped
+ */
+describe('When we invoke the seed-orders function', () => {
+  // Orders saved by the tests, deleted at the end
+  const orders = [];
+
+  afterAll(async () => {
+    for (const order of orders) {
+      await teardown.an_order(order);
+    }
+  });
+
+  describe('With the order_placed event of an order that is not saved yet', () => {
+    const event = given.an_order_placed_event();
+    let metrics;
+
+    beforeAll(async () => {
+      if (process.env.TEST_MODE !== 'http') {
+        orders.push({ id: event.detail.orderId });
+
+        metrics = startCapturing();
+        await when.we_invoke_seed_orders(event);
+        metrics.stop();
+      }
+    });
+
+    it(`[int] Should save the order as PLACED`, async () => {
+      const order = await an_order_in_the_table(event.detail.orderId);
+      expect(order).toMatchObject({
+        status: 'PLACED',
+        userId: event.detail.userId,
+        total: event.detail.total,
+        correlationId: event.detail.correlationId,
+      });
+    });
+
+    it(`[int] Should count the seeded order`, async () => {
+      expect(metrics.metric('OrdersSeeded')).toEqual([expect.objectContaining({ unit: 'Count', value: 1 })]);
+      expect(metrics.metric('OrderSeedsSkipped')).toEqual([]);
+    });
+  });
+
+  describe('With the order_placed event of an order the order flow moved on', () => {
+    let event;
+    let metrics;
+
+    beforeAll(async () => {
+      if (process.env.TEST_MODE !== 'http') {
+        event = given.an_order_placed_event();
+        const order = await given.an_order(
+          { sub: event.detail.userId },
+          { id: event.detail.orderId, status: 'ACCEPTED' }
+        );
+        orders.push(order);
+
+        metrics = startCapturing();
+        await when.we_invoke_seed_orders(event);
+        metrics.stop();
+      }
+    });
+
+    it(`[int] Should leave the order as it is`, async () => {
+      const order = await an_order_in_the_table(event.detail.orderId);
+      expect(order.status).toEqual('ACCEPTED');
+    });
+
+    it(`[int] Should count the skipped seed`, async () => {
+      expect(metrics.metric('OrderSeedsSkipped')).toEqual([expect.objectContaining({ unit: 'Count', value: 1 })]);
+      expect(metrics.metric('OrdersSeeded')).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,184 @@
+/**
+ * Test Flow Overview
+ *
+ * Integration Test Mode (TEST_MODE=handler):
+ * Test → start-order-flow Lambda → Mock Step Functions
+ * The function is fed order_placed events, and the StartExecution calls are verified on the mock.
+ *
+ * End-to-End Test Mode (TEST_MODE=http):
+ * Test → API Gateway → place-order Lambda → outbox → relay-outbox Lambda → EventBridge → start-order-flow Lambda
+ *      → order flow state machine
+ * An order is placed, and the execution of the order is followed until it waits for the restaurant in the
+ * "Notify restaurant" state. The execution is stopped when the order is deleted (teardown).
+ */
+
+// Import testing utilities from Vitest framework
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+// Import test helpers for invoking Lambda functions
+import * as when from '../steps/when.mjs';
+// Import test setup helpers for creating authenticated users and events
+import * as given from '../steps/given.mjs';
+// Import test teardown helpers for cleaning up resources
+import * as teardown from '../steps/teardown.mjs';
+// Import metrics capture helper for checking the published metrics (handler mode)
+import { startCapturing } from '../metrics.mjs';
+// Import AWS SDK client for mocking (handler mode) and following the executions (e2e)
+import { SFNClient, DescribeExecutionCommand, GetExecutionHistoryCommand } from '@aws-sdk/client-sfn';
+
+// Create mock function for AWS service calls (used in handler mode)
+const mockSfnSend = vi.fn();
+
+// Waits until the execution of an order waits for a callback in a task state (waitForTaskToken), and returns the
+// execution with its history
+const an_execution_waiting_in = async (orderId, stateName, timeoutMs = 30000) => {
+  const sfn = new SFNClient();
+  const executionArn = `${process.env.order_flow_state_machine_arn.replace(':stateMachine:', ':execution:')}:${orderId}`;
+  const deadline = Date.now() + timeoutMs;
+
+  while (Date.now() < deadline) {
+    try {
+      const history = await sfn.send(new GetExecutionHistoryCommand({ executionArn, maxResults: 100 }));
+      const entered = history.events.findIndex(
+        (x) => x.type === 'TaskStateEntered' && x.stateEnteredEventDetails.name === stateName
+      );
+      // The task was submitted (e.g. the SNS message with the task token was published) - it waits for the callback
+      if (entered !== -1 && history.events.slice(entered).some((x) => x.type === 'TaskSubmitted')) {
+        const execution = await sfn.send(new DescribeExecutionCommand({ executionArn }));
+        return { execution, events: history.events };
+      }
+    } catch (error) {
+      // The execution starts once the order_placed event went through the outbox and EventBridge
+      if (error.name !== 'ExecutionDoesNotExist') {
+        throw error;
+      }
+    }
+    await new Promise((resolve) => setTimeout(resolve, 1000));
+  }
+
+  throw new Error(`the order flow of [${orderId}] didn't wait in [${stateName}] within ${timeoutMs}ms`);
+};
+
+/**
+ * Test suite for the start-order-flow Lambda function
+ *
+ * This test verifies the following:
+ * 1. Each order_placed event starts an execution named after the order ID, with the input the state machine expects
+ * 2. Events of orders whose execution was started before are ignored
+ * 3. Events that break the order_placed contract fail
+ * 4. A placed order reaches the "Notify restaurant" state of its execution (e2e)
+ */
+describe('When we invoke the start-order-flow function', () => {
+  const event = given.an_order_placed_event();
+  let metrics;
+
+  beforeAll(async () => {
+    if (process.env.TEST_MODE !== 'http') {
+      SFNClient.prototype.send = mockSfnSend; // Replace real SFNClient.send()
+      mockSfnSend.mockReset();
+      mockSfnSend.mockResolvedValue({ executionArn: 'arn:aws:states:us-east-1:123456789012:execution:order-flow:x' });
+
+      metrics = startCapturing();
+      await when.we_invoke_start_order_flow(event);
+      metrics.stop();
+    }
+  });
+
+  it(`[int] Should start an execution named after the order ID`, async () => {
+    expect(mockSfnSend).toHaveBeenCalledTimes(1);
+
+    const [startExecutionCmd] = mockSfnSend.mock.calls[0];
+    expect(startExecutionCmd.input).toEqual({
+      stateMachineArn: process.env.order_flow_state_machine_arn,
+      name: event.detail.orderId,
+      input: JSON.stringify({ order_id: event.detail.orderId, correlation_id: event.detail.correlationId }),
+    });
+  });
+
+  it(`[int] Should count the started order flow`, async () => {
+    expect(metrics.metric('OrderFlowsStarted')).toEqual([expect.objectContaining({ unit: 'Count', value: 1 })]);
+  });
+
+  describe('When the order flow of the order was started before', () => {
+    beforeAll(async () => {
+      if (process.env.TEST_MODE !== 'http') {
+        mockSfnSend.mockReset();
+        mockSfnSend.mockRejectedValue(
+          Object.assign(new Error('Execution already exists'), { name: 'ExecutionAlreadyExists' })
+        );
+      }
+    });
+
+    it(`[int] Should ignore the event`, async () => {
+      await when.we_invoke_start_order_flow(event);
+      expect(mockSfnSend).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('When the event breaks the order_placed contract', () => {
+    it(`[int] Should fail, without starting an execution`, async () => {
+      mockSfnSend.mockReset();
+      const { orderId, correlationId } = event.detail;
+
+      // The order_placed event the order flow used to publish itself - schema version 1, without the order
+      await expect(
+        when.we_invoke_start_order_flow({
+          source: 'big-mouth',
+          'detail-type': 'order_placed',
+          detail: { order_id: orderId, correlation_id: correlationId },
+        })
+      ).rejects.toMatchObject({ name: 'LegacyEventError' });
+      expect(mockSfnSend).not.toHaveBeenCalled();
+    });
+  });
+});
+
+describe('Given an authenticated user', () => {
+  let user;
+  // Orders placed by the tests, deleted (and their order flow stopped) at the end
+  const orders = [];
+
+  beforeAll(async () => {
+    if (process.env.TEST_MODE === 'http') {
+      user = await given.an_authenticated_user();
+    }
+  });
+
+  afterAll(async () => {
+    if (!user) {
+      return;
+    }
+    for (const order of orders) {
+      await teardown.an_order(order);
+    }
+    await teardown.an_authenticated_user(user);
+  });
+
+  describe('When the user places an order', () => {
+    let resp, execution, events;
+
+    beforeAll(async () => {
+      if (process.env.TEST_MODE !== 'http') {
+        return; // The order flow only runs in the deployed environment
+      }
+      resp = await when.we_invoke_place_order(user, 'Fangtasia', [{ itemId: 'tru-blood', quantity: 1 }]);
+      orders.push({ id: resp.body.orderId });
+
+      ({ execution, events } = await an_execution_waiting_in(resp.body.orderId, 'Notify restaurant'));
+    }, 40000);
+
+    it(`[e2e] Should start the order flow with the order ID and the correlation ID`, async () => {
+      expect(execution.name).toEqual(resp.body.orderId);
+      expect(JSON.parse(execution.input)).toEqual({
+        order_id: resp.body.orderId,
+        correlation_id: resp.headers['x-correlation-id'],
+      });
+    });
+
+    it(`[e2e] Should wait for the restaurant in the "Notify restaurant" state`, async () => {
+      expect(execution.status).toEqual('RUNNING');
+      // The last state entered is the one waiting for the restaurant
+      const states = events.filter((x) => x.type === 'TaskStateEntered').map((x) => x.stateEnteredEventDetails.name);
+      expect(states.at(-1)).toEqual('Notify restaurant');
+    });
+  });
+});
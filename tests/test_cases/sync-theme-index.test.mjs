@@ -0,0 +1,101 @@
+/**
+ * Test Flow Overview
+ *
+ * Integration Test Mode (TEST_MODE=handler):
+ * Test → sync-theme-index Lambda → DynamoDB (theme index) ← search-restaurants Lambda ← Test
+ * The sync-theme-index function is fed DynamoDB stream records of a made-up restaurant, and the index is checked
+ * by searching it with the search-restaurants function.
+ *
+ * The restaurant is never written to the restaurants table, so the tests that count the seeded restaurants aren't
+ * affected. For the same reason there's no end-to-end test: the stream is only fed by real restaurants table changes.
+ */
+
+// Import testing utilities from Vitest framework
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+// Import test helpers for invoking Lambda functions
+import * as when from '../steps/when.mjs';
+// Import test setup helpers for creating authenticated users
+import * as given from '../steps/given.mjs';
+// Import test teardown helpers for cleaning up resources
+import * as teardown from '../steps/teardown.mjs';
+// Import Chance library for generating a unique restaurant name
+import { Chance } from 'chance';
+
+const chance = Chance();
+
+/**
+ * Test suite for the sync-theme-index Lambda function
+ *
+ * This test verifies the following:
+ * 1. A new restaurant can be found by each word of its themes
+ * 2. Themes removed from a restaurant are removed from the index, and new themes are added
+ * 3. A deleted restaurant can no longer be found
+ */
+describe('Given a restaurant added to the restaurants table', () => {
+  let user;
+  // Unique themes, so the searches only find this restaurant
+  const tag = chance.word({ length: 10 });
+  const restaurant = {
+    name: `Quark's Bar ${tag}`,
+    image: 'https://example.com/quarks.png',
+    themes: [`Star Trek ${tag}`],
+  };
+  const renamedThemes = [`Deep Space ${tag}`];
+
+  // Names of the restaurants found by a search
+  const search = async (theme) => {
+    const res = await when.we_invoke_search_restaurants(theme, user);
+    return res.body.restaurants.map((x) => x.name);
+  };
+
+  beforeAll(async () => {
+    user = await given.an_authenticated_user();
+  });
+
+  afterAll(async () => {
+    await teardown.a_theme_indexed_restaurant(restaurant);
+    await teardown.a_theme_indexed_restaurant({ ...restaurant, themes: renamedThemes });
+    await teardown.an_authenticated_user(user);
+  });
+
+  describe('When the change is applied to the theme index', () => {
+    let resp;
+
+    beforeAll(async () => {
+      resp = await when.we_invoke_sync_theme_index([{ newImage: restaurant }]);
+    });
+
+    it(`[int] Should not report any failed record`, async () => {
+      expect(resp.batchItemFailures).toEqual([]);
+    });
+
+    it(`[int] Should find the restaurant by any word of its theme`, async () => {
+      expect(await search(`star trek ${tag}`)).toEqual([restaurant.name]);
+      expect(await search(`TREK ${tag}`)).toEqual([restaurant.name]);
+      expect(await search(tag)).toEqual([restaurant.name]);
+    });
+  });
+
+  describe('When the themes of the restaurant are changed', () => {
+    beforeAll(async () => {
+      await when.we_invoke_sync_theme_index([
+        { oldImage: restaurant, newImage: { ...restaurant, themes: renamedThemes } },
+      ]);
+    });
+
+    it(`[int] Should find the restaurant by its new theme only`, async () => {
+      expect(await search(`deep space ${tag}`)).toEqual([restaurant.name]);
+      expect(await search(`star trek ${tag}`)).toEqual([]);
+    });
+  });
+
+  describe('When the restaurant is deleted', () => {
+    beforeAll(async () => {
+      await when.we_invoke_sync_theme_index([{ oldImage: { ...restaurant, themes: renamedThemes } }]);
+    });
+
+    it(`[int] Should no longer find the restaurant`, async () => {
+      expect(await search(tag)).toEqual([]);
+    });
+  });
+});
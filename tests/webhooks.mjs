@@ -0,0 +1,63 @@
+/**
+ * Webhook Receiver for Integration Testing
+ *
+ * This module runs a local HTTP server standing in for a restaurant's own systems, to check the orders
+ * notify-restaurant POSTs to the restaurant webhooks.
+ * It verifies the signature of every request with the restaurant's secret, as a restaurant would
+ * (functions/lib/webhooks.mjs), and answers 401 to the requests that aren't signed with it.
+ *
+ * The function runs in the test process in handler and local modes, so it reaches the receiver on localhost - a
+ * deployed function can't, hence no e2e tests.
+ */
+
+// HTTP server of the receiver
+import { createServer } from 'node:http';
+// Signature verification, as the restaurants do it
+import { verifySignature } from '../functions/lib/webhooks.mjs';
+
+/**
+ * Starts a webhook receiver on a free port of localhost
+ * @param {Object} options - { secret } - the secret the requests must be signed with
+ * @returns {Promise<Object>} Object with url, requests, respondWith() and stop()
+ */
+export const startReceiving = async ({ secret }) => {
+  // Requests received: [{ headers, body (parsed), verified, status (answered) }]
+  const requests = [];
+  // Statuses to answer the next verified requests with, e.g. to fail them - 200 once they're used up
+  const statuses = [];
+
+  const server = createServer(async (req, res) => {
+    const chunks = [];
+    for await (const chunk of req) {
+      chunks.push(chunk);
+    }
+    // The signature is computed over the raw body
+    const body = Buffer.concat(chunks).toString();
+
+    const verified = verifySignature(body, req.headers, { secret });
+    const status = verified ? (statuses.shift() ?? 200) : 401;
+    requests.push({ headers: req.headers, body: JSON.parse(body), verified, status });
+
+    res.writeHead(status).end();
+  });
+
+  // Port 0 - the system picks a free one
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}/orders`;
+
+  // Function to answer the next verified requests with the given statuses, e.g. respondWith(503, 503)
+  const respondWith = (...next) => {
+    statuses.push(...next);
+  };
+
+  // Function to stop the receiver
+  const stop = () => new Promise((resolve) => server.close(resolve));
+
+  // Return the public API
+  return {
+    url, // URL to put in the restaurant's webhook
+    requests, // Requests received so far
+    respondWith, // Function to fail the next requests
+    stop, // Function to stop receiving
+  };
+};
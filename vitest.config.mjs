@@ -18,6 +18,10 @@ export default defineConfig(({ mode }) => ({
     // Load environmental variables from .env, https://vitest.dev/guide/features.html#environment-variables
     env: loadEnv(mode, process.cwd(), ''),
 
+    // Local test mode: every test file runs against a local environment of in-process fakes (no AWS account needed),
+    // https://vitest.dev/config/#setupfiles
+    setupFiles: process.env.TEST_MODE === 'local' ? ['./tests/local/setup.mjs'] : [],
+
     // Pattern for test files to include
     include: ['**/*.test.mjs'],
 